@@ -49,6 +49,7 @@ const logger = require("./middleware/logger")
 // Import services
 const { initializeSocketIO } = require("./services/socketService")
 const { startCronJobs } = require("./services/cronService")
+const { isActiveApiKey } = require("./services/apiKeyService")
 
 // Create Express application
 const app = express()
@@ -92,10 +93,12 @@ app.use(mongoSanitize())
  * Prevents abuse by limiting requests per IP address
  * - 100 requests per 15 minutes per IP
  * - Applied to all /api/ routes
+ * - Requests with a valid API key are skipped; each key has its own limit
  */
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  skip: (req) => isActiveApiKey(req.header("X-API-Key")),
   message: {
     status: "error",
     message: "Too many requests from this IP, please try again later.",
@@ -129,7 +132,8 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Cart-Token", "X-Order-Token"],
+    exposedHeaders: ["X-Cart-Token"],
   }),
 )
 
@@ -156,7 +160,7 @@ if (process.env.NODE_ENV === "development") {
 
 /**
  * Passport Configuration
- * Initialize authentication strategies (Local, JWT, Google OAuth)
+ * Initialize authentication strategies (Local, JWT; OAuth providers are in config/oauthProviders.js)
  */
 require("./config/passport")
 
@@ -0,0 +1,424 @@
+/**
+ * OAuth / OpenID Connect Provider Registry
+ *
+ * Social and single sign-on providers users can sign in with:
+ * - Built-in: Google, Apple, Facebook and GitHub, enabled by setting their
+ *   credentials in the environment
+ * - Generic OIDC issuers: listed in OIDC_PROVIDERS (env) or added by admins
+ *   under settings.authProviders.oidc
+ *
+ * Admins can switch any provider off with settings.authProviders.disabled.
+ *
+ * Strategies are built per request so settings changes apply without a
+ * restart. Every provider's profile is normalized to
+ *   { id, email, emailVerified, firstName, lastName, avatar }
+ * before services/oauthService.js finds, links or creates the account.
+ */
+
+const jwt = require("jsonwebtoken")
+const OAuth2Strategy = require("passport-oauth2").Strategy
+const GoogleStrategy = require("passport-google-oauth20").Strategy
+const Setting = require("../models/Setting")
+
+// How long OIDC discovery documents are cached
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000
+
+const discoveryCache = new Map()
+
+// Provider names become URL segments
+const PROVIDER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/
+
+// Split a full name into first/last
+const splitName = (name = "") => {
+  const [firstName = "", ...rest] = String(name).trim().split(/\s+/)
+  return { firstName, lastName: rest.join(" ") }
+}
+
+// Some providers send email_verified as a string
+const isTrue = (value) => value === true || value === "true"
+
+// GET a JSON resource with an access token
+const fetchJson = async (url, accessToken, headers = {}) => {
+  const response = await fetch(url, {
+    headers: {
+      Accept: "application/json",
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+      ...headers,
+    },
+  })
+
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}`)
+  }
+
+  return response.json()
+}
+
+// Load (and cache) an issuer's OpenID configuration
+const discoverIssuer = async (issuer) => {
+  const cached = discoveryCache.get(issuer)
+  if (cached && cached.expiresAt > Date.now()) return cached.config
+
+  const config = await fetchJson(`${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`)
+  discoveryCache.set(issuer, { config, expiresAt: Date.now() + DISCOVERY_CACHE_MS })
+
+  return config
+}
+
+// Build a passport-oauth2 strategy whose profile comes from a custom loader
+const buildOAuth2Strategy = (options, verify, loadProfile) => {
+  const strategy = new OAuth2Strategy({ ...options, passReqToCallback: true }, verify)
+
+  if (loadProfile) {
+    strategy.userProfile = (accessToken, done) => {
+      loadProfile(accessToken)
+        .then((profile) => done(null, profile))
+        .catch((error) => done(error))
+    }
+  }
+
+  return strategy
+}
+
+/**
+ * Built-in providers
+ *
+ * Each definition has:
+ * - displayName: shown on the login page
+ * - isConfigured(): whether the required env vars are set
+ * - callbackURL: redirect URI registered with the provider
+ * - createStrategy(verify): passport strategy for this request
+ * - toProfile(profile, params, req): normalized profile
+ */
+const builtInProviders = {
+  google: {
+    displayName: "Google",
+    // Kept at the original path so existing Google console settings still work
+    callbackURL: "/api/auth/google/callback",
+    isConfigured: () => !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    createStrategy(verify) {
+      return new GoogleStrategy(
+        {
+          clientID: process.env.GOOGLE_CLIENT_ID,
+          clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+          callbackURL: this.callbackURL,
+          scope: ["profile", "email"],
+          passReqToCallback: true,
+        },
+        verify,
+      )
+    },
+    toProfile: (profile) => ({
+      id: profile.id,
+      email: profile.emails?.[0]?.value,
+      emailVerified: isTrue(profile._json?.email_verified),
+      firstName: profile.name?.givenName,
+      lastName: profile.name?.familyName,
+      avatar: profile.photos?.[0]?.value,
+    }),
+  },
+
+  apple: {
+    displayName: "Apple",
+    callbackURL: "/api/auth/oauth/apple/callback",
+    isConfigured: () =>
+      !!(
+        process.env.APPLE_CLIENT_ID &&
+        process.env.APPLE_TEAM_ID &&
+        process.env.APPLE_KEY_ID &&
+        process.env.APPLE_PRIVATE_KEY
+      ),
+    createStrategy(verify) {
+      // Apple's client secret is a short-lived JWT signed with the team's key
+      const clientSecret = jwt.sign({}, process.env.APPLE_PRIVATE_KEY.replace(/\\n/g, "\n"), {
+        algorithm: "ES256",
+        expiresIn: "1h",
+        audience: "https://appleid.apple.com",
+        issuer: process.env.APPLE_TEAM_ID,
+        subject: process.env.APPLE_CLIENT_ID,
+        keyid: process.env.APPLE_KEY_ID,
+      })
+
+      const strategy = buildOAuth2Strategy(
+        {
+          authorizationURL: "https://appleid.apple.com/auth/authorize",
+          tokenURL: "https://appleid.apple.com/auth/token",
+          clientID: process.env.APPLE_CLIENT_ID,
+          clientSecret,
+          callbackURL: this.callbackURL,
+          scope: ["name", "email"],
+          // Apple has no userinfo endpoint; the profile comes from the ID token
+          skipUserProfile: true,
+        },
+        verify,
+      )
+
+      // Apple posts the result back when name/email are requested
+      strategy.authorizationParams = () => ({ response_mode: "form_post" })
+
+      return strategy
+    },
+    toProfile: (profile, params, req) => {
+      // The ID token comes straight from Apple's token endpoint over TLS
+      const claims = jwt.decode(params.id_token) || {}
+
+      if (claims.iss !== "https://appleid.apple.com" || claims.aud !== process.env.APPLE_CLIENT_ID) {
+        throw new Error("Invalid Apple ID token")
+      }
+
+      // Apple only sends the user's name on the very first sign-in
+      let name = {}
+      try {
+        name = JSON.parse(req.body?.user || "{}").name || {}
+      } catch (error) {
+        name = {}
+      }
+
+      return {
+        id: claims.sub,
+        email: claims.email,
+        emailVerified: isTrue(claims.email_verified),
+        firstName: name.firstName,
+        lastName: name.lastName,
+      }
+    },
+  },
+
+  facebook: {
+    displayName: "Facebook",
+    callbackURL: "/api/auth/oauth/facebook/callback",
+    isConfigured: () => !!(process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET),
+    createStrategy(verify) {
+      return buildOAuth2Strategy(
+        {
+          authorizationURL: "https://www.facebook.com/v19.0/dialog/oauth",
+          tokenURL: "https://graph.facebook.com/v19.0/oauth/access_token",
+          clientID: process.env.FACEBOOK_APP_ID,
+          clientSecret: process.env.FACEBOOK_APP_SECRET,
+          callbackURL: this.callbackURL,
+          scope: ["email", "public_profile"],
+        },
+        verify,
+        (accessToken) =>
+          fetchJson(
+            "https://graph.facebook.com/v19.0/me?fields=id,email,first_name,last_name,picture.type(large)",
+            accessToken,
+          ),
+      )
+    },
+    toProfile: (profile) => ({
+      id: profile.id,
+      email: profile.email,
+      // Facebook doesn't say whether the address has been confirmed, so it's never trusted for linking
+      emailVerified: false,
+      firstName: profile.first_name,
+      lastName: profile.last_name,
+      avatar: profile.picture?.data?.url,
+    }),
+  },
+
+  github: {
+    displayName: "GitHub",
+    callbackURL: "/api/auth/oauth/github/callback",
+    isConfigured: () => !!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+    createStrategy(verify) {
+      return buildOAuth2Strategy(
+        {
+          authorizationURL: "https://github.com/login/oauth/authorize",
+          tokenURL: "https://github.com/login/oauth/access_token",
+          clientID: process.env.GITHUB_CLIENT_ID,
+          clientSecret: process.env.GITHUB_CLIENT_SECRET,
+          callbackURL: this.callbackURL,
+          scope: ["read:user", "user:email"],
+        },
+        verify,
+        async (accessToken) => {
+          const headers = { Accept: "application/vnd.github+json", "User-Agent": "shoe-ecommerce-api" }
+          const [user, emails] = await Promise.all([
+            fetchJson("https://api.github.com/user", accessToken, headers),
+            fetchJson("https://api.github.com/user/emails", accessToken, headers),
+          ])
+
+          return { ...user, primaryEmail: emails.find((email) => email.primary) }
+        },
+      )
+    },
+    toProfile: (profile) => ({
+      id: String(profile.id),
+      email: profile.primaryEmail?.email,
+      emailVerified: !!profile.primaryEmail?.verified,
+      ...splitName(profile.name || profile.login),
+      avatar: profile.avatar_url,
+    }),
+  },
+}
+
+// Issuer URLs are compared without a trailing slash
+const normalizeIssuer = (issuer = "") => String(issuer).replace(/\/$/, "")
+
+// Check an ID token was issued by this issuer for this client
+const verifyIdTokenClaims = (claims, issuer, clientId) => {
+  const audiences = [].concat(claims.aud || [])
+
+  if (normalizeIssuer(claims.iss) !== normalizeIssuer(issuer) || !audiences.includes(clientId)) {
+    return false
+  }
+
+  // The token has just come from the issuer, but an expired one is still refused
+  return !claims.exp || claims.exp * 1000 > Date.now()
+}
+
+// Definition for a generic OpenID Connect issuer
+// Verified emails only link existing accounts when the issuer is trusted to verify them (trustEmail)
+const createOidcProvider = ({ name, displayName, issuer, clientId, clientSecret, scope, trustEmail }) => ({
+  displayName: displayName || name,
+  callbackURL: `/api/auth/oauth/${name}/callback`,
+  isConfigured: () => !!(issuer && clientId && clientSecret),
+  async createStrategy(verify) {
+    const config = await discoverIssuer(issuer)
+
+    return buildOAuth2Strategy(
+      {
+        authorizationURL: config.authorization_endpoint,
+        tokenURL: config.token_endpoint,
+        clientID: clientId,
+        clientSecret,
+        callbackURL: this.callbackURL,
+        scope: scope?.length ? scope : ["openid", "email", "profile"],
+        skipUserProfile: !config.userinfo_endpoint,
+      },
+      verify,
+      config.userinfo_endpoint && ((accessToken) => fetchJson(config.userinfo_endpoint, accessToken)),
+    )
+  },
+  toProfile: (profile, params) => {
+    // Fall back to the ID token when the issuer has no userinfo endpoint
+    const claims = profile || jwt.decode(params.id_token) || {}
+
+    if (!profile && !verifyIdTokenClaims(claims, issuer, clientId)) {
+      throw new Error(`Invalid ${displayName || name} ID token`)
+    }
+
+    return {
+      id: claims.sub,
+      email: claims.email,
+      // Any issuer can claim an address is verified, so only trust the ones an admin has vouched for
+      emailVerified: trustEmail === true && isTrue(claims.email_verified),
+      firstName: claims.given_name || splitName(claims.name).firstName,
+      lastName: claims.family_name || splitName(claims.name).lastName,
+      avatar: claims.picture,
+    }
+  },
+})
+
+// OIDC issuers configured through the environment
+// e.g. OIDC_PROVIDERS=okta with OIDC_OKTA_ISSUER, OIDC_OKTA_CLIENT_ID, ...
+const getEnvOidcProviders = () => {
+  return (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      const prefix = `OIDC_${name.toUpperCase().replace(/-/g, "_")}_`
+
+      return {
+        name,
+        displayName: process.env[`${prefix}DISPLAY_NAME`],
+        issuer: process.env[`${prefix}ISSUER`],
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scope: process.env[`${prefix}SCOPE`]?.split(/[\s,]+/).filter(Boolean),
+        trustEmail: process.env[`${prefix}TRUST_EMAIL`] === "true",
+      }
+    })
+}
+
+/**
+ * Get every enabled provider
+ * @returns {Promise<Object>} Provider definitions keyed by name
+ */
+const getEnabledProviders = async () => {
+  const settings = await Setting.getSettings()
+  const disabled = settings.authProviders?.disabled || []
+  const settingsOidc = (settings.authProviders?.oidc || []).filter((provider) => provider.enabled)
+  const providers = {}
+
+  for (const [name, provider] of Object.entries(builtInProviders)) {
+    providers[name] = provider
+  }
+
+  // Settings entries override env entries with the same name; neither can replace a built-in
+  for (const config of [...getEnvOidcProviders(), ...settingsOidc]) {
+    if (builtInProviders[config.name] || !PROVIDER_NAME_PATTERN.test(config.name)) continue
+    providers[config.name] = createOidcProvider(config)
+  }
+
+  for (const name of Object.keys(providers)) {
+    if (disabled.includes(name) || !providers[name].isConfigured()) {
+      delete providers[name]
+    }
+  }
+
+  return providers
+}
+
+/**
+ * Get an enabled provider by name
+ * @param {string} name - Provider name
+ * @returns {Promise<Object|null>} Provider definition, or null if unknown/disabled
+ */
+const getProvider = async (name) => {
+  const providers = await getEnabledProviders()
+  return Object.prototype.hasOwnProperty.call(providers, name) ? { name, ...providers[name] } : null
+}
+
+/**
+ * Public list of enabled providers for the login page
+ * @returns {Promise<Object[]>} Provider names, labels and login URLs
+ */
+const listProviders = async () => {
+  const providers = await getEnabledProviders()
+
+  return Object.entries(providers).map(([name, provider]) => ({
+    name,
+    displayName: provider.displayName,
+    loginUrl: `/api/auth/oauth/${name}`,
+  }))
+}
+
+/**
+ * Build the passport strategy for a provider
+ *
+ * @param {Object} provider - Provider from getProvider()
+ * @param {Function} onProfile - (req, normalizedProfile, done) called after sign-in
+ * @returns {Promise<Object>} Passport strategy instance
+ */
+const createStrategy = async (provider, onProfile) => {
+  const verify = (req, accessToken, refreshToken, params, profile, done) => {
+    let normalized
+
+    try {
+      normalized = provider.toProfile(profile, params, req)
+    } catch (error) {
+      return done(error)
+    }
+
+    if (!normalized.id) {
+      return done(new Error(`${provider.displayName} did not return an account ID`))
+    }
+
+    return onProfile(req, { ...normalized, email: normalized.email?.toLowerCase() }, done)
+  }
+
+  return provider.createStrategy(verify)
+}
+
+module.exports = {
+  PROVIDER_NAME_PATTERN,
+  builtInProviders,
+  createOidcProvider,
+  getEnabledProviders,
+  getProvider,
+  listProviders,
+  createStrategy,
+}
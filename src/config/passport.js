@@ -1,6 +1,5 @@
 const passport = require("passport")
 const LocalStrategy = require("passport-local").Strategy
-const GoogleStrategy = require("passport-google-oauth20").Strategy
 const JwtStrategy = require("passport-jwt").Strategy
 const ExtractJwt = require("passport-jwt").ExtractJwt
 const bcrypt = require("bcryptjs")
@@ -58,53 +57,8 @@ passport.use(
   ),
 )
 
-// Google Strategy
-passport.use(
-  new GoogleStrategy(
-    {
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: "/api/auth/google/callback",
-    },
-    async (accessToken, refreshToken, profile, done) => {
-      try {
-        let user = await User.findOne({ googleId: profile.id })
-
-        if (user) {
-          return done(null, user)
-        }
-
-        // Check if user exists with same email
-        user = await User.findOne({ email: profile.emails[0].value })
-
-        if (user) {
-          // Link Google account to existing user
-          user.googleId = profile.id
-          await user.save()
-          return done(null, user)
-        }
-
-        // Create new user
-        user = new User({
-          googleId: profile.id,
-          email: profile.emails[0].value,
-          profile: {
-            firstName: profile.name.givenName,
-            lastName: profile.name.familyName,
-            avatar: profile.photos[0].value,
-          },
-          emailVerified: true,
-          role: "customer",
-        })
-
-        await user.save()
-        return done(null, user)
-      } catch (error) {
-        return done(error)
-      }
-    },
-  ),
-)
+// Google, Apple, Facebook, GitHub and OIDC strategies are built per request
+// from the provider registry - see config/oauthProviders.js
 
 passport.serializeUser((user, done) => {
   done(null, user.id)
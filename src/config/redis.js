@@ -149,6 +149,7 @@ const REDIS_KEYS = {
   // Cache keys
   PRODUCT_CACHE: (id) => `cache:product:${id}`,
   PRODUCTS_LIST_CACHE: (params) => `cache:products:${Buffer.from(JSON.stringify(params)).toString('base64')}`,
+  PRODUCT_FACETS_CACHE: (params) => `cache:products:facets:${Buffer.from(JSON.stringify(params)).toString('base64')}`,
   USER_CACHE: (id) => `cache:user:${id}`,
   
   // Session keys
@@ -156,6 +157,11 @@ const REDIS_KEYS = {
   
   // Rate limiting keys
   RATE_LIMIT: (ip) => `rate_limit:${ip}`,
+  LOGIN_ATTEMPTS: (type, subject) => `login_attempts:${type}:${subject}`,
+  PASSWORD_RESET_REQUESTS: (email) => `password_reset_requests:${email}`,
+  MAGIC_LINK_REQUESTS: (email) => `magic_link_requests:${email}`,
+  TWO_FACTOR_CHALLENGE: (jti) => `two_factor_challenge:${jti}`,
+  API_KEY_RATE_LIMIT: (keyId, window) => `api_key_rate:${keyId}:${window}`,
   
   // Real-time data keys
   INVENTORY: (productId, variantId) => `inventory:${productId}:${variantId}`,
@@ -177,6 +183,7 @@ const REDIS_KEYS = {
 const DEFAULT_TTL = {
   PRODUCT_CACHE: 3600,        // 1 hour
   PRODUCTS_LIST: 1800,        // 30 minutes
+  PRODUCT_FACETS: 300,        // 5 minutes
   USER_CACHE: 1800,           // 30 minutes
   SESSION: 86400,             // 24 hours
   RATE_LIMIT: 900,            // 15 minutes
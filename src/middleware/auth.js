@@ -8,9 +8,13 @@
  * - JWT token validation and verification
  * - User authentication with database lookup
  * - Optional authentication for public endpoints
- * - Role-based access control (RBAC)
+ * - Permission-based access control (roles stored as permission sets)
  * - Secure token extraction from headers
  * - User status validation (active/inactive)
+ * - Server-side session revocation checks
+ * - Scoped API keys (X-API-Key header) for server-to-server integrations
+ * - Guest cart identity (X-Cart-Token header) for checkout without an account
+ * - Guest order access (X-Order-Token header) for paying without an account
  *
  * Security Measures:
  * - Token expiration validation
@@ -21,12 +25,77 @@
  *
  * Usage Examples:
  * - app.use('/api/protected', authenticate)
- * - app.use('/api/admin', authenticate, requireRole(['admin']))
+ * - app.use('/api/admin', authenticate, requirePermission('admin:access'))
+ * - router.post('/', authenticate, requirePermission('products:write'), handler)
  * - app.use('/api/public', optionalAuth)
  */
 
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const { isSessionActive } = require("../services/sessionService")
+const { isTwoFactorRequiredForRole } = require("../services/twoFactorService")
+const { getEffectivePermissions } = require("../services/permissionService")
+const { authenticateApiKey } = require("../services/apiKeyService")
+const {
+  createGuestIdentity,
+  createCartToken,
+  verifyCartToken,
+  verifyOrderAccessToken,
+} = require("../services/guestCheckoutService")
+const { PERMISSIONS, GUEST_CHECKOUT } = require("../utils/constants")
+
+/**
+ * API Key Authentication
+ *
+ * Authenticates a request carrying an X-API-Key header. The request acts as
+ * the admin who created the key, with req.permissions limited to the key's
+ * scopes.
+ *
+ * Keys are only accepted on endpoints guarded by requirePermission() (or on
+ * routers that apply it to every route, like /api/admin and /api/staff), so
+ * personal endpoints such as change-password or cart can never be reached on
+ * the creator's behalf.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} key - Plain API key from the header
+ */
+const authenticateWithApiKey = async (req, res, next, key) => {
+  const routeHandlers = req.route ? req.route.stack.map((layer) => layer.handle) : []
+
+  if (req.route && !routeHandlers.some((handle) => handle.requiredPermissions?.length)) {
+    return res.status(403).json({
+      status: "error",
+      message: "API keys cannot be used for this endpoint.",
+    })
+  }
+
+  const result = await authenticateApiKey(key, req.ip)
+
+  if (result.rateLimit) {
+    res.set("X-RateLimit-Limit", String(result.rateLimit.limit))
+    res.set("X-RateLimit-Remaining", String(result.rateLimit.remaining))
+  }
+
+  if (!result.success) {
+    if (result.code === "RATE_LIMITED") {
+      res.set("Retry-After", String(result.rateLimit.retryAfter))
+    }
+
+    return res.status(result.code === "RATE_LIMITED" ? 429 : 401).json({
+      status: "error",
+      message: result.error,
+      code: result.code,
+    })
+  }
+
+  req.user = result.user
+  req.apiKey = result.apiKey
+  req.permissions = result.permissions
+  req.sessionId = null
+  next()
+}
 
 /**
  * Required Authentication Middleware
@@ -35,11 +104,13 @@ const User = require("../models/User")
  * Blocks access if no valid token is provided.
  *
  * Process:
+ * 0. Requests with an X-API-Key header are handled by authenticateWithApiKey
  * 1. Extract Bearer token from Authorization header
  * 2. Verify token signature and expiration
- * 3. Lookup user in database
- * 4. Validate user exists and is active
- * 5. Attach user object to request
+ * 3. Reject tokens whose session has been revoked or has expired
+ * 4. Lookup user in database
+ * 5. Validate user exists and is active
+ * 6. Attach user (and session ID) to request
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -47,6 +118,12 @@ const User = require("../models/User")
  */
 const authenticate = async (req, res, next) => {
   try {
+    // Server-to-server integrations authenticate with an API key
+    const apiKey = req.header("X-API-Key")
+    if (apiKey) {
+      return await authenticateWithApiKey(req, res, next, apiKey)
+    }
+
     // Extract token from Authorization header (format: "Bearer <token>")
     const token = req.header("Authorization")?.replace("Bearer ", "")
 
@@ -61,6 +138,22 @@ const authenticate = async (req, res, next) => {
     // Verify JWT token signature and expiration
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
+    // Purpose-bound tokens (e.g. 2FA challenge tokens) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid token.",
+      })
+    }
+
+    // Tokens issued with a session must still have a live session behind them
+    if (decoded.sid && !(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        status: "error",
+        message: "Session has been revoked. Please log in again.",
+      })
+    }
+
     // Lookup user in database to ensure they still exist and are active
     const user = await User.findById(decoded.id)
 
@@ -74,6 +167,7 @@ const authenticate = async (req, res, next) => {
 
     // Attach authenticated user to request object for use in route handlers
     req.user = user
+    req.sessionId = decoded.sid || null
     next()
   } catch (error) {
     // Handle JWT verification errors (expired, invalid signature, etc.)
@@ -114,11 +208,13 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       // Verify token and lookup user
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
-      const user = await User.findById(decoded.id)
+      const sessionActive = !decoded.purpose && (!decoded.sid || (await isSessionActive(decoded.sid, decoded.id)))
+      const user = sessionActive ? await User.findById(decoded.id) : null
 
       // Attach user only if valid and active
       if (user && user.isActive) {
         req.user = user
+        req.sessionId = decoded.sid || null
       }
     }
 
@@ -131,9 +227,117 @@ const optionalAuth = async (req, res, next) => {
   }
 }
 
+/**
+ * Cart Identity Middleware Factory
+ *
+ * Works out whose cart a request is for, so cart and checkout routes serve
+ * signed-in users and guests alike. Must run after optionalAuth.
+ *
+ * - Signed-in users own their cart by user ID
+ * - Guests send a signed cart token in the X-Cart-Token header; a refreshed
+ *   token is returned in the same header on every guest response
+ * - A bearer token that fails authentication is rejected rather than silently
+ *   falling back to a guest cart
+ *
+ * Sets req.cartOwner to the Cart query for the owner ({ user } or { guestId }).
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.issueToken=false] - Start a new guest cart when no token is sent
+ * @param {boolean} [options.required=true] - Reject requests with no cart owner
+ * @returns {Function} Express middleware function
+ */
+const identifyCart = ({ issueToken = false, required = true } = {}) => {
+  return (req, res, next) => {
+    req.cartOwner = null
+
+    if (req.user) {
+      req.cartOwner = { user: req.user._id }
+      return next()
+    }
+
+    if (req.header("Authorization")) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid or expired token.",
+      })
+    }
+
+    const cartToken = req.header(GUEST_CHECKOUT.CART_TOKEN_HEADER)
+    let guestId = null
+
+    if (cartToken) {
+      guestId = verifyCartToken(cartToken)
+
+      if (!guestId) {
+        return res.status(401).json({
+          status: "error",
+          message: "Invalid or expired cart token.",
+        })
+      }
+    } else if (issueToken) {
+      guestId = createGuestIdentity().guestId
+    }
+
+    if (!guestId) {
+      if (!required) return next()
+
+      return res.status(401).json({
+        status: "error",
+        message: "Sign in or provide a cart token.",
+      })
+    }
+
+    req.cartOwner = { guestId }
+    res.set(GUEST_CHECKOUT.CART_TOKEN_HEADER, createCartToken(guestId))
+    next()
+  }
+}
+
+/**
+ * Order Customer Middleware
+ *
+ * For routes where customers act on one of their orders, such as paying for
+ * it. Must run after optionalAuth.
+ *
+ * - Signed-in users pass through; the route checks they own the order
+ * - Guests send the order access token (X-Order-Token header) they got when
+ *   placing or looking up the order
+ * - A bearer token that fails authentication is rejected, as in identifyCart
+ *
+ * Sets req.guestOrderId to the order a guest may act on.
+ */
+const identifyOrderCustomer = (req, res, next) => {
+  req.guestOrderId = null
+
+  if (req.user) return next()
+
+  if (req.header("Authorization")) {
+    return res.status(401).json({
+      status: "error",
+      message: "Invalid or expired token.",
+    })
+  }
+
+  const orderToken = req.header(GUEST_CHECKOUT.ORDER_TOKEN_HEADER)
+  const orderId = orderToken ? verifyOrderAccessToken(orderToken) : null
+
+  if (!orderId) {
+    return res.status(401).json({
+      status: "error",
+      message: "Sign in or provide an order access token.",
+    })
+  }
+
+  req.guestOrderId = orderId
+  next()
+}
+
 /**
  * Role-Based Access Control Middleware Factory
  *
+ * Prefer requirePermission() - checking role names directly does not pick up
+ * custom roles or per-user permission overrides.
+ *
  * Creates middleware that restricts access based on user roles.
  * Supports multiple roles and hierarchical permission checking.
  *
@@ -176,20 +380,99 @@ const requireRole = (allowedRoles) => {
 }
 
 /**
- * Convenience Role Middleware Functions
+ * Permission Middleware Factory
+ *
+ * Restricts access to users holding every listed permission. Permissions come
+ * from the user's role (managed via /api/admin/roles) plus per-user grants
+ * and revocations. The resolved list is exposed as req.permissions.
+ *
+ * Usage Examples:
+ * - requirePermission('products:write')
+ * - requirePermission('orders:read', 'orders:refund')
+ *
+ * @param {...string} requiredPermissions - Permissions the user must have
+ * @returns {Function} - Express middleware function
+ */
+const requirePermission = (...requiredPermissions) => {
+  const middleware = async (req, res, next) => {
+    try {
+      // Ensure user is authenticated first
+      if (!req.user) {
+        return res.status(401).json({
+          status: "error",
+          message: "Authentication required.",
+        })
+      }
+
+      req.permissions = req.permissions || (await getEffectivePermissions(req.user))
+
+      const missingPermissions = requiredPermissions.filter((permission) => !req.permissions.includes(permission))
+
+      if (missingPermissions.length > 0) {
+        return res.status(403).json({
+          status: "error",
+          message: "Access denied. Insufficient permissions.",
+          requiredPermissions: missingPermissions,
+        })
+      }
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  // Lets authenticate tell permission-guarded routes apart (see API keys)
+  middleware.requiredPermissions = requiredPermissions
+
+  return middleware
+}
+
+/**
+ * Two-Factor Enrollment Middleware
+ *
+ * Blocks users whose role must use two-factor authentication (see the
+ * admin security settings) until they have enrolled. Apply after
+ * authenticate/requirePermission on privileged routers.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireTwoFactorEnrollment = async (req, res, next) => {
+  try {
+    // API keys are issued by an admin who already passed this check
+    if (req.apiKey) return next()
+
+    if (req.user && !req.user.twoFactor?.enabled && (await isTwoFactorRequiredForRole(req.user.role))) {
+      return res.status(403).json({
+        status: "error",
+        message: "Two-factor authentication must be enabled for your account.",
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+      })
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Convenience Access Middleware Functions
  *
- * Pre-configured role middleware for common access patterns.
+ * Pre-configured middleware for common access patterns.
  * Reduces boilerplate code in route definitions.
  */
 
-// Admin-only access
-const requireAdmin = requireRole(['admin'])
+// Admin dashboard access
+const requireAdmin = requirePermission(PERMISSIONS.ADMIN_ACCESS)
 
-// Staff or admin access
-const requireStaff = requireRole(['staff', 'admin'])
+// Staff dashboard access
+const requireStaff = requirePermission(PERMISSIONS.STAFF_ACCESS)
 
-// Any authenticated user
-const requireAuth = requireRole(['customer', 'staff', 'admin'])
+// Any authenticated user (whatever their role)
+const requireAuth = requirePermission()
 
 /**
  * Module Exports
@@ -199,9 +482,13 @@ const requireAuth = requireRole(['customer', 'staff', 'admin'])
 module.exports = {
   authenticate,
   optionalAuth,
+  identifyCart,
+  identifyOrderCustomer,
   requireRole,
+  requirePermission,
   requireAdmin,
   requireStaff,
   requireAuth,
+  requireTwoFactorEnrollment,
   auth: authenticate, // Alias for backward compatibility
 }
@@ -0,0 +1,41 @@
+const rateLimit = require("express-rate-limit")
+const { RATE_LIMITS } = require("../utils/constants")
+
+const authLimitMessage = {
+  status: "error",
+  message: "Too many authentication attempts from this IP, please try again later.",
+}
+
+// Credential endpoints that send email or accept tokens (every request counts)
+const authLimiter = rateLimit({
+  ...RATE_LIMITS.AUTH,
+  message: authLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+// Login endpoints - only failed attempts count, so normal sign-ins are never limited
+const loginLimiter = rateLimit({
+  ...RATE_LIMITS.AUTH,
+  skipSuccessfulRequests: true,
+  message: authLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+// Search-as-you-type suggestions, which correct typos against the whole catalog vocabulary
+const suggestLimiter = rateLimit({
+  ...RATE_LIMITS.SUGGEST,
+  message: {
+    status: "error",
+    message: "Too many search suggestion requests from this IP, please slow down.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+module.exports = {
+  authLimiter,
+  loginLimiter,
+  suggestLimiter,
+}
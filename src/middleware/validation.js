@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require("express-validator")
+const { PRODUCT_STATUS } = require("../utils/constants")
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req)
@@ -34,43 +35,33 @@ const validateProduct = [
   body("name").trim().isLength({ min: 1 }).withMessage("Product name is required"),
   body("description").trim().isLength({ min: 10 }).withMessage("Description must be at least 10 characters"),
   body("brand").trim().isLength({ min: 1 }).withMessage("Brand is required"),
-  body("category")
-    .isIn(["running", "casual", "formal", "sports", "boots", "sandals", "sneakers"])
-    .withMessage("Invalid category"),
+  // Categories and attributes are checked against their definitions by catalogService
+  body("category").trim().isLength({ min: 1, max: 50 }).withMessage("Category is required"),
   body("gender").isIn(["men", "women", "unisex", "kids"]).withMessage("Invalid gender"),
   body("variants").isArray({ min: 1 }).withMessage("At least one variant is required"),
-  body("variants.*.size")
-    .isIn([
-      "5",
-      "5.5",
-      "6",
-      "6.5",
-      "7",
-      "7.5",
-      "8",
-      "8.5",
-      "9",
-      "9.5",
-      "10",
-      "10.5",
-      "11",
-      "11.5",
-      "12",
-      "12.5",
-      "13",
-      "14",
-      "15",
-    ])
-    .withMessage("Invalid size"),
+  body("variants.*.size").optional().trim().isLength({ min: 1, max: 20 }).withMessage("Invalid size"),
+  body("variants.*.options").optional().isObject().withMessage("Variant options must be an object"),
   body("variants.*.color").trim().isLength({ min: 1 }).withMessage("Color is required"),
   body("variants.*.price").isFloat({ min: 0 }).withMessage("Price must be a positive number"),
   body("variants.*.stock").isInt({ min: 0 }).withMessage("Stock must be a non-negative integer"),
+  body("attributes").optional().isObject().withMessage("Attributes must be an object"),
+  handleValidationErrors,
+]
+
+// Product status and publishing schedule; null clears a scheduled time
+const validateProductStatus = [
+  body("status").optional().isIn(Object.values(PRODUCT_STATUS)).withMessage("Invalid product status"),
+  body(["publishAt", "unpublishAt"]).optional({ nullable: true }).isISO8601().withMessage("Must be a date").toDate(),
+  body("note").optional().trim().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
   handleValidationErrors,
 ]
 
 // Order validation rules
 const validateOrder = [
-  body("items").isArray({ min: 1 }).withMessage("Order must contain at least one item"),
+  // Without items the order is placed from the cart
+  body("items").optional().isArray({ min: 1 }).withMessage("Order must contain at least one item"),
+  // Contact email, required for guest checkout
+  body("email").optional().trim().isEmail().withMessage("Valid contact email is required").toLowerCase(),
   body("shippingAddress.firstName").trim().isLength({ min: 1 }).withMessage("First name is required"),
   body("shippingAddress.lastName").trim().isLength({ min: 1 }).withMessage("Last name is required"),
   body("shippingAddress.street").trim().isLength({ min: 1 }).withMessage("Street address is required"),
@@ -104,13 +95,20 @@ const validatePagination = [
 
 const validateObjectId = [param("id").isMongoId().withMessage("Invalid ID format"), handleValidationErrors]
 
+const validateRevisionId = [
+  param("revisionId").isMongoId().withMessage("Invalid revision ID format"),
+  handleValidationErrors,
+]
+
 module.exports = {
   handleValidationErrors,
   validateRegister,
   validateLogin,
   validateProduct,
+  validateProductStatus,
   validateOrder,
   validateCoupon,
   validatePagination,
   validateObjectId,
+  validateRevisionId,
 }
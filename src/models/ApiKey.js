@@ -0,0 +1,91 @@
+/**
+ * API Key Model
+ *
+ * Credentials for server-to-server integrations (ERP, warehouse scripts).
+ * Sent in the `X-API-Key` header. Only a SHA-256 hash of the key is stored;
+ * the plain key is shown once when it is created.
+ *
+ * A request made with a key acts on behalf of the admin who created it, but is
+ * limited to the key's scopes (permission names from utils/constants.js).
+ */
+
+const mongoose = require("mongoose")
+const { PERMISSIONS } = require("../utils/constants")
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Human-readable label, e.g. "ERP stock sync"
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+
+    // First characters of the key, shown in listings to identify it
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    // SHA-256 hash of the full key
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    // Permissions this key may use
+    scopes: {
+      type: [String],
+      enum: Object.values(PERMISSIONS),
+      default: [],
+    },
+
+    // Requests allowed per rate limit window
+    rateLimit: {
+      max: { type: Number, min: 1 },
+      windowSeconds: { type: Number, min: 1 },
+    },
+
+    // Optional expiry; keys without one never expire
+    expiresAt: Date,
+
+    // Usage tracking
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Admin who created the key (requests act as this user)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Revocation
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+apiKeySchema.index({ createdBy: 1 })
+
+// Virtual: key can still be used
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+})
+
+module.exports = mongoose.models.ApiKey || mongoose.model("ApiKey", apiKeySchema)
@@ -0,0 +1,143 @@
+/**
+ * Attribute Model
+ *
+ * A configurable product attribute such as width, size system, material or
+ * pack size. Attributes are switched on per category (models/Category.js)
+ * and their values are stored on products by code:
+ *
+ * - product scope: product.attributes, e.g. { material: "leather" }
+ * - variant scope: variant.options, e.g. { width: "wide" }. Variants of a
+ *   product may share a size and colour as long as their options differ.
+ *
+ * The built-in attributes (DEFAULT_ATTRIBUTES) are created on first use.
+ */
+
+const mongoose = require("mongoose")
+const { ATTRIBUTE_TYPES, ATTRIBUTE_SCOPES } = require("../utils/constants")
+
+const attributeSchema = new mongoose.Schema(
+  {
+    // Key products store the value under; can't change once products use it
+    code: {
+      type: String,
+      required: [true, "Attribute code is required"],
+      unique: true,
+      immutable: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_]{0,29}$/, "Attribute code may only contain lowercase letters, numbers and _"],
+    },
+
+    name: {
+      type: String,
+      required: [true, "Attribute name is required"],
+      trim: true,
+      maxlength: 50,
+    },
+
+    type: {
+      type: String,
+      enum: Object.values(ATTRIBUTE_TYPES),
+      required: true,
+    },
+
+    scope: {
+      type: String,
+      enum: Object.values(ATTRIBUTE_SCOPES),
+      default: ATTRIBUTE_SCOPES.PRODUCT,
+    },
+
+    // Allowed values of a select attribute, in display order
+    values: [
+      {
+        _id: false,
+        value: {
+          type: String,
+          required: true,
+          lowercase: true,
+          trim: true,
+          maxlength: 50,
+        },
+        label: {
+          type: String,
+          trim: true,
+          maxlength: 50,
+        },
+      },
+    ],
+
+    // Unit shown after a number, e.g. "pairs"
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+    },
+
+    // Inactive attributes are kept on products but no longer accepted in edits
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+attributeSchema.path("values").validate(function (values) {
+  const codes = values.map((entry) => entry.value)
+  return new Set(codes).size === codes.length
+}, "Attribute values must be unique")
+
+attributeSchema.path("values").validate(function (values) {
+  return this.type !== ATTRIBUTE_TYPES.SELECT || values.length > 0
+}, "A select attribute needs at least one value")
+
+/**
+ * Instance Method: Check a Value
+ *
+ * Whether a value is valid for this attribute, and the value to store: numbers
+ * and booleans given as strings (e.g. from a CSV import) are converted.
+ *
+ * @param {*} value - Value to check
+ * @returns {Object} - { valid, value, error }
+ */
+attributeSchema.methods.checkValue = function (value) {
+  const invalid = (error) => ({ valid: false, error: `${this.name} ${error}` })
+
+  switch (this.type) {
+    case ATTRIBUTE_TYPES.SELECT: {
+      const normalized = String(value).trim().toLowerCase()
+      if (!this.values.some((entry) => entry.value === normalized)) {
+        return invalid(`must be one of: ${this.values.map((entry) => entry.value).join(", ")}`)
+      }
+      return { valid: true, value: normalized }
+    }
+
+    case ATTRIBUTE_TYPES.NUMBER: {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value
+      if (typeof number !== "number" || !Number.isFinite(number)) return invalid("must be a number")
+      return { valid: true, value: number }
+    }
+
+    case ATTRIBUTE_TYPES.BOOLEAN: {
+      if (typeof value === "boolean") return { valid: true, value }
+      if (value === "true" || value === "false") return { valid: true, value: value === "true" }
+      return invalid("must be true or false")
+    }
+
+    default: {
+      if (typeof value !== "string" && typeof value !== "number") return invalid("must be text")
+      const text = String(value).trim()
+      if (text.length === 0 || text.length > 100) return invalid("must be 1 to 100 characters")
+      return { valid: true, value: text }
+    }
+  }
+}
+
+module.exports = mongoose.models.Attribute || mongoose.model("Attribute", attributeSchema)
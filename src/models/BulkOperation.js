@@ -0,0 +1,126 @@
+/**
+ * Bulk Operation Model
+ *
+ * A price and/or stock change applied to every variant matching a filter,
+ * kept as an audit record of who ran it and what it changed.
+ *
+ * Lifecycle:
+ * - pending: being applied (or undone)
+ * - applied: every change was made; can be undone until undoExpiresAt
+ * - failed: a variant couldn't be changed, so nothing was (see `error`), apart
+ *   from any variants listed in `notRolledBack`
+ * - undone: the changes were reversed
+ *
+ * `changes` keeps each variant's price and stock before and after, which is
+ * what an undo puts back. Stock changes are also in the inventory ledger,
+ * linked by `bulkOperation`.
+ */
+
+const mongoose = require("mongoose")
+const { BULK_OPERATION_STATUS, BULK_ADJUSTMENTS } = require("../utils/constants")
+
+const adjustmentSchema = {
+  action: {
+    type: String,
+    enum: Object.values(BULK_ADJUSTMENTS),
+  },
+  // Prices only: change by an amount or a percentage of the current price
+  unit: {
+    type: String,
+    enum: ["amount", "percent"],
+  },
+  value: Number,
+}
+
+const bulkOperationSchema = new mongoose.Schema(
+  {
+    // Which products' variants were picked
+    filter: {
+      brands: [String],
+      categories: [String],
+      tags: [String],
+      skus: [String],
+    },
+
+    price: adjustmentSchema,
+    stock: adjustmentSchema,
+
+    status: {
+      type: String,
+      enum: Object.values(BULK_OPERATION_STATUS),
+      default: BULK_OPERATION_STATUS.PENDING,
+    },
+
+    // One entry per variant changed; price or stock is empty if it didn't change
+    changes: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+        variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        sku: String,
+        price: { from: Number, to: Number },
+        stock: { from: Number, to: Number },
+      },
+    ],
+
+    // Variants left out because they couldn't be changed (skipConflicts)
+    skipped: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        sku: String,
+        reason: String,
+      },
+    ],
+
+    // Variants a failed run changed but couldn't put back, because they had
+    // changed again in the meantime; these need checking by hand
+    notRolledBack: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        sku: String,
+      },
+    ],
+
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+
+    // Why a failed operation or undo couldn't be completed
+    error: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    appliedAt: Date,
+    undoExpiresAt: Date,
+    undoneAt: Date,
+    undoneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+bulkOperationSchema.index({ createdAt: -1 })
+bulkOperationSchema.index({ createdBy: 1, createdAt: -1 })
+
+/**
+ * Instance Method: Can Be Undone
+ *
+ * @param {Date} [now] - Point in time to check at
+ * @returns {boolean} - True if applied and still within the undo window
+ */
+bulkOperationSchema.methods.canUndo = function (now = new Date()) {
+  return this.status === BULK_OPERATION_STATUS.APPLIED && this.undoExpiresAt > now
+}
+
+module.exports = mongoose.models.BulkOperation || mongoose.model("BulkOperation", bulkOperationSchema)
@@ -1,4 +1,14 @@
+/**
+ * Cart Model
+ *
+ * One cart per owner. The owner is either a signed-in user or a guest
+ * identified by a random guestId, which the client holds as a signed cart
+ * token (see services/guestCheckoutService.js). Guest carts expire after
+ * GUEST_CHECKOUT.CART_TTL_DAYS without changes.
+ */
+
 const mongoose = require("mongoose")
+const { GUEST_CHECKOUT } = require("../utils/constants")
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -10,6 +20,8 @@ const cartItemSchema = new mongoose.Schema({
     size: { type: String, required: true },
     color: { type: String, required: true },
     sku: { type: String, required: true },
+    // Variant options such as width, for display (see models/Attribute.js)
+    options: { type: Map, of: mongoose.Schema.Types.Mixed },
     price: { type: Number, required: true },
   },
   quantity: {
@@ -29,9 +41,20 @@ const cartSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.guestId
+      },
+      unique: true,
+      sparse: true,
+    },
+    // Guest carts only: random ID carried in the signed cart token
+    guestId: {
+      type: String,
       unique: true,
+      sparse: true,
     },
+    // Guest carts only: removed by the TTL index once this passes
+    expiresAt: Date,
     items: [cartItemSchema],
     totalItems: {
       type: Number,
@@ -51,21 +74,23 @@ const cartSchema = new mongoose.Schema(
   },
 )
 
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
 // Update totals before saving
 cartSchema.pre("save", function (next) {
   this.totalItems = this.items.reduce((total, item) => total + item.quantity, 0)
   this.totalAmount = this.items.reduce((total, item) => total + item.variant.price * item.quantity, 0)
   this.lastModified = new Date()
+  if (this.guestId) {
+    this.expiresAt = new Date(this.lastModified.getTime() + GUEST_CHECKOUT.CART_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
   next()
 })
 
 // Method to add item to cart
 cartSchema.methods.addItem = function (productId, variant, quantity = 1) {
   const existingItemIndex = this.items.findIndex(
-    (item) =>
-      item.product.toString() === productId.toString() &&
-      item.variant.size === variant.size &&
-      item.variant.color === variant.color,
+    (item) => item.product.toString() === productId.toString() && item.variant.sku === variant.sku,
   )
 
   if (existingItemIndex > -1) {
@@ -0,0 +1,86 @@
+/**
+ * Category Model
+ *
+ * Product categories, managed through the admin API. A product's `category`
+ * holds the category's slug. Each category lists the attributes
+ * (models/Attribute.js) its products can have, and which of them they must
+ * have.
+ *
+ * The built-in categories (DEFAULT_CATEGORIES) are created on first use.
+ */
+
+const mongoose = require("mongoose")
+
+const categorySchema = new mongoose.Schema(
+  {
+    // Stored on products, so it can't change once created
+    slug: {
+      type: String,
+      required: [true, "Category slug is required"],
+      unique: true,
+      immutable: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9][a-z0-9-]{0,49}$/, "Slug can only contain lowercase letters, numbers, and hyphens"],
+    },
+
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      maxlength: 50,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    // Optional parent for grouping categories in navigation
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+
+    // Attributes products in this category can have, by attribute code
+    attributes: [
+      {
+        _id: false,
+        attribute: {
+          type: String,
+          required: true,
+          lowercase: true,
+          trim: true,
+        },
+        required: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+
+    // Inactive categories keep their products but can't be given to new ones
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+categorySchema.path("attributes").validate(function (attributes) {
+  const codes = attributes.map((entry) => entry.attribute)
+  return new Set(codes).size === codes.length
+}, "An attribute can only be listed once")
+
+categorySchema.index({ isActive: 1, sortOrder: 1 })
+
+module.exports = mongoose.models.Category || mongoose.model("Category", categorySchema)
@@ -0,0 +1,125 @@
+/**
+ * Inventory Movement Model
+ *
+ * Append-only ledger of every change to a variant's stock. Each entry records
+ * the change (delta), the stock left afterwards and why it happened, so the
+ * sum of a SKU's deltas should always equal its variant.stock.
+ *
+ * The first entry for a SKU is an opening balance: the stock it had before
+ * the ledger started tracking it.
+ *
+ * Entries are never updated or deleted; corrections are new entries.
+ */
+
+const mongoose = require("mongoose")
+const { INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
+
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    sku: String,
+
+    variant: {
+      size: { type: String, required: true },
+      color: { type: String, required: true },
+    },
+
+    // Warehouse/store the change happened at; empty for variants not stocked by location
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+
+    // Signed change in stock; only an opening balance may be zero
+    delta: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: function (value) {
+          return Number.isInteger(value) && (value !== 0 || this.reason === INVENTORY_MOVEMENT_REASONS.OPENING_BALANCE)
+        },
+        message: "Delta must be a non-zero integer",
+      },
+    },
+
+    // variant.stock right after the change
+    quantityAfter: {
+      type: Number,
+      required: true,
+    },
+
+    // Stock left at the location right after the change
+    locationQuantityAfter: Number,
+
+    reason: {
+      type: String,
+      enum: Object.values(INVENTORY_MOVEMENT_REASONS),
+      required: true,
+    },
+
+    // Who made the change; empty for system jobs
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+    },
+
+    bulkOperation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BulkOperation",
+    },
+
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Per-SKU history, per-variant totals, location and order lookups
+inventoryMovementSchema.index({ sku: 1, createdAt: -1 })
+inventoryMovementSchema.index({ location: 1, createdAt: -1 })
+inventoryMovementSchema.index({ product: 1, sku: 1, createdAt: -1 })
+inventoryMovementSchema.index({ order: 1 })
+inventoryMovementSchema.index({ purchaseOrder: 1 }, { sparse: true })
+inventoryMovementSchema.index({ bulkOperation: 1 }, { sparse: true })
+inventoryMovementSchema.index({ reason: 1, createdAt: -1 })
+
+// One opening balance per variant, even if two first movements race
+inventoryMovementSchema.index(
+  { product: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { reason: INVENTORY_MOVEMENT_REASONS.OPENING_BALANCE } },
+)
+
+// Append-only: refuse edits and deletes through the model
+inventoryMovementSchema.pre("save", function (next) {
+  if (!this.isNew) return next(new Error("Inventory movements cannot be changed"))
+  next()
+})
+
+const blockedOperations = ["updateOne", "updateMany", "findOneAndUpdate", "deleteOne", "deleteMany", "findOneAndDelete"]
+
+for (const operation of blockedOperations) {
+  inventoryMovementSchema.pre(operation, function (next) {
+    next(new Error("Inventory movements cannot be changed"))
+  })
+}
+
+module.exports = mongoose.models.InventoryMovement || mongoose.model("InventoryMovement", inventoryMovementSchema)
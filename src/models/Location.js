@@ -0,0 +1,69 @@
+/**
+ * Location Model
+ *
+ * A place stock is kept and shipped from: a warehouse or a retail store.
+ * Variants that are stocked by location hold one stock entry per location
+ * (see variant.locations in models/Product.js).
+ *
+ * Orders are fulfilled from active locations, preferring one in the same
+ * state and then the same country as the shipping address, and otherwise the
+ * lowest priority number.
+ */
+
+const mongoose = require("mongoose")
+const { LOCATION_TYPES } = require("../utils/constants")
+
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Location name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+
+    // Short unique code used in URLs and filters, e.g. "WH-EAST"
+    code: {
+      type: String,
+      required: [true, "Location code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9-]{2,20}$/, "Code must be 2-20 letters, digits or hyphens"],
+    },
+
+    type: {
+      type: String,
+      enum: Object.values(LOCATION_TYPES),
+      default: LOCATION_TYPES.WAREHOUSE,
+    },
+
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: { type: String, default: "US" },
+    },
+
+    // Fallback allocation order - lower numbers ship first
+    priority: {
+      type: Number,
+      default: 100,
+      min: 0,
+    },
+
+    // Inactive locations are skipped when allocating orders
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+locationSchema.index({ isActive: 1, priority: 1 })
+
+module.exports = mongoose.models.Location || mongoose.model("Location", locationSchema)
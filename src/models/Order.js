@@ -9,6 +9,10 @@
  * - Product snapshot preservation
  * - Pricing calculations and tax handling
  * - Coupon and discount application
+ * - Guest orders (no account, contact email only) that can later be claimed
+ * - Fulfilling location(s) per item for multi-location inventory
+ * - Backordered and pre-ordered items, which wait for stock after payment
+ *   (status "backordered" / "preordered") and are charged when they ship
  *
  * Key Features:
  * - Immutable order history (product snapshots)
@@ -83,6 +87,8 @@ const orderItemSchema = new mongoose.Schema({
       uppercase: true,
       trim: true
     },
+    // Variant options at time of purchase, e.g. { width: "wide" }
+    options: { type: Map, of: mongoose.Schema.Types.Mixed },
     // Store variant image if different from main product image
     image: String,
   },
@@ -108,6 +114,35 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Total price cannot be negative']
   },
+
+  // Where the units ship from - more than one entry when the line is split
+  // across locations. Empty for variants not stocked by location.
+  allocations: [
+    {
+      _id: false,
+      location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Location",
+      },
+      quantity: Number,
+    },
+  ],
+
+  // How the item is fulfilled: from stock, or sold beyond stock as a backorder
+  // or pre-order (see Product getBackorderTerms)
+  fulfillment: {
+    type: String,
+    enum: ["stock", "backorder", "preorder"],
+    default: "stock",
+  },
+
+  // Units of the item sold beyond stock. `awaiting` counts down as incoming
+  // stock is allocated to them (services/backorderService.js).
+  backorder: {
+    quantity: { type: Number, min: 0 },
+    awaiting: { type: Number, min: 0 },
+    expectedShipDate: Date,
+  },
 })
 
 /**
@@ -129,14 +164,28 @@ const orderSchema = new mongoose.Schema(
       index: true // Index for fast order lookups
     },
 
-    // Customer reference
+    // Customer reference (absent for guest orders until they are claimed)
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.guestEmail
+      },
       index: true // Index for user-based order queries
     },
 
+    // Contact email for guest checkout, used for order lookup and claiming.
+    // Kept after the order is claimed into an account.
+    guestEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+
+    // When a guest order was attached to an account
+    claimedAt: Date,
+
     // Order items with complete product information
     items: [orderItemSchema],
 
@@ -285,8 +334,11 @@ const orderSchema = new mongoose.Schema(
       status: {
         type: String,
         enum: {
-          values: ["pending", "completed", "failed", "refunded", "partially_refunded"],
-          message: 'Payment status must be one of: pending, completed, failed, refunded, partially_refunded'
+          values: [
+            "pending", "authorized", "completed", "voided", "cancelled", "failed", "refunded", "partially_refunded",
+          ],
+          message: 'Payment status must be one of: pending, authorized, completed, voided, cancelled, failed, ' +
+            'refunded, partially_refunded'
         },
         default: "pending",
         index: true // Index for payment status queries
@@ -301,6 +353,28 @@ const orderSchema = new mongoose.Schema(
       // Timestamp when payment was completed
       paidAt: Date,
 
+      // Orders with backordered or pre-ordered items are authorised when
+      // placed and captured when they ship ("voided" if cancelled before then).
+      // Stripe cancels an authorisation it has held for about 7 days; the
+      // payment is then "cancelled" and has to be authorised again.
+      authorizedAt: Date,
+
+      // Log of payment intents created, confirmed, retried and reported by
+      // webhooks for this order
+      attempts: [{
+        _id: false,
+        timestamp: {
+          type: Date,
+          default: Date.now
+        },
+        paymentIntentId: String,
+        amount: Number,
+        status: String,
+        action: String,
+        failureCode: String,
+        failureMessage: String,
+      }],
+
       // Refund information
       refunds: [{
         amount: {
@@ -321,8 +395,12 @@ const orderSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled", "returned"],
-        message: 'Order status must be one of: pending, confirmed, processing, shipped, delivered, cancelled, returned'
+        values: [
+          "pending", "backordered", "preordered", "confirmed", "processing", "shipped", "delivered", "cancelled",
+          "returned",
+        ],
+        message: 'Order status must be one of: pending, backordered, preordered, confirmed, processing, shipped, ' +
+          'delivered, cancelled, returned'
       },
       default: "pending",
       index: true // Index for status-based order queries
@@ -423,6 +501,9 @@ orderSchema.index({ "payment.status": 1 })
 // Index for date-based reporting
 orderSchema.index({ createdAt: -1 })
 
+// Index for guest order lookup and claiming
+orderSchema.index({ guestEmail: 1, createdAt: -1 }, { sparse: true })
+
 /**
  * Pre-save Middleware: Order Number Generation
  *
@@ -490,6 +571,43 @@ orderSchema.methods.updateStatus = function (newStatus) {
   }
 }
 
+/**
+ * Instance Method: Units Waiting for Stock
+ *
+ * @returns {number} - Backordered and pre-ordered units not yet allocated stock
+ */
+orderSchema.methods.getAwaitingStock = function () {
+  return this.items.reduce((total, item) => total + (item.backorder?.awaiting || 0), 0)
+}
+
+/**
+ * Instance Method: Check if Payment Is Taken on Shipment
+ *
+ * Orders with backordered or pre-ordered items may ship weeks after they are
+ * placed, so their payment is authorised up front and captured on shipment.
+ *
+ * @returns {boolean} - True if the payment should only be authorised
+ */
+orderSchema.methods.isChargedOnShipment = function () {
+  return this.items.some(item => item.fulfillment && item.fulfillment !== "stock")
+}
+
+/**
+ * Instance Method: Status Once Paid
+ *
+ * Paid orders are confirmed, unless some of their units are still waiting
+ * for stock: then they are "preordered" if any of those units are
+ * pre-orders, and "backordered" otherwise.
+ *
+ * @returns {string} - Order status
+ */
+orderSchema.methods.getPaidStatus = function () {
+  const waiting = this.items.filter(item => item.backorder?.awaiting > 0)
+
+  if (waiting.length === 0) return "confirmed"
+  return waiting.some(item => item.fulfillment === "preorder") ? "preordered" : "backordered"
+}
+
 /**
  * Instance Method: Calculate Refund Amount
  *
@@ -2,7 +2,8 @@
  * Product Model
  *
  * Comprehensive e-commerce product management system supporting:
- * - Multi-variant products (size, color combinations)
+ * - Multi-variant products (size, color and option combinations)
+ * - Categories and attributes configured through the admin API
  * - Advanced inventory management
  * - SEO optimization with slugs and metadata
  * - Image management with Cloudinary integration
@@ -12,40 +13,56 @@
  *
  * Performance Features:
  * - Compound indexes for fast search and filtering
- * - Text search indexes for product discovery
+ * - Text search indexes for product discovery, kept in step with the
+ *   catalog search index (services/searchIndexService.js) by save hooks
  * - Optimized queries for catalog browsing
  *
  * Business Features:
  * - Stock tracking and low stock alerts
+ * - Backorders and pre-orders per variant, with caps
  * - Price comparison and sale pricing
  * - Product visibility controls
+ * - Draft/review/published/archived workflow with scheduled publishing
  * - Analytics tracking (views, purchases)
  */
 
 const mongoose = require("mongoose")
+const { PRODUCT_STATUS, ONE_SIZE, SEARCH_INDEX } = require("../utils/constants")
+
+// A variant's options as a plain object, whether given as a Map or an object
+const optionsObject = (options) => (options instanceof Map ? Object.fromEntries(options) : options || {})
+
+// What tells a product's variants apart: size, color and options
+const variantKey = (variant) => {
+  const options = optionsObject(variant.options)
+  const sorted = Object.keys(options).sort().map(code => [code, options[code]])
+  return JSON.stringify([variant.size, variant.color, sorted])
+}
 
 /**
  * Product Variant Schema
  *
- * Represents individual product variations (size/color combinations).
+ * Represents individual product variations (size/color combinations, plus
+ * options such as width or pack size).
  * Each variant has its own pricing, inventory, and SKU for precise control.
  *
  * Key Features:
  * - Unique SKU per variant for inventory tracking
  * - Individual pricing per variant (allows size-based pricing)
- * - Stock management at variant level
+ * - Stock management at variant level, optionally split by location
  * - Color codes for UI display
  * - Sale pricing support with compareAtPrice
  */
 const variantSchema = new mongoose.Schema({
-  // Shoe size - comprehensive range from 5 to 15 including half sizes
+  // Size label (e.g. "9", "10.5", "3Y" for kids' sizes). The size system it
+  // is in, where it matters, is the size_system option. Items that don't
+  // come in sizes, such as laces, are "one-size".
   size: {
     type: String,
     required: true,
-    enum: [
-      "5", "5.5", "6", "6.5", "7", "7.5", "8", "8.5", "9", "9.5",
-      "10", "10.5", "11", "11.5", "12", "12.5", "13", "14", "15",
-    ],
+    trim: true,
+    maxlength: [20, 'Size cannot exceed 20 characters'],
+    default: ONE_SIZE,
   },
 
   // Color name (e.g., "Black", "Navy Blue", "Crimson Red")
@@ -56,6 +73,14 @@ const variantSchema = new mongoose.Schema({
     maxlength: [50, 'Color name cannot exceed 50 characters']
   },
 
+  // Values of the variant-scope attributes (models/Attribute.js) by code,
+  // e.g. { width: "wide", size_system: "us" }. Checked against the
+  // product's category by catalogService.
+  options: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+  },
+
   // Hex color code for UI display (e.g., "#000000" for black)
   colorCode: {
     type: String,
@@ -93,13 +118,57 @@ const variantSchema = new mongoose.Schema({
     }
   },
 
-  // Available inventory for this specific variant
+  // Available inventory for this specific variant. For variants stocked by
+  // location this is the total across all locations.
   stock: {
     type: Number,
     required: true,
     min: [0, 'Stock cannot be negative'],
     default: 0,
   },
+
+  // Stock per warehouse/store (see models/Location.js). Empty for variants
+  // that are not tracked by location.
+  locations: [
+    {
+      _id: false,
+      location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Location",
+        required: true,
+      },
+      stock: {
+        type: Number,
+        min: [0, 'Stock cannot be negative'],
+        default: 0,
+      },
+    },
+  ],
+
+  // Selling beyond stock. Backorders are taken once stock runs out and ship
+  // when it comes back in; pre-orders are taken until the product's
+  // launchDate and ship from launch stock.
+  allowBackorder: {
+    type: Boolean,
+    default: false,
+  },
+
+  preorder: {
+    type: Boolean,
+    default: false,
+  },
+
+  // When backordered or pre-ordered units are expected to ship (pre-orders
+  // fall back to the product's launchDate)
+  expectedShipDate: Date,
+
+  // Units that can still be sold beyond stock - counts down as they are sold
+  // and back up when such an order is cancelled. Empty for no cap.
+  backorderCap: {
+    type: Number,
+    min: [0, 'Backorder cap cannot be negative'],
+  },
+
   // Low stock alert threshold - triggers notifications when stock falls below this level
   lowStockThreshold: {
     type: Number,
@@ -174,17 +243,24 @@ const productSchema = new mongoose.Schema(
       index: true, // Indexed for fast brand filtering
     },
 
-    // Primary category - predefined list for consistent categorization
+    // Primary category - the slug of a Category (models/Category.js),
+    // managed through the admin API and checked by catalogService
     category: {
       type: String,
       required: true,
-      enum: {
-        values: ["running", "casual", "formal", "sports", "boots", "sandals", "sneakers"],
-        message: 'Category must be one of: running, casual, formal, sports, boots, sandals, sneakers'
-      },
+      lowercase: true,
+      trim: true,
+      maxlength: [50, 'Category cannot exceed 50 characters'],
       index: true, // Indexed for fast category filtering
     },
 
+    // Values of the product-scope attributes (models/Attribute.js) by code,
+    // e.g. { material: "leather" }
+    attributes: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+    },
+
     // Optional subcategory for more granular classification
     subcategory: {
       type: String,
@@ -203,8 +279,17 @@ const productSchema = new mongoose.Schema(
       index: true, // Indexed for gender-based filtering
     },
 
-    // Product Variants - array of size/color combinations with individual pricing and inventory
-    variants: [variantSchema],
+    // Product Variants - array of size/color/option combinations with individual pricing and inventory
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: function(variants) {
+          const keys = variants.map(variant => variantKey(variant))
+          return new Set(keys).size === keys.length
+        },
+        message: 'Each variant needs a different size, color or options'
+      }
+    },
 
     // Product Attributes for Filtering and Search
     // Key features that customers search for (e.g., ['waterproof', 'breathable', 'lightweight'])
@@ -247,6 +332,7 @@ const productSchema = new mongoose.Schema(
         url: String,       // Full image URL
         alt: String,       // Alt text for accessibility and SEO
         isPrimary: { type: Boolean, default: false }, // Primary image for product cards
+        sourceUrl: String, // Where an imported image was fetched from, so re-imports skip it
       },
     ],
 
@@ -286,6 +372,12 @@ const productSchema = new mongoose.Schema(
       },
     },
 
+    // Usual supplier - reorder suggestions group variants by it
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
+
     // Business Analytics
     totalSold: {
       type: Number,
@@ -297,6 +389,20 @@ const productSchema = new mongoose.Schema(
     isActive: { type: Boolean, default: true },     // Product visibility in catalog
     isFeatured: { type: Boolean, default: false },  // Featured product promotion
 
+    // Publishing workflow - only published products are on the storefront.
+    // Products saved without a status (including those saved before statuses
+    // existed) are published; products created through the API start as drafts.
+    status: {
+      type: String,
+      enum: Object.values(PRODUCT_STATUS),
+      default: PRODUCT_STATUS.PUBLISHED,
+    },
+
+    // Scheduled publish and unpublish, carried out by the cron service
+    publishAt: Date,
+    unpublishAt: Date,
+    publishedAt: Date, // When the product last went live
+
     // Product Lifecycle Dates
     launchDate: Date,       // When product becomes available
     discontinuedDate: Date, // When product is discontinued (soft delete)
@@ -324,11 +430,8 @@ productSchema.index({
   description: "text",
   brand: "text"
 }, {
-  weights: {
-    name: 10,        // Product name is most important for search
-    brand: 5,        // Brand is moderately important
-    description: 1   // Description has lowest weight
-  },
+  // Name counts most, then brand, then description - the catalog search index uses the same weights
+  weights: SEARCH_INDEX.FIELD_WEIGHTS,
   name: "product_text_search"
 })
 
@@ -341,34 +444,102 @@ productSchema.index({ "variants.price": 1 })
 // Product status index for catalog filtering
 productSchema.index({ isActive: 1, isFeatured: 1 })
 
+// Scheduled publishing lookups
+productSchema.index({ status: 1, publishAt: 1 })
+productSchema.index({ status: 1, unpublishAt: 1 })
+
 // Chronological index for admin product management
 productSchema.index({ createdAt: -1 })
 
 // Gender-based filtering index
 productSchema.index({ gender: 1, category: 1 })
 
+// Stock by location (location filters and staff inventory views)
+productSchema.index({ "variants.locations.location": 1 })
+
 /**
- * Pre-save Middleware: Automatic Slug Generation
+ * Static Method: Slug for a Product Name
  *
- * Generates SEO-friendly URL slugs from product names.
+ * SEO-friendly URL slug:
  * - Converts to lowercase
  * - Replaces spaces and special characters with hyphens
  * - Removes leading/trailing hyphens
- * - Only regenerates if name is modified
+ *
+ * @param {string} name - Product name
+ * @returns {string} - Slug
+ */
+productSchema.statics.generateSlug = function (name) {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
+    .replace(/\s+/g, '-')         // Replace spaces with hyphens
+    .replace(/-+/g, '-')          // Replace multiple hyphens with single
+    .replace(/^-|-$/g, '')        // Remove leading/trailing hyphens
+}
+
+/**
+ * Pre-save Middleware: Automatic Slug Generation
+ *
+ * Regenerates the slug from the name whenever the name is modified, unless
+ * a slug was given along with it (e.g. by a catalogue import).
  */
 productSchema.pre("save", function (next) {
-  if (this.isModified("name")) {
-    this.slug = this.name
-      .toLowerCase()
-      .trim()
-      .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-')         // Replace spaces with hyphens
-      .replace(/-+/g, '-')          // Replace multiple hyphens with single
-      .replace(/^-|-$/g, '')        // Remove leading/trailing hyphens
+  if (this.isModified("name") && !this.isModified("slug")) {
+    this.slug = this.constructor.generateSlug(this.name)
   }
   next()
 })
 
+/**
+ * Static Method: Variant Identity
+ *
+ * A key that is the same for two variants with the same size, color and
+ * options, whatever order the options are in.
+ *
+ * @param {Object} variant - { size, color, options }
+ * @returns {string} - Key
+ */
+productSchema.statics.variantKey = variantKey
+
+/**
+ * Static Method: Storefront Filter
+ *
+ * Query conditions for products shoppers can see: active, published, not yet
+ * discontinued, and launched - or taking pre-orders for their launch.
+ * Combine with other conditions by spreading it into the query.
+ *
+ * @param {Date} [now] - Point in time to check at
+ * @returns {Object} - MongoDB query conditions
+ */
+productSchema.statics.listedFilter = function (now = new Date()) {
+  return {
+    isActive: true,
+    status: { $in: [PRODUCT_STATUS.PUBLISHED, null] },
+    discontinuedDate: { $not: { $lte: now } },
+    $and: [{ $or: [{ launchDate: { $not: { $gt: now } } }, { "variants.preorder": true }] }],
+  }
+}
+
+/**
+ * Instance Method: Is On the Storefront
+ *
+ * The document equivalent of Product.listedFilter().
+ *
+ * @param {Date} [now] - Point in time to check at
+ * @returns {boolean} - True if shoppers can see and buy the product
+ */
+productSchema.methods.isListed = function (now = new Date()) {
+  const launched = !this.launchDate || this.launchDate <= now || this.variants.some(v => v.preorder)
+
+  return (
+    this.isActive &&
+    this.status === PRODUCT_STATUS.PUBLISHED &&
+    !(this.discontinuedDate && this.discontinuedDate <= now) &&
+    launched
+  )
+}
+
 /**
  * Virtual Property: Price Range
  *
@@ -406,6 +577,24 @@ productSchema.virtual("totalStock").get(function () {
     .reduce((total, variant) => total + variant.stock, 0)
 })
 
+/**
+ * Instance Method: Stock at One Location
+ *
+ * Total stock of the active variants held at a single warehouse or store.
+ * Variants that aren't stocked by location count as zero.
+ *
+ * @param {string} locationId - Location ID
+ * @returns {number} - Stock count at the location
+ */
+productSchema.methods.getLocationStock = function (locationId) {
+  return this.variants
+    .filter(variant => variant.isActive)
+    .reduce((total, variant) => {
+      const entry = variant.locations.find(l => l.location.toString() === locationId.toString())
+      return total + (entry ? entry.stock : 0)
+    }, 0)
+}
+
 /**
  * Instance Method: Check Stock Availability
  *
@@ -443,6 +632,70 @@ productSchema.methods.getVariant = function (size, color) {
   ) || null
 }
 
+/**
+ * Instance Method: Find the Variant for a Selection
+ *
+ * Resolves a shopper's selection or a stored cart/order line to one active
+ * variant. A SKU identifies the variant on its own; otherwise size and color
+ * are matched along with options. Without options the first variant of that
+ * size and color is taken, as for products whose variants have none.
+ *
+ * @param {Object} selection - { sku, size, color, options }
+ * @returns {Object|null} - Variant object or null
+ */
+productSchema.methods.findVariant = function ({ sku, size, color, options } = {}) {
+  if (sku) {
+    const normalized = String(sku).trim().toUpperCase()
+    return this.variants.find(v => v.sku === normalized && v.isActive) || null
+  }
+
+  if (options === undefined) return this.getVariant(size, color)
+
+  const key = variantKey({ size, color, options })
+  return this.variants.find(v => variantKey(v) === key && v.isActive) || null
+}
+
+/**
+ * Instance Method: Backorder / Pre-order Terms for a Variant
+ *
+ * Whether the variant can be sold beyond its stock, and how. A pre-order
+ * variant stops taking pre-orders once the product's launchDate has passed,
+ * falling back to backorders if those are allowed.
+ *
+ * @param {Object} variant - One of this product's variants
+ * @param {Date} [now] - Point in time to check at
+ * @returns {Object|null} - { type: "backorder"|"preorder", expectedShipDate, cap } or null
+ */
+productSchema.methods.getBackorderTerms = function (variant, now = new Date()) {
+  const launched = this.launchDate && this.launchDate <= now
+  const cap = typeof variant.backorderCap === "number" ? variant.backorderCap : null
+
+  if (variant.preorder && !launched) {
+    return { type: "preorder", expectedShipDate: variant.expectedShipDate || this.launchDate || null, cap }
+  }
+
+  if (variant.allowBackorder) {
+    return { type: "backorder", expectedShipDate: variant.expectedShipDate || null, cap }
+  }
+
+  return null
+}
+
+/**
+ * Instance Method: Most Units That Can Be Ordered
+ *
+ * Stock plus whatever can still be backordered or pre-ordered.
+ *
+ * @param {Object} variant - One of this product's variants
+ * @returns {number} - Orderable units (Infinity when the variant has no cap)
+ */
+productSchema.methods.getOrderableQuantity = function (variant) {
+  const terms = this.getBackorderTerms(variant)
+
+  if (!terms) return variant.stock
+  return terms.cap === null ? Infinity : variant.stock + terms.cap
+}
+
 /**
  * Instance Method: Get Available Sizes for Color
  *
@@ -495,6 +748,49 @@ productSchema.methods.getAvailableColors = function () {
     .sort((a, b) => a.color.localeCompare(b.color))
 }
 
+/**
+ * Catalog Search Index Hooks
+ *
+ * Keep the search index (services/searchIndexService.js) in step with saves,
+ * updates that change a searchable field, and deletes. The service is loaded
+ * when first needed because it loads this model itself.
+ */
+const searchIndex = () => require("../services/searchIndexService")
+const searchableFields = Object.keys(SEARCH_INDEX.FIELD_WEIGHTS)
+
+// Only new products and changes to searchable text need indexing, not e.g. stock changes
+productSchema.pre("save", function (next) {
+  this.$locals.searchIndexStale = this.isNew || searchableFields.some((field) => this.isModified(field))
+  next()
+})
+
+productSchema.post("save", async function (doc) {
+  if (doc.$locals.searchIndexStale) await searchIndex().indexProducts([doc])
+})
+
+productSchema.post("findOneAndUpdate", async function (doc) {
+  if (!doc) return
+
+  const update = this.getUpdate() || {}
+  const changed = [update, update.$set, update.$unset].some(
+    (fields) => fields && searchableFields.some((field) => field in fields),
+  )
+  if (!changed) return
+
+  // The hook gets the document from before the update unless the query asked for the new one
+  const { new: returnsNew, returnDocument } = this.getOptions()
+  const product = returnsNew || returnDocument === "after" ? doc : await this.model.findById(doc._id)
+  await searchIndex().indexProducts([product])
+})
+
+productSchema.post("findOneAndDelete", async function (doc) {
+  if (doc) await searchIndex().removeProducts([doc._id])
+})
+
+productSchema.post("deleteOne", { document: true, query: false }, async function () {
+  await searchIndex().removeProducts([this._id])
+})
+
 /**
  * Export Product Model
  *
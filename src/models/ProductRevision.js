@@ -0,0 +1,80 @@
+/**
+ * Product Revision Model
+ *
+ * One entry per edit of a product: a snapshot of its content after the edit
+ * and the fields that changed, numbered per product from 1.
+ *
+ * Snapshots hold what editors change - names, descriptions, images, prices,
+ * publishing state - but not stock, which has its own history in the
+ * inventory ledger (models/InventoryMovement.js).
+ *
+ * A product edited before revisions were kept gets a baseline revision of
+ * how it was before that edit, so it can be rolled back to.
+ */
+
+const mongoose = require("mongoose")
+const { PRODUCT_REVISION_SOURCES } = require("../utils/constants")
+
+const productRevisionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    source: {
+      type: String,
+      enum: Object.values(PRODUCT_REVISION_SOURCES),
+      required: true,
+    },
+
+    // The product's content after this edit (see productRevisionService.snapshotProduct)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // Fields that differ from the previous revision, e.g.
+    // { field: "variants.NIKE-AM270-BLK-9.price", from: 129.99, to: 119.99 }
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+
+    // Who made the edit; empty for scheduled changes
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Revision a rollback restored
+    rolledBackFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProductRevision",
+    },
+
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  },
+)
+
+productRevisionSchema.index({ product: 1, version: -1 }, { unique: true })
+
+module.exports = mongoose.models.ProductRevision || mongoose.model("ProductRevision", productRevisionSchema)
@@ -0,0 +1,176 @@
+/**
+ * Purchase Order Model
+ *
+ * An order for stock placed with a supplier.
+ *
+ * Lifecycle:
+ * - draft: being prepared; lines can still be edited
+ * - sent: sent to the supplier, waiting for goods
+ * - partially_received: some units have arrived
+ * - received: every line has arrived in full
+ * - cancelled: no more units are expected (units already received stay in stock)
+ *
+ * Received units are added to variant stock through the inventory service,
+ * at the PO's location if it has one, and recorded in the inventory ledger.
+ * Each delivery is kept in `receipts`.
+ */
+
+const mongoose = require("mongoose")
+const { PURCHASE_ORDER_STATUS } = require("../utils/constants")
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+
+  variant: {
+    size: { type: String, required: true },
+    color: { type: String, required: true },
+    sku: String,
+  },
+
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: [1, "Quantity must be at least 1"],
+  },
+
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+
+  // Cost per unit agreed with the supplier
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, "Unit cost cannot be negative"],
+  },
+})
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: Object.values(PURCHASE_ORDER_STATUS),
+      default: PURCHASE_ORDER_STATUS.DRAFT,
+    },
+
+    items: {
+      type: [purchaseOrderItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "A purchase order needs at least one item",
+      },
+    },
+
+    // Where the goods are delivered; empty for variants not stocked by location
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+
+    expectedAt: Date,
+
+    notes: {
+      type: String,
+      maxlength: 1000,
+    },
+
+    // One entry per delivery
+    receipts: [
+      {
+        receivedAt: { type: Date, default: Date.now },
+        receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        items: [
+          {
+            _id: false,
+            item: mongoose.Schema.Types.ObjectId,
+            sku: String,
+            quantity: Number,
+          },
+        ],
+        note: String,
+      },
+    ],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    sentAt: Date,
+    receivedAt: Date,
+    cancelledAt: Date,
+    cancelReason: String,
+  },
+  {
+    timestamps: true,
+    // Two deliveries booked at once must not both pass the outstanding check
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true },
+  },
+)
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 })
+purchaseOrderSchema.index({ supplier: 1, status: 1 })
+purchaseOrderSchema.index({ "items.product": 1, status: 1 })
+
+/**
+ * Virtual Property: Total Cost
+ *
+ * Sum of quantity ordered times unit cost over every line.
+ */
+purchaseOrderSchema.virtual("totalCost").get(function () {
+  return this.items.reduce((total, item) => total + item.quantityOrdered * item.unitCost, 0)
+})
+
+/**
+ * Instance Method: Units Still Expected for a Line
+ *
+ * @param {Object} item - One of this PO's items
+ * @returns {number} - Units ordered but not yet received
+ */
+purchaseOrderSchema.methods.getOutstanding = function (item) {
+  return Math.max(0, item.quantityOrdered - item.quantityReceived)
+}
+
+/**
+ * Instance Method: Update Status
+ *
+ * Sets the status and the matching timestamp.
+ *
+ * @param {string} newStatus - One of PURCHASE_ORDER_STATUS
+ */
+purchaseOrderSchema.methods.updateStatus = function (newStatus) {
+  this.status = newStatus
+
+  switch (newStatus) {
+    case PURCHASE_ORDER_STATUS.SENT:
+      this.sentAt = new Date()
+      break
+    case PURCHASE_ORDER_STATUS.RECEIVED:
+      this.receivedAt = new Date()
+      break
+    case PURCHASE_ORDER_STATUS.CANCELLED:
+      this.cancelledAt = new Date()
+      break
+  }
+}
+
+module.exports = mongoose.models.PurchaseOrder || mongoose.model("PurchaseOrder", purchaseOrderSchema)
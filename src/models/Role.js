@@ -0,0 +1,60 @@
+/**
+ * Role Model
+ *
+ * A named set of permissions (see PERMISSIONS in utils/constants.js).
+ * Users reference a role by name through `User.role`. The built-in
+ * customer, staff and admin roles are created on first use and cannot be
+ * deleted; admins can add roles such as "warehouse" or "support" at runtime.
+ */
+
+const mongoose = require("mongoose")
+const { PERMISSIONS, ALL_PERMISSIONS } = require("../utils/constants")
+
+const VALID_PERMISSIONS = [...Object.values(PERMISSIONS), ALL_PERMISSIONS]
+
+const roleSchema = new mongoose.Schema(
+  {
+    // Identifier stored on users (e.g. "warehouse")
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,31}$/, "Role name may only contain lowercase letters, numbers, - and _"],
+    },
+
+    displayName: {
+      type: String,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    permissions: {
+      type: [String],
+      enum: VALID_PERMISSIONS,
+      default: [],
+    },
+
+    // Built-in roles (customer, staff, admin) cannot be deleted or renamed
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+module.exports = mongoose.models.Role || mongoose.model("Role", roleSchema)
@@ -0,0 +1,93 @@
+/**
+ * Search Event Model
+ *
+ * One storefront product search, for search analytics: what was searched,
+ * how many products it found, how long it took and who searched - a
+ * signed-in user or a guest cart. Shoppers' clicks and add-to-carts on the
+ * results are added as interactions, and orders of those products within
+ * the attribution window as conversions.
+ *
+ * Events are deleted after SEARCH_ANALYTICS.RETENTION_DAYS.
+ */
+
+const mongoose = require("mongoose")
+const { SEARCH_ANALYTICS } = require("../utils/constants")
+
+const searchEventSchema = new mongoose.Schema(
+  {
+    // Normalized like popular-query suggestions: lowercase, single spaces
+    query: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+
+    resultCount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    latencyMs: {
+      type: Number,
+      min: 0,
+    },
+
+    // Who searched: a signed-in user, or a guest by cart identity (neither for anonymous guests)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    guestId: String,
+
+    interactions: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: Object.values(SEARCH_ANALYTICS.INTERACTION_TYPES),
+          required: true,
+        },
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        // 1-based place in the results
+        position: Number,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Orders of products picked from the results
+    conversions: [
+      {
+        _id: false,
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+          required: true,
+        },
+        products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+        // Total price of those products' order lines
+        revenue: Number,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+searchEventSchema.index({ user: 1, createdAt: -1 }, { sparse: true })
+searchEventSchema.index({ guestId: 1, createdAt: -1 }, { sparse: true })
+searchEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_ANALYTICS.RETENTION_DAYS * 24 * 60 * 60 })
+
+module.exports = mongoose.models.SearchEvent || mongoose.model("SearchEvent", searchEventSchema)
@@ -0,0 +1,41 @@
+/**
+ * Search Query Model
+ *
+ * A storefront search and how often shoppers have run it, logged by the
+ * product list and search endpoints. Search suggestions offer the most
+ * popular logged queries that start with what the shopper has typed.
+ */
+
+const mongoose = require("mongoose")
+
+const searchQuerySchema = new mongoose.Schema(
+  {
+    // Normalized: lowercase, single spaces
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+      maxlength: 100,
+    },
+
+    count: {
+      type: Number,
+      default: 0,
+    },
+
+    // Matching products the last time it ran; queries that found nothing aren't suggested
+    resultCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lastSearchedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+searchQuerySchema.index({ count: -1 })
+
+module.exports = mongoose.models.SearchQuery || mongoose.model("SearchQuery", searchQuerySchema)
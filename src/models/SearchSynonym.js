@@ -0,0 +1,50 @@
+/**
+ * Search Synonym Model
+ *
+ * A group of search terms that mean the same thing to shoppers, e.g.
+ * "trainers", "sneakers" and "kicks", managed through the admin API. Search
+ * suggestions (services/searchSuggestionService.js) treat a query using any
+ * term of a group as a query for each of the others.
+ *
+ * A term can only belong to one group.
+ */
+
+const mongoose = require("mongoose")
+
+// Terms compare lowercase with single spaces, so "Running  Shoes" is "running shoes"
+const normalizeTerm = (term) =>
+  String(term ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+
+const searchSynonymSchema = new mongoose.Schema(
+  {
+    terms: {
+      type: [{ type: String, maxlength: 50, set: normalizeTerm }],
+      index: true,
+      validate: [
+        {
+          validator: (terms) => terms.length >= 2 && terms.length <= 20,
+          message: "A synonym group needs between 2 and 20 terms",
+        },
+        {
+          validator: (terms) => terms.every(Boolean) && new Set(terms).size === terms.length,
+          message: "Synonym terms must be non-empty and different",
+        },
+      ],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+searchSynonymSchema.statics.normalizeTerm = normalizeTerm
+
+module.exports = mongoose.models.SearchSynonym || mongoose.model("SearchSynonym", searchSynonymSchema)
@@ -0,0 +1,129 @@
+/**
+ * Session Model
+ *
+ * Server-side record of a signed-in device. Each session is one refresh token
+ * family: the refresh token is rotated on every use, and the hashes of rotated
+ * tokens are kept so that replaying an old token can be detected.
+ *
+ * Key Features:
+ * - Hashed refresh tokens (raw tokens are never stored)
+ * - Refresh token reuse detection per family
+ * - Device, browser, IP and location metadata for the sessions list
+ * - Revocation with reason tracking
+ * - Automatic cleanup of expired sessions via TTL index
+ */
+
+const mongoose = require("mongoose")
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // Owner of the session
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // SHA-256 hash of the refresh token currently valid for this family
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // Hashes of refresh tokens that have already been rotated out.
+    // Presenting one of these again means the token was stolen and replayed.
+    rotatedTokenHashes: {
+      type: [String],
+      select: false,
+      default: [],
+    },
+
+    // Device metadata captured at sign-in (see utils/loginHelper.js)
+    ipAddress: String,
+    location: String,
+    device: String,
+    browser: String,
+    userAgent: String,
+
+    // How the session was created (password, google, ...)
+    method: {
+      type: String,
+      default: "password",
+    },
+
+    // Activity tracking
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Hard expiry of the refresh token family
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Revocation
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user_revoked", "token_reuse", "password_reset", "admin", "account_deleted"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 })
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+/**
+ * Virtual Property: Is Active
+ *
+ * A session is active until it is revoked or its refresh token family expires.
+ */
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+})
+
+/**
+ * Instance Method: Revoke
+ *
+ * Marks the session (and therefore every token in its family) as revoked.
+ *
+ * @param {string} reason - Revocation reason
+ */
+sessionSchema.methods.revoke = function (reason = "user_revoked") {
+  this.revokedAt = new Date()
+  this.revokedReason = reason
+  return this.save()
+}
+
+/**
+ * Instance Method: Public View
+ *
+ * Returns the fields that are safe to show in the sessions list.
+ *
+ * @param {string} currentSessionId - Session ID of the caller, if known
+ * @returns {Object} - Session summary
+ */
+sessionSchema.methods.toPublicJSON = function (currentSessionId = null) {
+  return {
+    id: this._id,
+    ipAddress: this.ipAddress,
+    location: this.location,
+    device: this.device,
+    browser: this.browser,
+    method: this.method,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false,
+  }
+}
+
+module.exports = mongoose.models.Session || mongoose.model("Session", sessionSchema)
@@ -0,0 +1,104 @@
+/**
+ * Setting Model
+ *
+ * Singleton document holding store-wide settings that admins can change at
+ * runtime without a redeploy. Use Setting.getSettings() to read it; the
+ * document is created with defaults on first access.
+ */
+
+const mongoose = require("mongoose")
+
+const settingSchema = new mongoose.Schema(
+  {
+    // Fixed key so there is only ever one settings document
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+    },
+
+    // Security settings
+    security: {
+      // Roles that must have two-factor authentication enabled
+      twoFactorRequiredRoles: {
+        type: [String],
+        default: [],
+      },
+    },
+
+    // Social / single sign-on providers (see config/oauthProviders.js)
+    authProviders: {
+      // Built-in or env-configured providers switched off by an admin
+      disabled: {
+        type: [String],
+        default: [],
+      },
+
+      // Generic OpenID Connect issuers added at runtime
+      oidc: [
+        {
+          _id: false,
+          name: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true,
+          },
+          displayName: String,
+          issuer: {
+            type: String,
+            required: true,
+            trim: true,
+          },
+          clientId: {
+            type: String,
+            required: true,
+          },
+          clientSecret: {
+            type: String,
+            required: true,
+          },
+          scope: {
+            type: [String],
+            default: ["openid", "email", "profile"],
+          },
+          enabled: {
+            type: Boolean,
+            default: true,
+          },
+          // Link existing accounts by the email this issuer reports as verified
+          trustEmail: {
+            type: Boolean,
+            default: false,
+          },
+        },
+      ],
+    },
+
+    // Last admin to change the settings
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+/**
+ * Static Method: Get Settings
+ *
+ * Returns the global settings document, creating it with defaults if needed.
+ *
+ * @returns {Promise<Object>} - Settings document
+ */
+settingSchema.statics.getSettings = async function () {
+  return this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global" } },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  )
+}
+
+module.exports = mongoose.models.Setting || mongoose.model("Setting", settingSchema)
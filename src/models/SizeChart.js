@@ -0,0 +1,79 @@
+/**
+ * Size Chart Model
+ *
+ * A brand's size conversions between US men's, US women's, UK, EU and foot
+ * length in centimetres, managed through the admin API. Each row is one size
+ * in every system, keyed by the US men's size variants are stored in.
+ *
+ * Brands without a chart use the generic one (DEFAULT_SIZE_CHART).
+ */
+
+const mongoose = require("mongoose")
+const { SIZE_SYSTEMS } = require("../utils/constants")
+
+// Sizes compare as text, so "42,0", "42.0" and "42" are the same size
+const normalizeSize = (size) => {
+  if (size === undefined || size === null || size === "") return undefined
+  return String(size).trim().replace(",", ".").replace(/\.0+$/, "")
+}
+
+const sizeField = {
+  type: String,
+  trim: true,
+  maxlength: 10,
+  set: normalizeSize,
+}
+
+const sizeRowSchema = new mongoose.Schema(
+  Object.fromEntries(Object.values(SIZE_SYSTEMS).map((system) => [system, { ...sizeField }])),
+  { _id: false },
+)
+
+sizeRowSchema.path(SIZE_SYSTEMS.US_MEN).required(true, "Each size needs a US men's size")
+
+const sizeChartSchema = new mongoose.Schema(
+  {
+    // Matched against product brands case-insensitively
+    brand: {
+      type: String,
+      required: [true, "Brand is required"],
+      unique: true,
+      immutable: true,
+      lowercase: true,
+      trim: true,
+      maxlength: 50,
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+
+    sizes: {
+      type: [sizeRowSchema],
+      validate: [
+        {
+          validator: (sizes) => sizes.length > 0,
+          message: "A size chart needs at least one size",
+        },
+        {
+          validator: (sizes) => new Set(sizes.map((row) => row[SIZE_SYSTEMS.US_MEN])).size === sizes.length,
+          message: "Each US men's size can only be listed once",
+        },
+      ],
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+sizeChartSchema.statics.normalizeSize = normalizeSize
+
+module.exports = mongoose.models.SizeChart || mongoose.model("SizeChart", sizeChartSchema)
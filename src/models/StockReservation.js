@@ -0,0 +1,91 @@
+/**
+ * Stock Reservation Model
+ *
+ * A time-bounded hold on units of one product variant. Held units are taken
+ * out of variant.stock when the hold is created, so variant.stock is always
+ * the quantity still available to sell; on-hand stock is variant.stock plus
+ * the active holds.
+ *
+ * Lifecycle:
+ * - active: units are held until expiresAt
+ * - committed: the order was paid and the units are sold
+ * - released: given back early (order cancelled, cart changed)
+ * - expired: given back by the cleanup job after expiresAt passed
+ *
+ * A hold belongs to a checkout (user or guestId, no order yet) or to an order.
+ */
+
+const mongoose = require("mongoose")
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    variant: {
+      size: { type: String, required: true },
+      color: { type: String, required: true },
+      sku: String,
+    },
+
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // Locations the held units were taken from (empty for variants not
+    // stocked by location)
+    allocations: [
+      {
+        _id: false,
+        location: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Location",
+        },
+        quantity: Number,
+      },
+    ],
+
+    // Holder: an order once one exists, otherwise the shopper's checkout
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    guestId: String,
+
+    status: {
+      type: String,
+      enum: ["active", "committed", "released", "expired"],
+      default: "active",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    committedAt: Date,
+    releasedAt: Date,
+    releaseReason: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Expiry sweep and per-variant reporting
+stockReservationSchema.index({ status: 1, expiresAt: 1 })
+stockReservationSchema.index({ status: 1, product: 1 })
+stockReservationSchema.index({ order: 1, status: 1 })
+stockReservationSchema.index({ user: 1, status: 1 })
+stockReservationSchema.index({ guestId: 1, status: 1 })
+
+module.exports = mongoose.models.StockReservation || mongoose.model("StockReservation", stockReservationSchema)
@@ -0,0 +1,74 @@
+/**
+ * Supplier Model
+ *
+ * A vendor stock is bought from. Products name their usual supplier
+ * (product.supplier), which reorder suggestions use to group variants into
+ * purchase orders; the lead time decides how early to reorder.
+ */
+
+const mongoose = require("mongoose")
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+
+    // Short unique code, e.g. "NIKE-US"
+    code: {
+      type: String,
+      required: [true, "Supplier code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9-]{2,20}$/, "Code must be 2-20 letters, digits or hyphens"],
+    },
+
+    contactName: String,
+
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Please enter a valid email"],
+    },
+
+    phone: String,
+
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: { type: String, default: "US" },
+    },
+
+    // Days between sending a purchase order and the goods arriving
+    leadTimeDays: {
+      type: Number,
+      default: 14,
+      min: 0,
+    },
+
+    notes: {
+      type: String,
+      maxlength: 1000,
+    },
+
+    // Inactive suppliers can't be sent new purchase orders
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+supplierSchema.index({ isActive: 1, name: 1 })
+
+module.exports = mongoose.models.Supplier || mongoose.model("Supplier", supplierSchema)
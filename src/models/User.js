@@ -3,12 +3,13 @@
  *
  * Comprehensive user management system supporting:
  * - Email/password authentication
- * - Google OAuth integration
+ * - Google and other OAuth/OIDC sign-in providers
  * - Role-based access control (customer, staff, admin)
  * - Multiple shipping addresses
  * - User preferences and notifications
  * - Push notification subscriptions
  * - Account verification and password reset
+ * - TOTP two-factor authentication with recovery codes
  *
  * Security Features:
  * - Password hashing with bcrypt (12 salt rounds)
@@ -88,16 +89,52 @@ const userSchema = new mongoose.Schema(
       sparse: true,
     },
 
+    // Linked social / single sign-on identities (Google, Apple, GitHub, OIDC...)
+    // See config/oauthProviders.js for the available providers
+    authProviders: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        providerId: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastUsedAt: Date,
+      },
+    ],
+
     // Role-based Access Control
-    // customer: regular users who can place orders
-    // staff: employees who can manage orders and products
-    // admin: full system access
+    // Name of a Role document (built-in: customer, staff, admin). What a role
+    // can do is defined by its permissions - see models/Role.js
     role: {
       type: String,
-      enum: ["customer", "staff", "admin"],
+      lowercase: true,
+      trim: true,
       default: "customer",
     },
 
+    // Per-user permission overrides on top of the role's permissions
+    permissions: {
+      granted: [String], // Extra permissions for this user
+      revoked: [String], // Role permissions taken away from this user
+    },
+
+    // Staff: the stock locations whose inventory they manage (empty = all)
+    locations: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Location",
+      },
+    ],
+
     // User Profile Information
     profile: {
       firstName: {
@@ -146,10 +183,36 @@ const userSchema = new mongoose.Schema(
     emailVerificationToken: String, // Token sent via email for verification
     passwordResetToken: String,     // Token for password reset
     passwordResetExpires: Date,     // Password reset token expiration
+    accountUnlockToken: String,     // Token emailed when the account is locked
+    accountUnlockExpires: Date,     // Unlock token expiration (end of lockout)
+
+    // Passwordless sign-in (magic link / emailed code), single use
+    magicLinkTokenHash: { type: String, select: false }, // SHA-256 of the emailed link token
+    magicLinkCodeHash: { type: String, select: false },  // SHA-256 of the emailed 6-digit code
+    magicLinkAttempts: { type: Number, select: false },  // Wrong codes entered for the current code
+    magicLinkExpires: Date,                               // Link/code expiration
+
+    // Two-Factor Authentication (TOTP)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },        // Base32 TOTP secret (active)
+      pendingSecret: { type: String, select: false }, // Secret awaiting first verification
+      recoveryCodes: { type: [String], select: false }, // SHA-256 hashes of unused recovery codes
+      lastUsedStep: { type: Number, select: false },  // Last accepted time step (prevents code replay)
+      enabledAt: Date,
+    },
 
     // Activity Tracking
     lastLogin: Date, // Track user engagement
     isActive: { type: Boolean, default: true }, // Soft delete capability
+
+    // GDPR account deletion - scheduled after a grace period, then anonymized
+    deletionRequest: {
+      requestedAt: Date,
+      scheduledFor: Date, // When the account will be anonymized
+      reason: { type: String, trim: true, maxlength: 500 },
+    },
+    anonymizedAt: Date, // Set once personal data has been scrubbed
   },
   {
     // Automatically add createdAt and updatedAt timestamps
@@ -162,12 +225,18 @@ const userSchema = new mongoose.Schema(
  *
  * These indexes significantly improve query performance for common operations:
  * - Email lookup for authentication (most frequent operation)
- * - Google ID lookup for OAuth authentication
+ * - Google ID / provider identity lookup for OAuth authentication
  * - Role-based queries for admin operations
  */
 userSchema.index({ email: 1 })     // Unique index for fast email lookups
 userSchema.index({ googleId: 1 })  // Sparse index for Google OAuth users
 userSchema.index({ role: 1 })      // Index for role-based access control queries
+userSchema.index({ "deletionRequest.scheduledFor": 1 }, { sparse: true }) // Pending deletions
+// Each provider identity can only belong to one account
+userSchema.index(
+  { "authProviders.provider": 1, "authProviders.providerId": 1 },
+  { unique: true, partialFilterExpression: { "authProviders.providerId": { $exists: true } } },
+)
 
 /**
  * Pre-save Middleware for Password Hashing
@@ -221,6 +290,7 @@ userSchema.virtual("fullName").get(function () {
  * - Removes password hash
  * - Removes email verification token
  * - Removes password reset tokens
+ * - Removes two-factor secrets and recovery codes
  * - Keeps all other user data for frontend use
  */
 userSchema.methods.toJSON = function () {
@@ -231,6 +301,14 @@ userSchema.methods.toJSON = function () {
   delete user.emailVerificationToken
   delete user.passwordResetToken
   delete user.passwordResetExpires
+  delete user.accountUnlockToken
+  delete user.accountUnlockExpires
+  if (user.twoFactor) {
+    delete user.twoFactor.secret
+    delete user.twoFactor.pendingSecret
+    delete user.twoFactor.recoveryCodes
+    delete user.twoFactor.lastUsedStep
+  }
 
   return user
 }
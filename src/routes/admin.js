@@ -1,17 +1,113 @@
 const express = require("express")
+const multer = require("multer")
 const router = express.Router()
 const User = require("../models/User")
 const Product = require("../models/Product")
 const Order = require("../models/Order")
 const Coupon = require("../models/Coupon")
 const FlashSale = require("../models/FlashSale")
-const { auth, requireRole } = require("../middleware/auth")
-const { body, validationResult } = require("express-validator")
+const Setting = require("../models/Setting")
+const Role = require("../models/Role")
+const ApiKey = require("../models/ApiKey")
+const Location = require("../models/Location")
+const Attribute = require("../models/Attribute")
+const Category = require("../models/Category")
+const SizeChart = require("../models/SizeChart")
+const SearchSynonym = require("../models/SearchSynonym")
+const Supplier = require("../models/Supplier")
+const PurchaseOrder = require("../models/PurchaseOrder")
+const BulkOperation = require("../models/BulkOperation")
+const { auth, requirePermission, requireTwoFactorEnrollment } = require("../middleware/auth")
+const { body, param, query, validationResult } = require("express-validator")
 const socketService = require("../services/socketService")
+const { disableTwoFactor } = require("../services/twoFactorService")
+const { revokeAllSessions } = require("../services/sessionService")
+const { listLockouts, clearAccountLockout, clearIpLockout } = require("../services/loginProtectionService")
+const {
+  getAllPermissions,
+  isValidPermission,
+  ensureDefaultRoles,
+  invalidateRoleCache,
+  getRolePermissions,
+  getEffectivePermissions,
+  roleExists,
+} = require("../services/permissionService")
+const { createApiKey, revokeApiKey, getRateLimit } = require("../services/apiKeyService")
+const { getReservationReport } = require("../services/reservationService")
+const { recordMovement, getMovements, getSkuHistory, reconcileLedger } = require("../services/inventoryLedgerService")
+const { setLocationStock, getHeldQuantity } = require("../services/inventoryService")
+const { allocateBackorders, prepareShipment } = require("../services/backorderService")
+const {
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  getReorderSuggestions,
+  createDraftsFromSuggestions,
+} = require("../services/purchaseOrderService")
+const { importProducts, writeProductExport } = require("../services/productImportService")
+const { previewBulkOperation, applyBulkOperation, undoBulkOperation } = require("../services/bulkOperationService")
+const { recordRevision } = require("../services/productRevisionService")
+const { ensureDefaultCatalog, attributeInUse, categoryInUse } = require("../services/catalogService")
+const { invalidateSuggestionCache } = require("../services/searchSuggestionService")
+const { reindexProducts } = require("../services/searchIndexService")
+const {
+  ALL_PERMISSIONS,
+  INVENTORY_MOVEMENT_REASONS,
+  PRODUCT_REVISION_SOURCES,
+  STOCK_EDIT_REASONS,
+  LOCATION_TYPES,
+  PURCHASE_ORDER_STATUS,
+  BULK_OPERATION_STATUS,
+  BULK_ADJUSTMENTS,
+  ATTRIBUTE_TYPES,
+  ATTRIBUTE_SCOPES,
+  SIZE_SYSTEMS,
+  DEFAULT_SIZE_CHART,
+} = require("../utils/constants")
+const { PROVIDER_NAME_PATTERN, builtInProviders } = require("../config/oauthProviders")
 
-// Apply auth and admin role to all routes
+// Provider settings without client secrets
+const serializeAuthProviders = (authProviders) => ({
+  disabled: authProviders?.disabled || [],
+  oidc: (authProviders?.oidc || []).map(({ name, displayName, issuer, clientId, scope, enabled, trustEmail }) => ({
+    name,
+    displayName,
+    issuer,
+    clientId,
+    scope,
+    enabled,
+    trustEmail,
+  })),
+})
+
+// Reject role names that don't match a Role document
+const validateRoleName = async (role) => {
+  if (!(await roleExists(role))) {
+    throw new Error("Invalid role")
+  }
+  return true
+}
+
+// Reject unknown permission names
+const validatePermissionName = (permission) => {
+  if (permission !== ALL_PERMISSIONS && !isValidPermission(permission)) {
+    throw new Error(`Unknown permission: ${permission}`)
+  }
+  return true
+}
+
+// Permissions the acting user doesn't hold themselves; the wildcard needs every permission
+const getPermissionsNotHeld = (req, permissions) => {
+  const expanded = permissions.includes(ALL_PERMISSIONS) ? getAllPermissions() : permissions
+  return [...new Set(expanded)].filter((permission) => !req.permissions.includes(permission))
+}
+
+// Apply auth, admin dashboard permission and 2FA enrollment check to all routes
 router.use(auth)
-router.use(requireRole(["admin"]))
+router.use(requirePermission("admin:access"))
+router.use(requireTwoFactorEnrollment)
 
 // Dashboard Analytics
 router.get("/dashboard", async (req, res) => {
@@ -125,7 +221,7 @@ router.get("/dashboard", async (req, res) => {
 })
 
 // User Management
-router.get("/users", async (req, res) => {
+router.get("/users", requirePermission("users:read"), async (req, res) => {
   try {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Number.parseInt(req.query.limit) || 20
@@ -174,7 +270,8 @@ router.get("/users", async (req, res) => {
 
 router.patch(
   "/users/:id/role",
-  [body("role").isIn(["customer", "staff", "admin"]).withMessage("Invalid role")],
+  requirePermission("users:manage"),
+  [body("role").isString().trim().toLowerCase().custom(validateRoleName)],
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -186,8 +283,14 @@ router.patch(
         })
       }
 
-      const { role } = req.body
-      const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true }).select("-password")
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own role",
+        })
+      }
+
+      const user = await User.findById(req.params.id).select("-password")
 
       if (!user) {
         return res.status(404).json({
@@ -196,9 +299,33 @@ router.patch(
         })
       }
 
+      // Only users who hold every permission the user has can change their role
+      const outranked = getPermissionsNotHeld(req, await getEffectivePermissions(user))
+      if (outranked.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot change the role of a user with permissions you don't have",
+          requiredPermissions: outranked,
+        })
+      }
+
+      // A role can only be handed out by someone who holds all of its permissions
+      const { role } = req.body
+      const missingPermissions = getPermissionsNotHeld(req, await getRolePermissions(role))
+
+      if (missingPermissions.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot assign a role with permissions you don't have",
+          requiredPermissions: missingPermissions,
+        })
+      }
+
+      const updated = await User.findByIdAndUpdate(user._id, { role }, { new: true }).select("-password")
+
       res.json({
         success: true,
-        data: user,
+        data: updated,
         message: "User role updated successfully",
       })
     } catch (error) {
@@ -213,6 +340,7 @@ router.patch(
 
 router.patch(
   "/users/:id/status",
+  requirePermission("users:manage"),
   [body("isActive").isBoolean().withMessage("Status must be boolean")],
   async (req, res) => {
     try {
@@ -250,269 +378,1281 @@ router.patch(
   },
 )
 
-// Order Management
-router.get("/orders", async (req, res) => {
+// Reset a user's two-factor authentication (e.g. lost authenticator device)
+router.delete("/users/:id/two-factor", requirePermission("users:manage"), async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 20
-    const status = req.query.status || ""
-    const search = req.query.search || ""
+    const reset = await disableTwoFactor(req.params.id)
 
-    const query = {}
-    if (status) {
-      query.status = status
+    if (!reset) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
     }
-    if (search) {
-      // Search by order ID or user email
-      const users = await User.find({
-        email: { $regex: search, $options: "i" },
-      }).select("_id")
 
-      query.$or = [{ _id: { $regex: search, $options: "i" } }, { user: { $in: users.map((u) => u._id) } }]
-    }
+    // Force the user to sign in again on every device
+    await revokeAllSessions(req.params.id, { reason: "admin" })
 
-    const orders = await Order.find(query)
-      .populate("user", "firstName lastName email")
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
+    res.json({
+      success: true,
+      message: "Two-factor authentication reset successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error resetting two-factor authentication",
+      error: error.message,
+    })
+  }
+})
 
-    const total = await Order.countDocuments(query)
+// Login Lockouts
+router.get("/lockouts", requirePermission("users:read"), async (req, res) => {
+  try {
+    const lockouts = await listLockouts()
+
+    // Attach account details to account lockouts
+    const userIds = lockouts.filter((lockout) => lockout.type === "account").map((lockout) => lockout.subject)
+    const users = await User.find({ _id: { $in: userIds } }).select("email profile.firstName profile.lastName role")
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]))
 
     res.json({
       success: true,
       data: {
-        orders,
-        pagination: {
-          current: page,
-          pages: Math.ceil(total / limit),
-          total,
-        },
+        lockouts: lockouts.map((lockout) => ({
+          ...lockout,
+          user: lockout.type === "account" ? usersById.get(lockout.subject) || null : undefined,
+        })),
       },
     })
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching orders",
+      message: "Error fetching lockouts",
       error: error.message,
     })
   }
 })
 
-router.patch(
-  "/orders/:id/status",
-  [
-    body("status")
-      .isIn(["pending", "confirmed", "processing", "shipped", "delivered", "cancelled"])
-      .withMessage("Invalid status"),
-    body("trackingNumber").optional().isString(),
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req)
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation error",
-          errors: errors.array(),
-        })
-      }
-
-      const { status, trackingNumber } = req.body
-      const updateData = { status }
-
-      if (trackingNumber) {
-        updateData["shipping.trackingNumber"] = trackingNumber
-      }
-
-      const order = await Order.findByIdAndUpdate(req.params.id, updateData, { new: true }).populate(
-        "user",
-        "firstName lastName email",
-      )
-
-      if (!order) {
-        return res.status(404).json({
-          success: false,
-          message: "Order not found",
-        })
-      }
-
-      // Send real-time update
-      socketService.emitToUser(order.user._id, "orderStatusUpdate", {
-        orderId: order._id,
-        status: order.status,
-        trackingNumber: order.shipping?.trackingNumber,
-      })
+router.delete("/users/:id/lockout", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, {
+      $unset: { accountUnlockToken: "", accountUnlockExpires: "" },
+    })
 
-      res.json({
-        success: true,
-        data: order,
-        message: "Order status updated successfully",
-      })
-    } catch (error) {
-      res.status(500).json({
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: "Error updating order status",
-        error: error.message,
+        message: "User not found",
       })
     }
-  },
-)
 
-// Analytics Routes
-router.get("/analytics/sales", async (req, res) => {
-  try {
-    const { period = "30d", startDate, endDate } = req.query
+    const cleared = await clearAccountLockout(user._id)
 
-    let dateFilter = {}
-    const now = new Date()
+    res.json({
+      success: true,
+      message: cleared ? "Account lockout cleared successfully" : "Account was not locked",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error clearing account lockout",
+      error: error.message,
+    })
+  }
+})
 
-    if (startDate && endDate) {
-      dateFilter = {
-        createdAt: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate),
-        },
-      }
-    } else {
-      switch (period) {
-        case "7d":
-          dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 7)) }
-          break
-        case "30d":
-          dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 30)) }
-          break
-        case "90d":
-          dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 90)) }
-          break
-        case "1y":
-          dateFilter.createdAt = { $gte: new Date(now.setFullYear(now.getFullYear() - 1)) }
-          break
-      }
-    }
+router.delete("/lockouts/ip/:ip", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const cleared = await clearIpLockout(req.params.ip)
 
-    const salesData = await Order.aggregate([
-      { $match: { ...dateFilter, status: { $ne: "cancelled" } } },
-      {
-        $group: {
-          _id: {
-            year: { $year: "$createdAt" },
-            month: { $month: "$createdAt" },
-            day: { $dayOfMonth: "$createdAt" },
-          },
-          revenue: { $sum: "$total" },
-          orders: { $sum: 1 },
-          items: { $sum: { $size: "$items" } },
-        },
-      },
-      { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 } },
-    ])
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: "No lockout found for this IP address",
+      })
+    }
 
     res.json({
       success: true,
-      data: salesData,
+      message: "IP lockout cleared successfully",
     })
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching sales analytics",
+      message: "Error clearing IP lockout",
       error: error.message,
     })
   }
 })
 
-router.get("/analytics/products", async (req, res) => {
+// Account deletion requests (GDPR) waiting for their grace period to end
+router.get("/deletion-requests", requirePermission("users:read"), async (req, res) => {
   try {
-    const { period = "30d" } = req.query
-
-    const dateFilter = {}
-    const now = new Date()
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
 
-    switch (period) {
-      case "7d":
-        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 7)) }
-        break
-      case "30d":
-        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 30)) }
-        break
-      case "90d":
-        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 90)) }
-        break
+    const query = {
+      "deletionRequest.scheduledFor": { $exists: true },
+      anonymizedAt: { $exists: false },
     }
 
-    const productAnalytics = await Order.aggregate([
-      { $match: { ...dateFilter, status: { $ne: "cancelled" } } },
-      { $unwind: "$items" },
-      {
-        $group: {
-          _id: "$items.productId",
-          totalSold: { $sum: "$items.quantity" },
-          revenue: { $sum: { $multiply: ["$items.quantity", "$items.price"] } },
-          orders: { $sum: 1 },
-        },
-      },
-      { $sort: { totalSold: -1 } },
-      { $limit: 50 },
-      {
-        $lookup: {
-          from: "products",
-          localField: "_id",
-          foreignField: "_id",
-          as: "product",
-        },
-      },
-      { $unwind: "$product" },
-    ])
+    const users = await User.find(query)
+      .select("email profile.firstName profile.lastName role deletionRequest lastLogin createdAt")
+      .sort({ "deletionRequest.scheduledFor": 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await User.countDocuments(query)
 
     res.json({
       success: true,
-      data: productAnalytics,
+      data: {
+        requests: users.map((user) => ({
+          user: {
+            _id: user._id,
+            email: user.email,
+            profile: user.profile,
+            role: user.role,
+            lastLogin: user.lastLogin,
+            createdAt: user.createdAt,
+          },
+          requestedAt: user.deletionRequest.requestedAt,
+          scheduledFor: user.deletionRequest.scheduledFor,
+          reason: user.deletionRequest.reason,
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
     })
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching product analytics",
+      message: "Error fetching deletion requests",
       error: error.message,
     })
   }
 })
 
-// Inventory Management
-router.get("/inventory/low-stock", async (req, res) => {
+// Roles & Permissions
+router.get("/permissions", requirePermission("roles:manage"), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: getAllPermissions(),
+      wildcard: ALL_PERMISSIONS,
+    },
+  })
+})
+
+router.get("/roles", requirePermission("roles:manage"), async (req, res) => {
   try {
-    const threshold = Number.parseInt(req.query.threshold) || 10
+    await ensureDefaultRoles()
 
-    const lowStockProducts = await Product.aggregate([
-      { $unwind: "$variants" },
-      { $match: { "variants.stock": { $lte: threshold } } },
-      {
-        $project: {
-          name: 1,
-          brand: 1,
-          category: 1,
-          variant: "$variants",
-          images: 1,
-        },
-      },
-      { $sort: { "variant.stock": 1 } },
+    const [roles, userCounts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }),
+      User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
     ])
 
+    const countsByRole = new Map(userCounts.map((entry) => [entry._id, entry.count]))
+
     res.json({
       success: true,
-      data: lowStockProducts,
+      data: roles.map((role) => ({
+        ...role.toObject(),
+        userCount: countsByRole.get(role.name) || 0,
+      })),
     })
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching low stock products",
+      message: "Error fetching roles",
       error: error.message,
     })
   }
 })
 
-router.patch(
-  "/inventory/:productId/variant/:variantId/stock",
-  [body("stock").isInt({ min: 0 }).withMessage("Stock must be a non-negative integer")],
+router.post(
+  "/roles",
+  requirePermission("roles:manage"),
+  [
+    body("name")
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z][a-z0-9_-]{1,31}$/)
+      .withMessage("Role name may only contain lowercase letters, numbers, - and _"),
+    body("displayName").optional().isString().trim(),
+    body("description").optional().isString().trim().isLength({ max: 500 }),
+    body("permissions").isArray().withMessage("Permissions must be an array"),
+    body("permissions.*").custom(validatePermissionName),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const { name, displayName, description, permissions } = req.body
+
+      const missingPermissions = getPermissionsNotHeld(req, permissions)
+      if (missingPermissions.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot create a role with permissions you don't have",
+          requiredPermissions: missingPermissions,
+        })
+      }
+
+      if (await roleExists(name)) {
+        return res.status(400).json({
+          success: false,
+          message: "A role with this name already exists",
+        })
+      }
+
+      const role = await Role.create({
+        name,
+        displayName: displayName || name,
+        description,
+        permissions: [...new Set(permissions)],
+        createdBy: req.user._id,
+      })
+
+      invalidateRoleCache(role.name)
+
+      res.status(201).json({
+        success: true,
+        data: role,
+        message: "Role created successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error creating role",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.put(
+  "/roles/:name",
+  requirePermission("roles:manage"),
+  [
+    body("displayName").optional().isString().trim(),
+    body("description").optional().isString().trim().isLength({ max: 500 }),
+    body("permissions").optional().isArray().withMessage("Permissions must be an array"),
+    body("permissions.*").custom(validatePermissionName),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      await ensureDefaultRoles()
+      const role = await Role.findOne({ name: req.params.name })
+
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        })
+      }
+
+      if (role.name === req.user.role) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own role",
+        })
+      }
+
+      const { displayName, description, permissions } = req.body
+
+      if (permissions) {
+        // Keep the built-in admin role all-powerful so admins can't lock everyone out
+        if (role.name === "admin") {
+          return res.status(400).json({
+            success: false,
+            message: "The admin role's permissions cannot be changed",
+          })
+        }
+
+        // Permissions can only be added by someone who holds them
+        const added = permissions.filter((permission) => !role.permissions.includes(permission))
+        const missingPermissions = getPermissionsNotHeld(req, added)
+
+        if (missingPermissions.length > 0) {
+          return res.status(403).json({
+            success: false,
+            message: "You cannot add permissions you don't have to a role",
+            requiredPermissions: missingPermissions,
+          })
+        }
+
+        role.permissions = [...new Set(permissions)]
+      }
+      if (displayName !== undefined) role.displayName = displayName
+      if (description !== undefined) role.description = description
+
+      await role.save()
+      invalidateRoleCache(role.name)
+
+      res.json({
+        success: true,
+        data: role,
+        message: "Role updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating role",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.delete("/roles/:name", requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name })
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      })
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: "Built-in roles cannot be deleted",
+      })
+    }
+
+    const usersWithRole = await User.countDocuments({ role: role.name })
+
+    if (usersWithRole > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${usersWithRole} user(s). Reassign them before deleting it.`,
+      })
+    }
+
+    await role.deleteOne()
+    invalidateRoleCache(role.name)
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting role",
+      error: error.message,
+    })
+  }
+})
+
+router.get("/users/:id/permissions", requirePermission("users:read"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select("email role permissions")
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        role: user.role,
+        granted: user.permissions?.granted || [],
+        revoked: user.permissions?.revoked || [],
+        effective: await getEffectivePermissions(user),
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching user permissions",
+      error: error.message,
+    })
+  }
+})
+
+router.put(
+  "/users/:id/permissions",
+  requirePermission("users:manage", "roles:manage"),
+  [
+    body("granted").optional().isArray().withMessage("granted must be an array"),
+    body("granted.*").custom(validatePermissionName),
+    body("revoked").optional().isArray().withMessage("revoked must be an array"),
+    body("revoked.*").custom(validatePermissionName),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      // Overrides must name concrete permissions
+      const { granted = [], revoked = [] } = req.body
+      if (granted.includes(ALL_PERMISSIONS) || revoked.includes(ALL_PERMISSIONS)) {
+        return res.status(400).json({
+          success: false,
+          message: "Wildcard permissions can only be assigned through roles",
+        })
+      }
+
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own permissions",
+        })
+      }
+
+      const user = await User.findById(req.params.id).select("email role permissions")
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        })
+      }
+
+      // As for role changes: only over users without permissions the caller lacks
+      const outranked = getPermissionsNotHeld(req, await getEffectivePermissions(user))
+      if (outranked.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot change the permissions of a user with permissions you don't have",
+          requiredPermissions: outranked,
+        })
+      }
+
+      const missingPermissions = getPermissionsNotHeld(req, granted)
+      if (missingPermissions.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot grant permissions you don't have",
+          requiredPermissions: missingPermissions,
+        })
+      }
+
+      const updated = await User.findByIdAndUpdate(
+        user._id,
+        { permissions: { granted: [...new Set(granted)], revoked: [...new Set(revoked)] } },
+        { new: true },
+      ).select("email role permissions")
+
+      res.json({
+        success: true,
+        data: {
+          role: updated.role,
+          granted: updated.permissions.granted,
+          revoked: updated.permissions.revoked,
+          effective: await getEffectivePermissions(updated),
+        },
+        message: "User permissions updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating user permissions",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// API Keys
+// Keys can't be managed with another API key
+const rejectApiKeyRequests = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "API keys cannot be managed with an API key",
+    })
+  }
+  next()
+}
+
+// Requested scopes the acting admin doesn't hold themselves
+const getScopesNotHeld = (req) => (req.body.scopes || []).filter((scope) => !req.permissions.includes(scope))
+
+const formatApiKey = (apiKey) => ({
+  ...apiKey.toObject(),
+  rateLimit: getRateLimit(apiKey),
+})
+
+const apiKeyValidators = [
+  body("name").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("Name must be 1-100 characters"),
+  body("scopes").optional().isArray().withMessage("Scopes must be an array"),
+  body("scopes.*").custom((scope) => {
+    if (!isValidPermission(scope)) throw new Error(`Unknown scope: ${scope}`)
+    return true
+  }),
+  body("expiresAt").optional({ nullable: true }).isISO8601().withMessage("expiresAt must be a date"),
+  body("rateLimit.max").optional().isInt({ min: 1, max: 100000 }).withMessage("rateLimit.max must be a positive integer"),
+  body("rateLimit.windowSeconds")
+    .optional()
+    .isInt({ min: 1, max: 86400 })
+    .withMessage("rateLimit.windowSeconds must be between 1 and 86400"),
+]
+
+router.get("/api-keys", requirePermission("api_keys:manage"), async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === "true" ? {} : { revokedAt: { $exists: false } }
+    const apiKeys = await ApiKey.find(filter)
+      .populate("createdBy", "email profile.firstName profile.lastName")
+      .sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      data: apiKeys.map(formatApiKey),
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching API keys",
+      error: error.message,
+    })
+  }
+})
+
+router.post(
+  "/api-keys",
+  requirePermission("api_keys:manage"),
+  rejectApiKeyRequests,
+  [
+    body("name").exists().withMessage("Name is required"),
+    body("scopes").isArray({ min: 1 }).withMessage("At least one scope is required"),
+    ...apiKeyValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const scopesNotHeld = getScopesNotHeld(req)
+      if (scopesNotHeld.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `You cannot grant scopes you don't have: ${scopesNotHeld.join(", ")}`,
+        })
+      }
+
+      const { name, scopes, expiresAt, rateLimit } = req.body
+      const { apiKey, key } = await createApiKey({ name, scopes, expiresAt, rateLimit }, req.user)
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...formatApiKey(apiKey),
+          key,
+        },
+        message: "API key created. Copy it now - it will not be shown again.",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error creating API key",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.patch(
+  "/api-keys/:id",
+  requirePermission("api_keys:manage"),
+  rejectApiKeyRequests,
+  apiKeyValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const scopesNotHeld = getScopesNotHeld(req)
+      if (scopesNotHeld.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `You cannot grant scopes you don't have: ${scopesNotHeld.join(", ")}`,
+        })
+      }
+
+      const apiKey = await ApiKey.findOne({ _id: req.params.id, revokedAt: { $exists: false } })
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found",
+        })
+      }
+
+      const { name, scopes, expiresAt, rateLimit } = req.body
+      if (name !== undefined) apiKey.name = name
+      if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)]
+      if (expiresAt !== undefined) apiKey.expiresAt = expiresAt
+      if (rateLimit !== undefined) apiKey.rateLimit = rateLimit
+      await apiKey.save()
+
+      res.json({
+        success: true,
+        data: formatApiKey(apiKey),
+        message: "API key updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating API key",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.delete("/api-keys/:id", requirePermission("api_keys:manage"), rejectApiKeyRequests, async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id, req.user)
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error revoking API key",
+      error: error.message,
+    })
+  }
+})
+
+// Order Management
+router.get("/orders", requirePermission("orders:read"), async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+    const status = req.query.status || ""
+    const search = req.query.search || ""
+
+    const query = {}
+    if (status) {
+      query.status = status
+    }
+    if (search) {
+      // Search by order ID or user email
+      const users = await User.find({
+        email: { $regex: search, $options: "i" },
+      }).select("_id")
+
+      query.$or = [{ _id: { $regex: search, $options: "i" } }, { user: { $in: users.map((u) => u._id) } }]
+    }
+
+    const orders = await Order.find(query)
+      .populate("user", "firstName lastName email")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await Order.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching orders",
+      error: error.message,
+    })
+  }
+})
+
+router.patch(
+  "/orders/:id/status",
+  requirePermission("orders:update"),
+  [
+    body("status")
+      .isIn(["pending", "backordered", "preordered", "confirmed", "processing", "shipped", "delivered", "cancelled"])
+      .withMessage("Invalid status"),
+    body("trackingNumber").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const { status, trackingNumber } = req.body
+      const updateData = { status }
+
+      // Backordered and pre-ordered orders are charged when they ship
+      if (status === "shipped") {
+        const existing = await Order.findById(req.params.id)
+
+        if (existing && existing.status !== "shipped") {
+          const shipment = await prepareShipment(existing)
+          if (!shipment.success) {
+            return res.status(shipment.awaitingStock ? 400 : 402).json({
+              success: false,
+              message: shipment.error,
+            })
+          }
+        }
+      }
+
+      if (trackingNumber) {
+        updateData["shipping.trackingNumber"] = trackingNumber
+      }
+
+      const order = await Order.findByIdAndUpdate(req.params.id, updateData, { new: true }).populate(
+        "user",
+        "firstName lastName email",
+      )
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found",
+        })
+      }
+
+      // Send real-time update (guest orders have no user to notify)
+      if (order.user) {
+        socketService.emitToUser(order.user._id, "orderStatusUpdate", {
+          orderId: order._id,
+          status: order.status,
+          trackingNumber: order.shipping?.trackingNumber,
+        })
+      }
+
+      res.json({
+        success: true,
+        data: order,
+        message: "Order status updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating order status",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Analytics Routes
+router.get("/analytics/sales", requirePermission("analytics:read"), async (req, res) => {
+  try {
+    const { period = "30d", startDate, endDate } = req.query
+
+    let dateFilter = {}
+    const now = new Date()
+
+    if (startDate && endDate) {
+      dateFilter = {
+        createdAt: {
+          $gte: new Date(startDate),
+          $lte: new Date(endDate),
+        },
+      }
+    } else {
+      switch (period) {
+        case "7d":
+          dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 7)) }
+          break
+        case "30d":
+          dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 30)) }
+          break
+        case "90d":
+          dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 90)) }
+          break
+        case "1y":
+          dateFilter.createdAt = { $gte: new Date(now.setFullYear(now.getFullYear() - 1)) }
+          break
+      }
+    }
+
+    const salesData = await Order.aggregate([
+      { $match: { ...dateFilter, status: { $ne: "cancelled" } } },
+      {
+        $group: {
+          _id: {
+            year: { $year: "$createdAt" },
+            month: { $month: "$createdAt" },
+            day: { $dayOfMonth: "$createdAt" },
+          },
+          revenue: { $sum: "$total" },
+          orders: { $sum: 1 },
+          items: { $sum: { $size: "$items" } },
+        },
+      },
+      { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 } },
+    ])
+
+    res.json({
+      success: true,
+      data: salesData,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching sales analytics",
+      error: error.message,
+    })
+  }
+})
+
+router.get("/analytics/products", requirePermission("analytics:read"), async (req, res) => {
+  try {
+    const { period = "30d" } = req.query
+
+    const dateFilter = {}
+    const now = new Date()
+
+    switch (period) {
+      case "7d":
+        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 7)) }
+        break
+      case "30d":
+        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 30)) }
+        break
+      case "90d":
+        dateFilter.createdAt = { $gte: new Date(now.setDate(now.getDate() - 90)) }
+        break
+    }
+
+    const productAnalytics = await Order.aggregate([
+      { $match: { ...dateFilter, status: { $ne: "cancelled" } } },
+      { $unwind: "$items" },
+      {
+        $group: {
+          _id: "$items.productId",
+          totalSold: { $sum: "$items.quantity" },
+          revenue: { $sum: { $multiply: ["$items.quantity", "$items.price"] } },
+          orders: { $sum: 1 },
+        },
+      },
+      { $sort: { totalSold: -1 } },
+      { $limit: 50 },
+      {
+        $lookup: {
+          from: "products",
+          localField: "_id",
+          foreignField: "_id",
+          as: "product",
+        },
+      },
+      { $unwind: "$product" },
+    ])
+
+    res.json({
+      success: true,
+      data: productAnalytics,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching product analytics",
+      error: error.message,
+    })
+  }
+})
+
+// Inventory Management
+
+router.get("/inventory/low-stock", requirePermission("inventory:read"), async (req, res) => {
+  try {
+    const threshold = Number.parseInt(req.query.threshold) || 10
+
+    const lowStockProducts = await Product.aggregate([
+      { $unwind: "$variants" },
+      { $match: { "variants.stock": { $lte: threshold } } },
+      {
+        $project: {
+          name: 1,
+          brand: 1,
+          category: 1,
+          variant: "$variants",
+          images: 1,
+        },
+      },
+      { $sort: { "variant.stock": 1 } },
+    ])
+
+    res.json({
+      success: true,
+      data: lowStockProducts,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching low stock products",
+      error: error.message,
+    })
+  }
+})
+
+// Reserved versus available stock per variant
+router.get(
+  "/inventory/reservations",
+  requirePermission("inventory:read"),
+  [query("productId").optional().isMongoId().withMessage("Invalid product ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const report = await getReservationReport({ productId: req.query.productId })
+
+      res.json({
+        success: true,
+        data: report,
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching stock reservations",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Inventory ledger, newest first
+router.get(
+  "/inventory/movements",
+  requirePermission("inventory:read"),
+  [
+    query("productId").optional().isMongoId().withMessage("Invalid product ID"),
+    query("locationId").optional().isMongoId().withMessage("Invalid location ID"),
+    query("reason")
+      .optional()
+      .isIn(Object.values(INVENTORY_MOVEMENT_REASONS))
+      .withMessage("Unknown movement reason"),
+    query("from").optional().isISO8601().withMessage("From must be a date"),
+    query("to").optional().isISO8601().withMessage("To must be a date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const { sku, productId, locationId, reason, from, to } = req.query
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Math.min(Number.parseInt(req.query.limit) || 50, 100)
+
+      const result = await getMovements({ sku, productId, location: locationId, reason, from, to, page, limit })
+
+      res.json({
+        success: true,
+        data: result,
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching inventory movements",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// One SKU's stock history
+router.get("/inventory/movements/:sku", requirePermission("inventory:read"), async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 100)
+
+    const history = await getSkuHistory(req.params.sku, { page, limit })
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        message: "SKU not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: history,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SKU history",
+      error: error.message,
+    })
+  }
+})
+
+// Check the ledger against current stock now (also runs nightly)
+router.post("/inventory/reconciliation", requirePermission("inventory:write"), async (req, res) => {
+  try {
+    const report = await reconcileLedger()
+
+    res.json({
+      success: true,
+      data: report,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error reconciling inventory ledger",
+      error: error.message,
+    })
+  }
+})
+
+router.patch(
+  "/inventory/:productId/variant/:variantId/stock",
+  requirePermission("inventory:write"),
+  [
+    body("stock").isInt({ min: 0 }).withMessage("Stock must be a non-negative integer").toInt(),
+    body("reason")
+      .optional()
+      .isIn(STOCK_EDIT_REASONS)
+      .withMessage(`Reason must be one of: ${STOCK_EDIT_REASONS.join(", ")}`),
+    body("note").optional().isString().trim().isLength({ max: 500 }),
+    body("orderId").optional().isMongoId().withMessage("Invalid order ID"),
+    body("locationId").optional().isMongoId().withMessage("Invalid location ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const { productId, variantId } = req.params
+      const {
+        stock: count,
+        reason = INVENTORY_MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+        note,
+        orderId,
+        locationId,
+      } = req.body
+
+      const existing = await Product.findOne({ _id: productId, "variants._id": variantId }).select("variants")
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: "Product or variant not found",
+        })
+      }
+
+      // Stock at one location; variant.stock follows as the total
+      if (locationId) {
+        if (!(await Location.exists({ _id: locationId, isActive: true }))) {
+          return res.status(404).json({
+            success: false,
+            message: "Location not found",
+          })
+        }
+
+        const result = await setLocationStock(productId, variantId, locationId, count, {
+          reason,
+          actor: req.user._id,
+          order: orderId,
+          note,
+        })
+
+        if (!result.success) {
+          return res.status(409).json({
+            success: false,
+            message: result.error,
+          })
+        }
+
+        // Orders waiting for this stock get it first
+        if (result.newStock > result.previousStock) {
+          await allocateBackorders({ productIds: [productId] })
+        }
+
+        socketService.emitToAll("inventoryUpdate", {
+          productId,
+          variantId,
+          stock: result.variantStock,
+          locationId,
+          locationStock: result.newStock,
+        })
+
+        return res.json({
+          success: true,
+          data: result.product,
+          message: "Stock updated successfully",
+        })
+      }
+
+      const existingVariant = existing.variants.id(variantId)
+      if (existingVariant.locations.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "This variant is stocked by location; give the locationId to update",
+        })
+      }
+
+      // The count includes units held for checkouts and unpaid orders, which
+      // are already out of stock
+      const reserved = await getHeldQuantity(productId, existingVariant)
+      if (count < reserved) {
+        return res.status(409).json({
+          success: false,
+          message: `${reserved} units are held for checkouts and unpaid orders; the count can't be lower than that`,
+        })
+      }
+      const stock = count - reserved
+
+      // The document as it was before the update gives the previous stock for the ledger
+      const previous = await Product.findOneAndUpdate(
+        { _id: productId, variants: { $elemMatch: { _id: variantId, "locations.0": { $exists: false } } } },
+        { $set: { "variants.$.stock": stock } },
+      )
+
+      if (!previous) {
+        return res.status(409).json({
+          success: false,
+          message: "Stock changed while it was being updated, please try again",
+        })
+      }
+
+      const variant = previous.variants.id(variantId)
+      if (variant.stock !== stock) {
+        await recordMovement({
+          product: previous._id,
+          variant,
+          delta: stock - variant.stock,
+          quantityAfter: stock,
+          reason,
+          actor: req.user._id,
+          order: orderId,
+          note,
+        })
+      }
+
+      // Orders waiting for this stock get it first
+      if (stock > variant.stock) {
+        await allocateBackorders({ productIds: [productId] })
+      }
+
+      const product = await Product.findById(productId)
+
+      // Emit real-time inventory update
+      socketService.emitToAll("inventoryUpdate", {
+        productId,
+        variantId,
+        stock,
+      })
+
+      res.json({
+        success: true,
+        data: product,
+        message: "Stock updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating stock",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Selling a variant beyond its stock
+router.patch(
+  "/inventory/:productId/variant/:variantId/backorder",
+  requirePermission("inventory:write"),
+  [
+    param("productId").isMongoId().withMessage("Invalid product ID"),
+    param("variantId").isMongoId().withMessage("Invalid variant ID"),
+    body("allowBackorder").optional().isBoolean().withMessage("allowBackorder must be boolean").toBoolean(),
+    body("preorder").optional().isBoolean().withMessage("preorder must be boolean").toBoolean(),
+    body("expectedShipDate")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("Expected ship date must be a date")
+      .toDate(),
+    body("backorderCap")
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage("Backorder cap must be a non-negative integer")
+      .toInt(),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -525,37 +1665,1923 @@ router.patch(
       }
 
       const { productId, variantId } = req.params
-      const { stock } = req.body
 
-      const product = await Product.findOneAndUpdate(
-        { _id: productId, "variants._id": variantId },
-        { $set: { "variants.$.stock": stock } },
-        { new: true },
-      )
+      // null clears the ship date or the cap
+      const update = {}
+      for (const field of ["allowBackorder", "preorder", "expectedShipDate", "backorderCap"]) {
+        if (req.body[field] !== undefined) update[`variants.$.${field}`] = req.body[field]
+      }
+
+      if (Object.keys(update).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Nothing to update",
+        })
+      }
+
+      const product = await Product.findOneAndUpdate(
+        { _id: productId, "variants._id": variantId },
+        { $set: update },
+        { new: true, runValidators: true },
+      )
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Product or variant not found",
+        })
+      }
+
+      const variant = product.variants.id(variantId)
+
+      await recordRevision(product, {
+        source: PRODUCT_REVISION_SOURCES.UPDATE,
+        actor: req.user._id,
+        note: `Backorder settings for ${variant.sku}`,
+      })
+
+      res.json({
+        success: true,
+        data: {
+          productId,
+          variantId,
+          sku: variant.sku,
+          allowBackorder: variant.allowBackorder,
+          preorder: variant.preorder,
+          expectedShipDate: variant.expectedShipDate,
+          backorderCap: variant.backorderCap ?? null,
+          launchDate: product.launchDate,
+          terms: product.getBackorderTerms(variant),
+        },
+        message: "Backorder settings updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating backorder settings",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Bulk product import and export
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB, the same as JSON bodies
+  },
+})
+
+// Format of an import: the format field, else the uploaded file's name or type
+const getImportFormat = (req) => {
+  if (req.body.format) return req.body.format
+  if (!req.file) return "json"
+  return /\.csv$/i.test(req.file.originalname) || req.file.mimetype === "text/csv" ? "csv" : "json"
+}
+
+router.post(
+  "/products/import",
+  requirePermission("products:write"),
+  importUpload.single("file"),
+  [
+    query("dryRun").optional().isBoolean().withMessage("dryRun must be true or false").toBoolean(),
+    body("format").optional().isIn(["csv", "json"]).withMessage("Format must be csv or json"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      if (!req.file && !Array.isArray(req.body.products)) {
+        return res.status(400).json({
+          success: false,
+          message: "Upload a CSV or JSON file, or send a products list",
+        })
+      }
+
+      const dryRun = req.query.dryRun === true
+      const result = await importProducts({
+        format: getImportFormat(req),
+        content: req.file ? req.file.buffer.toString("utf8") : req.body,
+        dryRun,
+        actor: req.user._id,
+      })
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        })
+      }
+
+      const { summary } = result.report
+      const done = summary.created + summary.updated
+
+      res.json({
+        success: true,
+        data: result.report,
+        message: dryRun
+          ? `Dry run: ${done} of ${summary.products} products can be imported`
+          : `Imported ${done} of ${summary.products} products`,
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error importing products",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.get(
+  "/products/export",
+  requirePermission("products:write"),
+  [query("format").optional().isIn(["csv", "json"]).withMessage("Format must be csv or json")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const format = req.query.format || "csv"
+
+      res.attachment(`products-${new Date().toISOString().slice(0, 10)}.${format}`)
+      res.type(format === "csv" ? "text/csv" : "application/json")
+      await writeProductExport(res, format)
+    } catch (error) {
+      if (res.headersSent) return res.end()
+      res.status(500).json({
+        success: false,
+        message: "Error exporting products",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Bulk price and stock updates
+const validateBulkOperation = [
+  body("filter").isObject().withMessage("Filter is required"),
+  body(["filter.brands", "filter.categories", "filter.tags", "filter.skus"])
+    .optional()
+    .isArray()
+    .withMessage("Filter values must be lists"),
+  body(["filter.brands.*", "filter.categories.*", "filter.tags.*", "filter.skus.*"])
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Filter values must be non-empty strings"),
+  body("price").optional().isObject().withMessage("Price must be an object"),
+  body("price.action")
+    .if(body("price").exists())
+    .isIn(Object.values(BULK_ADJUSTMENTS))
+    .withMessage(`Price action must be one of: ${Object.values(BULK_ADJUSTMENTS).join(", ")}`),
+  body("price.unit").optional().isIn(["amount", "percent"]).withMessage("Price unit must be amount or percent"),
+  body("price.value")
+    .if(body("price").exists())
+    .isFloat({ min: 0 })
+    .withMessage("Price value must be a non-negative number")
+    .toFloat(),
+  body("stock").optional().isObject().withMessage("Stock must be an object"),
+  body("stock.action")
+    .if(body("stock").exists())
+    .isIn(Object.values(BULK_ADJUSTMENTS))
+    .withMessage(`Stock action must be one of: ${Object.values(BULK_ADJUSTMENTS).join(", ")}`),
+  body("stock.value")
+    .if(body("stock").exists())
+    .isInt({ min: 0 })
+    .withMessage("Stock value must be a non-negative integer")
+    .toInt(),
+]
+
+// The operation fields of a request, without anything else that was sent
+const getBulkOperation = ({ filter, price, stock }) => ({
+  filter,
+  price: price && { action: price.action, unit: price.unit || "amount", value: price.value },
+  stock: stock && { action: stock.action, value: stock.value },
+})
+
+// Stock changes also need inventory:write
+const rejectStockWithoutPermission = (req, res, hasStock) => {
+  if (hasStock && !req.permissions.includes("inventory:write")) {
+    res.status(403).json({
+      success: false,
+      message: "Access denied. Changing stock needs the inventory:write permission.",
+    })
+    return true
+  }
+  return false
+}
+
+router.post(
+  "/bulk-operations/preview",
+  requirePermission("products:write"),
+  validateBulkOperation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await previewBulkOperation(getBulkOperation(req.body))
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        })
+      }
+
+      res.json({
+        success: true,
+        data: result.preview,
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error previewing bulk operation",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.post(
+  "/bulk-operations",
+  requirePermission("products:write"),
+  [
+    ...validateBulkOperation,
+    body("skipConflicts").optional().isBoolean().withMessage("skipConflicts must be true or false").toBoolean(),
+    body("note").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      if (rejectStockWithoutPermission(req, res, Boolean(req.body.stock))) return
+
+      const { note, skipConflicts } = req.body
+      const result = await applyBulkOperation({ ...getBulkOperation(req.body), note, skipConflicts }, req.user._id)
+
+      if (!result.success) {
+        return res.status(result.conflict ? 409 : 400).json({
+          success: false,
+          message: result.error,
+          conflicts: result.conflicts,
+          notRolledBack: result.notRolledBack,
+          data: result.operation,
+        })
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result.operation,
+        message: `Updated ${result.operation.changes.length} variants`,
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error applying bulk operation",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.get(
+  "/bulk-operations",
+  requirePermission("products:write"),
+  [
+    query("status")
+      .optional()
+      .isIn(Object.values(BULK_OPERATION_STATUS))
+      .withMessage("Unknown bulk operation status"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Math.min(Number.parseInt(req.query.limit) || 20, 100)
+
+      const filter = {}
+      if (req.query.status) filter.status = req.query.status
+
+      const operations = await BulkOperation.find(filter)
+        .select("-changes")
+        .populate("createdBy", "email profile.firstName profile.lastName")
+        .populate("undoneBy", "email profile.firstName profile.lastName")
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+
+      const total = await BulkOperation.countDocuments(filter)
+
+      res.json({
+        success: true,
+        data: {
+          operations,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+          },
+        },
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching bulk operations",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.get(
+  "/bulk-operations/:id",
+  requirePermission("products:write"),
+  [param("id").isMongoId().withMessage("Invalid bulk operation ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const operation = await BulkOperation.findById(req.params.id)
+        .populate("createdBy", "email profile.firstName profile.lastName")
+        .populate("undoneBy", "email profile.firstName profile.lastName")
+
+      if (!operation) {
+        return res.status(404).json({
+          success: false,
+          message: "Bulk operation not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: operation,
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching bulk operation",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.post(
+  "/bulk-operations/:id/undo",
+  requirePermission("products:write"),
+  [param("id").isMongoId().withMessage("Invalid bulk operation ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const existing = await BulkOperation.findById(req.params.id).select("stock")
+      if (rejectStockWithoutPermission(req, res, Boolean(existing?.stock?.action))) return
+
+      const result = await undoBulkOperation(req.params.id, req.user._id)
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({
+          success: false,
+          message: result.error,
+          notRolledBack: result.notRolledBack,
+          data: result.operation,
+        })
+      }
+
+      res.json({
+        success: true,
+        data: result.operation,
+        message: "Bulk operation undone",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error undoing bulk operation",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Catalog: attribute definitions and categories
+const validateAttribute = [
+  body("name").optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage("Name must be 1-50 characters"),
+  body("type")
+    .optional()
+    .isIn(Object.values(ATTRIBUTE_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(ATTRIBUTE_TYPES).join(", ")}`),
+  body("scope")
+    .optional()
+    .isIn(Object.values(ATTRIBUTE_SCOPES))
+    .withMessage(`Scope must be one of: ${Object.values(ATTRIBUTE_SCOPES).join(", ")}`),
+  body("values").optional().isArray().withMessage("Values must be an array"),
+  body("values.*.value").isString().trim().notEmpty().withMessage("Each value needs a value"),
+  body("values.*.label").optional().isString().trim(),
+  body("unit").optional().isString().trim().isLength({ max: 20 }),
+  body("isActive").optional().isBoolean().withMessage("isActive must be boolean").toBoolean(),
+  body("sortOrder").optional().isInt().withMessage("Sort order must be an integer").toInt(),
+]
+
+const ATTRIBUTE_FIELDS = ["name", "type", "scope", "values", "unit", "isActive", "sortOrder"]
+
+const validateCategory = [
+  body("name").optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage("Name must be 1-50 characters"),
+  body("description").optional().isString().trim().isLength({ max: 500 }),
+  body("parent").optional({ nullable: true }).isMongoId().withMessage("Invalid parent category ID"),
+  body("attributes").optional().isArray().withMessage("Attributes must be an array"),
+  body("attributes.*.attribute").isString().trim().toLowerCase().notEmpty().withMessage("Attribute code is required"),
+  body("attributes.*.required").optional().isBoolean().withMessage("required must be boolean").toBoolean(),
+  body("isActive").optional().isBoolean().withMessage("isActive must be boolean").toBoolean(),
+  body("sortOrder").optional().isInt().withMessage("Sort order must be an integer").toInt(),
+]
+
+const CATEGORY_FIELDS = ["name", "description", "parent", "attributes", "isActive", "sortOrder"]
+
+// Problems with a category's parent or attribute list, or null
+const checkCategoryReferences = async (category, { parent, attributes }) => {
+  if (parent) {
+    if (category._id.equals(parent)) return "A category cannot be its own parent"
+    if (!(await Category.exists({ _id: parent }))) return "Parent category not found"
+  }
+
+  if (attributes) {
+    const codes = attributes.map((entry) => entry.attribute)
+    const known = await Attribute.find({ code: { $in: codes } }).distinct("code")
+    const unknown = codes.filter((code) => !known.includes(code))
+    if (unknown.length > 0) return `Unknown attributes: ${unknown.join(", ")}`
+  }
+
+  return null
+}
+
+router.get("/attributes", requirePermission("products:write"), async (req, res) => {
+  try {
+    await ensureDefaultCatalog()
+    const attributes = await Attribute.find().sort({ sortOrder: 1, name: 1 })
+
+    res.json({
+      success: true,
+      data: attributes,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching attributes",
+      error: error.message,
+    })
+  }
+})
+
+router.post(
+  "/attributes",
+  requirePermission("catalog:manage"),
+  [
+    body("code")
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z][a-z0-9_]{0,29}$/)
+      .withMessage("Code must start with a letter and contain only lowercase letters, digits and _"),
+    body("name").exists().withMessage("Name is required"),
+    body("type").exists().withMessage("Type is required"),
+    ...validateAttribute,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      await ensureDefaultCatalog()
+
+      if (await Attribute.exists({ code: req.body.code })) {
+        return res.status(400).json({
+          success: false,
+          message: "An attribute with this code already exists",
+        })
+      }
+
+      const attribute = new Attribute({ code: req.body.code })
+      for (const field of ATTRIBUTE_FIELDS) {
+        if (req.body[field] !== undefined) attribute.set(field, req.body[field])
+      }
+      await attribute.save()
+
+      res.status(201).json({
+        success: true,
+        data: attribute,
+        message: "Attribute created successfully",
+      })
+    } catch (error) {
+      res.status(error.name === "ValidationError" ? 400 : 500).json({
+        success: false,
+        message: "Error creating attribute",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.put("/attributes/:code", requirePermission("catalog:manage"), validateAttribute, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: errors.array(),
+      })
+    }
+
+    const attribute = await Attribute.findOne({ code: req.params.code })
+
+    if (!attribute) {
+      return res.status(404).json({
+        success: false,
+        message: "Attribute not found",
+      })
+    }
+
+    // Products store values by type and scope, so those can only change while nothing uses the attribute
+    const reshaped = ["type", "scope"].filter((field) => req.body[field] && req.body[field] !== attribute[field])
+
+    if (reshaped.length > 0 && (await attributeInUse(attribute.code))) {
+      return res.status(409).json({
+        success: false,
+        message: `The ${reshaped.join(" and ")} of an attribute in use cannot change`,
+      })
+    }
+
+    if (req.body.values && attribute.type === ATTRIBUTE_TYPES.SELECT) {
+      const kept = req.body.values.map((entry) => String(entry.value).trim().toLowerCase())
+      const removed = attribute.values.map((entry) => entry.value).filter((value) => !kept.includes(value))
+
+      if (removed.length > 0 && (await attributeInUse(attribute.code, { values: removed }))) {
+        return res.status(409).json({
+          success: false,
+          message: `Products still use some of the removed values: ${removed.join(", ")}`,
+        })
+      }
+    }
+
+    for (const field of ATTRIBUTE_FIELDS) {
+      if (req.body[field] !== undefined) attribute.set(field, req.body[field])
+    }
+    await attribute.save()
+
+    res.json({
+      success: true,
+      data: attribute,
+      message: "Attribute updated successfully",
+    })
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: "Error updating attribute",
+      error: error.message,
+    })
+  }
+})
+
+router.delete("/attributes/:code", requirePermission("catalog:manage"), async (req, res) => {
+  try {
+    const attribute = await Attribute.findOne({ code: req.params.code })
+
+    if (!attribute) {
+      return res.status(404).json({
+        success: false,
+        message: "Attribute not found",
+      })
+    }
+
+    if (await attributeInUse(attribute.code)) {
+      return res.status(409).json({
+        success: false,
+        message: "Attribute is used by categories or products. Remove it from them, or deactivate it instead.",
+      })
+    }
+
+    await attribute.deleteOne()
+
+    res.json({
+      success: true,
+      message: "Attribute deleted successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting attribute",
+      error: error.message,
+    })
+  }
+})
+
+router.get("/categories", requirePermission("products:write"), async (req, res) => {
+  try {
+    await ensureDefaultCatalog()
+    const categories = await Category.find().sort({ sortOrder: 1, name: 1 })
+
+    res.json({
+      success: true,
+      data: categories,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching categories",
+      error: error.message,
+    })
+  }
+})
+
+router.post(
+  "/categories",
+  requirePermission("catalog:manage"),
+  [
+    body("slug")
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9][a-z0-9-]{0,49}$/)
+      .withMessage("Slug can only contain lowercase letters, numbers, and hyphens"),
+    body("name").exists().withMessage("Name is required"),
+    ...validateCategory,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      await ensureDefaultCatalog()
+
+      if (await Category.exists({ slug: req.body.slug })) {
+        return res.status(400).json({
+          success: false,
+          message: "A category with this slug already exists",
+        })
+      }
+
+      const category = new Category({ slug: req.body.slug })
+      const problem = await checkCategoryReferences(category, req.body)
+
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem,
+        })
+      }
+
+      for (const field of CATEGORY_FIELDS) {
+        if (req.body[field] !== undefined) category.set(field, req.body[field])
+      }
+      await category.save()
+
+      res.status(201).json({
+        success: true,
+        data: category,
+        message: "Category created successfully",
+      })
+    } catch (error) {
+      res.status(error.name === "ValidationError" ? 400 : 500).json({
+        success: false,
+        message: "Error creating category",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.put("/categories/:slug", requirePermission("catalog:manage"), validateCategory, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: errors.array(),
+      })
+    }
+
+    const category = await Category.findOne({ slug: req.params.slug })
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      })
+    }
+
+    const problem = await checkCategoryReferences(category, req.body)
+
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      })
+    }
+
+    // Products keep their values, so an attribute they use can't be taken off their category
+    if (req.body.attributes) {
+      const kept = req.body.attributes.map((entry) => entry.attribute)
+      const removed = category.attributes.map((entry) => entry.attribute).filter((code) => !kept.includes(code))
+
+      for (const code of removed) {
+        if (await attributeInUse(code, { category: category.slug })) {
+          return res.status(409).json({
+            success: false,
+            message: `Products in this category still use the ${code} attribute`,
+          })
+        }
+      }
+    }
+
+    for (const field of CATEGORY_FIELDS) {
+      if (req.body[field] !== undefined) category.set(field, req.body[field])
+    }
+    await category.save()
+
+    res.json({
+      success: true,
+      data: category,
+      message: "Category updated successfully",
+    })
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: "Error updating category",
+      error: error.message,
+    })
+  }
+})
+
+router.delete("/categories/:slug", requirePermission("catalog:manage"), async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug })
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      })
+    }
+
+    if (await categoryInUse(category)) {
+      return res.status(409).json({
+        success: false,
+        message: "Category has products or subcategories. Move them first, or deactivate it instead.",
+      })
+    }
+
+    await category.deleteOne()
+
+    res.json({
+      success: true,
+      message: "Category deleted successfully",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting category",
+      error: error.message,
+    })
+  }
+})
+
+// Size charts: per-brand size conversions
+const validateSizeChart = [
+  body("name").optional().isString().trim().isLength({ max: 100 }).withMessage("Name must be at most 100 characters"),
+  body("sizes").isArray({ min: 1 }).withMessage("Sizes must be a non-empty array"),
+  ...Object.values(SIZE_SYSTEMS).map((system) =>
+    body(`sizes.*.${system}`)
+      .optional({ nullable: true })
+      .custom((value) => typeof value === "string" || typeof value === "number")
+      .withMessage(`${system} sizes must be text or numbers`),
+  ),
+]
+
+router.get("/size-charts", requirePermission("products:write"), async (req, res) => {
+  try {
+    const charts = await SizeChart.find().sort({ brand: 1 })
+
+    res.json({
+      success: true,
+      data: {
+        charts,
+        defaultChart: DEFAULT_SIZE_CHART,
+      },
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching size charts",
+      error: error.message,
+    })
+  }
+})
+
+router.get("/size-charts/:brand", requirePermission("products:write"), async (req, res) => {
+  try {
+    const chart = await SizeChart.findOne({ brand: req.params.brand.trim().toLowerCase() })
+
+    if (!chart) {
+      return res.status(404).json({
+        success: false,
+        message: "This brand has no size chart; it uses the default chart",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: chart,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching size chart",
+      error: error.message,
+    })
+  }
+})
+
+// Create or replace a brand's chart
+router.put("/size-charts/:brand", requirePermission("catalog:manage"), validateSizeChart, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: errors.array(),
+      })
+    }
+
+    const brand = req.params.brand.trim().toLowerCase()
+    const chart = (await SizeChart.findOne({ brand })) || new SizeChart({ brand })
+    const created = chart.isNew
+
+    chart.set({ name: req.body.name, sizes: req.body.sizes, updatedBy: req.user._id })
+    await chart.save()
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: chart,
+      message: created ? "Size chart created successfully" : "Size chart updated successfully",
+    })
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: "Error saving size chart",
+      error: error.message,
+    })
+  }
+})
+
+router.delete("/size-charts/:brand", requirePermission("catalog:manage"), async (req, res) => {
+  try {
+    const chart = await SizeChart.findOneAndDelete({ brand: req.params.brand.trim().toLowerCase() })
+
+    if (!chart) {
+      return res.status(404).json({
+        success: false,
+        message: "Size chart not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Size chart deleted; the brand now uses the default chart",
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting size chart",
+      error: error.message,
+    })
+  }
+})
+
+// Rebuild the catalog search index from the database
+router.post("/search/reindex", requirePermission("catalog:manage"), async (req, res) => {
+  try {
+    const result = await reindexProducts()
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Search index rebuilt with ${result.documents} products`,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error rebuilding search index",
+      error: error.message,
+    })
+  }
+})
+
+// Search synonyms: groups of terms that suggestions treat as the same
+const validateSearchSynonym = [
+  body("terms").isArray({ min: 2, max: 20 }).withMessage("Terms must be an array of 2-20 terms"),
+  body("terms.*").isString().trim().isLength({ min: 1, max: 50 }).withMessage("Each term must be 1-50 characters"),
+]
+
+// A group other than this one already using one of the terms
+const findSynonymConflict = async (terms, id) => {
+  const normalized = terms.map(SearchSynonym.normalizeTerm)
+  const conflict = await SearchSynonym.findOne({ terms: { $in: normalized }, _id: { $ne: id } })
+  return conflict && { group: conflict, term: conflict.terms.find((term) => normalized.includes(term)) }
+}
+
+router.get("/search-synonyms", requirePermission("products:write"), async (req, res) => {
+  try {
+    const synonyms = await SearchSynonym.find().sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      data: synonyms,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching search synonyms",
+      error: error.message,
+    })
+  }
+})
+
+router.post("/search-synonyms", requirePermission("catalog:manage"), validateSearchSynonym, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: errors.array(),
+      })
+    }
+
+    const conflict = await findSynonymConflict(req.body.terms)
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `"${conflict.term}" is already in another synonym group`,
+        data: conflict.group,
+      })
+    }
+
+    const synonym = await SearchSynonym.create({ terms: req.body.terms, createdBy: req.user._id })
+    invalidateSuggestionCache()
+
+    res.status(201).json({
+      success: true,
+      data: synonym,
+      message: "Synonym group created successfully",
+    })
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: "Error creating synonym group",
+      error: error.message,
+    })
+  }
+})
+
+router.put(
+  "/search-synonyms/:id",
+  requirePermission("catalog:manage"),
+  [param("id").isMongoId().withMessage("Invalid synonym group ID"), ...validateSearchSynonym],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const synonym = await SearchSynonym.findById(req.params.id)
+      if (!synonym) {
+        return res.status(404).json({
+          success: false,
+          message: "Synonym group not found",
+        })
+      }
+
+      const conflict = await findSynonymConflict(req.body.terms, synonym._id)
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: `"${conflict.term}" is already in another synonym group`,
+          data: conflict.group,
+        })
+      }
+
+      synonym.terms = req.body.terms
+      await synonym.save()
+      invalidateSuggestionCache()
+
+      res.json({
+        success: true,
+        data: synonym,
+        message: "Synonym group updated successfully",
+      })
+    } catch (error) {
+      res.status(error.name === "ValidationError" ? 400 : 500).json({
+        success: false,
+        message: "Error updating synonym group",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.delete(
+  "/search-synonyms/:id",
+  requirePermission("catalog:manage"),
+  [param("id").isMongoId().withMessage("Invalid synonym group ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const synonym = await SearchSynonym.findByIdAndDelete(req.params.id)
+      if (!synonym) {
+        return res.status(404).json({
+          success: false,
+          message: "Synonym group not found",
+        })
+      }
+
+      invalidateSuggestionCache()
+
+      res.json({
+        success: true,
+        message: "Synonym group deleted successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error deleting synonym group",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Stock locations (warehouses and stores)
+const validateLocation = [
+  body("name").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("Name must be 1-100 characters"),
+  body("code")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{2,20}$/)
+    .withMessage("Code must be 2-20 letters, digits or hyphens"),
+  body("type")
+    .optional()
+    .isIn(Object.values(LOCATION_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(LOCATION_TYPES).join(", ")}`),
+  body("address").optional().isObject().withMessage("Address must be an object"),
+  body("address.*").optional().isString().trim(),
+  body("priority").optional().isInt({ min: 0 }).withMessage("Priority must be a non-negative integer").toInt(),
+  body("isActive").optional().isBoolean().withMessage("isActive must be boolean").toBoolean(),
+]
+
+const LOCATION_FIELDS = ["name", "code", "type", "address", "priority", "isActive"]
+
+// Units of any variant still held at a location
+const getStockAtLocation = async (locationId) => {
+  const [row] = await Product.aggregate([
+    { $unwind: "$variants" },
+    { $unwind: "$variants.locations" },
+    { $match: { "variants.locations.location": locationId } },
+    { $group: { _id: null, stock: { $sum: "$variants.locations.stock" } } },
+  ])
+  return row ? row.stock : 0
+}
+
+router.get("/locations", requirePermission("inventory:read"), async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.active !== undefined) filter.isActive = req.query.active === "true"
+
+    const locations = await Location.find(filter).sort({ priority: 1, name: 1 })
+
+    res.json({
+      success: true,
+      data: locations,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching locations",
+      error: error.message,
+    })
+  }
+})
+
+router.post(
+  "/locations",
+  requirePermission("locations:manage"),
+  [
+    body("name").exists().withMessage("Name is required"),
+    body("code").exists().withMessage("Code is required"),
+    ...validateLocation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      if (await Location.exists({ code: req.body.code })) {
+        return res.status(400).json({
+          success: false,
+          message: "A location with this code already exists",
+        })
+      }
+
+      const location = new Location()
+      for (const field of LOCATION_FIELDS) {
+        if (req.body[field] !== undefined) location.set(field, req.body[field])
+      }
+      await location.save()
+
+      res.status(201).json({
+        success: true,
+        data: location,
+        message: "Location created successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error creating location",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.put(
+  "/locations/:id",
+  requirePermission("locations:manage"),
+  [param("id").isMongoId().withMessage("Invalid location ID"), ...validateLocation],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const location = await Location.findById(req.params.id)
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: "Location not found",
+        })
+      }
+
+      if (req.body.code && req.body.code !== location.code && (await Location.exists({ code: req.body.code }))) {
+        return res.status(400).json({
+          success: false,
+          message: "A location with this code already exists",
+        })
+      }
+
+      // Stock at an inactive location could never be sold, so it has to be moved first
+      if (req.body.isActive === false && location.isActive) {
+        const stock = await getStockAtLocation(location._id)
+
+        if (stock > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Location still holds ${stock} units; move or write off its stock before deactivating it`,
+          })
+        }
+      }
+
+      for (const field of LOCATION_FIELDS) {
+        if (req.body[field] !== undefined) location.set(field, req.body[field])
+      }
+      await location.save()
+
+      res.json({
+        success: true,
+        data: location,
+        message: "Location updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating location",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Limit which locations a staff member manages inventory for (empty for all)
+router.put(
+  "/users/:id/locations",
+  requirePermission("users:manage"),
+  [
+    body("locations").isArray().withMessage("Locations must be an array"),
+    body("locations.*").isMongoId().withMessage("Invalid location ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const locations = [...new Set(req.body.locations)]
+
+      if ((await Location.countDocuments({ _id: { $in: locations } })) !== locations.length) {
+        return res.status(400).json({
+          success: false,
+          message: "One or more locations do not exist",
+        })
+      }
+
+      const user = await User.findByIdAndUpdate(req.params.id, { locations }, { new: true })
+        .select("-password")
+        .populate("locations", "name code")
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: user,
+        message: "User locations updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating user locations",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Suppliers
+const validateSupplier = [
+  body("name").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("Name must be 1-100 characters"),
+  body("code")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9-]{2,20}$/)
+    .withMessage("Code must be 2-20 letters, digits or hyphens"),
+  body("contactName").optional().isString().trim(),
+  body("email").optional().isEmail().withMessage("Invalid email").normalizeEmail(),
+  body("phone").optional().isString().trim(),
+  body("address").optional().isObject().withMessage("Address must be an object"),
+  body("address.*").optional().isString().trim(),
+  body("leadTimeDays").optional().isInt({ min: 0 }).withMessage("Lead time must be a non-negative integer").toInt(),
+  body("notes").optional().isString().trim().isLength({ max: 1000 }),
+  body("isActive").optional().isBoolean().withMessage("isActive must be boolean").toBoolean(),
+]
+
+const SUPPLIER_FIELDS = [
+  "name",
+  "code",
+  "contactName",
+  "email",
+  "phone",
+  "address",
+  "leadTimeDays",
+  "notes",
+  "isActive",
+]
+
+router.get("/suppliers", requirePermission("purchasing:manage"), async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.active !== undefined) filter.isActive = req.query.active === "true"
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 })
+
+    res.json({
+      success: true,
+      data: suppliers,
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching suppliers",
+      error: error.message,
+    })
+  }
+})
+
+router.post(
+  "/suppliers",
+  requirePermission("purchasing:manage"),
+  [
+    body("name").exists().withMessage("Name is required"),
+    body("code").exists().withMessage("Code is required"),
+    ...validateSupplier,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      if (await Supplier.exists({ code: req.body.code })) {
+        return res.status(400).json({
+          success: false,
+          message: "A supplier with this code already exists",
+        })
+      }
+
+      const supplier = new Supplier()
+      for (const field of SUPPLIER_FIELDS) {
+        if (req.body[field] !== undefined) supplier.set(field, req.body[field])
+      }
+      await supplier.save()
+
+      res.status(201).json({
+        success: true,
+        data: supplier,
+        message: "Supplier created successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error creating supplier",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.put(
+  "/suppliers/:id",
+  requirePermission("purchasing:manage"),
+  [param("id").isMongoId().withMessage("Invalid supplier ID"), ...validateSupplier],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const supplier = await Supplier.findById(req.params.id)
+
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier not found",
+        })
+      }
+
+      if (req.body.code && req.body.code !== supplier.code && (await Supplier.exists({ code: req.body.code }))) {
+        return res.status(400).json({
+          success: false,
+          message: "A supplier with this code already exists",
+        })
+      }
+
+      for (const field of SUPPLIER_FIELDS) {
+        if (req.body[field] !== undefined) supplier.set(field, req.body[field])
+      }
+      await supplier.save()
+
+      res.json({
+        success: true,
+        data: supplier,
+        message: "Supplier updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating supplier",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Purchase orders
+const validatePurchaseOrderItems = [
+  body("items").isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+  body("items.*.productId").isMongoId().withMessage("Invalid product ID"),
+  // A variant is given by SKU, or by size and color
+  body("items")
+    .custom((items) => !Array.isArray(items) || items.every((item) => item?.sku || (item?.size && item?.color)))
+    .withMessage("Each item needs a SKU, or a size and color"),
+  body("items.*.sku").optional().isString().trim().notEmpty().withMessage("Invalid SKU"),
+  body("items.*.size").optional().isString().trim().notEmpty().withMessage("Size is required"),
+  body("items.*.color").optional().isString().trim().notEmpty().withMessage("Color is required"),
+  body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be a positive integer").toInt(),
+  body("items.*.unitCost").optional().isFloat({ min: 0 }).withMessage("Unit cost cannot be negative").toFloat(),
+]
+
+const validatePurchaseOrderDetails = [
+  body("locationId").optional({ nullable: true }).isMongoId().withMessage("Invalid location ID"),
+  body("expectedAt").optional({ nullable: true }).isISO8601().withMessage("Expected date must be a date"),
+  body("notes").optional().isString().trim().isLength({ max: 1000 }),
+]
+
+// Send a service result for one purchase order
+const sendPurchaseOrderResult = (res, result, message, status = 200) => {
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 400).json({
+      success: false,
+      message: result.error,
+    })
+  }
+
+  res.status(status).json({
+    success: true,
+    data: result.purchaseOrder,
+    message,
+  })
+}
+
+router.get(
+  "/purchase-orders",
+  requirePermission("purchasing:manage"),
+  [
+    query("status")
+      .optional()
+      .isIn(Object.values(PURCHASE_ORDER_STATUS))
+      .withMessage("Unknown purchase order status"),
+    query("supplierId").optional().isMongoId().withMessage("Invalid supplier ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const { status, supplierId } = req.query
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Math.min(Number.parseInt(req.query.limit) || 20, 100)
+
+      const filter = {}
+      if (status) filter.status = status
+      if (supplierId) filter.supplier = supplierId
+
+      const purchaseOrders = await PurchaseOrder.find(filter)
+        .populate("supplier", "name code")
+        .populate("location", "name code")
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+
+      const total = await PurchaseOrder.countDocuments(filter)
+
+      res.json({
+        success: true,
+        data: {
+          purchaseOrders,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+          },
+        },
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching purchase orders",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.get(
+  "/purchase-orders/:id",
+  requirePermission("purchasing:manage"),
+  [param("id").isMongoId().withMessage("Invalid purchase order ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+        .populate("supplier")
+        .populate("location", "name code")
+        .populate("createdBy", "email profile.firstName profile.lastName")
+        .populate("receipts.receivedBy", "email profile.firstName profile.lastName")
+
+      if (!purchaseOrder) {
+        return res.status(404).json({
+          success: false,
+          message: "Purchase order not found",
+        })
+      }
+
+      res.json({
+        success: true,
+        data: purchaseOrder,
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching purchase order",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.post(
+  "/purchase-orders",
+  requirePermission("purchasing:manage"),
+  [
+    body("supplierId").isMongoId().withMessage("Invalid supplier ID"),
+    ...validatePurchaseOrderItems,
+    ...validatePurchaseOrderDetails,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
 
-      if (!product) {
-        return res.status(404).json({
+      const result = await createPurchaseOrder(req.body, req.user._id)
+
+      sendPurchaseOrderResult(res, result, "Purchase order created successfully", 201)
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error creating purchase order",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Create one draft purchase order per supplier from the reorder suggestions
+router.post(
+  "/purchase-orders/from-suggestions",
+  requirePermission("purchasing:manage"),
+  [
+    body("days").optional().isInt({ min: 1, max: 365 }).withMessage("Days must be 1-365").toInt(),
+    body("coverDays").optional().isInt({ min: 0, max: 365 }).withMessage("Cover days must be 0-365").toInt(),
+    body("supplierId").optional().isMongoId().withMessage("Invalid supplier ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          message: "Product or variant not found",
+          message: "Validation error",
+          errors: errors.array(),
         })
       }
 
-      // Emit real-time inventory update
-      socketService.emitToAll("inventoryUpdate", {
-        productId,
-        variantId,
-        stock,
+      const { days, coverDays, supplierId } = req.body
+      const result = await createDraftsFromSuggestions({ days, coverDays, supplierId }, req.user._id)
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          message: "Error creating purchase orders",
+          error: result.error,
+        })
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          purchaseOrders: result.purchaseOrders,
+          skipped: result.skipped,
+        },
+        message: `Created ${result.purchaseOrders.length} draft purchase orders`,
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error creating purchase orders",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.put(
+  "/purchase-orders/:id",
+  requirePermission("purchasing:manage"),
+  [
+    param("id").isMongoId().withMessage("Invalid purchase order ID"),
+    body("supplierId").optional().isMongoId().withMessage("Invalid supplier ID"),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    ...validatePurchaseOrderItems.slice(1),
+    ...validatePurchaseOrderDetails,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await updatePurchaseOrder(req.params.id, req.body)
+
+      sendPurchaseOrderResult(res, result, "Purchase order updated successfully")
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating purchase order",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.post(
+  "/purchase-orders/:id/send",
+  requirePermission("purchasing:manage"),
+  [param("id").isMongoId().withMessage("Invalid purchase order ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await sendPurchaseOrder(req.params.id)
+
+      sendPurchaseOrderResult(res, result, "Purchase order marked as sent")
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error sending purchase order",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Book a delivery; receiving adds the units to stock
+router.post(
+  "/purchase-orders/:id/receive",
+  requirePermission("purchasing:manage"),
+  requirePermission("inventory:write"),
+  [
+    param("id").isMongoId().withMessage("Invalid purchase order ID"),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.itemId").isMongoId().withMessage("Invalid item ID"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be a positive integer").toInt(),
+    body("note").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await receivePurchaseOrder(req.params.id, req.body.items, req.user._id, req.body.note)
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          success: false,
+          message: result.error,
+        })
+      }
+
+      if (result.stockErrors.length > 0) {
+        socketService.sendToAdmins("purchase_receipt_stock_failed", {
+          purchaseOrderId: result.purchaseOrder._id,
+          poNumber: result.purchaseOrder.poNumber,
+          failures: result.stockErrors,
+          timestamp: new Date(),
+        })
+      }
+
+      res.json({
+        success: true,
+        data: {
+          purchaseOrder: result.purchaseOrder,
+          received: result.received,
+          stockErrors: result.stockErrors,
+          backordersAllocated: result.backordersAllocated,
+        },
+        message:
+          result.stockErrors.length > 0
+            ? "Delivery recorded, but some stock could not be updated"
+            : "Delivery received successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error receiving purchase order",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.post(
+  "/purchase-orders/:id/cancel",
+  requirePermission("purchasing:manage"),
+  [
+    param("id").isMongoId().withMessage("Invalid purchase order ID"),
+    body("reason").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await cancelPurchaseOrder(req.params.id, req.body.reason)
+
+      sendPurchaseOrderResult(res, result, "Purchase order cancelled")
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error cancelling purchase order",
+        error: error.message,
       })
+    }
+  },
+)
+
+// What to reorder, from stock, units on order and recent sales velocity
+router.get(
+  "/inventory/reorder-suggestions",
+  requirePermission("inventory:read"),
+  [
+    query("days").optional().isInt({ min: 1, max: 365 }).withMessage("Days must be 1-365").toInt(),
+    query("coverDays").optional().isInt({ min: 0, max: 365 }).withMessage("Cover days must be 0-365").toInt(),
+    query("supplierId").optional().isMongoId().withMessage("Invalid supplier ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const { days, coverDays, supplierId } = req.query
+      const result = await getReorderSuggestions({ days, coverDays, supplierId })
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          message: "Error fetching reorder suggestions",
+          error: result.error,
+        })
+      }
 
       res.json({
         success: true,
-        data: product,
-        message: "Stock updated successfully",
+        data: {
+          suggestions: result.suggestions,
+          days: result.days,
+          coverDays: result.coverDays,
+        },
       })
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: "Error updating stock",
+        message: "Error fetching reorder suggestions",
         error: error.message,
       })
     }
@@ -563,9 +3589,10 @@ router.patch(
 )
 
 // System Settings
-router.get("/settings", async (req, res) => {
+router.get("/settings", requirePermission("settings:manage"), async (req, res) => {
   try {
-    // This would typically come from a settings collection
+    const storedSettings = await Setting.getSettings()
+
     const settings = {
       siteName: "Shoe Store",
       currency: "USD",
@@ -584,6 +3611,8 @@ router.get("/settings", async (req, res) => {
         enablePushNotifications: true,
         enableEmailNotifications: true,
       },
+      security: storedSettings.security,
+      authProviders: serializeAuthProviders(storedSettings.authProviders),
     }
 
     res.json({
@@ -599,4 +3628,150 @@ router.get("/settings", async (req, res) => {
   }
 })
 
+router.put(
+  "/settings/security",
+  requirePermission("settings:manage"),
+  [
+    body("twoFactorRequiredRoles").isArray().withMessage("twoFactorRequiredRoles must be an array"),
+    body("twoFactorRequiredRoles.*").isString().trim().toLowerCase().custom(validateRoleName),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const twoFactorRequiredRoles = [...new Set(req.body.twoFactorRequiredRoles)]
+
+      // Don't let an admin lock themselves out of the admin API
+      if (twoFactorRequiredRoles.includes(req.user.role) && !req.user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Enable two-factor authentication on your own account before requiring it for your role",
+        })
+      }
+
+      const settings = await Setting.getSettings()
+      settings.security.twoFactorRequiredRoles = twoFactorRequiredRoles
+      settings.updatedBy = req.user._id
+      await settings.save()
+
+      res.json({
+        success: true,
+        data: settings.security,
+        message: "Security settings updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating security settings",
+        error: error.message,
+      })
+    }
+  },
+)
+
+router.put(
+  "/settings/auth-providers",
+  requirePermission("settings:manage"),
+  [
+    body("disabled").optional().isArray().withMessage("disabled must be an array"),
+    body("disabled.*").isString().trim().toLowerCase(),
+    body("oidc").optional().isArray().withMessage("oidc must be an array"),
+    body("oidc.*.name")
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(PROVIDER_NAME_PATTERN)
+      .withMessage("Provider name may only contain lowercase letters, numbers, - and _")
+      .custom((name) => {
+        if (builtInProviders[name]) throw new Error(`${name} is a built-in provider`)
+        return true
+      }),
+    body("oidc.*.displayName").optional().isString().trim().isLength({ max: 50 }),
+    body("oidc.*.issuer").isURL({ require_protocol: true, require_tld: false }).withMessage("Issuer must be a URL"),
+    body("oidc.*.clientId").isString().trim().notEmpty().withMessage("Client ID is required"),
+    body("oidc.*.clientSecret").optional().isString().notEmpty(),
+    body("oidc.*.scope").optional().isArray(),
+    body("oidc.*.enabled").optional().isBoolean(),
+    body("oidc.*.trustEmail").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const settings = await Setting.getSettings()
+
+      if (req.body.disabled) {
+        settings.authProviders.disabled = [...new Set(req.body.disabled)]
+      }
+
+      if (req.body.oidc) {
+        const names = req.body.oidc.map((provider) => provider.name)
+        if (new Set(names).size !== names.length) {
+          return res.status(400).json({
+            success: false,
+            message: "OIDC provider names must be unique",
+          })
+        }
+
+        const oidc = []
+
+        for (const provider of req.body.oidc) {
+          // Secrets are never sent back to the dashboard, so keep the stored one if omitted
+          const existing = settings.authProviders.oidc.find((entry) => entry.name === provider.name)
+          const clientSecret = provider.clientSecret || existing?.clientSecret
+
+          if (!clientSecret) {
+            return res.status(400).json({
+              success: false,
+              message: `Client secret is required for ${provider.name}`,
+            })
+          }
+
+          oidc.push({
+            name: provider.name,
+            displayName: provider.displayName,
+            issuer: provider.issuer,
+            clientId: provider.clientId,
+            clientSecret,
+            scope: provider.scope,
+            enabled: provider.enabled !== false,
+            trustEmail: provider.trustEmail === true,
+          })
+        }
+
+        settings.authProviders.oidc = oidc
+      }
+
+      settings.updatedBy = req.user._id
+      await settings.save()
+
+      res.json({
+        success: true,
+        data: serializeAuthProviders(settings.authProviders),
+        message: "Sign-in provider settings updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating sign-in provider settings",
+        error: error.message,
+      })
+    }
+  },
+)
+
 module.exports = router
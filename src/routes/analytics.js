@@ -6,6 +6,7 @@
  * - Product performance metrics
  * - User behavior analytics
  * - Inventory analytics
+ * - Search analytics: top and zero-result queries, search-to-purchase conversion
  * - Real-time dashboard data
  * - Custom report generation
  * 
@@ -13,13 +14,22 @@
  * - Most endpoints require admin/staff access
  * - Some basic metrics available to authenticated users
  * - Real-time dashboard data for admin users
+ * - Shoppers report clicks and add-to-carts on their own search results
  */
 
 const express = require("express")
-const { authenticate } = require("../middleware/auth")
-const { requireRole } = require("../middleware/auth")
+const mongoose = require("mongoose")
+const { authenticate, optionalAuth, requirePermission } = require("../middleware/auth")
 const { validatePagination } = require("../middleware/validation")
 const { AnalyticsService } = require("../services/analyticsService")
+const {
+  searcherOf,
+  recordInteraction,
+  getTopQueries,
+  getZeroResultQueries,
+  getSearchConversion,
+} = require("../services/searchAnalyticsService")
+const { SEARCH_ANALYTICS } = require("../utils/constants")
 
 const router = express.Router()
 
@@ -28,7 +38,7 @@ const router = express.Router()
  * @route   GET /api/analytics/sales
  * @access  Private (Admin/Staff)
  */
-router.get("/sales", authenticate, requireRole(["admin", "staff"]), async (req, res) => {
+router.get("/sales", authenticate, requirePermission("analytics:read"), async (req, res) => {
   try {
     const {
       startDate,
@@ -84,7 +94,7 @@ router.get("/sales", authenticate, requireRole(["admin", "staff"]), async (req,
  * @route   GET /api/analytics/products
  * @access  Private (Admin/Staff)
  */
-router.get("/products", authenticate, requireRole(["admin", "staff"]), async (req, res) => {
+router.get("/products", authenticate, requirePermission("analytics:read"), async (req, res) => {
   try {
     const {
       startDate,
@@ -136,7 +146,7 @@ router.get("/products", authenticate, requireRole(["admin", "staff"]), async (re
  * @route   GET /api/analytics/users
  * @access  Private (Admin/Staff)
  */
-router.get("/users", authenticate, requireRole(["admin", "staff"]), async (req, res) => {
+router.get("/users", authenticate, requirePermission("analytics:read"), async (req, res) => {
   try {
     const {
       startDate,
@@ -176,7 +186,7 @@ router.get("/users", authenticate, requireRole(["admin", "staff"]), async (req,
  * @route   GET /api/analytics/inventory
  * @access  Private (Admin/Staff)
  */
-router.get("/inventory", authenticate, requireRole(["admin", "staff"]), async (req, res) => {
+router.get("/inventory", authenticate, requirePermission("analytics:read"), async (req, res) => {
   try {
     const result = await AnalyticsService.getInventoryAnalytics()
 
@@ -206,7 +216,7 @@ router.get("/inventory", authenticate, requireRole(["admin", "staff"]), async (r
  * @route   GET /api/analytics/dashboard
  * @access  Private (Admin/Staff)
  */
-router.get("/dashboard", authenticate, requireRole(["admin", "staff"]), async (req, res) => {
+router.get("/dashboard", authenticate, requirePermission("analytics:read"), async (req, res) => {
   try {
     const result = await AnalyticsService.getDashboardData()
 
@@ -231,12 +241,180 @@ router.get("/dashboard", authenticate, requireRole(["admin", "staff"]), async (r
   }
 })
 
+// Search report period from startDate/endDate, by default the last SEARCH_ANALYTICS.REPORT_DAYS days
+const searchReportOptions = ({ startDate, endDate, limit = 20 }) => {
+  const end = endDate ? new Date(endDate) : new Date()
+  const start = startDate ? new Date(startDate) : new Date(end - SEARCH_ANALYTICS.REPORT_DAYS * 24 * 60 * 60 * 1000)
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    return { error: "Start date must be a date before end date" }
+  }
+
+  const parsedLimit = Number.parseInt(limit)
+  if (!(parsedLimit >= 1 && parsedLimit <= 100)) {
+    return { error: "Limit must be between 1 and 100" }
+  }
+
+  return { startDate: start, endDate: end, limit: parsedLimit }
+}
+
+/**
+ * @desc    Record a click or add-to-cart on a search result
+ * @route   POST /api/analytics/search/:searchId/interactions
+ * @access  Public (the shopper who searched)
+ */
+router.post("/search/:searchId/interactions", optionalAuth, async (req, res) => {
+  try {
+    const { searchId } = req.params
+    const { type, product, position } = req.body
+
+    if (!Object.values(SEARCH_ANALYTICS.INTERACTION_TYPES).includes(type)) {
+      return res.status(400).json({
+        status: "error",
+        message: `type must be one of: ${Object.values(SEARCH_ANALYTICS.INTERACTION_TYPES).join(", ")}`,
+      })
+    }
+
+    if (!mongoose.isValidObjectId(product)) {
+      return res.status(400).json({
+        status: "error",
+        message: "product must be a product ID",
+      })
+    }
+
+    if (position !== undefined && !(Number.isInteger(position) && position >= 1)) {
+      return res.status(400).json({
+        status: "error",
+        message: "position must be a positive integer",
+      })
+    }
+
+    const result = mongoose.isValidObjectId(searchId)
+      ? await recordInteraction(searchId, searcherOf(req), { type, product, position })
+      : { notFound: true }
+
+    if (result.notFound) {
+      return res.status(404).json({
+        status: "error",
+        message: "Search not found",
+      })
+    }
+
+    res.status(201).json({
+      status: "success",
+      message: "Interaction recorded",
+    })
+  } catch (error) {
+    console.error("Record search interaction error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to record search interaction",
+    })
+  }
+})
+
+/**
+ * @desc    Get the most searched queries
+ * @route   GET /api/analytics/search/top-queries
+ * @access  Private (Admin/Staff)
+ */
+router.get("/search/top-queries", authenticate, requirePermission("analytics:read"), async (req, res) => {
+  try {
+    const options = searchReportOptions(req.query)
+
+    if (options.error) {
+      return res.status(400).json({
+        status: "error",
+        message: options.error,
+      })
+    }
+
+    res.json({
+      status: "success",
+      data: {
+        period: { startDate: options.startDate, endDate: options.endDate },
+        queries: await getTopQueries(options),
+      },
+    })
+  } catch (error) {
+    console.error("Get top search queries error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get top search queries",
+    })
+  }
+})
+
+/**
+ * @desc    Get searches that found no products
+ * @route   GET /api/analytics/search/zero-results
+ * @access  Private (Admin/Staff)
+ */
+router.get("/search/zero-results", authenticate, requirePermission("analytics:read"), async (req, res) => {
+  try {
+    const options = searchReportOptions(req.query)
+
+    if (options.error) {
+      return res.status(400).json({
+        status: "error",
+        message: options.error,
+      })
+    }
+
+    res.json({
+      status: "success",
+      data: {
+        period: { startDate: options.startDate, endDate: options.endDate },
+        queries: await getZeroResultQueries(options),
+      },
+    })
+  } catch (error) {
+    console.error("Get zero-result searches error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get zero-result searches",
+    })
+  }
+})
+
+/**
+ * @desc    Get search-to-purchase conversion
+ * @route   GET /api/analytics/search/conversion
+ * @access  Private (Admin/Staff)
+ */
+router.get("/search/conversion", authenticate, requirePermission("analytics:read"), async (req, res) => {
+  try {
+    const options = searchReportOptions(req.query)
+
+    if (options.error) {
+      return res.status(400).json({
+        status: "error",
+        message: options.error,
+      })
+    }
+
+    res.json({
+      status: "success",
+      data: {
+        period: { startDate: options.startDate, endDate: options.endDate },
+        ...(await getSearchConversion(options)),
+      },
+    })
+  } catch (error) {
+    console.error("Get search conversion error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get search conversion",
+    })
+  }
+})
+
 /**
  * @desc    Clear analytics cache
  * @route   DELETE /api/analytics/cache
  * @access  Private (Admin only)
  */
-router.delete("/cache", authenticate, requireRole(["admin"]), async (req, res) => {
+router.delete("/cache", authenticate, requirePermission("analytics:manage"), async (req, res) => {
   try {
     const { pattern = "analytics:*" } = req.query
 
@@ -1,24 +1,82 @@
 const express = require("express")
 const passport = require("passport")
-const jwt = require("jsonwebtoken")
 const crypto = require("crypto")
 const User = require("../models/User")
-const { authenticate } = require("../middleware/auth")
+const { authenticate, optionalAuth } = require("../middleware/auth")
 const { validateRegister, validateLogin } = require("../middleware/validation")
-const { sendWelcomeEmail, sendPasswordResetEmail, sendAdminWelcomeEmail, sendStaffWelcomeEmail, sendLoginNotificationEmail } = require("../services/emailService")
+const { authLimiter, loginLimiter } = require("../middleware/rateLimiter")
+const {
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendAdminWelcomeEmail,
+  sendStaffWelcomeEmail,
+  sendLoginNotificationEmail,
+  sendMagicLinkEmail,
+  sendAccountDeletionScheduledEmail,
+} = require("../services/emailService")
 const { sendPushNotification } = require("../services/pushService")
 const { getSocketIO } = require("../services/socketService")
 const { getLoginInfo } = require("../utils/loginHelper")
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  isTwoFactorRequiredForRole,
+} = require("../services/twoFactorService")
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  isRecentSignIn,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/sessionService")
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendUnlockEmail,
+  unlockWithToken,
+  checkPasswordResetAllowed,
+  checkMagicLinkAllowed,
+  clearAccountLockout,
+} = require("../services/loginProtectionService")
+const { getEffectivePermissions } = require("../services/permissionService")
+const {
+  getLinkedProviders,
+  findOrCreateOAuthUser,
+  linkProvider,
+  unlinkProvider,
+  createLinkToken,
+  verifyLinkToken,
+  createOAuthState,
+  verifyOAuthState,
+} = require("../services/oauthService")
+const { getProvider, listProviders, createStrategy } = require("../config/oauthProviders")
+const {
+  createMagicLink,
+  clearMagicLink,
+  findUserByMagicLinkToken,
+  consumeMagicLinkToken,
+  consumeMagicLinkCode,
+} = require("../services/magicLinkService")
+const {
+  buildDataExport,
+  writeDataExportZip,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} = require("../services/privacyService")
+const { verifyCartToken } = require("../services/guestCheckoutService")
+const { mergeGuestCart } = require("../services/cartService")
+const { MAGIC_LINK, GUEST_CHECKOUT, OAUTH, ACCOUNT_DELETION } = require("../utils/constants")
 
 const router = express.Router()
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
-  })
-}
-
 router.post("/register-admin", validateRegister, async (req, res) => {
   try {
     const { email, password, firstName, lastName, adminSecret } = req.body
@@ -72,8 +130,8 @@ router.post("/register-admin", validateRegister, async (req, res) => {
       console.error("Failed to send welcome email:", emailError)
     }
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Create session and issue access/refresh tokens
+    const authTokens = await issueAuthTokens(user, req)
 
     res.status(201).json({
       status: "success",
@@ -86,7 +144,7 @@ router.post("/register-admin", validateRegister, async (req, res) => {
           role: user.role,
           emailVerified: user.emailVerified,
         },
-        token,
+        ...authTokens,
       },
     })
   } catch (error) {
@@ -143,8 +201,8 @@ router.post("/register-staff", validateRegister, async (req, res) => {
       console.error("Failed to send welcome email:", emailError)
     }
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Create session and issue access/refresh tokens
+    const authTokens = await issueAuthTokens(user, req)
 
     res.status(201).json({
       status: "success",
@@ -157,7 +215,7 @@ router.post("/register-staff", validateRegister, async (req, res) => {
           role: user.role,
           emailVerified: user.emailVerified,
         },
-        token,
+        ...authTokens,
       },
     })
   } catch (error) {
@@ -209,8 +267,10 @@ router.post("/register", validateRegister, async (req, res) => {
       console.error("Failed to send welcome email:", emailError)
     }
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Create session and issue access/refresh tokens
+    const authTokens = await issueAuthTokens(user, req)
+
+    const cartMerge = await mergeCartOnSignIn(req, user)
 
     res.status(201).json({
       status: "success",
@@ -223,7 +283,8 @@ router.post("/register", validateRegister, async (req, res) => {
           role: user.role,
           emailVerified: user.emailVerified,
         },
-        token,
+        ...authTokens,
+        ...(cartMerge && { cartMerge }),
       },
     })
   } catch (error) {
@@ -242,17 +303,150 @@ router.all("/register", (req, res, next) => {
 })
 
 
+// Send login notifications asynchronously (non-blocking)
+const sendLoginNotifications = (user, loginInfo) => {
+  setImmediate(async () => {
+    try {
+      // 1. Send Email Notification
+      await sendLoginNotificationEmail(user.email, user.profile.firstName, loginInfo)
+      console.log(`✅ Login email notification sent to ${user.email}`)
+    } catch (emailError) {
+      console.error("Failed to send login email notification:", emailError)
+    }
+
+    try {
+      // 2. Send Web Push Notification
+      if (user.preferences.pushNotifications && user.pushSubscription) {
+        await sendPushNotification(user._id, {
+          title: '🔐 New Login Detected',
+          body: `Login from ${loginInfo.location} at ${new Date().toLocaleTimeString()}`,
+          icon: '/icon-192x192.png',
+          data: {
+            type: 'login_notification',
+            loginInfo: loginInfo,
+            timestamp: new Date().toISOString()
+          },
+          url: '/dashboard'
+        })
+        console.log(`✅ Web push notification sent to user ${user._id}`)
+      }
+    } catch (pushError) {
+      console.error("Failed to send push notification:", pushError)
+    }
+
+    try {
+      // 3. Send Socket.IO Real-time Notification
+      const io = getSocketIO()
+      if (io) {
+        io.to(`user_${user._id}`).emit('login_notification', {
+          type: 'login_notification',
+          title: '🔐 New Login Detected',
+          message: `Login from ${loginInfo.location}`,
+          loginInfo: loginInfo,
+          timestamp: new Date().toISOString()
+        })
+        console.log(`✅ Socket notification sent to user ${user._id}`)
+      }
+    } catch (socketError) {
+      console.error("Failed to send socket notification:", socketError)
+    }
+  })
+}
+
+// Respond to a sign-in attempt blocked by lockout/throttling
+const sendLoginBlocked = (res, protection) => {
+  res.set("Retry-After", String(protection.retryAfter))
+
+  return res.status(429).json({
+    status: "error",
+    message: protection.message,
+    code: protection.code,
+    retryAfter: protection.retryAfter,
+  })
+}
+
+// Count a failed sign-in and email an unlock link if it locked the account
+const handleFailedLogin = async (req, user) => {
+  const { accountLocked, lockedUntil } = await recordFailedLogin({ userId: user?._id, ip: req.ip })
+
+  if (accountLocked) {
+    setImmediate(() => sendUnlockEmail(user, lockedUntil))
+  }
+}
+
+// Merge the guest cart sent with a sign-in request (X-Cart-Token) into the
+// account's cart. Returns the merge report, or undefined if nothing was merged.
+const mergeCartOnSignIn = async (req, user) => {
+  const guestId = verifyCartToken(req.header(GUEST_CHECKOUT.CART_TOKEN_HEADER))
+  if (!guestId) return undefined
+
+  try {
+    const result = await mergeGuestCart(guestId, user._id)
+    return result?.report
+  } catch (error) {
+    // Signing in matters more than the cart; the guest can still merge via /api/cart/merge
+    console.error("Failed to merge guest cart:", error)
+    return undefined
+  }
+}
+
+// Finish a successful sign-in: record it, issue tokens and notify the user
+const completeLogin = async (req, user, method = "password") => {
+  // Extract login information
+  const loginInfo = getLoginInfo(req)
+
+  // Successful sign-in clears the account's failed-attempt count
+  await recordSuccessfulLogin({ userId: user._id })
+
+  // Update last login
+  user.lastLogin = new Date()
+  await user.save()
+
+  // Create session and issue access/refresh tokens
+  const authTokens = await issueAuthTokens(user, req, method)
+
+  sendLoginNotifications(user, loginInfo)
+
+  // Privileged roles may be required to enroll in 2FA before using their dashboards
+  const twoFactorSetupRequired = !user.twoFactor?.enabled && (await isTwoFactorRequiredForRole(user.role))
+
+  const cartMerge = await mergeCartOnSignIn(req, user)
+
+  return {
+    user: {
+      id: user._id,
+      email: user.email,
+      profile: user.profile,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      twoFactorSetupRequired,
+    },
+    ...authTokens,
+    ...(cartMerge && { cartMerge }),
+  }
+}
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-router.post("/login", validateLogin, async (req, res) => {
+router.post("/login", loginLimiter, validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body
 
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select("+password")
 
+    // Refuse locked accounts/IPs before checking the password
+    const protection = await checkLoginAllowed({ userId: user?._id, ip: req.ip })
+
+    if (!protection.allowed) {
+      return sendLoginBlocked(res, protection)
+    }
+
     if (!user || !user.password) {
+      await handleFailedLogin(req, null)
+
       return res.status(401).json({
         status: "error",
         message: "Invalid email or password",
@@ -263,6 +457,8 @@ router.post("/login", validateLogin, async (req, res) => {
     const isMatch = await user.comparePassword(password)
 
     if (!isMatch) {
+      await handleFailedLogin(req, user)
+
       return res.status(401).json({
         status: "error",
         message: "Invalid email or password",
@@ -277,118 +473,499 @@ router.post("/login", validateLogin, async (req, res) => {
       })
     }
 
-    // Extract login information
-    const loginInfo = getLoginInfo(req)
+    // Second step required - hand back a challenge token instead of a session
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        status: "success",
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user, "password"),
+        },
+      })
+    }
 
-    // Update last login
-    user.lastLogin = new Date()
-    await user.save()
+    const data = await completeLogin(req, user)
+
+    res.json({
+      status: "success",
+      message: "Login successful",
+      data,
+    })
+  } catch (error) {
+    console.error("Login error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Login failed",
+    })
+  }
+})
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires challenge token)
+router.post("/login/2fa", loginLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Challenge token and a verification or recovery code are required",
+      })
+    }
+
+    const challenge = await verifyChallengeToken(challengeToken)
+
+    if (!challenge) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid or expired challenge. Please log in again.",
+      })
+    }
+
+    // Second-factor guesses count towards the same lockout as passwords
+    const protection = await checkLoginAllowed({ userId: challenge.id, ip: req.ip })
+
+    if (!protection.allowed) {
+      return sendLoginBlocked(res, protection)
+    }
+
+    const result = await verifySecondFactor(challenge.id, { code, recoveryCode })
+
+    if (!result.success) {
+      const user = await User.findById(challenge.id)
+      await handleFailedLogin(req, user)
+
+      return res.status(401).json({
+        status: "error",
+        message: result.error,
+      })
+    }
+
+    if (!result.user.isActive) {
+      return res.status(401).json({
+        status: "error",
+        message: "Account is deactivated. Please contact support.",
+      })
+    }
+
+    if (!(await consumeChallengeToken(challenge))) {
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid or expired challenge. Please log in again.",
+      })
+    }
+
+    const data = await completeLogin(req, result.user, challenge.method)
+
+    if (result.method === "recovery_code") {
+      data.remainingRecoveryCodes = result.remainingRecoveryCodes
+    }
+
+    res.json({
+      status: "success",
+      message: "Login successful",
+      data,
+    })
+  } catch (error) {
+    console.error("Two-factor login error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Login failed",
+    })
+  }
+})
+
+// @desc    Email a passwordless sign-in link and code
+// @route   POST /api/auth/magic-link
+// @access  Public
+router.post("/magic-link", authLimiter, async (req, res) => {
+  try {
+    const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : ""
+
+    if (!email) {
+      return res.status(400).json({
+        status: "error",
+        message: "Email is required",
+      })
+    }
+
+    // Cap emails per address (checked before the lookup so it doesn't reveal which emails have accounts)
+    const requestAllowed = await checkMagicLinkAllowed(email)
+
+    if (!requestAllowed.allowed) {
+      res.set("Retry-After", String(requestAllowed.retryAfter))
+      return res.status(429).json({
+        status: "error",
+        message: "Too many sign-in link requests. Please try again later.",
+        retryAfter: requestAllowed.retryAfter,
+      })
+    }
+
+    const user = await User.findOne({ email })
 
-    // Generate token
-    const token = generateToken(user._id)
+    if (user && user.isActive) {
+      const { token, code } = await createMagicLink(user)
 
-    // Send login notifications asynchronously (non-blocking)
-    setImmediate(async () => {
       try {
-        // 1. Send Email Notification
-        await sendLoginNotificationEmail(user.email, user.profile.firstName, loginInfo)
-        console.log(`✅ Login email notification sent to ${user.email}`)
+        await sendMagicLinkEmail(user.email, user.profile.firstName, token, code, MAGIC_LINK.EXPIRE_SECONDS / 60)
       } catch (emailError) {
-        console.error("Failed to send login email notification:", emailError)
+        // Answer as for any other address: an error here would reveal that the account exists
+        console.error("Failed to send magic link email:", emailError)
+        await clearMagicLink(user._id)
       }
+    }
 
-      try {
-        // 2. Send Web Push Notification
-        if (user.preferences.pushNotifications && user.pushSubscription) {
-          await sendPushNotification(user._id, {
-            title: '🔐 New Login Detected',
-            body: `Login from ${loginInfo.location} at ${new Date().toLocaleTimeString()}`,
-            icon: '/icon-192x192.png',
-            data: {
-              type: 'login_notification',
-              loginInfo: loginInfo,
-              timestamp: new Date().toISOString()
-            },
-            url: '/dashboard'
-          })
-          console.log(`✅ Web push notification sent to user ${user._id}`)
-        }
-      } catch (pushError) {
-        console.error("Failed to send push notification:", pushError)
+    res.json({
+      status: "success",
+      message: "If an account exists for this email, a sign-in link and code have been sent",
+    })
+  } catch (error) {
+    console.error("Magic link request error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to process sign-in request",
+    })
+  }
+})
+
+// @desc    Sign in with an emailed link token, or email + 6-digit code
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+router.post("/magic-link/verify", loginLimiter, async (req, res) => {
+  try {
+    const { token, code } = req.body
+    const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : ""
+
+    if (!token && !(email && code)) {
+      return res.status(400).json({
+        status: "error",
+        message: "A sign-in token, or email and code, are required",
+      })
+    }
+
+    const user = token ? await findUserByMagicLinkToken(token) : await User.findOne({ email })
+
+    // Refuse locked accounts/IPs before using up the link or code
+    const protection = await checkLoginAllowed({ userId: user?._id, ip: req.ip })
+
+    if (!protection.allowed) {
+      return sendLoginBlocked(res, protection)
+    }
+
+    let signedInUser = null
+
+    if (user) {
+      signedInUser = token ? await consumeMagicLinkToken(token) : await consumeMagicLinkCode(user, String(code))
+    }
+
+    if (!signedInUser) {
+      await handleFailedLogin(req, token ? null : user)
+
+      return res.status(401).json({
+        status: "error",
+        message: token ? "Invalid or expired sign-in link" : "Invalid or expired sign-in code",
+      })
+    }
+
+    if (!signedInUser.isActive) {
+      return res.status(401).json({
+        status: "error",
+        message: "Account is deactivated. Please contact support.",
+      })
+    }
+
+    // Receiving the email proves the address
+    signedInUser.emailVerified = true
+
+    // Second step required - hand back a challenge token instead of a session
+    if (signedInUser.twoFactor?.enabled) {
+      await signedInUser.save()
+
+      return res.json({
+        status: "success",
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(signedInUser, "magic_link"),
+        },
+      })
+    }
+
+    const data = await completeLogin(req, signedInUser, "magic_link")
+
+    res.json({
+      status: "success",
+      message: "Login successful",
+      data,
+    })
+  } catch (error) {
+    console.error("Magic link login error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Login failed",
+    })
+  }
+})
+
+// Verify callback for provider strategies: link when the checked `state` names an account, otherwise sign in
+const handleOAuthProfile = (provider) => async (req, profile, done) => {
+  try {
+    const { link } = req.oauthState
+    const result = link
+      ? await linkProvider(link, provider.name, profile)
+      : await findOrCreateOAuthUser(provider.name, profile)
+
+    if (!result.success) {
+      return done(null, false, { code: result.code, message: result.error })
+    }
+
+    return done(null, result.user, { linked: !!link })
+  } catch (error) {
+    return done(error)
+  }
+}
+
+// Send the browser to the frontend's sign-in error page
+const redirectAuthError = (res, code, message) => {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000"
+  const query = new URLSearchParams({ code, ...(message && { message }) })
+  res.redirect(`${clientUrl}/auth/error?${query}`)
+}
+
+// Cross-site POST callbacks (Apple's form_post) only carry SameSite=None cookies, which must be Secure
+const stateCookieOptions = () => {
+  const secure = process.env.NODE_ENV === "production"
+  return { httpOnly: true, secure, sameSite: secure ? "none" : "lax", path: "/api/auth" }
+}
+
+// Value of one request cookie, or null
+const readCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = pair.trim().split("=")
+    if (key === name) return value.join("=")
+  }
+  return null
+}
+
+// Redirect to the provider's consent screen
+const startOAuth = async (req, res, next, providerName) => {
+  try {
+    const provider = await getProvider(providerName)
+
+    if (!provider) {
+      return res.status(404).json({
+        status: "error",
+        message: "Sign-in provider not found",
+      })
+    }
+
+    // `link` is a token from POST /providers/:provider/link naming the account to link to
+    let linkUserId
+    if (req.query.link) {
+      const link = verifyLinkToken(req.query.link)
+
+      if (!link || link.provider !== provider.name) {
+        return redirectAuthError(res, "LINK_EXPIRED", "Account linking request expired. Please try again.")
       }
 
+      linkUserId = link.id
+    }
+
+    const strategy = await createStrategy(provider, handleOAuthProfile(provider))
+    const { state, nonce } = createOAuthState(provider.name, linkUserId)
+
+    res.cookie(OAUTH.STATE_COOKIE, nonce, { ...stateCookieOptions(), maxAge: OAUTH.STATE_EXPIRE_SECONDS * 1000 })
+    passport.authenticate(strategy, { session: false, state })(req, res, next)
+  } catch (error) {
+    console.error("OAuth start error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Unable to start sign-in with this provider",
+    })
+  }
+}
+
+// Handle the provider redirect back to us
+const finishOAuth = async (req, res, next, providerName) => {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000"
+  const redirectError = (code, message) => redirectAuthError(res, code, message)
+
+  try {
+    const provider = await getProvider(providerName)
+
+    if (!provider) {
+      return redirectError("PROVIDER_NOT_FOUND")
+    }
+
+    // Only the browser that started the round trip holds the state nonce
+    const state = req.query.state || req.body?.state
+    req.oauthState = verifyOAuthState(state, provider.name, readCookie(req, OAUTH.STATE_COOKIE))
+    res.clearCookie(OAUTH.STATE_COOKIE, stateCookieOptions())
+
+    if (!req.oauthState) {
+      return redirectError("OAUTH_STATE_INVALID", "Sign-in request expired or was started elsewhere. Please try again.")
+    }
+
+    const strategy = await createStrategy(provider, handleOAuthProfile(provider))
+
+    passport.authenticate(strategy, { session: false }, async (error, user, info) => {
       try {
-        // 3. Send Socket.IO Real-time Notification
-        const io = getSocketIO()
-        if (io) {
-          io.to(`user_${user._id}`).emit('login_notification', {
-            type: 'login_notification',
-            title: '🔐 New Login Detected',
-            message: `Login from ${loginInfo.location}`,
-            loginInfo: loginInfo,
-            timestamp: new Date().toISOString()
-          })
-          console.log(`✅ Socket notification sent to user ${user._id}`)
+        if (error || !user) {
+          if (error) console.error(`${provider.displayName} OAuth callback error:`, error)
+          return redirectError(info?.code || "OAUTH_FAILED", info?.message)
+        }
+
+        // Linking from account settings - the user is already signed in there
+        if (info?.linked) {
+          return res.redirect(`${clientUrl}/account/connections?linked=${provider.name}`)
         }
-      } catch (socketError) {
-        console.error("Failed to send socket notification:", socketError)
+
+        if (!user.isActive) {
+          return redirectError("ACCOUNT_DEACTIVATED", "Account is deactivated")
+        }
+
+        // Accounts with 2FA finish signing in on the frontend's 2FA page
+        if (user.twoFactor?.enabled) {
+          const challengeToken = createChallengeToken(user, provider.name)
+          return res.redirect(`${clientUrl}/auth/2fa?challengeToken=${challengeToken}`)
+        }
+
+        // Update last login
+        user.lastLogin = new Date()
+        await user.save()
+
+        // Create session and issue access/refresh tokens
+        const { token, refreshToken } = await issueAuthTokens(user, req, provider.name)
+
+        // Redirect to frontend with tokens
+        res.redirect(`${clientUrl}/auth/callback?token=${token}&refreshToken=${encodeURIComponent(refreshToken)}`)
+      } catch (callbackError) {
+        console.error(`${provider.displayName} OAuth callback error:`, callbackError)
+        redirectError("OAUTH_FAILED")
       }
+    })(req, res, next)
+  } catch (error) {
+    console.error("OAuth callback error:", error)
+    redirectError("OAUTH_FAILED")
+  }
+}
+
+// @desc    List sign-in providers (and, when signed in, the ones linked to the account)
+// @route   GET /api/auth/providers
+// @access  Public
+router.get("/providers", optionalAuth, async (req, res) => {
+  try {
+    const providers = await listProviders()
+    const data = { providers }
+
+    if (req.user) {
+      const user = await User.findById(req.user._id).select("+password")
+      data.linked = getLinkedProviders(user)
+      data.hasPassword = !!user.password
+    }
+
+    res.json({
+      status: "success",
+      data,
     })
+  } catch (error) {
+    console.error("List providers error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to load sign-in providers",
+    })
+  }
+})
+
+// @desc    Start linking a provider to the signed-in account
+// @route   POST /api/auth/providers/:provider/link
+// @access  Private
+router.post("/providers/:provider/link", authenticate, async (req, res) => {
+  try {
+    const provider = await getProvider(req.params.provider)
+
+    if (!provider) {
+      return res.status(404).json({
+        status: "error",
+        message: "Sign-in provider not found",
+      })
+    }
+
+    if (getLinkedProviders(req.user).some((identity) => identity.provider === provider.name)) {
+      return res.status(409).json({
+        status: "error",
+        message: `${provider.displayName} is already linked to your account`,
+      })
+    }
+
+    // The frontend sends the browser here; the token identifies the account on return
+    const linkToken = createLinkToken(req.user, provider.name)
 
     res.json({
       status: "success",
-      message: "Login successful",
       data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          profile: user.profile,
-          role: user.role,
-          emailVerified: user.emailVerified,
-        },
-        token,
+        url: `/api/auth/oauth/${provider.name}?link=${linkToken}`,
       },
     })
   } catch (error) {
-    console.error("Login error:", error)
+    console.error("Link provider error:", error)
     res.status(500).json({
       status: "error",
-      message: "Login failed",
+      message: "Failed to start linking provider",
+    })
+  }
+})
+
+// @desc    Unlink a provider from the signed-in account
+// @route   DELETE /api/auth/providers/:provider
+// @access  Private
+router.delete("/providers/:provider", authenticate, async (req, res) => {
+  try {
+    const result = await unlinkProvider(req.user._id, req.params.provider)
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: "error",
+        message: result.error,
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: "Provider unlinked successfully",
+      data: { linked: result.providers },
+    })
+  } catch (error) {
+    console.error("Unlink provider error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to unlink provider",
     })
   }
 })
 
-// @desc    Google OAuth
+// @desc    Google OAuth (kept at its original path; same as /oauth/google)
 // @route   GET /api/auth/google
 // @access  Public
-router.get(
-  "/google",
-  passport.authenticate("google", {
-    scope: ["profile", "email"],
-  }),
-)
+router.get("/google", (req, res, next) => startOAuth(req, res, next, "google"))
 
 // @desc    Google OAuth callback
 // @route   GET /api/auth/google/callback
 // @access  Public
-router.get("/google/callback", passport.authenticate("google", { session: false }), async (req, res) => {
-  try {
-    // Update last login
-    req.user.lastLogin = new Date()
-    await req.user.save()
+router.get("/google/callback", (req, res, next) => finishOAuth(req, res, next, "google"))
 
-    // Generate token
-    const token = generateToken(req.user._id)
+// @desc    Sign in with an OAuth/OIDC provider (Apple, Facebook, GitHub, OIDC issuers)
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+router.get("/oauth/:provider", (req, res, next) => startOAuth(req, res, next, req.params.provider))
 
-    // Redirect to frontend with token
-    const clientUrl = process.env.CLIENT_URL || "http://localhost:3000"
-    res.redirect(`${clientUrl}/auth/callback?token=${token}`)
-  } catch (error) {
-    console.error("Google OAuth callback error:", error)
-    const clientUrl = process.env.CLIENT_URL || "http://localhost:3000"
-    res.redirect(`${clientUrl}/auth/error`)
-  }
-})
+// @desc    OAuth/OIDC provider callback (Apple posts the result back)
+// @route   GET|POST /api/auth/oauth/:provider/callback
+// @access  Public
+router.get("/oauth/:provider/callback", (req, res, next) => finishOAuth(req, res, next, req.params.provider))
+router.post("/oauth/:provider/callback", (req, res, next) => finishOAuth(req, res, next, req.params.provider))
 
 // @desc    Verify email
 // @route   GET /api/auth/verify-email/:token
@@ -426,7 +1003,7 @@ router.get("/verify-email/:token", async (req, res) => {
 // @desc    Forgot password
 // @route   POST /api/auth/forgot-password
 // @access  Public
-router.post("/forgot-password", async (req, res) => {
+router.post("/forgot-password", authLimiter, async (req, res) => {
   try {
     const { email } = req.body
 
@@ -439,6 +1016,18 @@ router.post("/forgot-password", async (req, res) => {
       })
     }
 
+    // Cap reset emails per account so the endpoint can't be used to flood an inbox
+    const resetAllowed = await checkPasswordResetAllowed(user.email)
+
+    if (!resetAllowed.allowed) {
+      res.set("Retry-After", String(resetAllowed.retryAfter))
+      return res.status(429).json({
+        status: "error",
+        message: "Too many password reset requests. Please try again later.",
+        retryAfter: resetAllowed.retryAfter,
+      })
+    }
+
     // Generate reset token
     const resetToken = crypto.randomBytes(32).toString("hex")
     user.passwordResetToken = resetToken
@@ -446,107 +1035,276 @@ router.post("/forgot-password", async (req, res) => {
 
     await user.save()
 
-    // Send password reset email
-    try {
-      await sendPasswordResetEmail(user.email, user.profile.firstName, resetToken)
-    } catch (emailError) {
-      console.error("Failed to send password reset email:", emailError)
-      user.passwordResetToken = undefined
-      user.passwordResetExpires = undefined
-      await user.save()
+    // Send password reset email
+    try {
+      await sendPasswordResetEmail(user.email, user.profile.firstName, resetToken)
+    } catch (emailError) {
+      console.error("Failed to send password reset email:", emailError)
+      user.passwordResetToken = undefined
+      user.passwordResetExpires = undefined
+      await user.save()
+
+      return res.status(500).json({
+        status: "error",
+        message: "Failed to send password reset email",
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: "Password reset email sent",
+    })
+  } catch (error) {
+    console.error("Forgot password error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to process password reset request",
+    })
+  }
+})
+
+// @desc    Reset password
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post("/reset-password/:token", authLimiter, async (req, res) => {
+  try {
+    const { token } = req.params
+    const { password } = req.body
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        status: "error",
+        message: "Password must be at least 6 characters long",
+      })
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: token,
+      passwordResetExpires: { $gt: Date.now() },
+    })
+
+    if (!user) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid or expired reset token",
+      })
+    }
+
+    user.password = password
+    user.passwordResetToken = undefined
+    user.passwordResetExpires = undefined
+    await user.save()
+
+    // Sign out every device - the old password may have been compromised
+    await revokeAllSessions(user._id, { reason: "password_reset" })
+
+    // Proving access to the email also lifts any failed-login lockout
+    await clearAccountLockout(user._id)
+
+    res.json({
+      status: "success",
+      message: "Password reset successfully",
+    })
+  } catch (error) {
+    console.error("Reset password error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Password reset failed",
+    })
+  }
+})
+
+// @desc    Unlock an account locked after failed logins
+// @route   POST /api/auth/unlock/:token
+// @access  Public
+router.post("/unlock/:token", authLimiter, async (req, res) => {
+  try {
+    const user = await unlockWithToken(req.params.token)
+
+    if (!user) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid or expired unlock token",
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: "Account unlocked. You can now log in.",
+    })
+  } catch (error) {
+    console.error("Unlock account error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to unlock account",
+    })
+  }
+})
+
+// @desc    Get current user
+// @route   GET /api/auth/me
+// @access  Private
+router.get("/me", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate("addresses")
+
+    res.json({
+      status: "success",
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          profile: user.profile,
+          role: user.role,
+          addresses: user.addresses,
+          preferences: user.preferences,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: !!user.twoFactor?.enabled,
+          permissions: await getEffectivePermissions(user),
+          deletionScheduledFor: user.deletionRequest?.scheduledFor || null,
+          createdAt: user.createdAt,
+          lastLogin: user.lastLogin,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("Get current user error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to get user information",
+    })
+  }
+})
+
+// @desc    Download a copy of the user's personal data (JSON or ZIP)
+// @route   POST /api/auth/me/export
+// @access  Private
+router.post("/me/export", authenticate, authLimiter, async (req, res) => {
+  try {
+    const format = req.body.format || req.query.format || "json"
 
-      return res.status(500).json({
+    if (!["json", "zip"].includes(format)) {
+      return res.status(400).json({
         status: "error",
-        message: "Failed to send password reset email",
+        message: "Format must be json or zip",
       })
     }
 
+    const data = await buildDataExport(req.user._id)
+    const filename = `account-data-${req.user._id}-${new Date().toISOString().slice(0, 10)}`
+
+    if (format === "zip") {
+      res.attachment(`${filename}.zip`)
+      res.type("application/zip")
+      return await writeDataExportZip(data, res)
+    }
+
+    res.attachment(`${filename}.json`)
     res.json({
       status: "success",
-      message: "Password reset email sent",
+      data,
     })
   } catch (error) {
-    console.error("Forgot password error:", error)
+    console.error("Data export error:", error)
+    if (res.headersSent) return res.end()
     res.status(500).json({
       status: "error",
-      message: "Failed to process password reset request",
+      message: "Failed to export account data",
     })
   }
 })
 
-// @desc    Reset password
-// @route   POST /api/auth/reset-password/:token
-// @access  Public
-router.post("/reset-password/:token", async (req, res) => {
+// @desc    Request account deletion (carried out after a grace period)
+// @route   DELETE /api/auth/me
+// @access  Private
+router.delete("/me", authenticate, async (req, res) => {
   try {
-    const { token } = req.params
-    const { password } = req.body
+    const { password, reason } = req.body
+    const user = await User.findById(req.user._id).select("+password")
 
-    if (!password || password.length < 6) {
-      return res.status(400).json({
+    // Staff/admin accounts hold permissions and are offboarded by an administrator
+    if ((await getEffectivePermissions(user)).length > 0) {
+      return res.status(403).json({
         status: "error",
-        message: "Password must be at least 6 characters long",
+        message: "Staff and admin accounts must be removed by an administrator",
       })
     }
 
-    const user = await User.findOne({
-      passwordResetToken: token,
-      passwordResetExpires: { $gt: Date.now() },
-    })
+    // Re-confirm the password for accounts that have one
+    if (user.password && !(password && (await user.comparePassword(password)))) {
+      return res.status(401).json({
+        status: "error",
+        message: "Password is incorrect",
+      })
+    }
 
-    if (!user) {
-      return res.status(400).json({
+    // Accounts without a password (social or magic link sign-in) must have signed in just now instead
+    const recentSignInMs = ACCOUNT_DELETION.RECENT_SIGN_IN_MINUTES * 60 * 1000
+    if (!user.password && !(await isRecentSignIn(req.sessionId, user._id, recentSignInMs))) {
+      return res.status(401).json({
         status: "error",
-        message: "Invalid or expired reset token",
+        code: "REAUTHENTICATION_REQUIRED",
+        message: "Please sign in again to confirm account deletion",
       })
     }
 
-    user.password = password
-    user.passwordResetToken = undefined
-    user.passwordResetExpires = undefined
-    await user.save()
+    if (user.deletionRequest?.scheduledFor) {
+      return res.status(409).json({
+        status: "error",
+        message: "Account deletion has already been requested",
+        data: { scheduledFor: user.deletionRequest.scheduledFor },
+      })
+    }
+
+    const deletionRequest = await requestAccountDeletion(user, reason)
+
+    try {
+      await sendAccountDeletionScheduledEmail(user.email, user.profile.firstName, deletionRequest.scheduledFor)
+    } catch (emailError) {
+      console.error("Failed to send account deletion email:", emailError)
+    }
 
     res.json({
       status: "success",
-      message: "Password reset successfully",
+      message: `Your account will be deleted on ${deletionRequest.scheduledFor.toDateString()}. You can cancel until then.`,
+      data: {
+        requestedAt: deletionRequest.requestedAt,
+        scheduledFor: deletionRequest.scheduledFor,
+      },
     })
   } catch (error) {
-    console.error("Reset password error:", error)
+    console.error("Account deletion request error:", error)
     res.status(500).json({
       status: "error",
-      message: "Password reset failed",
+      message: "Failed to request account deletion",
     })
   }
 })
 
-// @desc    Get current user
-// @route   GET /api/auth/me
+// @desc    Cancel a pending account deletion
+// @route   POST /api/auth/me/deletion/cancel
 // @access  Private
-router.get("/me", authenticate, async (req, res) => {
+router.post("/me/deletion/cancel", authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate("addresses")
+    const user = await User.findById(req.user._id)
+    const cancelled = await cancelAccountDeletion(user)
+
+    if (!cancelled) {
+      return res.status(404).json({
+        status: "error",
+        message: "No pending account deletion",
+      })
+    }
 
     res.json({
       status: "success",
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          profile: user.profile,
-          role: user.role,
-          addresses: user.addresses,
-          preferences: user.preferences,
-          emailVerified: user.emailVerified,
-          createdAt: user.createdAt,
-          lastLogin: user.lastLogin,
-        },
-      },
+      message: "Account deletion cancelled",
     })
   } catch (error) {
-    console.error("Get current user error:", error)
+    console.error("Cancel account deletion error:", error)
     res.status(500).json({
       status: "error",
-      message: "Failed to get user information",
+      message: "Failed to cancel account deletion",
     })
   }
 })
@@ -630,6 +1388,9 @@ router.put("/change-password", authenticate, async (req, res) => {
     user.password = newPassword
     await user.save()
 
+    // Keep the current device signed in, sign out everywhere else
+    await revokeAllSessions(user._id, { exceptSessionId: req.sessionId, reason: "password_reset" })
+
     res.json({
       status: "success",
       message: "Password changed successfully",
@@ -872,14 +1633,268 @@ router.delete("/push-subscription", authenticate, async (req, res) => {
   }
 })
 
-// @desc    Logout (client-side token invalidation)
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post("/2fa/setup", authenticate, async (req, res) => {
+  try {
+    const result = await startEnrollment(req.user._id)
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: "error",
+        message: result.error,
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: "Scan the QR code with your authenticator app, then verify a code to finish setup",
+      data: {
+        secret: result.secret,
+        otpauthUri: result.otpauthUri,
+        qrPayload: result.qrPayload,
+      },
+    })
+  } catch (error) {
+    console.error("Two-factor setup error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to start two-factor setup",
+    })
+  }
+})
+
+// @desc    Verify first code and enable two-factor authentication
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+router.post("/2fa/verify", authenticate, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    if (!code) {
+      return res.status(400).json({
+        status: "error",
+        message: "Verification code is required",
+      })
+    }
+
+    const result = await confirmEnrollment(req.user._id, code)
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: "error",
+        message: result.error,
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.",
+      data: {
+        recoveryCodes: result.recoveryCodes,
+      },
+    })
+  } catch (error) {
+    console.error("Two-factor verify error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to enable two-factor authentication",
+    })
+  }
+})
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post("/2fa/recovery-codes", authenticate, async (req, res) => {
+  try {
+    const verification = await verifySecondFactor(req.user._id, { code: req.body.code })
+
+    if (!verification.success) {
+      return res.status(400).json({
+        status: "error",
+        message: verification.error,
+      })
+    }
+
+    const result = await regenerateRecoveryCodes(req.user._id)
+
+    res.json({
+      status: "success",
+      message: "Recovery codes regenerated. Previous codes no longer work.",
+      data: {
+        recoveryCodes: result.recoveryCodes,
+      },
+    })
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to regenerate recovery codes",
+    })
+  }
+})
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post("/2fa/disable", authenticate, async (req, res) => {
+  try {
+    const { password, code } = req.body
+
+    if (await isTwoFactorRequiredForRole(req.user.role)) {
+      return res.status(403).json({
+        status: "error",
+        message: "Two-factor authentication is required for your role and cannot be disabled",
+      })
+    }
+
+    const user = await User.findById(req.user._id).select("+password")
+
+    // Password accounts must re-confirm their password
+    if (user.password && !(password && (await user.comparePassword(password)))) {
+      return res.status(400).json({
+        status: "error",
+        message: "Password is incorrect",
+      })
+    }
+
+    const verification = await verifySecondFactor(req.user._id, { code })
+
+    if (!verification.success) {
+      return res.status(400).json({
+        status: "error",
+        message: verification.error,
+      })
+    }
+
+    await disableTwoFactor(req.user._id)
+
+    res.json({
+      status: "success",
+      message: "Two-factor authentication disabled",
+    })
+  } catch (error) {
+    console.error("Disable two-factor error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to disable two-factor authentication",
+    })
+  }
+})
+
+// @desc    Refresh access token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: "error",
+        message: "Refresh token is required",
+      })
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req)
+
+    if (!result.success) {
+      return res.status(401).json({
+        status: "error",
+        message: result.error,
+        ...(result.code && { code: result.code }),
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: "Token refreshed successfully",
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn,
+      },
+    })
+  } catch (error) {
+    console.error("Refresh token error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to refresh token",
+    })
+  }
+})
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id)
+
+    res.json({
+      status: "success",
+      data: {
+        sessions: sessions.map((session) => session.toPublicJSON(req.sessionId)),
+      },
+    })
+  } catch (error) {
+    console.error("List sessions error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to fetch sessions",
+    })
+  }
+})
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete("/sessions/:id", authenticate, async (req, res) => {
+  try {
+    const session = await revokeSession(req.params.id, req.user._id, "user_revoked")
+
+    if (!session) {
+      return res.status(404).json({
+        status: "error",
+        message: "Session not found",
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: "Session revoked successfully",
+    })
+  } catch (error) {
+    console.error("Revoke session error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to revoke session",
+    })
+  }
+})
+
+// @desc    Logout (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
-router.post("/logout", authenticate, (req, res) => {
-  res.json({
-    status: "success",
-    message: "Logged out successfully",
-  })
+router.post("/logout", authenticate, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, req.user._id, "logout")
+    }
+
+    res.json({
+      status: "success",
+      message: "Logged out successfully",
+    })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Logout failed",
+    })
+  }
 })
 
 module.exports = router
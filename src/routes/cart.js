@@ -1,25 +1,30 @@
 const express = require("express")
 const Cart = require("../models/Cart")
 const Product = require("../models/Product")
-const { authenticate } = require("../middleware/auth")
+const { authenticate, optionalAuth, identifyCart } = require("../middleware/auth")
 const { validateObjectId } = require("../middleware/validation")
 const { emitCartUpdates, trackUserActivity } = require("../middleware/realtime")
+const { verifyCartToken } = require("../services/guestCheckoutService")
+const { mergeGuestCart } = require("../services/cartService")
+const { holdCart } = require("../services/reservationService")
+const { GUEST_CHECKOUT } = require("../utils/constants")
 
 const router = express.Router()
 
-// @desc    Get user's cart
+// @desc    Get user's or guest's cart
 // @route   GET /api/cart
-// @access  Private
-router.get("/", authenticate, async (req, res) => {
+// @access  Public (guests are issued a cart token)
+router.get("/", optionalAuth, identifyCart({ issueToken: true }), async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user._id }).populate({
+    let cart = await Cart.findOne(req.cartOwner).populate({
       path: "items.product",
-      select: "name brand images slug isActive variants",
+      select: "name brand images slug isActive status launchDate discontinuedDate variants",
     })
 
     if (!cart) {
-      cart = new Cart({ user: req.user._id, items: [] })
-      await cart.save()
+      cart = new Cart({ ...req.cartOwner, items: [] })
+      // Guest carts are only stored once something is added
+      if (req.user) await cart.save()
     }
 
     // Filter out inactive products and validate variants
@@ -27,13 +32,13 @@ router.get("/", authenticate, async (req, res) => {
     let cartUpdated = false
 
     for (const item of cart.items) {
-      if (!item.product || !item.product.isActive) {
+      if (!item.product || !item.product.isListed()) {
         cartUpdated = true
         continue
       }
 
       // Check if variant still exists and is active
-      const variant = item.product.getVariant(item.variant.size, item.variant.color)
+      const variant = item.product.findVariant({ sku: item.variant.sku })
       if (!variant || !variant.isActive) {
         cartUpdated = true
         continue
@@ -45,9 +50,10 @@ router.get("/", authenticate, async (req, res) => {
         cartUpdated = true
       }
 
-      // Adjust quantity if stock is insufficient
-      if (item.quantity > variant.stock) {
-        item.quantity = variant.stock
+      // Adjust quantity if it can no longer be ordered (stock plus any backorder or pre-order cap)
+      const orderable = item.product.getOrderableQuantity(variant)
+      if (item.quantity > orderable) {
+        item.quantity = Math.max(orderable, 0)
         cartUpdated = true
       }
 
@@ -78,15 +84,16 @@ router.get("/", authenticate, async (req, res) => {
 
 // @desc    Add item to cart
 // @route   POST /api/cart/items
-// @access  Private
-router.post("/items", authenticate, trackUserActivity('cart_add_item'), emitCartUpdates('item_added'), async (req, res) => {
+// @access  Public (guests are issued a cart token)
+router.post("/items", optionalAuth, identifyCart({ issueToken: true }), trackUserActivity('cart_add_item'), emitCartUpdates('item_added'), async (req, res) => {
   try {
-    const { productId, size, color, quantity = 1 } = req.body
+    // A variant is chosen by SKU, or by size and color plus any options (e.g. { width: "wide" })
+    const { productId, sku, size, color, options, quantity = 1 } = req.body
 
-    if (!productId || !size || !color) {
+    if (!productId || (!sku && (!size || !color))) {
       return res.status(400).json({
         status: "error",
-        message: "Product ID, size, and color are required",
+        message: "Product ID and either a SKU or size and color are required",
       })
     }
 
@@ -100,14 +107,14 @@ router.post("/items", authenticate, trackUserActivity('cart_add_item'), emitCart
     // Find product and validate variant
     const product = await Product.findById(productId)
 
-    if (!product || !product.isActive) {
+    if (!product || !product.isListed()) {
       return res.status(404).json({
         status: "error",
         message: "Product not found",
       })
     }
 
-    const variant = product.getVariant(size, color)
+    const variant = product.findVariant({ sku, size, color, options })
 
     if (!variant || !variant.isActive) {
       return res.status(400).json({
@@ -116,34 +123,36 @@ router.post("/items", authenticate, trackUserActivity('cart_add_item'), emitCart
       })
     }
 
-    if (variant.stock < quantity) {
+    // Variants that can be backordered or pre-ordered can be added beyond their stock
+    const orderable = product.getOrderableQuantity(variant)
+
+    if (orderable < quantity) {
       return res.status(400).json({
         status: "error",
-        message: `Only ${variant.stock} items available in stock`,
+        message: `Only ${orderable} items available`,
       })
     }
 
     // Find or create cart
-    let cart = await Cart.findOne({ user: req.user._id })
+    let cart = await Cart.findOne(req.cartOwner)
 
     if (!cart) {
-      cart = new Cart({ user: req.user._id, items: [] })
+      cart = new Cart({ ...req.cartOwner, items: [] })
     }
 
     // Check if item already exists in cart
     const existingItemIndex = cart.items.findIndex(
-      (item) =>
-        item.product.toString() === productId.toString() && item.variant.size === size && item.variant.color === color,
+      (item) => item.product.toString() === productId.toString() && item.variant.sku === variant.sku,
     )
 
     if (existingItemIndex > -1) {
       // Update existing item
       const newQuantity = cart.items[existingItemIndex].quantity + quantity
 
-      if (newQuantity > variant.stock) {
+      if (newQuantity > orderable) {
         return res.status(400).json({
           status: "error",
-          message: `Cannot add ${quantity} more items. Only ${variant.stock - cart.items[existingItemIndex].quantity} more available`,
+          message: `Cannot add ${quantity} more items. Only ${orderable - cart.items[existingItemIndex].quantity} more available`,
         })
       }
 
@@ -154,9 +163,10 @@ router.post("/items", authenticate, trackUserActivity('cart_add_item'), emitCart
       cart.items.push({
         product: productId,
         variant: {
-          size,
-          color,
+          size: variant.size,
+          color: variant.color,
           sku: variant.sku,
+          options: variant.options,
           price: variant.price,
         },
         quantity,
@@ -189,8 +199,8 @@ router.post("/items", authenticate, trackUserActivity('cart_add_item'), emitCart
 
 // @desc    Update cart item quantity
 // @route   PUT /api/cart/items/:itemId
-// @access  Private
-router.put("/items/:itemId", authenticate, trackUserActivity('cart_update_item'), emitCartUpdates('item_updated'), async (req, res) => {
+// @access  Public (user or cart token)
+router.put("/items/:itemId", optionalAuth, identifyCart(), trackUserActivity('cart_update_item'), emitCartUpdates('item_updated'), async (req, res) => {
   try {
     const { itemId } = req.params
     const { quantity } = req.body
@@ -202,7 +212,7 @@ router.put("/items/:itemId", authenticate, trackUserActivity('cart_update_item')
       })
     }
 
-    const cart = await Cart.findOne({ user: req.user._id })
+    const cart = await Cart.findOne(req.cartOwner)
 
     if (!cart) {
       return res.status(404).json({
@@ -226,12 +236,14 @@ router.put("/items/:itemId", authenticate, trackUserActivity('cart_update_item')
     } else {
       // Validate stock availability
       const product = await Product.findById(item.product)
-      const variant = product.getVariant(item.variant.size, item.variant.color)
+      const variant = product.findVariant({ sku: item.variant.sku })
+
+      const orderable = variant ? product.getOrderableQuantity(variant) : 0
 
-      if (!variant || variant.stock < quantity) {
+      if (orderable < quantity) {
         return res.status(400).json({
           status: "error",
-          message: `Only ${variant ? variant.stock : 0} items available in stock`,
+          message: `Only ${orderable} items available`,
         })
       }
 
@@ -265,12 +277,12 @@ router.put("/items/:itemId", authenticate, trackUserActivity('cart_update_item')
 
 // @desc    Remove item from cart
 // @route   DELETE /api/cart/items/:itemId
-// @access  Private
-router.delete("/items/:itemId", authenticate, trackUserActivity('cart_remove_item'), emitCartUpdates('item_removed'), async (req, res) => {
+// @access  Public (user or cart token)
+router.delete("/items/:itemId", optionalAuth, identifyCart(), trackUserActivity('cart_remove_item'), emitCartUpdates('item_removed'), async (req, res) => {
   try {
     const { itemId } = req.params
 
-    const cart = await Cart.findOne({ user: req.user._id })
+    const cart = await Cart.findOne(req.cartOwner)
 
     if (!cart) {
       return res.status(404).json({
@@ -315,10 +327,10 @@ router.delete("/items/:itemId", authenticate, trackUserActivity('cart_remove_ite
 
 // @desc    Clear entire cart
 // @route   DELETE /api/cart
-// @access  Private
-router.delete("/", authenticate, trackUserActivity('cart_clear'), emitCartUpdates('cart_cleared'), async (req, res) => {
+// @access  Public (user or cart token)
+router.delete("/", optionalAuth, identifyCart(), trackUserActivity('cart_clear'), emitCartUpdates('cart_cleared'), async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id })
+    const cart = await Cart.findOne(req.cartOwner)
 
     if (!cart) {
       return res.status(404).json({
@@ -348,10 +360,10 @@ router.delete("/", authenticate, trackUserActivity('cart_clear'), emitCartUpdate
 
 // @desc    Get cart summary
 // @route   GET /api/cart/summary
-// @access  Private
-router.get("/summary", authenticate, async (req, res) => {
+// @access  Public (user or cart token)
+router.get("/summary", optionalAuth, identifyCart({ required: false }), async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id })
+    const cart = req.cartOwner ? await Cart.findOne(req.cartOwner) : null
 
     if (!cart) {
       return res.json({
@@ -381,14 +393,90 @@ router.get("/summary", authenticate, async (req, res) => {
   }
 })
 
+// @desc    Merge a guest cart into the signed-in user's cart
+// @route   POST /api/cart/merge
+// @access  Private (with the guest's X-Cart-Token)
+router.post("/merge", authenticate, trackUserActivity('cart_merge'), emitCartUpdates('cart_merged'), async (req, res) => {
+  try {
+    const guestId = verifyCartToken(req.header(GUEST_CHECKOUT.CART_TOKEN_HEADER))
+
+    if (!guestId) {
+      return res.status(400).json({
+        status: "error",
+        message: "A valid guest cart token is required",
+      })
+    }
+
+    const result = await mergeGuestCart(guestId, req.user._id)
+
+    // Nothing to merge - return the account's cart as it is
+    const cart = result ? result.cart : await Cart.findOne({ user: req.user._id })
+
+    if (cart) {
+      await cart.populate({
+        path: "items.product",
+        select: "name brand images slug",
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: result ? "Guest cart merged successfully" : "No guest cart to merge",
+      data: {
+        cart,
+        mergeReport: result ? result.report : null,
+      },
+    })
+  } catch (error) {
+    console.error("Merge cart error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to merge cart",
+    })
+  }
+})
+
+// @desc    Start checkout - hold the cart's items for a limited time
+// @route   POST /api/cart/checkout
+// @access  Public (user or cart token)
+router.post("/checkout", optionalAuth, identifyCart(), trackUserActivity('cart_checkout'), async (req, res) => {
+  try {
+    // An optional { state, country } lets the holds come from the nearest location
+    const result = await holdCart(req.cartOwner, req.body?.shippingAddress)
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: "error",
+        message: result.error,
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: "Cart items reserved for checkout",
+      data: {
+        // Items sold entirely beyond stock have nothing held
+        reservations: result.reservations.filter(Boolean),
+        expiresAt: result.expiresAt,
+      },
+    })
+  } catch (error) {
+    console.error("Start checkout error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to reserve cart items",
+    })
+  }
+})
+
 // @desc    Validate cart before checkout
 // @route   POST /api/cart/validate
-// @access  Private
-router.post("/validate", authenticate, async (req, res) => {
+// @access  Public (user or cart token)
+router.post("/validate", optionalAuth, identifyCart(), async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id }).populate({
+    const cart = await Cart.findOne(req.cartOwner).populate({
       path: "items.product",
-      select: "name brand variants isActive",
+      select: "name brand variants isActive status launchDate discontinuedDate",
     })
 
     if (!cart || cart.items.length === 0) {
@@ -402,7 +490,7 @@ router.post("/validate", authenticate, async (req, res) => {
     const validItems = []
 
     for (const item of cart.items) {
-      if (!item.product || !item.product.isActive) {
+      if (!item.product || !item.product.isListed()) {
         issues.push({
           itemId: item._id,
           issue: "Product is no longer available",
@@ -411,7 +499,7 @@ router.post("/validate", authenticate, async (req, res) => {
         continue
       }
 
-      const variant = item.product.getVariant(item.variant.size, item.variant.color)
+      const variant = item.product.findVariant({ sku: item.variant.sku })
 
       if (!variant || !variant.isActive) {
         issues.push({
@@ -422,16 +510,18 @@ router.post("/validate", authenticate, async (req, res) => {
         continue
       }
 
-      if (variant.stock < item.quantity) {
+      const orderable = item.product.getOrderableQuantity(variant)
+
+      if (orderable < item.quantity) {
         issues.push({
           itemId: item._id,
-          issue: `Only ${variant.stock} items available, but ${item.quantity} requested`,
+          issue: `Only ${orderable} items available, but ${item.quantity} requested`,
           action: "reduce_quantity",
-          maxQuantity: variant.stock,
+          maxQuantity: orderable,
         })
 
-        if (variant.stock > 0) {
-          item.quantity = variant.stock
+        if (orderable > 0) {
+          item.quantity = orderable
           validItems.push(item)
         }
       } else {
@@ -1,8 +1,7 @@
 const express = require("express")
 const Coupon = require("../models/Coupon")
 const Product = require("../models/Product")
-const { authenticate } = require("../middleware/auth")
-const { isStaffOrAdmin, isAdmin } = require("../middleware/roles")
+const { authenticate, requirePermission } = require("../middleware/auth")
 const { validateCoupon, validatePagination, validateObjectId } = require("../middleware/validation")
 const { getPaginationInfo } = require("../utils/helpers")
 
@@ -137,7 +136,7 @@ router.post("/validate", authenticate, async (req, res) => {
 // @desc    Get all coupons (Admin/Staff)
 // @route   GET /api/coupons
 // @access  Private (Staff/Admin)
-router.get("/", authenticate, isStaffOrAdmin, validatePagination, async (req, res) => {
+router.get("/", authenticate, requirePermission("flash_sales:read"), validatePagination, async (req, res) => {
   try {
     const { page = 1, limit = 20, status, search } = req.query
 
@@ -189,7 +188,7 @@ router.get("/", authenticate, isStaffOrAdmin, validatePagination, async (req, re
 // @desc    Get single coupon
 // @route   GET /api/coupons/:id
 // @access  Private (Staff/Admin)
-router.get("/:id", authenticate, isStaffOrAdmin, validateObjectId, async (req, res) => {
+router.get("/:id", authenticate, requirePermission("flash_sales:read"), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -223,7 +222,7 @@ router.get("/:id", authenticate, isStaffOrAdmin, validateObjectId, async (req, r
 // @desc    Create new coupon
 // @route   POST /api/coupons
 // @access  Private (Admin)
-router.post("/", authenticate, isAdmin, validateCoupon, async (req, res) => {
+router.post("/", authenticate, requirePermission("flash_sales:manage"), validateCoupon, async (req, res) => {
   try {
     const {
       code,
@@ -300,7 +299,7 @@ router.post("/", authenticate, isAdmin, validateCoupon, async (req, res) => {
 // @desc    Update coupon
 // @route   PUT /api/coupons/:id
 // @access  Private (Admin)
-router.put("/:id", authenticate, isAdmin, validateObjectId, async (req, res) => {
+router.put("/:id", authenticate, requirePermission("flash_sales:manage"), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params
     const updateData = { ...req.body }
@@ -362,7 +361,7 @@ router.put("/:id", authenticate, isAdmin, validateObjectId, async (req, res) =>
 // @desc    Delete coupon
 // @route   DELETE /api/coupons/:id
 // @access  Private (Admin)
-router.delete("/:id", authenticate, isAdmin, validateObjectId, async (req, res) => {
+router.delete("/:id", authenticate, requirePermission("flash_sales:manage"), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -405,7 +404,7 @@ router.delete("/:id", authenticate, isAdmin, validateObjectId, async (req, res)
 // @desc    Get coupon usage statistics
 // @route   GET /api/coupons/:id/stats
 // @access  Private (Admin)
-router.get("/:id/stats", authenticate, isAdmin, validateObjectId, async (req, res) => {
+router.get("/:id/stats", authenticate, requirePermission("flash_sales:manage"), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params
 
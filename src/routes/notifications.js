@@ -1,8 +1,7 @@
 const express = require("express")
 const webpush = require("web-push")
 const User = require("../models/User")
-const { authenticate } = require("../middleware/auth")
-const { isStaffOrAdmin } = require("../middleware/roles")
+const { authenticate, requirePermission } = require("../middleware/auth")
 const { sendBulkEmail } = require("../services/emailService")
 
 const router = express.Router()
@@ -118,7 +117,7 @@ router.post("/test-push", authenticate, async (req, res) => {
 // @desc    Send bulk push notification (Admin)
 // @route   POST /api/notifications/bulk-push
 // @access  Private (Admin)
-router.post("/bulk-push", authenticate, isStaffOrAdmin, async (req, res) => {
+router.post("/bulk-push", authenticate, requirePermission("notifications:send"), async (req, res) => {
   try {
     const { title, body, url, userIds, userRoles, icon, badge } = req.body
 
@@ -193,7 +192,7 @@ router.post("/bulk-push", authenticate, isStaffOrAdmin, async (req, res) => {
 // @desc    Send bulk email notification (Admin)
 // @route   POST /api/notifications/bulk-email
 // @access  Private (Admin)
-router.post("/bulk-email", authenticate, isStaffOrAdmin, async (req, res) => {
+router.post("/bulk-email", authenticate, requirePermission("notifications:send"), async (req, res) => {
   try {
     const { subject, htmlContent, textContent, userIds, userRoles, templateType } = req.body
 
@@ -321,7 +320,7 @@ router.get("/vapid-public-key", (req, res) => {
 // @desc    Send flash sale notification
 // @route   POST /api/notifications/flash-sale
 // @access  Private (Admin)
-router.post("/flash-sale", authenticate, isStaffOrAdmin, async (req, res) => {
+router.post("/flash-sale", authenticate, requirePermission("notifications:send"), async (req, res) => {
   try {
     const { flashSaleId, customMessage } = req.body
 
@@ -1,29 +1,48 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const Order = require("../models/Order")
 const Cart = require("../models/Cart")
 const Product = require("../models/Product")
 const User = require("../models/User")
-const { authenticate } = require("../middleware/auth")
-const { isStaffOrAdmin } = require("../middleware/roles")
+const { authenticate, optionalAuth, identifyCart, requirePermission } = require("../middleware/auth")
 const { validateOrder, validatePagination, validateObjectId } = require("../middleware/validation")
-const { reserveStock, releaseStock } = require("../services/inventoryService")
+const { authLimiter } = require("../middleware/rateLimiter")
+const { reserveForOrder, releaseOrderHolds, releaseOrderStock } = require("../services/reservationService")
+const { takeBackorderCap, releaseBackorderCap, prepareShipment } = require("../services/backorderService")
+const { voidAuthorizedPayment } = require("../services/paymentService")
 const { sendOrderConfirmationEmail } = require("../services/emailService")
 const { calculateShippingCost, calculateTax, getPaginationInfo } = require("../utils/helpers")
 const { emitOrderStatusUpdate, emitNewOrderNotification } = require("../services/socketService")
+const { hasPermission } = require("../services/permissionService")
+const {
+  createOrderAccessToken,
+  findGuestOrder,
+  findClaimableOrders,
+  claimGuestOrders,
+} = require("../services/guestCheckoutService")
+const { attributeOrder } = require("../services/searchAnalyticsService")
+const { INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
 
 const router = express.Router()
 
 // @desc    Create new order
 // @route   POST /api/orders
-// @access  Private
-router.post("/", authenticate, validateOrder, async (req, res) => {
+// @access  Public (guests must give a contact email)
+router.post("/", optionalAuth, identifyCart({ required: false }), validateOrder, async (req, res) => {
   try {
-    const { items, shippingAddress, shippingMethod = "standard", customerNotes, isGift, giftMessage } = req.body
+    const { items, email, shippingAddress, shippingMethod = "standard", customerNotes, isGift, giftMessage } = req.body
+
+    if (!req.user && !email) {
+      return res.status(400).json({
+        status: "error",
+        message: "Contact email is required for guest checkout",
+      })
+    }
 
     // Validate user has items in cart or items are provided
     let orderItems = items
     if (!orderItems || orderItems.length === 0) {
-      const cart = await Cart.findOne({ user: req.user._id }).populate("items.product")
+      const cart = req.cartOwner ? await Cart.findOne(req.cartOwner).populate("items.product") : null
       if (!cart || cart.items.length === 0) {
         return res.status(400).json({
           status: "error",
@@ -35,31 +54,25 @@ router.post("/", authenticate, validateOrder, async (req, res) => {
 
     // Validate and prepare order items
     const processedItems = []
+    const backorderTerms = []
     let subtotal = 0
 
     for (const item of orderItems) {
       const product = await Product.findById(item.product._id || item.product)
 
-      if (!product || !product.isActive) {
+      if (!product || !product.isListed()) {
         return res.status(400).json({
           status: "error",
           message: `Product ${item.product.name || item.product} is not available`,
         })
       }
 
-      const variant = product.getVariant(item.variant.size, item.variant.color)
+      const variant = product.findVariant(item.variant)
 
       if (!variant || !variant.isActive) {
         return res.status(400).json({
           status: "error",
-          message: `Variant ${item.variant.size} ${item.variant.color} is not available`,
-        })
-      }
-
-      if (variant.stock < item.quantity) {
-        return res.status(400).json({
-          status: "error",
-          message: `Only ${variant.stock} items available for ${product.name} - ${item.variant.color} (Size ${item.variant.size})`,
+          message: `Variant ${item.variant.sku || `${item.variant.size} ${item.variant.color}`} is not available`,
         })
       }
 
@@ -73,14 +86,16 @@ router.post("/", authenticate, validateOrder, async (req, res) => {
           image: product.images.find((img) => img.isPrimary)?.url || product.images[0]?.url,
         },
         variant: {
-          size: item.variant.size,
-          color: item.variant.color,
+          size: variant.size,
+          color: variant.color,
           sku: variant.sku,
+          options: variant.options,
         },
         quantity: item.quantity,
         price: variant.price,
         totalPrice: itemTotal,
       })
+      backorderTerms.push(product.getBackorderTerms(variant))
 
       subtotal += itemTotal
     }
@@ -90,8 +105,10 @@ router.post("/", authenticate, validateOrder, async (req, res) => {
     const tax = calculateTax(subtotal)
     const totalAmount = subtotal + shippingCost + tax
 
-    // Reserve stock
-    const stockReservation = await reserveStock(processedItems)
+    // Hold stock until the order is paid, reusing any holds from checkout start.
+    // This is the stock check: it is atomic, so parallel orders can't oversell.
+    const orderId = new mongoose.Types.ObjectId()
+    const stockReservation = await reserveForOrder(orderId, processedItems, req.cartOwner, shippingAddress)
     if (!stockReservation.success) {
       return res.status(400).json({
         status: "error",
@@ -99,6 +116,30 @@ router.post("/", authenticate, validateOrder, async (req, res) => {
       })
     }
 
+    // Record which locations will ship each item (holds follow the item order).
+    // Whatever couldn't be held from stock is backordered or pre-ordered.
+    processedItems.forEach((item, index) => {
+      const reservation = stockReservation.reservations[index]
+      const terms = backorderTerms[index]
+      const owed = item.quantity - (reservation ? reservation.quantity : 0)
+
+      item.allocations = reservation ? reservation.allocations : []
+
+      if (owed > 0 || terms?.type === "preorder") {
+        item.fulfillment = terms ? terms.type : "backorder"
+        item.backorder = { quantity: owed, awaiting: owed, expectedShipDate: terms?.expectedShipDate }
+      }
+    })
+
+    const backorders = await takeBackorderCap(processedItems)
+    if (!backorders.success) {
+      await releaseOrderHolds(orderId, "order_failed")
+      return res.status(400).json({
+        status: "error",
+        message: backorders.error,
+      })
+    }
+
     try {
       // Generate order number explicitly to ensure it's set
       const timestamp = Date.now().toString()
@@ -107,8 +148,10 @@ router.post("/", authenticate, validateOrder, async (req, res) => {
 
       // Create order
       const order = new Order({
+        _id: orderId,
         orderNumber,
-        user: req.user._id,
+        user: req.user?._id,
+        guestEmail: req.user ? undefined : email,
         items: processedItems,
         subtotal,
         tax,
@@ -127,14 +170,23 @@ router.post("/", authenticate, validateOrder, async (req, res) => {
 
       await order.save()
 
+      // Credit the order to the searches its products were found through (reported once paid)
+      await attributeOrder(order, req.cartOwner)
+
       // Clear user's cart if items came from cart
       if (!items) {
-        await Cart.findOneAndUpdate({ user: req.user._id }, { items: [] })
+        await Cart.findOneAndUpdate(req.cartOwner, { items: [] })
+      }
+
+      // Guests get the confirmation at their contact email, addressed by shipping name
+      const customer = req.user || {
+        email: order.guestEmail,
+        profile: { firstName: order.shippingAddress.firstName, lastName: order.shippingAddress.lastName },
       }
 
       // Send order confirmation email
       try {
-        await sendOrderConfirmationEmail(order, req.user)
+        await sendOrderConfirmationEmail(order, customer)
       } catch (emailError) {
         console.error("Failed to send order confirmation email:", emailError)
       }
@@ -143,32 +195,30 @@ router.post("/", authenticate, validateOrder, async (req, res) => {
       emitNewOrderNotification({
         orderId: order._id,
         orderNumber: order.orderNumber,
-        customerName: `${req.user.profile.firstName} ${req.user.profile.lastName}`,
+        customerName: `${customer.profile.firstName} ${customer.profile.lastName}`,
         totalAmount: order.totalAmount,
         itemCount: order.items.length,
       })
 
       // Populate order for response
-      await order.populate("user", "profile email")
+      if (req.user) await order.populate("user", "profile email")
 
       res.status(201).json({
         status: "success",
         message: "Order created successfully",
         data: {
           order,
+          reservation: {
+            expiresAt: stockReservation.expiresAt,
+          },
+          // Guests pay for the order with this (X-Order-Token header)
+          orderToken: req.user ? undefined : createOrderAccessToken(order),
         },
       })
     } catch (orderError) {
       // Release reserved stock if order creation fails
-      const stockItems = stockReservation.reservations.map((r) => ({
-        product: r.product,
-        variant: {
-          size: r.size,
-          color: r.color,
-        },
-        quantity: r.quantity,
-      }))
-      await releaseStock(stockItems)
+      await releaseOrderHolds(orderId, "order_failed")
+      await releaseBackorderCap(processedItems)
       throw orderError
     }
   } catch (error) {
@@ -218,6 +268,100 @@ router.get("/", authenticate, validatePagination, async (req, res) => {
   }
 })
 
+// @desc    Look up a guest order by order number and contact email
+// @route   POST /api/orders/lookup
+// @access  Public
+router.post("/lookup", authLimiter, async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body
+
+    if (!orderNumber || !email) {
+      return res.status(400).json({
+        status: "error",
+        message: "Order number and email are required",
+      })
+    }
+
+    const order = await findGuestOrder(orderNumber, email)
+
+    // Same response whether the order number or the email was wrong
+    if (!order) {
+      return res.status(404).json({
+        status: "error",
+        message: "No order found with that order number and email",
+      })
+    }
+
+    res.json({
+      status: "success",
+      data: {
+        order,
+        orderToken: createOrderAccessToken(order),
+      },
+    })
+  } catch (error) {
+    console.error("Order lookup error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to look up order",
+    })
+  }
+})
+
+// @desc    List guest orders placed with the user's email
+// @route   GET /api/orders/claimable
+// @access  Private
+router.get("/claimable", authenticate, async (req, res) => {
+  try {
+    const orders = await findClaimableOrders(req.user)
+
+    res.json({
+      status: "success",
+      data: {
+        orders,
+        emailVerified: req.user.emailVerified,
+      },
+    })
+  } catch (error) {
+    console.error("Get claimable orders error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to fetch claimable orders",
+    })
+  }
+})
+
+// @desc    Attach guest orders placed with the user's (verified) email to their account
+// @route   POST /api/orders/claim
+// @access  Private
+router.post("/claim", authenticate, async (req, res) => {
+  try {
+    const result = await claimGuestOrders(req.user, req.body.orderNumber)
+
+    if (!result.success) {
+      return res.status(result.code === "EMAIL_NOT_VERIFIED" ? 403 : 404).json({
+        status: "error",
+        message: result.error,
+        code: result.code,
+      })
+    }
+
+    res.json({
+      status: "success",
+      message: `${result.claimed.length} order(s) added to your account`,
+      data: {
+        claimed: result.claimed,
+      },
+    })
+  } catch (error) {
+    console.error("Claim orders error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to claim orders",
+    })
+  }
+})
+
 // @desc    Get single order
 // @route   GET /api/orders/:id
 // @access  Private
@@ -236,8 +380,8 @@ router.get("/:id", authenticate, validateObjectId, async (req, res) => {
       })
     }
 
-    // Check if user owns the order or is staff/admin
-    if (order.user._id.toString() !== req.user._id.toString() && !["staff", "admin"].includes(req.user.role)) {
+    // Check if user owns the order or can view all orders
+    if (order.user?._id.toString() !== req.user._id.toString() && !(await hasPermission(req.user, "orders:read"))) {
       return res.status(403).json({
         status: "error",
         message: "Access denied",
@@ -277,7 +421,7 @@ router.put("/:id/cancel", authenticate, validateObjectId, async (req, res) => {
     }
 
     // Check if user owns the order
-    if (order.user.toString() !== req.user._id.toString()) {
+    if (order.user?.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         status: "error",
         message: "Access denied",
@@ -285,24 +429,24 @@ router.put("/:id/cancel", authenticate, validateObjectId, async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (!["pending", "confirmed"].includes(order.status)) {
+    if (!["pending", "backordered", "preordered", "confirmed"].includes(order.status)) {
       return res.status(400).json({
         status: "error",
         message: "Order cannot be cancelled at this stage",
       })
     }
 
-    // Release stock back to inventory
-    const stockItems = order.items.map((item) => ({
-      product: item.product,
-      variant: {
-        size: item.variant.size,
-        color: item.variant.color,
-      },
-      quantity: item.quantity,
-    }))
+    // Nothing has been charged yet for orders waiting to ship - release the authorisation
+    const voided = await voidAuthorizedPayment(order)
+    if (!voided.success) {
+      return res.status(500).json({
+        status: "error",
+        message: "Could not release the payment authorisation, please try again",
+      })
+    }
 
-    await releaseStock(stockItems)
+    // Release stock back to inventory
+    await releaseOrderStock(order, "order_cancelled", req.user._id)
 
     // Update order status
     order.updateStatus("cancelled")
@@ -336,7 +480,7 @@ router.put("/:id/cancel", authenticate, validateObjectId, async (req, res) => {
 // @desc    Get all orders (Admin/Staff)
 // @route   GET /api/orders/admin/all
 // @access  Private (Staff/Admin)
-router.get("/admin/all", authenticate, isStaffOrAdmin, validatePagination, async (req, res) => {
+router.get("/admin/all", authenticate, requirePermission("orders:read"), validatePagination, async (req, res) => {
   try {
     const { page = 1, limit = 20, status, search, startDate, endDate } = req.query
 
@@ -356,6 +500,7 @@ router.get("/admin/all", authenticate, isStaffOrAdmin, validatePagination, async
         { orderNumber: new RegExp(search, "i") },
         { "shippingAddress.firstName": new RegExp(search, "i") },
         { "shippingAddress.lastName": new RegExp(search, "i") },
+        { guestEmail: new RegExp(search, "i") },
       ]
     }
 
@@ -391,7 +536,7 @@ router.get("/admin/all", authenticate, isStaffOrAdmin, validatePagination, async
 // @desc    Update order status (Admin/Staff)
 // @route   PUT /api/orders/:id/status
 // @access  Private (Staff/Admin)
-router.put("/:id/status", authenticate, isStaffOrAdmin, validateObjectId, async (req, res) => {
+router.put("/:id/status", authenticate, requirePermission("orders:update"), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params
     const { status, adminNotes, tracking } = req.body
@@ -405,7 +550,10 @@ router.put("/:id/status", authenticate, isStaffOrAdmin, validateObjectId, async
       })
     }
 
-    const validStatuses = ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled", "returned"]
+    const validStatuses = [
+      "pending", "backordered", "preordered", "confirmed", "processing", "shipped", "delivered", "cancelled",
+      "returned",
+    ]
 
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
@@ -414,6 +562,22 @@ router.put("/:id/status", authenticate, isStaffOrAdmin, validateObjectId, async
       })
     }
 
+    // Backordered and pre-ordered orders are charged when they ship
+    if (status === "shipped" && order.status !== "shipped") {
+      const shipment = await prepareShipment(order)
+      if (!shipment.success) {
+        return res.status(shipment.awaitingStock ? 400 : 402).json({
+          status: "error",
+          message: shipment.error,
+        })
+      }
+    }
+
+    // Returned goods go back on sale
+    if (status === "returned" && !["returned", "cancelled"].includes(order.status)) {
+      await releaseOrderStock(order, "order_returned", req.user._id, INVENTORY_MOVEMENT_REASONS.RETURN)
+    }
+
     // Update order
     order.updateStatus(status)
     if (adminNotes) order.adminNotes = adminNotes
@@ -426,14 +590,16 @@ router.put("/:id/status", authenticate, isStaffOrAdmin, validateObjectId, async
 
     await order.save()
 
-    // Emit order status update to customer
-    emitOrderStatusUpdate(order.user._id, {
-      orderId: order._id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      message: `Your order is now ${status}`,
-      tracking: order.tracking,
-    })
+    // Emit order status update to customer (guests have no socket to notify)
+    if (order.user) {
+      emitOrderStatusUpdate(order.user._id, {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        message: `Your order is now ${status}`,
+        tracking: order.tracking,
+      })
+    }
 
     res.json({
       status: "success",
@@ -454,7 +620,7 @@ router.put("/:id/status", authenticate, isStaffOrAdmin, validateObjectId, async
 // @desc    Get order statistics (Admin)
 // @route   GET /api/orders/admin/stats
 // @access  Private (Admin)
-router.get("/admin/stats", authenticate, isStaffOrAdmin, async (req, res) => {
+router.get("/admin/stats", authenticate, requirePermission("orders:read"), async (req, res) => {
   try {
     const { period = "30d" } = req.query
 
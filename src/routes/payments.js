@@ -4,6 +4,7 @@
  * Features:
  * - Stripe Payment Intents with advanced configuration
  * - Comprehensive webhook handling for all payment events
+ * - Authorise now, capture on shipment for backorders and pre-orders
  * - Payment method management and saved cards
  * - Subscription and recurring payment support
  * - Advanced refund and dispute handling
@@ -19,19 +20,81 @@ const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY)
 const Order = require("../models/Order")
 const User = require("../models/User")
 const Product = require("../models/Product")
-const { authenticate } = require("../middleware/auth")
-const { isStaffOrAdmin } = require("../middleware/roles")
+const { authenticate, optionalAuth, identifyOrderCustomer, requirePermission } = require("../middleware/auth")
 const { validateObjectId } = require("../middleware/validation")
 const { emitOrderStatusUpdate, sendToAdmins } = require("../services/socketService")
 const { sendEmail } = require("../services/emailService")
+const { extendOrderHolds, commitOrderHolds, releaseOrderStock } = require("../services/reservationService")
+const { INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
 const logger = require("../utils/logger")
 
 const router = express.Router()
 
+// A fully refunded order that hasn't shipped won't be fulfilled: cancel it
+// and put its units back on sale. Shipped goods go back on sale when the
+// order is marked returned.
+const restockRefundedOrder = async (order, actor) => {
+  if (["shipped", "delivered", "returned", "cancelled"].includes(order.status)) return
+
+  await releaseOrderStock(order, "order_refunded", actor, INVENTORY_MOVEMENT_REASONS.RETURN)
+  order.updateStatus("cancelled")
+}
+
+// Whether the request comes from the order's customer: the account that owns
+// it, or a guest holding its access token (see identifyOrderCustomer). Once a
+// guest order is claimed, only the account can act on it.
+const isOrderCustomer = (req, order) => {
+  if (req.user) return String(order.user?._id) === req.user._id.toString()
+  return !order.user && order._id.toString() === req.guestOrderId
+}
+
+// Guest orders have no account - reach the customer at the checkout email,
+// addressed by shipping name
+const getOrderCustomer = (order) => {
+  return order.user || {
+    email: order.guestEmail,
+    profile: { firstName: order.shippingAddress.firstName, lastName: order.shippingAddress.lastName },
+  }
+}
+
+const getCustomerName = (order) => {
+  const { profile } = getOrderCustomer(order)
+  return `${profile.firstName} ${profile.lastName}`
+}
+
+// Guests have no socket to notify
+const notifyOrderCustomer = (order, update) => {
+  if (order.user) emitOrderStatusUpdate(order.user._id, update)
+}
+
+// Turn a paid order's stock holds into sold stock. The payment has already
+// been taken, so a failure is flagged for staff rather than rejected.
+const commitPaidOrderStock = async (order) => {
+  const result = await commitOrderHolds(order)
+
+  if (!result.success) {
+    const note = `Paid after the stock reservation expired and stock could not be re-reserved: ${result.error}`
+    order.adminNotes = order.adminNotes ? `${order.adminNotes}\n${note}` : note
+
+    logger.warn(`Stock reservation could not be committed for order ${order.orderNumber}`, {
+      orderId: order._id,
+      error: result.error
+    })
+
+    sendToAdmins('reservation_commit_failed', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      error: result.error
+    })
+  }
+
+  return result
+}
+
 // @desc    Create payment intent (Stripe) - Enhanced
 // @route   POST /api/payments/create-intent
-// @access  Private
-router.post("/create-intent", authenticate, async (req, res) => {
+// @access  Private (guests use the order access token)
+router.post("/create-intent", optionalAuth, identifyOrderCustomer, async (req, res) => {
   try {
     const {
       orderId,
@@ -60,13 +123,21 @@ router.post("/create-intent", authenticate, async (req, res) => {
     }
 
     // Check if user owns the order
-    if (order.user._id.toString() !== req.user._id.toString()) {
+    if (!isOrderCustomer(req, order)) {
       return res.status(403).json({
         status: "error",
         message: "Access denied",
       })
     }
 
+    // Orders cancelled for non-payment keep a cancelled payment, but check the order too
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        status: "error",
+        message: "Order has been cancelled",
+      })
+    }
+
     // Check if order is in correct status
     if (order.payment.status !== "pending") {
       return res.status(400).json({
@@ -75,12 +146,15 @@ router.post("/create-intent", authenticate, async (req, res) => {
       })
     }
 
-    // Ensure user has Stripe customer ID
-    let customerId = order.user.stripeCustomerId
-    if (!customerId) {
+    // Keep the stock held while the customer pays
+    const reservation = await extendOrderHolds(order)
+
+    // Ensure user has Stripe customer ID. Guests pay without a Stripe customer.
+    let customerId = order.user?.stripeCustomerId
+    if (order.user && !customerId) {
       const customer = await stripe.customers.create({
         email: order.user.email,
-        name: `${order.user.profile.firstName} ${order.user.profile.lastName}`,
+        name: getCustomerName(order),
         metadata: {
           userId: order.user._id.toString()
         }
@@ -92,21 +166,21 @@ router.post("/create-intent", authenticate, async (req, res) => {
 
     // Build payment intent configuration
     const paymentIntentConfig = {
-      amount: Math.round(order.pricing.total * 100), // Convert to cents
+      amount: Math.round(order.totalAmount * 100), // Convert to cents
       currency: currency.toLowerCase(),
       customer: customerId,
       metadata: {
         orderId: order._id.toString(),
         orderNumber: order.orderNumber,
-        userId: order.user._id.toString(),
+        ...(order.user ? { userId: order.user._id.toString() } : { guest: 'true' }),
         itemCount: order.items.length.toString(),
         categories: [...new Set(order.items.map(item => item.product.category))].join(',')
       },
       description: `Order ${order.orderNumber} - ${order.items.length} items`,
       statement_descriptor: 'SHOE STORE',
-      receipt_email: order.user.email,
+      receipt_email: getOrderCustomer(order).email,
       shipping: {
-        name: `${order.user.profile.firstName} ${order.user.profile.lastName}`,
+        name: getCustomerName(order),
         address: {
           line1: order.shippingAddress.street,
           city: order.shippingAddress.city,
@@ -124,11 +198,16 @@ router.post("/create-intent", authenticate, async (req, res) => {
       paymentIntentConfig.confirm = true
     }
 
-    // Setup for future usage if requested
-    if (savePaymentMethod || setupFutureUsage) {
+    // Setup for future usage if requested (cards are saved to a Stripe customer)
+    if (customerId && (savePaymentMethod || setupFutureUsage)) {
       paymentIntentConfig.setup_future_usage = setupFutureUsage || 'off_session'
     }
 
+    // Backorders and pre-orders are only authorised now and captured when they ship
+    if (order.isChargedOnShipment()) {
+      paymentIntentConfig.capture_method = 'manual'
+    }
+
     // Add automatic payment methods for better conversion
     paymentIntentConfig.automatic_payment_methods = {
       enabled: true,
@@ -164,7 +243,7 @@ router.post("/create-intent", authenticate, async (req, res) => {
       paymentIntentId: paymentIntent.id,
       amount: paymentIntent.amount,
       currency: paymentIntent.currency,
-      userId: order.user._id
+      userId: order.user?._id
     })
 
     const responseData = {
@@ -172,7 +251,9 @@ router.post("/create-intent", authenticate, async (req, res) => {
       paymentIntentId: paymentIntent.id,
       status: paymentIntent.status,
       amount: paymentIntent.amount,
-      currency: paymentIntent.currency
+      currency: paymentIntent.currency,
+      reservationExpiresAt: reservation.expiresAt,
+      captureMethod: paymentIntent.capture_method
     }
 
     // If payment was confirmed immediately, handle the result
@@ -220,8 +301,8 @@ router.post("/create-intent", authenticate, async (req, res) => {
 
 // @desc    Confirm payment intent
 // @route   POST /api/payments/confirm-intent
-// @access  Private
-router.post("/confirm-intent", authenticate, async (req, res) => {
+// @access  Private (guests use the order access token)
+router.post("/confirm-intent", optionalAuth, identifyOrderCustomer, async (req, res) => {
   try {
     const { paymentIntentId, paymentMethodId } = req.body
 
@@ -235,16 +316,24 @@ router.post("/confirm-intent", authenticate, async (req, res) => {
     // Find order by payment intent ID
     const order = await Order.findOne({
       "payment.stripePaymentIntentId": paymentIntentId,
-      user: req.user._id
     })
 
-    if (!order) {
+    if (!order || !isOrderCustomer(req, order)) {
       return res.status(404).json({
         status: "error",
         message: "Order not found or access denied",
       })
     }
 
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        status: "error",
+        message: "Order has been cancelled",
+      })
+    }
+
+    await extendOrderHolds(order)
+
     // Confirm the payment intent
     const paymentIntent = await stripe.paymentIntents.confirm(paymentIntentId, {
       payment_method: paymentMethodId,
@@ -408,8 +497,8 @@ router.delete("/payment-methods/:paymentMethodId", authenticate, async (req, res
 
 // @desc    Process dummy payment (for testing)
 // @route   POST /api/payments/dummy-payment
-// @access  Private
-router.post("/dummy-payment", authenticate, async (req, res) => {
+// @access  Private (guests use the order access token)
+router.post("/dummy-payment", optionalAuth, identifyOrderCustomer, async (req, res) => {
   try {
     const { orderId, paymentMethod = "dummy_card", shouldFail = false } = req.body
 
@@ -430,13 +519,21 @@ router.post("/dummy-payment", authenticate, async (req, res) => {
     }
 
     // Check if user owns the order
-    if (order.user._id.toString() !== req.user._id.toString()) {
+    if (!isOrderCustomer(req, order)) {
       return res.status(403).json({
         status: "error",
         message: "Access denied",
       })
     }
 
+    // Orders cancelled for non-payment keep a cancelled payment, but check the order too
+    if (order.status === "cancelled") {
+      return res.status(400).json({
+        status: "error",
+        message: "Order has been cancelled",
+      })
+    }
+
     // Check if order is in correct status
     if (order.payment.status !== "pending") {
       return res.status(400).json({
@@ -463,26 +560,39 @@ router.post("/dummy-payment", authenticate, async (req, res) => {
       })
     }
 
-    // Simulate successful payment
-    order.payment.status = "completed"
+    // Simulate successful payment. Backorders and pre-orders are only
+    // authorised, and captured when they ship.
+    const authorizeOnly = order.isChargedOnShipment()
+
     order.payment.method = "dummy"
     order.payment.transactionId = `dummy_${Date.now()}`
-    order.payment.paidAt = new Date()
-    order.updateStatus("confirmed")
+    if (authorizeOnly) {
+      order.payment.status = "authorized"
+      order.payment.authorizedAt = new Date()
+    } else {
+      order.payment.status = "completed"
+      order.payment.paidAt = new Date()
+    }
+    order.updateStatus(order.getPaidStatus())
 
+    await commitPaidOrderStock(order)
     await order.save()
 
+    const message = authorizeOnly
+      ? "Payment authorised! You will be charged when your order ships."
+      : "Payment successful! Your order has been confirmed."
+
     // Emit order status update
-    emitOrderStatusUpdate(order.user._id, {
+    notifyOrderCustomer(order, {
       orderId: order._id,
       orderNumber: order.orderNumber,
       status: order.status,
-      message: "Payment successful! Your order has been confirmed.",
+      message,
     })
 
     res.json({
       status: "success",
-      message: "Payment processed successfully",
+      message: authorizeOnly ? "Payment authorised successfully" : "Payment processed successfully",
       data: {
         order,
         transaction: {
@@ -490,6 +600,7 @@ router.post("/dummy-payment", authenticate, async (req, res) => {
           method: order.payment.method,
           amount: order.totalAmount,
           paidAt: order.payment.paidAt,
+          authorizedAt: order.payment.authorizedAt,
         },
       },
     })
@@ -529,6 +640,11 @@ router.post("/webhook", express.raw({ type: "application/json" }), async (req, r
         await handlePaymentSuccess(event.data.object)
         break
 
+      // Authorised but not captured (backorders and pre-orders)
+      case "payment_intent.amount_capturable_updated":
+        await handlePaymentAuthorized(event.data.object)
+        break
+
       case "payment_intent.payment_failed":
         await handlePaymentFailure(event.data.object)
         break
@@ -623,6 +739,36 @@ router.post("/webhook", express.raw({ type: "application/json" }), async (req, r
  * Enhanced Webhook Event Handlers
  */
 
+// Refund a payment that went through after its order was cancelled
+const refundCancelledOrderPayment = async (order, paymentIntent) => {
+  await stripe.refunds.create({
+    payment_intent: paymentIntent.id,
+    metadata: { orderId: order._id.toString(), reason: "Order was cancelled" },
+  })
+
+  order.payment.status = "refunded"
+  order.payment.attempts.push({
+    timestamp: new Date(),
+    paymentIntentId: paymentIntent.id,
+    amount: paymentIntent.amount,
+    status: "succeeded",
+    action: "refund_after_cancellation",
+  })
+  order.adminNotes = `${order.adminNotes || ""}\nPayment received after the order was cancelled was refunded`
+  await order.save()
+
+  sendToAdmins("payment_after_cancellation_refunded", {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    amount: (paymentIntent.amount / 100).toFixed(2),
+  })
+
+  logger.warn(`Refunded payment received after order ${order.orderNumber} was cancelled`, {
+    orderId: order._id,
+    paymentIntentId: paymentIntent.id,
+  })
+}
+
 // Handle successful payment
 const handlePaymentSuccess = async (paymentIntent) => {
   try {
@@ -636,12 +782,31 @@ const handlePaymentSuccess = async (paymentIntent) => {
       return
     }
 
+    // Capture of an authorised payment when the order shipped - the order was
+    // confirmed at authorisation and has moved on since
+    if (order.payment.authorizedAt) {
+      if (order.payment.status !== "completed") {
+        order.payment.status = "completed"
+        order.payment.paidAt = new Date()
+      }
+      order.payment.transactionId = paymentIntent.charges?.data[0]?.id || paymentIntent.id
+      order.payment.receiptUrl = paymentIntent.charges?.data[0]?.receipt_url
+      await order.save()
+      return
+    }
+
+    // Paid after the order was cancelled (e.g. for non-payment): refund it rather than reopen the order
+    if (order.status === "cancelled") {
+      await refundCancelledOrderPayment(order, paymentIntent)
+      return
+    }
+
     // Update order payment status
     order.payment.status = "completed"
     order.payment.paidAt = new Date()
     order.payment.transactionId = paymentIntent.charges?.data[0]?.id || paymentIntent.id
     order.payment.receiptUrl = paymentIntent.charges?.data[0]?.receipt_url
-    order.updateStatus("confirmed")
+    order.updateStatus(order.getPaidStatus())
 
     // Add payment success to attempts log
     order.payment.attempts.push({
@@ -652,16 +817,17 @@ const handlePaymentSuccess = async (paymentIntent) => {
       action: 'webhook_success'
     })
 
+    await commitPaidOrderStock(order)
     await order.save()
 
     // Send confirmation email
     try {
       await sendEmail({
-        to: order.user.email,
+        to: getOrderCustomer(order).email,
         subject: `Order Confirmation - ${order.orderNumber}`,
         template: 'order-confirmation',
         data: {
-          user: order.user,
+          user: getOrderCustomer(order),
           order: order,
           paymentAmount: (paymentIntent.amount / 100).toFixed(2),
           receiptUrl: order.payment.receiptUrl
@@ -672,7 +838,7 @@ const handlePaymentSuccess = async (paymentIntent) => {
     }
 
     // Emit real-time order status update
-    emitOrderStatusUpdate(order.user._id, {
+    notifyOrderCustomer(order, {
       orderId: order._id,
       orderNumber: order.orderNumber,
       status: order.status,
@@ -684,7 +850,7 @@ const handlePaymentSuccess = async (paymentIntent) => {
     sendToAdmins('new_paid_order', {
       orderId: order._id,
       orderNumber: order.orderNumber,
-      customer: `${order.user.profile.firstName} ${order.user.profile.lastName}`,
+      customer: getCustomerName(order),
       amount: (paymentIntent.amount / 100).toFixed(2),
       itemCount: order.items.length
     })
@@ -693,7 +859,7 @@ const handlePaymentSuccess = async (paymentIntent) => {
       orderId: order._id,
       paymentIntentId: paymentIntent.id,
       amount: paymentIntent.amount,
-      userId: order.user._id
+      userId: order.user?._id
     })
 
   } catch (error) {
@@ -701,6 +867,64 @@ const handlePaymentSuccess = async (paymentIntent) => {
   }
 }
 
+// Handle an authorised payment, captured later when the order ships
+const handlePaymentAuthorized = async (paymentIntent) => {
+  try {
+    const order = await Order.findOne({
+      "payment.stripePaymentIntentId": paymentIntent.id,
+    }).populate("user", "profile email")
+
+    if (!order) {
+      logger.error("Order not found for payment intent:", paymentIntent.id)
+      return
+    }
+
+    // Authorised after the order was cancelled: release the hold on the card
+    if (order.status === "cancelled") {
+      await stripe.paymentIntents.cancel(paymentIntent.id)
+      logger.warn(`Released payment authorised after order ${order.orderNumber} was cancelled`, {
+        orderId: order._id,
+        paymentIntentId: paymentIntent.id
+      })
+      return
+    }
+
+    // Repeated webhook
+    if (order.payment.status !== "pending") return
+
+    order.payment.status = "authorized"
+    order.payment.authorizedAt = new Date()
+    order.updateStatus(order.getPaidStatus())
+
+    await commitPaidOrderStock(order)
+    await order.save()
+
+    notifyOrderCustomer(order, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      message: "Payment authorised! You will be charged when your order ships."
+    })
+
+    sendToAdmins('new_paid_order', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customer: getCustomerName(order),
+      amount: (paymentIntent.amount_capturable / 100).toFixed(2),
+      itemCount: order.items.length,
+      authorizedOnly: true
+    })
+
+    logger.info(`Payment authorised for order ${order.orderNumber}`, {
+      orderId: order._id,
+      paymentIntentId: paymentIntent.id,
+      amount: paymentIntent.amount_capturable
+    })
+  } catch (error) {
+    logger.error("Handle payment authorized error:", error)
+  }
+}
+
 // Handle failed payment
 const handlePaymentFailure = async (paymentIntent) => {
   try {
@@ -739,11 +963,11 @@ const handlePaymentFailure = async (paymentIntent) => {
     // Send failure notification email
     try {
       await sendEmail({
-        to: order.user.email,
+        to: getOrderCustomer(order).email,
         subject: `Payment Failed - ${order.orderNumber}`,
         template: 'payment-failed',
         data: {
-          user: order.user,
+          user: getOrderCustomer(order),
           order: order,
           failureReason: declineCode || failureMessage || 'Payment could not be processed',
           retryUrl: `${process.env.CLIENT_URL}/orders/${order._id}/payment`
@@ -754,7 +978,7 @@ const handlePaymentFailure = async (paymentIntent) => {
     }
 
     // Emit real-time order status update
-    emitOrderStatusUpdate(order.user._id, {
+    notifyOrderCustomer(order, {
       orderId: order._id,
       orderNumber: order.orderNumber,
       status: order.status,
@@ -767,7 +991,7 @@ const handlePaymentFailure = async (paymentIntent) => {
     sendToAdmins('payment_failure', {
       orderId: order._id,
       orderNumber: order.orderNumber,
-      customer: `${order.user.profile.firstName} ${order.user.profile.lastName}`,
+      customer: getCustomerName(order),
       amount: (paymentIntent.amount / 100).toFixed(2),
       failureReason: failureMessage,
       failureCode
@@ -778,7 +1002,7 @@ const handlePaymentFailure = async (paymentIntent) => {
       paymentIntentId: paymentIntent.id,
       failureCode,
       failureMessage,
-      userId: order.user._id
+      userId: order.user?._id
     })
 
   } catch (error) {
@@ -798,6 +1022,12 @@ const handlePaymentCancellation = async (paymentIntent) => {
       return
     }
 
+    // The authorisation was released because the order was cancelled, or already captured
+    if (["voided", "completed"].includes(order.payment.status)) return
+
+    // Stripe cancels an authorisation it has held for about 7 days
+    const authorizationExpired = order.payment.status === "authorized"
+
     order.payment.status = "cancelled"
     order.payment.attempts.push({
       timestamp: new Date(),
@@ -810,16 +1040,29 @@ const handlePaymentCancellation = async (paymentIntent) => {
     await order.save()
 
     // Emit real-time update
-    emitOrderStatusUpdate(order.user._id, {
+    notifyOrderCustomer(order, {
       orderId: order._id,
       orderNumber: order.orderNumber,
       status: 'cancelled',
-      message: "Payment was cancelled. You can try again anytime."
+      message: authorizationExpired
+        ? "Your payment authorisation has expired. Please authorise the payment again so we can ship your order."
+        : "Payment was cancelled. You can try again anytime.",
+      canRetry: true
     })
 
+    if (authorizationExpired) {
+      sendToAdmins('payment_authorization_expired', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        customer: getCustomerName(order)
+      })
+    }
+
     logger.info(`Payment cancelled for order ${order.orderNumber}`, {
       orderId: order._id,
-      paymentIntentId: paymentIntent.id
+      paymentIntentId: paymentIntent.id,
+      cancellationReason: paymentIntent.cancellation_reason,
+      authorizationExpired
     })
 
   } catch (error) {
@@ -839,8 +1082,11 @@ const handlePaymentRequiresAction = async (paymentIntent) => {
       return
     }
 
+    // Authentication can take a while - keep the stock held meanwhile
+    await extendOrderHolds(order)
+
     // Emit real-time update for 3D Secure or other authentication
-    emitOrderStatusUpdate(order.user._id, {
+    notifyOrderCustomer(order, {
       orderId: order._id,
       orderNumber: order.orderNumber,
       status: 'requires_action',
@@ -871,8 +1117,10 @@ const handlePaymentProcessing = async (paymentIntent) => {
       return
     }
 
+    await extendOrderHolds(order)
+
     // Emit real-time update
-    emitOrderStatusUpdate(order.user._id, {
+    notifyOrderCustomer(order, {
       orderId: order._id,
       orderNumber: order.orderNumber,
       status: 'processing',
@@ -970,7 +1218,7 @@ const handleDisputeCreated = async (dispute) => {
         sendToAdmins('dispute_created', {
           orderId: order._id,
           orderNumber: order.orderNumber,
-          customer: `${order.user.profile.firstName} ${order.user.profile.lastName}`,
+          customer: getCustomerName(order),
           amount: (dispute.amount / 100).toFixed(2),
           reason: dispute.reason,
           status: dispute.status,
@@ -1003,15 +1251,15 @@ const handleChargeRefunded = async (charge) => {
       if (order) {
         const refundAmount = charge.amount_refunded / 100
 
-        // Update order status if fully refunded
-        if (charge.refunded) {
+        // Update order status if fully refunded (unless refunded through the API already)
+        if (charge.refunded && order.payment.status !== "refunded") {
           order.payment.status = "refunded"
-          order.updateStatus("refunded")
+          await restockRefundedOrder(order)
           await order.save()
         }
 
         // Emit real-time update
-        emitOrderStatusUpdate(order.user._id, {
+        notifyOrderCustomer(order, {
           orderId: order._id,
           orderNumber: order.orderNumber,
           status: order.status,
@@ -1145,20 +1393,12 @@ router.get("/methods", authenticate, (req, res) => {
 
 // @desc    Refund payment
 // @route   POST /api/payments/:orderId/refund
-// @access  Private (Admin)
-router.post("/:orderId/refund", authenticate, validateObjectId, async (req, res) => {
+// @access  Private (orders:refund)
+router.post("/:orderId/refund", authenticate, requirePermission("orders:refund"), validateObjectId, async (req, res) => {
   try {
     const { orderId } = req.params
     const { amount, reason } = req.body
 
-    // Check admin permissions
-    if (req.user.role !== "admin") {
-      return res.status(403).json({
-        status: "error",
-        message: "Access denied",
-      })
-    }
-
     const order = await Order.findById(orderId).populate("user", "profile email")
 
     if (!order) {
@@ -1204,10 +1444,14 @@ router.post("/:orderId/refund", authenticate, validateObjectId, async (req, res)
       order.adminNotes = `${order.adminNotes || ""}\nDummy refund processed: $${refundAmount}. Reason: ${reason || "Admin refund"}`
     }
 
+    if (refundAmount >= order.totalAmount) {
+      await restockRefundedOrder(order, req.user._id)
+    }
+
     await order.save()
 
     // Emit order status update
-    emitOrderStatusUpdate(order.user._id, {
+    notifyOrderCustomer(order, {
       orderId: order._id,
       orderNumber: order.orderNumber,
       status: "refunded",
@@ -1234,7 +1478,7 @@ router.post("/:orderId/refund", authenticate, validateObjectId, async (req, res)
 // @desc    Get payment analytics (Admin)
 // @route   GET /api/payments/analytics
 // @access  Private (Admin)
-router.get("/analytics", authenticate, isStaffOrAdmin, async (req, res) => {
+router.get("/analytics", authenticate, requirePermission("payments:read"), async (req, res) => {
   try {
     const { startDate, endDate, currency = 'usd' } = req.query
 
@@ -1349,8 +1593,8 @@ router.get("/analytics", authenticate, isStaffOrAdmin, async (req, res) => {
 
 // @desc    Retry failed payment
 // @route   POST /api/payments/:orderId/retry
-// @access  Private
-router.post("/:orderId/retry", authenticate, validateObjectId, async (req, res) => {
+// @access  Private (guests use the order access token)
+router.post("/:orderId/retry", optionalAuth, identifyOrderCustomer, validateObjectId, async (req, res) => {
   try {
     const { orderId } = req.params
     const { paymentMethodId } = req.body
@@ -1366,14 +1610,21 @@ router.post("/:orderId/retry", authenticate, validateObjectId, async (req, res)
     }
 
     // Check if user owns the order
-    if (order.user._id.toString() !== req.user._id.toString()) {
+    if (!isOrderCustomer(req, order)) {
       return res.status(403).json({
         status: "error",
         message: "Access denied"
       })
     }
 
-    // Check if order can be retried
+    if (order.status === 'cancelled') {
+      return res.status(400).json({
+        status: "error",
+        message: "Order has been cancelled"
+      })
+    }
+
+    // Check if order can be retried (a cancelled payment includes an expired authorisation)
     if (!['failed', 'cancelled'].includes(order.payment.status)) {
       return res.status(400).json({
         status: "error",
@@ -1381,18 +1632,20 @@ router.post("/:orderId/retry", authenticate, validateObjectId, async (req, res)
       })
     }
 
-    // Create new payment intent for retry
+    // Create new payment intent for retry. Backorders and pre-orders are
+    // authorised again rather than charged, and captured when they ship.
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(order.pricing.total * 100),
+      amount: Math.round(order.totalAmount * 100),
+      capture_method: order.isChargedOnShipment() ? 'manual' : 'automatic',
       currency: order.payment.currency || 'usd',
-      customer: order.user.stripeCustomerId,
+      customer: order.user?.stripeCustomerId,
       payment_method: paymentMethodId,
       confirmation_method: 'manual',
       confirm: true,
       metadata: {
         orderId: order._id.toString(),
         orderNumber: order.orderNumber,
-        userId: order.user._id.toString(),
+        ...(order.user ? { userId: order.user._id.toString() } : { guest: 'true' }),
         retry: 'true'
       },
       description: `Retry payment for order ${order.orderNumber}`
@@ -1414,7 +1667,7 @@ router.post("/:orderId/retry", authenticate, validateObjectId, async (req, res)
     logger.info('Payment retry initiated', {
       orderId: order._id,
       paymentIntentId: paymentIntent.id,
-      userId: order.user._id
+      userId: order.user?._id
     })
 
     const responseData = {
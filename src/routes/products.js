@@ -1,15 +1,71 @@
 const express = require("express")
 const multer = require("multer")
 const Product = require("../models/Product")
-const { authenticate, optionalAuth } = require("../middleware/auth")
-const { isStaffOrAdmin } = require("../middleware/roles")
-const { validateProduct, validatePagination, validateObjectId } = require("../middleware/validation")
+const Location = require("../models/Location")
+const ProductRevision = require("../models/ProductRevision")
+const { authenticate, optionalAuth, requirePermission } = require("../middleware/auth")
+const { suggestLimiter } = require("../middleware/rateLimiter")
+const {
+  validateProduct,
+  validatePagination,
+  validateObjectId,
+  validateProductStatus,
+  validateRevisionId,
+} = require("../middleware/validation")
 const { uploadImage, deleteImage } = require("../config/cloudinary")
 const { getPaginationInfo, generateSKU } = require("../utils/helpers")
+const { hasPermission } = require("../services/permissionService")
+const { recordVariantChanges } = require("../services/inventoryLedgerService")
+const {
+  snapshotProduct,
+  recordRevision,
+  diffRevision,
+  rollbackToRevision,
+} = require("../services/productRevisionService")
+const { updatePublishing } = require("../services/productPublishingService")
+const { loadCatalog, checkProductAttributes } = require("../services/catalogService")
+const { loadSizeCharts, withSizeConversions } = require("../services/sizeChartService")
+const { buildProductFilter, productQuery, getProductFacets } = require("../services/productSearchService")
+const { getSuggestions, recordSearch } = require("../services/searchSuggestionService")
+const { searcherOf, recordSearchEvent } = require("../services/searchAnalyticsService")
 const { trackProductViews, trackUserActivity, emitInventoryUpdates } = require("../middleware/realtime")
+const { PRODUCT_STATUS, PRODUCT_REVISION_SOURCES, SIZE_SYSTEMS } = require("../utils/constants")
 
 const router = express.Router()
 
+// Stock of an existing variant, to carry over when variants are replaced
+const keepStock = (product, variant) => {
+  const existing = variant.sku
+    ? product.variants.find((v) => v.sku === String(variant.sku).trim().toUpperCase())
+    : product.variants.find((v) => Product.variantKey(v) === Product.variantKey(variant))
+  if (!existing) return {}
+  return { stock: existing.stock, locations: existing.locations }
+}
+
+// Update a product, replacing its variants. Existing variants keep their
+// stock - it only changes through the inventory endpoints - and the write
+// only lands if no variant's stock has changed since it was read, so a
+// checkout or hold in between isn't overwritten. Retried a few times if one
+// has. Returns { before, updated }, or null if the stock kept changing.
+const updateWithVariants = async (product, updateData) => {
+  let current = product
+
+  for (let attempt = 0; attempt < 3 && current; attempt++) {
+    const unchanged = current.variants.map((v) => ({ $elemMatch: { _id: v._id, stock: v.stock } }))
+    const filter = { _id: current._id, variants: { $size: current.variants.length } }
+    if (unchanged.length > 0) filter.$and = [{ variants: { $all: unchanged } }]
+
+    const variants = updateData.variants.map((variant) => ({ ...variant, ...keepStock(current, variant) }))
+    const update = { ...updateData, variants }
+    const updated = await Product.findOneAndUpdate(filter, update, { new: true, runValidators: true })
+    if (updated) return { before: current, updated }
+
+    current = await Product.findById(product._id)
+  }
+
+  return null
+}
+
 // Configure multer for image uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -25,67 +81,97 @@ const upload = multer({
   },
 })
 
-// @desc    Get all products with filtering and pagination
-// @route   GET /api/products
-// @access  Public
-router.get("/", validatePagination, optionalAuth, async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      category,
-      brand,
-      gender,
-      minPrice,
-      maxPrice,
-      size,
-      color,
-      search,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-      featured,
-    } = req.query
+// A page of products matching a request's filters, for a response
+const findProductPage = async (filter, params) => {
+  const { page = 1, limit = 20, sortOrder = "desc" } = params
+  const query = productQuery(filter)
+  const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
 
-    // Build filter object
-    const filter = { isActive: true }
+  // Searches list the best matches first unless another order is asked for
+  const sortBy = params.sortBy || (filter.relevance ? "relevance" : "createdAt")
 
-    if (category) filter.category = category
-    if (brand) filter.brand = new RegExp(brand, "i")
-    if (gender) filter.gender = gender
-    if (featured !== undefined) filter.isFeatured = featured === "true"
+  let products
+  let total
 
-    // Price range filter
-    if (minPrice || maxPrice) {
-      filter["variants.price"] = {}
-      if (minPrice) filter["variants.price"].$gte = Number.parseFloat(minPrice)
-      if (maxPrice) filter["variants.price"].$lte = Number.parseFloat(maxPrice)
-    }
-
-    // Size and color filters
-    if (size) filter["variants.size"] = size
-    if (color) filter["variants.color"] = new RegExp(color, "i")
+  if (sortBy === "relevance" && filter.relevance) {
+    const { relevance } = filter
+    const ranked = (await Product.find(query).select("_id").lean())
+      .map(({ _id }) => String(_id))
+      .sort((a, b) => relevance.get(b) - relevance.get(a))
 
-    // Text search
-    if (search) {
-      filter.$text = { $search: search }
-    }
+    const pageIds = ranked.slice(skip, skip + Number.parseInt(limit))
+    const pageProducts = await Product.find({ _id: { $in: pageIds } }).select("-__v")
+    const byId = new Map(pageProducts.map((product) => [String(product._id), product]))
 
+    products = pageIds.map((id) => byId.get(id)).filter(Boolean)
+    total = ranked.length
+  } else {
     // Build sort object
     const sort = {}
     sort[sortBy] = sortOrder === "desc" ? -1 : 1
 
     // Execute query with pagination
-    const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
-    const products = await Product.find(filter).sort(sort).skip(skip).limit(Number.parseInt(limit)).select("-__v")
+    products = await Product.find(query).sort(sort).skip(skip).limit(Number.parseInt(limit)).select("-__v")
+    total = await Product.countDocuments(query)
+  }
+
+  const pagination = getPaginationInfo(Number.parseInt(page), Number.parseInt(limit), total)
+
+  const { stockLocation, sizeCharts } = filter
+
+  return {
+    products: products.map((product) => ({
+      ...withSizeConversions(product, sizeCharts),
+      locationStock: stockLocation ? product.getLocationStock(stockLocation._id) : undefined,
+    })),
+    pagination,
+    location: stockLocation || undefined,
+  }
+}
+
+// Log a search for suggestions and search analytics - on its first page only, as later pages aren't new
+// searches. Returns the search id shoppers' clicks and add-to-carts are tracked against.
+const logSearch = async (req, pagination, startedAt) => {
+  const { search, page = 1 } = req.query
+  if (!search || Number.parseInt(page) !== 1) return undefined
+
+  const resultCount = pagination.totalItems
+  await recordSearch(search, resultCount)
+
+  const searchId = await recordSearchEvent({
+    text: search,
+    resultCount,
+    latencyMs: Date.now() - startedAt,
+    searcher: searcherOf(req),
+  })
+  return searchId || undefined
+}
+
+// @desc    Get all products with filtering and pagination
+// @route   GET /api/products
+// @access  Public
+router.get("/", validatePagination, optionalAuth, async (req, res) => {
+  try {
+    const startedAt = Date.now()
+
+    // Published, launched products matching the filters
+    const filter = await buildProductFilter(req.query)
+
+    if (filter.error) {
+      return res.status(400).json({
+        status: "error",
+        message: filter.error,
+      })
+    }
 
-    const total = await Product.countDocuments(filter)
-    const pagination = getPaginationInfo(Number.parseInt(page), Number.parseInt(limit), total)
+    const page = await findProductPage(filter, req.query)
+    const searchId = await logSearch(req, page.pagination, startedAt)
 
     res.json({
       status: "success",
       data: {
-        products,
-        pagination,
+        ...page,
+        searchId,
       },
     })
   } catch (error) {
@@ -97,6 +183,59 @@ router.get("/", validatePagination, optionalAuth, async (req, res) => {
   }
 })
 
+// @desc    Search products with facet counts
+// @route   GET /api/products/search
+// @access  Public
+router.get("/search", validatePagination, optionalAuth, async (req, res) => {
+  try {
+    const startedAt = Date.now()
+    const filter = await buildProductFilter(req.query)
+
+    if (filter.error) {
+      return res.status(400).json({
+        status: "error",
+        message: filter.error,
+      })
+    }
+
+    const [page, facets] = await Promise.all([findProductPage(filter, req.query), getProductFacets(req.query, filter)])
+    const searchId = await logSearch(req, page.pagination, startedAt)
+
+    res.json({
+      status: "success",
+      data: {
+        ...page,
+        facets,
+        searchId,
+      },
+    })
+  } catch (error) {
+    console.error("Search products error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to search products",
+    })
+  }
+})
+
+// @desc    Autocomplete suggestions for a partly typed search
+// @route   GET /api/products/suggest
+// @access  Public
+router.get("/suggest", suggestLimiter, async (req, res) => {
+  try {
+    res.json({
+      status: "success",
+      data: await getSuggestions(req.query.q),
+    })
+  } catch (error) {
+    console.error("Search suggestions error:", error)
+    res.status(500).json({
+      status: "error",
+      message: "Failed to fetch search suggestions",
+    })
+  }
+})
+
 // @desc    Get single product by ID or slug
 // @route   GET /api/products/:identifier
 // @access  Public
@@ -108,7 +247,7 @@ router.get("/:identifier", optionalAuth, trackProductViews(), async (req, res) =
     let product = await Product.findById(identifier).select("-__v")
 
     if (!product) {
-      product = await Product.findOne({ slug: identifier, isActive: true }).select("-__v")
+      product = await Product.findOne({ slug: identifier }).select("-__v")
     }
 
     if (!product) {
@@ -118,8 +257,8 @@ router.get("/:identifier", optionalAuth, trackProductViews(), async (req, res) =
       })
     }
 
-    // Check if product is active (unless user is staff/admin)
-    if (!product.isActive && (!req.user || !["staff", "admin"].includes(req.user.role))) {
+    // Drafts and unpublished products are only shown to users who can edit them
+    if (!product.isListed() && (!req.user || !(await hasPermission(req.user, "products:write")))) {
       return res.status(404).json({
         status: "error",
         message: "Product not found",
@@ -129,7 +268,7 @@ router.get("/:identifier", optionalAuth, trackProductViews(), async (req, res) =
     res.json({
       status: "success",
       data: {
-        product,
+        product: withSizeConversions(product, await loadSizeCharts([product.brand])),
       },
     })
   } catch (error) {
@@ -145,7 +284,7 @@ router.get("/:identifier", optionalAuth, trackProductViews(), async (req, res) =
 // @desc    Create new product
 // @route   POST /api/products
 // @access  Private (Staff/Admin)
-router.post("/", authenticate, isStaffOrAdmin, upload.array("images", 10), validateProduct, async (req, res) => {
+router.post("/", authenticate, requirePermission("products:write"), upload.array("images", 10), validateProduct, async (req, res) => {
   try {
     const {
       name,
@@ -156,17 +295,36 @@ router.post("/", authenticate, isStaffOrAdmin, upload.array("images", 10), valid
       subcategory,
       gender,
       variants,
+      attributes,
       features,
       materials,
       tags,
       seo,
+      supplier,
+      launchDate,
     } = req.body
 
-    // Parse variants if it's a string (from form data)
-    let parsedVariants = typeof variants === "string" ? JSON.parse(variants) : variants
+    // Parse variants and attributes if they're strings (from form data)
+    const parsedVariants = typeof variants === "string" ? JSON.parse(variants) : variants
+    const parsedAttributes = typeof attributes === "string" ? JSON.parse(attributes) : attributes
+
+    // Category, attributes and variant options must fit the catalog
+    const checked = checkProductAttributes(await loadCatalog(), {
+      category,
+      attributes: parsedAttributes,
+      variants: parsedVariants,
+    })
+
+    if (checked.errors.length > 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid category or attributes",
+        errors: checked.errors,
+      })
+    }
 
     // Generate SKUs for variants that don't have them
-    parsedVariants = parsedVariants.map((variant) => ({
+    const skuVariants = checked.variants.map((variant) => ({
       ...variant,
       sku: variant.sku || generateSKU(brand, category, variant.size, variant.color),
     }))
@@ -194,16 +352,23 @@ router.post("/", authenticate, isStaffOrAdmin, upload.array("images", 10), valid
       category,
       subcategory,
       gender,
-      variants: parsedVariants,
+      attributes: checked.attributes,
+      variants: skuVariants,
       features: features ? (typeof features === "string" ? JSON.parse(features) : features) : [],
       materials: materials ? (typeof materials === "string" ? JSON.parse(materials) : materials) : [],
       tags: tags ? (typeof tags === "string" ? JSON.parse(tags) : tags) : [],
       images: uploadedImages,
       seo: seo ? (typeof seo === "string" ? JSON.parse(seo) : seo) : {},
+      supplier: supplier || undefined,
+      launchDate: launchDate || undefined,
+      // New products stay off the storefront until they are published
+      status: PRODUCT_STATUS.DRAFT,
     })
 
     await product.save()
 
+    await recordRevision(product, { source: PRODUCT_REVISION_SOURCES.CREATE, actor: req.user._id })
+
     res.status(201).json({
       status: "success",
       message: "Product created successfully",
@@ -212,6 +377,13 @@ router.post("/", authenticate, isStaffOrAdmin, upload.array("images", 10), valid
       },
     })
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      })
+    }
+
     console.error("Create product error:", error)
     res.status(500).json({
       status: "error",
@@ -223,11 +395,16 @@ router.post("/", authenticate, isStaffOrAdmin, upload.array("images", 10), valid
 // @desc    Update product
 // @route   PUT /api/products/:id
 // @access  Private (Staff/Admin)
-router.put("/:id", authenticate, isStaffOrAdmin, validateObjectId, upload.array("images", 10), async (req, res) => {
+router.put("/:id", authenticate, requirePermission("products:write"), validateObjectId, upload.array("images", 10), async (req, res) => {
   try {
     const { id } = req.params
     const updateData = { ...req.body }
 
+    // Publishing goes through PATCH /:id/status
+    for (const field of ["status", "publishAt", "unpublishAt", "publishedAt"]) {
+      delete updateData[field]
+    }
+
     const product = await Product.findById(id)
 
     if (!product) {
@@ -253,6 +430,31 @@ router.put("/:id", authenticate, isStaffOrAdmin, validateObjectId, upload.array(
     if (updateData.seo && typeof updateData.seo === "string") {
       updateData.seo = JSON.parse(updateData.seo)
     }
+    if (updateData.attributes && typeof updateData.attributes === "string") {
+      updateData.attributes = JSON.parse(updateData.attributes)
+    }
+
+    // Category, attributes and variant options must fit the catalog
+    const checked = checkProductAttributes(
+      await loadCatalog(),
+      {
+        category: updateData.category || product.category,
+        attributes: updateData.attributes !== undefined ? updateData.attributes : product.attributes,
+        variants: updateData.variants || product.variants.map((v) => ({ sku: v.sku, options: v.options })),
+      },
+      product,
+    )
+
+    if (checked.errors.length > 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid category or attributes",
+        errors: checked.errors,
+      })
+    }
+
+    updateData.attributes = checked.attributes
+    if (updateData.variants) updateData.variants = checked.variants
 
     // Handle new image uploads
     if (req.files && req.files.length > 0) {
@@ -270,10 +472,12 @@ router.put("/:id", authenticate, isStaffOrAdmin, validateObjectId, upload.array(
       updateData.images = [...product.images, ...newImages]
     }
 
-    // Generate SKUs for new variants
+    // Generate SKUs for new variants. Only new variants take the stock given;
+    // existing ones keep theirs (see updateWithVariants).
     if (updateData.variants) {
       updateData.variants = updateData.variants.map((variant) => ({
         ...variant,
+        locations: [],
         sku:
           variant.sku ||
           generateSKU(
@@ -285,9 +489,35 @@ router.put("/:id", authenticate, isStaffOrAdmin, validateObjectId, upload.array(
       }))
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
+    let before = product
+    let updatedProduct
+
+    if (updateData.variants) {
+      const result = await updateWithVariants(product, updateData)
+
+      if (!result) {
+        return res.status(409).json({
+          status: "error",
+          message: "Stock changed while the product was being updated, please try again",
+        })
+      }
+
+      before = result.before
+      updatedProduct = result.updated
+
+      // New variants bring their starting stock - keep the inventory ledger in step
+      await recordVariantChanges(before, updatedProduct, { actor: req.user._id, note: "Product update" })
+    } else {
+      updatedProduct = await Product.findByIdAndUpdate(id, updateData, {
+        new: true,
+        runValidators: true,
+      })
+    }
+
+    await recordRevision(updatedProduct, {
+      source: PRODUCT_REVISION_SOURCES.UPDATE,
+      actor: req.user._id,
+      before: snapshotProduct(before),
     })
 
     res.json({
@@ -298,6 +528,13 @@ router.put("/:id", authenticate, isStaffOrAdmin, validateObjectId, upload.array(
       },
     })
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        status: "error",
+        message: error.message,
+      })
+    }
+
     console.error("Update product error:", error)
     res.status(500).json({
       status: "error",
@@ -309,7 +546,7 @@ router.put("/:id", authenticate, isStaffOrAdmin, validateObjectId, upload.array(
 // @desc    Delete product image
 // @route   DELETE /api/products/:id/images/:imageId
 // @access  Private (Staff/Admin)
-router.delete("/:id/images/:imageId", authenticate, isStaffOrAdmin, validateObjectId, async (req, res) => {
+router.delete("/:id/images/:imageId", authenticate, requirePermission("products:write"), validateObjectId, async (req, res) => {
   try {
     const { id, imageId } = req.params
 
@@ -332,6 +569,7 @@ router.delete("/:id/images/:imageId", authenticate, isStaffOrAdmin, validateObje
     }
 
     const image = product.images[imageIndex]
+    const before = snapshotProduct(product)
 
     // Delete from Cloudinary
     if (image.public_id) {
@@ -348,6 +586,13 @@ router.delete("/:id/images/:imageId", authenticate, isStaffOrAdmin, validateObje
 
     await product.save()
 
+    await recordRevision(product, {
+      source: PRODUCT_REVISION_SOURCES.UPDATE,
+      actor: req.user._id,
+      note: "Image deleted",
+      before,
+    })
+
     res.json({
       status: "success",
       message: "Image deleted successfully",
@@ -367,7 +612,7 @@ router.delete("/:id/images/:imageId", authenticate, isStaffOrAdmin, validateObje
 // @desc    Delete product
 // @route   DELETE /api/products/:id
 // @access  Private (Admin)
-router.delete("/:id", authenticate, isStaffOrAdmin, validateObjectId, async (req, res) => {
+router.delete("/:id", authenticate, requirePermission("products:delete"), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -380,6 +625,8 @@ router.delete("/:id", authenticate, isStaffOrAdmin, validateObjectId, async (req
       })
     }
 
+    const before = snapshotProduct(product)
+
     // Delete all images from Cloudinary
     for (const image of product.images) {
       if (image.public_id) {
@@ -392,6 +639,13 @@ router.delete("/:id", authenticate, isStaffOrAdmin, validateObjectId, async (req
     product.discontinuedDate = new Date()
     await product.save()
 
+    await recordRevision(product, {
+      source: PRODUCT_REVISION_SOURCES.UPDATE,
+      actor: req.user._id,
+      note: "Product deleted",
+      before,
+    })
+
     res.json({
       status: "success",
       message: "Product deleted successfully",
@@ -410,15 +664,32 @@ router.delete("/:id", authenticate, isStaffOrAdmin, validateObjectId, async (req
 // @access  Public
 router.get("/meta/categories", async (req, res) => {
   try {
-    const categories = await Product.distinct("category", { isActive: true })
-    const brands = await Product.distinct("brand", { isActive: true })
-    const genders = await Product.distinct("gender", { isActive: true })
+    const listed = Product.listedFilter()
+    const categories = await Product.distinct("category", listed)
+    const brands = await Product.distinct("brand", listed)
+    const genders = await Product.distinct("gender", listed)
 
     // Get size and color options from variants
-    const products = await Product.find({ isActive: true }, "variants")
+    const products = await Product.find(listed, "variants")
     const sizes = [...new Set(products.flatMap((p) => p.variants.map((v) => v.size)))].sort()
     const colors = [...new Set(products.flatMap((p) => p.variants.map((v) => v.color)))]
 
+    // Active categories with the attributes their products can have, for filters and product forms
+    const catalog = await loadCatalog()
+    const describeAttribute = ({ code, name, type, scope, values, unit }) => ({ code, name, type, scope, values, unit })
+    const categoryDetails = [...catalog.categories.values()]
+      .filter((category) => category.isActive)
+      .map((category) => ({
+        slug: category.slug,
+        name: category.name,
+        description: category.description,
+        parent: category.parent,
+        attributes: category.attributes
+          .map((entry) => ({ attribute: catalog.attributes.get(entry.attribute), required: entry.required }))
+          .filter(({ attribute }) => attribute && attribute.isActive)
+          .map(({ attribute, required }) => ({ ...describeAttribute(attribute), required })),
+      }))
+
     res.json({
       status: "success",
       data: {
@@ -426,7 +697,9 @@ router.get("/meta/categories", async (req, res) => {
         brands: brands.sort(),
         genders: genders.sort(),
         sizes,
+        sizeSystems: Object.values(SIZE_SYSTEMS),
         colors: colors.sort(),
+        categoryDetails,
       },
     })
   } catch (error) {
@@ -446,17 +719,18 @@ router.get("/featured", async (req, res) => {
     const { limit = 8 } = req.query
 
     const products = await Product.find({
-      isActive: true,
+      ...Product.listedFilter(),
       isFeatured: true,
     })
       .sort({ createdAt: -1 })
       .limit(Number.parseInt(limit))
       .select("-__v")
+    const sizeCharts = await loadSizeCharts(products.map((product) => product.brand))
 
     res.json({
       status: "success",
       data: {
-        products,
+        products: products.map((product) => withSizeConversions(product, sizeCharts)),
       },
     })
   } catch (error) {
@@ -488,17 +762,18 @@ router.get("/:id/recommendations", validateObjectId, async (req, res) => {
     // Find similar products based on category, brand, or gender
     const recommendations = await Product.find({
       _id: { $ne: id },
-      isActive: true,
+      ...Product.listedFilter(),
       $or: [{ category: product.category }, { brand: product.brand }, { gender: product.gender }],
     })
       .sort({ totalSold: -1, createdAt: -1 })
       .limit(Number.parseInt(limit))
       .select("-__v")
+    const sizeCharts = await loadSizeCharts(recommendations.map((recommendation) => recommendation.brand))
 
     res.json({
       status: "success",
       data: {
-        recommendations,
+        recommendations: recommendations.map((recommendation) => withSizeConversions(recommendation, sizeCharts)),
       },
     })
   } catch (error) {
@@ -516,18 +791,18 @@ router.get("/:id/recommendations", validateObjectId, async (req, res) => {
 router.post("/:id/check-availability", validateObjectId, async (req, res) => {
   try {
     const { id } = req.params
-    const { size, color, quantity = 1 } = req.body
+    const { sku, size, color, options, quantity = 1 } = req.body
 
     const product = await Product.findById(id)
 
-    if (!product || !product.isActive) {
+    if (!product || !product.isListed()) {
       return res.status(404).json({
         status: "error",
         message: "Product not found",
       })
     }
 
-    const variant = product.getVariant(size, color)
+    const variant = product.findVariant({ sku, size, color, options })
 
     if (!variant) {
       return res.status(400).json({
@@ -536,8 +811,30 @@ router.post("/:id/check-availability", validateObjectId, async (req, res) => {
       })
     }
 
-    const isAvailable = variant.stock >= quantity && variant.isActive
-    const maxQuantity = variant.stock
+    // Backorder and pre-order variants can be ordered beyond their stock
+    const terms = product.getBackorderTerms(variant)
+    const orderable = product.getOrderableQuantity(variant)
+    const isAvailable = orderable >= quantity && variant.isActive
+    const maxQuantity = Number.isFinite(orderable) ? orderable : null
+
+    // Where the stock is, for variants stocked by location
+    const stockedAt = await Location.find({
+      _id: { $in: variant.locations.map((entry) => entry.location) },
+      isActive: true,
+    })
+      .select("name code type priority")
+      .sort({ priority: 1 })
+
+    const locations = stockedAt.map((stockLocation) => {
+      const entry = variant.locations.find((l) => l.location.equals(stockLocation._id))
+      return {
+        name: stockLocation.name,
+        code: stockLocation.code,
+        type: stockLocation.type,
+        stock: entry.stock,
+        available: entry.stock >= quantity && variant.isActive,
+      }
+    })
 
     res.json({
       status: "success",
@@ -545,6 +842,9 @@ router.post("/:id/check-availability", validateObjectId, async (req, res) => {
         available: isAvailable,
         maxQuantity,
         currentStock: variant.stock,
+        fulfillment: terms && (quantity > variant.stock || terms.type === "preorder") ? terms.type : "stock",
+        expectedShipDate: terms ? terms.expectedShipDate : null,
+        locations,
         variant,
       },
     })
@@ -557,4 +857,223 @@ router.post("/:id/check-availability", validateObjectId, async (req, res) => {
   }
 })
 
+// @desc    Change product status or publishing schedule
+// @route   PATCH /api/products/:id/status
+// @access  Private (Staff/Admin)
+router.patch(
+  "/:id/status",
+  authenticate,
+  requirePermission("products:write"),
+  validateObjectId,
+  validateProductStatus,
+  async (req, res) => {
+    try {
+      const { status, publishAt, unpublishAt, note } = req.body
+
+      if (status === undefined && publishAt === undefined && unpublishAt === undefined) {
+        return res.status(400).json({
+          status: "error",
+          message: "Give a status, publishAt or unpublishAt",
+        })
+      }
+
+      const result = await updatePublishing(req.params.id, { status, publishAt, unpublishAt, note }, req.user._id)
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 400).json({
+          status: "error",
+          message: result.error,
+        })
+      }
+
+      res.json({
+        status: "success",
+        message: "Product status updated successfully",
+        data: {
+          product: result.product,
+        },
+      })
+    } catch (error) {
+      console.error("Update product status error:", error)
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update product status",
+      })
+    }
+  },
+)
+
+// @desc    Get product revision history
+// @route   GET /api/products/:id/revisions
+// @access  Private (Staff/Admin)
+router.get(
+  "/:id/revisions",
+  authenticate,
+  requirePermission("products:write"),
+  validateObjectId,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { id } = req.params
+      const { page = 1, limit = 20 } = req.query
+
+      if (!(await Product.exists({ _id: id }))) {
+        return res.status(404).json({
+          status: "error",
+          message: "Product not found",
+        })
+      }
+
+      const skip = (Number.parseInt(page) - 1) * Number.parseInt(limit)
+      const revisions = await ProductRevision.find({ product: id })
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(Number.parseInt(limit))
+        .select("-snapshot")
+        .populate("actor", "email profile.firstName profile.lastName")
+
+      const total = await ProductRevision.countDocuments({ product: id })
+      const pagination = getPaginationInfo(Number.parseInt(page), Number.parseInt(limit), total)
+
+      res.json({
+        status: "success",
+        data: {
+          revisions,
+          pagination,
+        },
+      })
+    } catch (error) {
+      console.error("Get product revisions error:", error)
+      res.status(500).json({
+        status: "error",
+        message: "Failed to fetch product revisions",
+      })
+    }
+  },
+)
+
+// @desc    Get one product revision with its snapshot
+// @route   GET /api/products/:id/revisions/:revisionId
+// @access  Private (Staff/Admin)
+router.get(
+  "/:id/revisions/:revisionId",
+  authenticate,
+  requirePermission("products:write"),
+  validateObjectId,
+  validateRevisionId,
+  async (req, res) => {
+    try {
+      const revision = await ProductRevision.findOne({ _id: req.params.revisionId, product: req.params.id }).populate(
+        "actor",
+        "email profile.firstName profile.lastName",
+      )
+
+      if (!revision) {
+        return res.status(404).json({
+          status: "error",
+          message: "Revision not found",
+        })
+      }
+
+      res.json({
+        status: "success",
+        data: {
+          revision,
+        },
+      })
+    } catch (error) {
+      console.error("Get product revision error:", error)
+      res.status(500).json({
+        status: "error",
+        message: "Failed to fetch product revision",
+      })
+    }
+  },
+)
+
+// @desc    Compare a product revision with the previous one, another revision or the current product
+// @route   GET /api/products/:id/revisions/:revisionId/diff?against=previous|current|<revisionId>
+// @access  Private (Staff/Admin)
+router.get(
+  "/:id/revisions/:revisionId/diff",
+  authenticate,
+  requirePermission("products:write"),
+  validateObjectId,
+  validateRevisionId,
+  async (req, res) => {
+    try {
+      const { against = "previous" } = req.query
+
+      if (!["previous", "current"].includes(against) && !/^[0-9a-fA-F]{24}$/.test(against)) {
+        return res.status(400).json({
+          status: "error",
+          message: "against must be previous, current or a revision ID",
+        })
+      }
+
+      const result = await diffRevision(req.params.id, req.params.revisionId, against)
+
+      if (!result.success) {
+        return res.status(404).json({
+          status: "error",
+          message: result.error,
+        })
+      }
+
+      res.json({
+        status: "success",
+        data: {
+          version: result.revision.version,
+          against: result.against,
+          changes: result.changes,
+        },
+      })
+    } catch (error) {
+      console.error("Diff product revision error:", error)
+      res.status(500).json({
+        status: "error",
+        message: "Failed to compare product revision",
+      })
+    }
+  },
+)
+
+// @desc    Roll a product back to a revision
+// @route   POST /api/products/:id/revisions/:revisionId/rollback
+// @access  Private (Staff/Admin)
+router.post(
+  "/:id/revisions/:revisionId/rollback",
+  authenticate,
+  requirePermission("products:write"),
+  validateObjectId,
+  validateRevisionId,
+  async (req, res) => {
+    try {
+      const result = await rollbackToRevision(req.params.id, req.params.revisionId, req.user._id)
+
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : result.conflict ? 409 : 400).json({
+          status: "error",
+          message: result.error,
+        })
+      }
+
+      res.json({
+        status: "success",
+        message: "Product rolled back successfully",
+        data: {
+          product: result.product,
+          revision: result.revision,
+        },
+      })
+    } catch (error) {
+      console.error("Roll back product error:", error)
+      res.status(500).json({
+        status: "error",
+        message: "Failed to roll back product",
+      })
+    }
+  },
+)
+
 module.exports = router
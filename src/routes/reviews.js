@@ -15,8 +15,7 @@ const multer = require("multer")
 const Review = require("../models/Review")
 const Product = require("../models/Product")
 const Order = require("../models/Order")
-const { authenticate, optionalAuth } = require("../middleware/auth")
-const { requireRole } = require("../middleware/auth")
+const { authenticate, optionalAuth, requirePermission } = require("../middleware/auth")
 const { validatePagination, validateObjectId } = require("../middleware/validation")
 const { uploadImage, deleteImage } = require("../config/cloudinary")
 const { getPaginationInfo } = require("../utils/helpers")
@@ -585,7 +584,7 @@ router.get("/my-reviews", authenticate, validatePagination, async (req, res) =>
  * @route   PUT /api/reviews/:id/moderate
  * @access  Private (Admin/Staff)
  */
-router.put("/:id/moderate", authenticate, requireRole(["admin", "staff"]), validateObjectId, async (req, res) => {
+router.put("/:id/moderate", authenticate, requirePermission("reviews:moderate"), validateObjectId, async (req, res) => {
   try {
     const { id } = req.params
     const { status, response } = req.body
@@ -640,7 +639,7 @@ router.put("/:id/moderate", authenticate, requireRole(["admin", "staff"]), valid
  * @route   GET /api/reviews/moderation
  * @access  Private (Admin/Staff)
  */
-router.get("/moderation", authenticate, requireRole(["admin", "staff"]), validatePagination, async (req, res) => {
+router.get("/moderation", authenticate, requirePermission("reviews:moderate"), validatePagination, async (req, res) => {
   try {
     const {
       page = 1,
@@ -3,13 +3,19 @@ const router = express.Router()
 const Order = require("../models/Order")
 const Product = require("../models/Product")
 const User = require("../models/User")
-const { auth, requireRole } = require("../middleware/auth")
-const { body, validationResult } = require("express-validator")
+const Location = require("../models/Location")
+const { auth, requirePermission, requireTwoFactorEnrollment } = require("../middleware/auth")
+const { body, param, query, validationResult } = require("express-validator")
 const socketService = require("../services/socketService")
+const { setLocationStock } = require("../services/inventoryService")
+const { allocateBackorders, prepareShipment } = require("../services/backorderService")
+const { getLocationScope, isInScope } = require("../services/locationService")
+const { STOCK_EDIT_REASONS, INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
 
-// Apply auth and staff role to all routes
+// Apply auth, staff dashboard permission and 2FA enrollment check to all routes
 router.use(auth)
-router.use(requireRole(["staff", "admin"]))
+router.use(requirePermission("staff:access"))
+router.use(requireTwoFactorEnrollment)
 
 // Staff Dashboard
 router.get("/dashboard", async (req, res) => {
@@ -75,7 +81,7 @@ router.get("/dashboard", async (req, res) => {
 })
 
 // Order Management for Staff
-router.get("/orders", async (req, res) => {
+router.get("/orders", requirePermission("orders:read"), async (req, res) => {
   try {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Number.parseInt(req.query.limit) || 20
@@ -114,7 +120,7 @@ router.get("/orders", async (req, res) => {
   }
 })
 
-router.get("/orders/:id", async (req, res) => {
+router.get("/orders/:id", requirePermission("orders:read"), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate("user", "firstName lastName email phone addresses")
@@ -142,6 +148,7 @@ router.get("/orders/:id", async (req, res) => {
 
 router.patch(
   "/orders/:id/status",
+  requirePermission("orders:update"),
   [
     body("status").isIn(["confirmed", "processing", "shipped", "delivered"]).withMessage("Invalid status for staff"),
     body("trackingNumber").optional().isString(),
@@ -159,6 +166,22 @@ router.patch(
       }
 
       const { status, trackingNumber, notes } = req.body
+
+      // Backordered and pre-ordered orders are charged when they ship
+      if (status === "shipped") {
+        const existing = await Order.findById(req.params.id)
+
+        if (existing && existing.status !== "shipped") {
+          const shipment = await prepareShipment(existing)
+          if (!shipment.success) {
+            return res.status(shipment.awaitingStock ? 400 : 402).json({
+              success: false,
+              message: shipment.error,
+            })
+          }
+        }
+      }
+
       const updateData = {
         status,
         updatedBy: req.user.id,
@@ -185,12 +208,14 @@ router.patch(
         })
       }
 
-      // Send real-time update
-      socketService.emitToUser(order.user._id, "orderStatusUpdate", {
-        orderId: order._id,
-        status: order.status,
-        trackingNumber: order.shipping?.trackingNumber,
-      })
+      // Send real-time update (guest orders have no user to notify)
+      if (order.user) {
+        socketService.emitToUser(order.user._id, "orderStatusUpdate", {
+          orderId: order._id,
+          status: order.status,
+          trackingNumber: order.shipping?.trackingNumber,
+        })
+      }
 
       res.json({
         success: true,
@@ -208,7 +233,7 @@ router.patch(
 )
 
 // Customer Support
-router.get("/customers", async (req, res) => {
+router.get("/customers", requirePermission("customers:read"), async (req, res) => {
   try {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Number.parseInt(req.query.limit) || 20
@@ -251,7 +276,7 @@ router.get("/customers", async (req, res) => {
   }
 })
 
-router.get("/customers/:id/orders", async (req, res) => {
+router.get("/customers/:id/orders", requirePermission("customers:read"), async (req, res) => {
   try {
     const orders = await Order.find({ user: req.params.id }).sort({ createdAt: -1 }).limit(50)
 
@@ -269,22 +294,57 @@ router.get("/customers/:id/orders", async (req, res) => {
 })
 
 // Inventory Management (Limited for Staff)
-router.get("/inventory/alerts", async (req, res) => {
+//
+// Staff assigned to locations (user.locations) only see and change stock at
+// those locations; staff without any assignment cover every location.
+
+// Active locations a staff member covers, as ObjectIds
+const getScopedLocationIds = async (user) => {
+  const scope = getLocationScope(user)
+  const filter = scope ? { _id: { $in: scope }, isActive: true } : { isActive: true }
+  const locations = await Location.find(filter).select("_id")
+  return locations.map((location) => location._id)
+}
+
+router.get("/inventory/alerts", requirePermission("inventory:read"), async (req, res) => {
   try {
-    const lowStockProducts = await Product.aggregate([
-      { $unwind: "$variants" },
-      { $match: { "variants.stock": { $lt: 10 } } },
-      {
-        $project: {
-          name: 1,
-          brand: 1,
-          category: 1,
-          variant: "$variants",
-          images: { $slice: ["$images", 1] },
-        },
-      },
-      { $sort: { "variant.stock": 1 } },
-    ])
+    // Scoped staff get one alert per low location rather than per variant
+    const lowStockProducts = getLocationScope(req.user)
+      ? await Product.aggregate([
+          { $unwind: "$variants" },
+          { $unwind: "$variants.locations" },
+          {
+            $match: {
+              "variants.locations.location": { $in: await getScopedLocationIds(req.user) },
+              "variants.locations.stock": { $lt: 10 },
+            },
+          },
+          {
+            $project: {
+              name: 1,
+              brand: 1,
+              category: 1,
+              variant: "$variants",
+              location: "$variants.locations",
+              images: { $slice: ["$images", 1] },
+            },
+          },
+          { $sort: { "location.stock": 1 } },
+        ])
+      : await Product.aggregate([
+          { $unwind: "$variants" },
+          { $match: { "variants.stock": { $lt: 10 } } },
+          {
+            $project: {
+              name: 1,
+              brand: 1,
+              category: 1,
+              variant: "$variants",
+              images: { $slice: ["$images", 1] },
+            },
+          },
+          { $sort: { "variant.stock": 1 } },
+        ])
 
     res.json({
       success: true,
@@ -299,4 +359,196 @@ router.get("/inventory/alerts", async (req, res) => {
   }
 })
 
+// Stock per location for the locations the staff member covers
+router.get(
+  "/inventory",
+  requirePermission("inventory:read"),
+  [
+    query("locationId").optional().isMongoId().withMessage("Invalid location ID"),
+    query("lowStock").optional().isInt({ min: 0 }).withMessage("lowStock must be a non-negative integer"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const { locationId, sku, lowStock } = req.query
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Math.min(Number.parseInt(req.query.limit) || 50, 100)
+
+      if (locationId && !isInScope(getLocationScope(req.user), locationId)) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not manage this location",
+        })
+      }
+
+      const locationIds = (await getScopedLocationIds(req.user)).filter(
+        (id) => !locationId || id.toString() === locationId,
+      )
+
+      const match = { "variants.locations.location": { $in: locationIds } }
+      if (sku) match["variants.sku"] = sku
+      if (lowStock !== undefined) match["variants.locations.stock"] = { $lte: Number.parseInt(lowStock) }
+
+      const [result] = await Product.aggregate([
+        { $unwind: "$variants" },
+        { $unwind: "$variants.locations" },
+        { $match: match },
+        {
+          $project: {
+            _id: 0,
+            productId: "$_id",
+            name: 1,
+            brand: 1,
+            variantId: "$variants._id",
+            sku: "$variants.sku",
+            size: "$variants.size",
+            color: "$variants.color",
+            location: "$variants.locations.location",
+            stock: "$variants.locations.stock",
+          },
+        },
+        { $sort: { stock: 1, sku: 1 } },
+        {
+          $facet: {
+            items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+            total: [{ $count: "count" }],
+          },
+        },
+      ])
+
+      const total = result.total[0]?.count || 0
+      const locations = await Location.find({ _id: { $in: locationIds } }).select("name code type")
+
+      res.json({
+        success: true,
+        data: {
+          items: result.items.map((item) => ({
+            ...item,
+            location: locations.find((location) => location._id.equals(item.location)),
+          })),
+          locations,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+          },
+        },
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error fetching inventory",
+        error: error.message,
+      })
+    }
+  },
+)
+
+// Set a variant's stock at one of the staff member's locations
+router.patch(
+  "/inventory/:productId/variant/:variantId/locations/:locationId/stock",
+  requirePermission("inventory:write"),
+  [
+    param("productId").isMongoId().withMessage("Invalid product ID"),
+    param("variantId").isMongoId().withMessage("Invalid variant ID"),
+    param("locationId").isMongoId().withMessage("Invalid location ID"),
+    body("stock").isInt({ min: 0 }).withMessage("Stock must be a non-negative integer").toInt(),
+    body("reason")
+      .optional()
+      .isIn(STOCK_EDIT_REASONS)
+      .withMessage(`Reason must be one of: ${STOCK_EDIT_REASONS.join(", ")}`),
+    body("note").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: errors.array(),
+        })
+      }
+
+      const { productId, variantId, locationId } = req.params
+      const { stock: count, reason = INVENTORY_MOVEMENT_REASONS.MANUAL_ADJUSTMENT, note } = req.body
+
+      if (!isInScope(getLocationScope(req.user), locationId)) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not manage this location",
+        })
+      }
+
+      if (!(await Product.exists({ _id: productId, "variants._id": variantId }))) {
+        return res.status(404).json({
+          success: false,
+          message: "Product or variant not found",
+        })
+      }
+
+      if (!(await Location.exists({ _id: locationId, isActive: true }))) {
+        return res.status(404).json({
+          success: false,
+          message: "Location not found",
+        })
+      }
+
+      const result = await setLocationStock(productId, variantId, locationId, count, {
+        reason,
+        actor: req.user._id,
+        note,
+      })
+
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          message: result.error,
+        })
+      }
+
+      // Orders waiting for this stock get it first
+      if (result.newStock > result.previousStock) {
+        await allocateBackorders({ productIds: [productId] })
+      }
+
+      socketService.emitToAll("inventoryUpdate", {
+        productId,
+        variantId,
+        stock: result.variantStock,
+        locationId,
+        locationStock: result.newStock,
+      })
+
+      res.json({
+        success: true,
+        data: {
+          productId,
+          variantId,
+          locationId,
+          previousStock: result.previousStock,
+          stock: result.newStock,
+          reserved: result.reserved,
+          totalStock: result.variantStock,
+        },
+        message: "Stock updated successfully",
+      })
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating stock",
+        error: error.message,
+      })
+    }
+  },
+)
+
 module.exports = router
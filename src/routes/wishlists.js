@@ -374,7 +374,7 @@ router.post("/:id/items", authenticate, validateObjectId, async (req, res) => {
     }
 
     const product = await Product.findById(productId)
-    if (!product || !product.isActive) {
+    if (!product || !product.isListed()) {
       return res.status(404).json({
         status: "error",
         message: "Product not found or not available",
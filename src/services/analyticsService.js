@@ -388,6 +388,66 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Get sales velocity per variant
+   *
+   * Units sold per day over a recent window, from paid orders that weren't
+   * cancelled. Used for reorder suggestions, so it isn't cached.
+   *
+   * @param {Object} options - Velocity options
+   * @param {number} options.days - Length of the window in days (default 30)
+   * @param {Array} options.productIds - Only these products (default all)
+   * @returns {Promise<Object>} Units sold and daily velocity per variant
+   */
+  static async getSalesVelocity(options = {}) {
+    try {
+      const { days = 30, productIds } = options
+      const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+
+      const itemMatch = productIds
+        ? [{ $match: { "items.product": { $in: productIds.map((id) => new mongoose.Types.ObjectId(id)) } } }]
+        : []
+
+      const results = await Order.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: startDate },
+            status: { $nin: ["cancelled"] },
+            "payment.status": "completed",
+          },
+        },
+        { $unwind: "$items" },
+        ...itemMatch,
+        {
+          $group: {
+            // Variants that share a size and color differ by SKU
+            _id: {
+              product: "$items.product",
+              sku: "$items.variant.sku",
+            },
+            size: { $first: "$items.variant.size" },
+            color: { $first: "$items.variant.color" },
+            unitsSold: { $sum: "$items.quantity" },
+          },
+        },
+      ])
+
+      const variants = results.map(({ _id, size, color, unitsSold }) => ({
+        productId: _id.product,
+        sku: _id.sku,
+        size,
+        color,
+        unitsSold,
+        dailyVelocity: unitsSold / days,
+      }))
+
+      return { success: true, data: { days, startDate, variants, generatedAt: new Date() } }
+    } catch (error) {
+      console.error("Get sales velocity error:", error)
+      return { success: false, error: error.message }
+    }
+  }
+
   /**
    * Get real-time dashboard data
    * 
@@ -0,0 +1,151 @@
+/**
+ * API Key Service
+ *
+ * Creates and verifies scoped API keys for server-to-server integrations.
+ *
+ * - Keys look like `sk_<48 hex chars>` and are stored only as SHA-256 hashes
+ * - Each key has scopes (permission names); a request gets the intersection of
+ *   the key's scopes and its creator's current permissions
+ * - Each key has its own fixed-window rate limit (Redis or in-memory)
+ */
+
+const crypto = require("crypto")
+const ApiKey = require("../models/ApiKey")
+const User = require("../models/User")
+const { REDIS_KEYS } = require("../config/redis")
+const { API_KEYS } = require("../utils/constants")
+const { incrementCounter } = require("../utils/ephemeralStore")
+const { getEffectivePermissions } = require("./permissionService")
+
+// Hash a key for storage/lookup
+const hashApiKey = (key) => {
+  return crypto.createHash("sha256").update(key).digest("hex")
+}
+
+// Generate a new random key
+const generateApiKey = () => {
+  const key = `${API_KEYS.PREFIX}${crypto.randomBytes(24).toString("hex")}`
+
+  return {
+    key,
+    prefix: key.slice(0, API_KEYS.PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+  }
+}
+
+// Effective rate limit settings for a key
+const getRateLimit = (apiKey) => ({
+  max: apiKey.rateLimit?.max || API_KEYS.RATE_LIMIT_MAX,
+  windowSeconds: apiKey.rateLimit?.windowSeconds || API_KEYS.RATE_LIMIT_WINDOW_SECONDS,
+})
+
+// Create a key; the plain key is only returned here
+const createApiKey = async ({ name, scopes = [], expiresAt, rateLimit }, creator) => {
+  const { key, prefix, keyHash } = generateApiKey()
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    rateLimit,
+    createdBy: creator._id,
+  })
+
+  return { apiKey, key }
+}
+
+// Count a request against the key's rate limit window
+const consumeRateLimit = async (apiKey) => {
+  const { max, windowSeconds } = getRateLimit(apiKey)
+  const windowMs = windowSeconds * 1000
+  const window = Math.floor(Date.now() / windowMs)
+  const count = await incrementCounter(REDIS_KEYS.API_KEY_RATE_LIMIT(apiKey._id, window), windowSeconds)
+  const resetAt = (window + 1) * windowMs
+
+  return {
+    limit: max,
+    remaining: Math.max(0, max - count),
+    retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)),
+    exceeded: count > max,
+  }
+}
+
+// Verify a key presented in a request
+const authenticateApiKey = async (key, ip) => {
+  if (!key || !key.startsWith(API_KEYS.PREFIX)) {
+    return { success: false, error: "Invalid API key" }
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) })
+
+  if (!apiKey || apiKey.revokedAt) {
+    return { success: false, error: "Invalid API key" }
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { success: false, error: "API key has expired", code: "API_KEY_EXPIRED" }
+  }
+
+  const rateLimit = await consumeRateLimit(apiKey)
+
+  if (rateLimit.exceeded) {
+    return { success: false, error: "API key rate limit exceeded", code: "RATE_LIMITED", rateLimit }
+  }
+
+  const user = await User.findById(apiKey.createdBy)
+
+  if (!user || !user.isActive) {
+    return { success: false, error: "API key owner is no longer active" }
+  }
+
+  // Scopes can never exceed what the creator is currently allowed to do
+  const ownerPermissions = await getEffectivePermissions(user)
+  const permissions = apiKey.scopes.filter((scope) => ownerPermissions.includes(scope))
+
+  // Track usage without delaying the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } },
+  ).catch((error) => console.error("API key usage tracking error:", error))
+
+  return { success: true, apiKey, user, permissions, rateLimit }
+}
+
+// Cheap validity check (no rate limiting or usage tracking)
+const isActiveApiKey = async (key) => {
+  if (!key || !key.startsWith(API_KEYS.PREFIX)) return false
+
+  try {
+    const apiKey = await ApiKey.exists({
+      keyHash: hashApiKey(key),
+      revokedAt: { $exists: false },
+      $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    })
+
+    return !!apiKey
+  } catch (error) {
+    console.error("API key lookup error:", error)
+    return false
+  }
+}
+
+// Revoke a key
+const revokeApiKey = async (keyId, revokedBy) => {
+  return ApiKey.findOneAndUpdate(
+    { _id: keyId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedBy: revokedBy._id } },
+    { new: true },
+  )
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  getRateLimit,
+  createApiKey,
+  authenticateApiKey,
+  isActiveApiKey,
+  revokeApiKey,
+}
@@ -0,0 +1,293 @@
+/**
+ * Backorder Service
+ *
+ * Selling variants beyond their stock (see Product getBackorderTerms):
+ *
+ * 1. POST /api/orders -> units that can't be held from stock are sold beyond
+ *                        it; takeBackorderCap counts them against the cap
+ * 2. Payment          -> only authorised; the order waits as "backordered"
+ *                        or "preordered" (Order getPaidStatus)
+ * 3. Stock comes in   -> allocateBackorders hands it to waiting orders,
+ *                        oldest first, and confirms the ones that are complete
+ * 4. Shipment         -> prepareShipment checks nothing is still waiting and
+ *                        captures the payment
+ * 5. Cancellation     -> releaseBackorders gives unallocated units back to the cap
+ *
+ * Allocated units are taken from stock like any sale and kept as committed
+ * holds, so cancelling the order puts them back.
+ */
+
+const StockReservation = require("../models/StockReservation")
+const Order = require("../models/Order")
+const Product = require("../models/Product")
+const { reserveStock } = require("./inventoryService")
+const { getFulfillmentLocations } = require("./locationService")
+const { captureAuthorizedPayment } = require("./paymentService")
+const { emitOrderStatusUpdate } = require("./socketService")
+const { ORDER_STATUSES, INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
+
+// Paid orders with units still waiting for stock
+const WAITING_STATUSES = [ORDER_STATUSES.BACKORDERED, ORDER_STATUSES.PREORDERED]
+
+const AUTHORIZATION_EXPIRED_ERROR =
+  "The payment authorisation has expired; the customer needs to authorise the payment again"
+
+// Give units back to the caps they were counted against. Uncapped variants
+// are left alone.
+const returnBackorderCap = async (lines) => {
+  for (const { product, variant, quantity } of lines) {
+    await Product.updateOne(
+      {
+        _id: product,
+        variants: { $elemMatch: { sku: variant.sku, backorderCap: { $type: "number" } } },
+      },
+      { $inc: { "variants.$.backorderCap": quantity } },
+    )
+  }
+}
+
+/**
+ * Count an order's backordered and pre-ordered units against their variants' caps
+ *
+ * All or nothing: if one item doesn't fit under its cap, the units already
+ * counted for the others are given back.
+ *
+ * @param {Array} items - Order items; only those with backorder.quantity are counted
+ * @returns {Promise<Object>} { success, error }
+ */
+const takeBackorderCap = async (items) => {
+  const taken = []
+
+  for (const item of items) {
+    const quantity = item.backorder?.quantity || 0
+    if (quantity === 0) continue
+
+    const { size, color, sku } = item.variant
+    const sellable = { sku, isActive: true, $or: [{ allowBackorder: true }, { preorder: true }] }
+
+    const capped = await Product.updateOne(
+      { _id: item.product, variants: { $elemMatch: { ...sellable, backorderCap: { $gte: quantity } } } },
+      { $inc: { "variants.$.backorderCap": -quantity } },
+    )
+
+    if (capped.modifiedCount > 0) {
+      taken.push({ product: item.product, variant: item.variant, quantity })
+      continue
+    }
+
+    const uncapped = await Product.exists({
+      _id: item.product,
+      variants: { $elemMatch: { ...sellable, backorderCap: null } },
+    })
+
+    if (!uncapped) {
+      await returnBackorderCap(taken)
+
+      const product = await Product.findById(item.product).select("variants")
+      const variant = product && product.findVariant({ sku })
+      const left = variant && variant.backorderCap ? variant.backorderCap : 0
+      const verb = item.fulfillment === "preorder" ? "pre-ordered" : "backordered"
+
+      return {
+        success: false,
+        error: `Only ${left} more of ${item.productSnapshot.name} - ${color} (Size ${size}) can be ${verb}`,
+      }
+    }
+  }
+
+  return { success: true }
+}
+
+/**
+ * Undo takeBackorderCap for an order that could not be created
+ * @param {Array} items - The items passed to takeBackorderCap
+ */
+const releaseBackorderCap = async (items) => {
+  const lines = items
+    .filter((item) => item.backorder?.quantity > 0)
+    .map((item) => ({ product: item.product, variant: item.variant, quantity: item.backorder.quantity }))
+
+  await returnBackorderCap(lines)
+}
+
+/**
+ * Give a cancelled order's unallocated backordered units back to their caps
+ * @param {Object} order - Order document; its items are updated but not saved
+ * @returns {Promise<number>} Units given back
+ */
+const releaseBackorders = async (order) => {
+  let released = 0
+
+  for (const item of order.items) {
+    const awaiting = item.backorder?.awaiting || 0
+    if (awaiting === 0) continue
+
+    // Clear the units on the order first so they're never given back twice
+    const cleared = await Order.updateOne(
+      { _id: order._id, items: { $elemMatch: { _id: item._id, "backorder.awaiting": awaiting } } },
+      { $set: { "items.$.backorder.awaiting": 0 } },
+    )
+    item.backorder.awaiting = 0
+
+    if (cleared.modifiedCount === 0) continue
+
+    await returnBackorderCap([{ product: item.product._id || item.product, variant: item.variant, quantity: awaiting }])
+    released += awaiting
+  }
+
+  return released
+}
+
+// Take as much of an item's waiting units from stock as there is
+const allocateItem = async (order, item, locations) => {
+  const product = await Product.findById(item.product).select("variants")
+  const variant = product && product.findVariant({ sku: item.variant.sku })
+  const quantity = Math.min(item.backorder.awaiting, variant ? variant.stock : 0)
+
+  if (quantity <= 0) return 0
+
+  // Claim the units on the order first, so two runs can't fill them twice
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      status: { $in: WAITING_STATUSES },
+      items: { $elemMatch: { _id: item._id, "backorder.awaiting": { $gte: quantity } } },
+    },
+    { $inc: { "items.$.backorder.awaiting": -quantity } },
+  )
+
+  if (claimed.modifiedCount === 0) return 0
+
+  const result = await reserveStock([{ product: item.product, variant: item.variant, quantity }], {
+    reason: INVENTORY_MOVEMENT_REASONS.BACKORDER_ALLOCATION,
+    order: order._id,
+    locations,
+  })
+
+  if (!result.success) {
+    // Sold in the meantime - the units wait for the next delivery
+    await Order.updateOne(
+      { _id: order._id, "items._id": item._id },
+      { $inc: { "items.$.backorder.awaiting": quantity } },
+    )
+    return 0
+  }
+
+  const { allocations } = result.reservations[0]
+  const committedAt = new Date()
+
+  await StockReservation.create({
+    product: item.product,
+    variant: { size: item.variant.size, color: item.variant.color, sku: item.variant.sku },
+    quantity,
+    allocations,
+    order: order._id,
+    status: "committed",
+    committedAt,
+    expiresAt: committedAt,
+  })
+
+  if (allocations.length > 0) {
+    await Order.updateOne(
+      { _id: order._id, "items._id": item._id },
+      { $push: { "items.$.allocations": { $each: allocations } } },
+    )
+  }
+
+  return quantity
+}
+
+// Confirm a waiting order once none of its units are waiting any more
+const confirmIfComplete = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $in: WAITING_STATUSES }, "items.backorder.awaiting": { $not: { $gt: 0 } } },
+    { $set: { status: ORDER_STATUSES.CONFIRMED, confirmedAt: new Date() } },
+    { new: true },
+  )
+
+  if (!order) return false
+
+  if (order.user) {
+    emitOrderStatusUpdate(order.user, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      message: "Everything in your order is now in stock and it is being prepared",
+    })
+  }
+
+  return true
+}
+
+/**
+ * Allocate stock to paid orders that are waiting for it, oldest order first
+ *
+ * Runs after stock comes in (purchase order receipts, stock edits) and on a
+ * schedule to pick up anything else that puts units back on sale.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.productIds] - Only allocate these products' stock
+ * @returns {Promise<Object>} { allocated, confirmedOrders }
+ */
+const allocateBackorders = async ({ productIds } = {}) => {
+  const waitingItem = { "backorder.awaiting": { $gt: 0 } }
+  if (productIds) waitingItem.product = { $in: productIds }
+
+  const orders = await Order.find({ status: { $in: WAITING_STATUSES }, items: { $elemMatch: waitingItem } })
+    .sort({ createdAt: 1 })
+
+  const wanted = productIds ? productIds.map((id) => id.toString()) : null
+  let allocated = 0
+  let confirmedOrders = 0
+
+  for (const order of orders) {
+    const locations = await getFulfillmentLocations(order.shippingAddress)
+
+    for (const item of order.items) {
+      if (!(item.backorder?.awaiting > 0)) continue
+      if (wanted && !wanted.includes(item.product.toString())) continue
+
+      allocated += await allocateItem(order, item, locations)
+    }
+
+    if (await confirmIfComplete(order._id)) confirmedOrders += 1
+  }
+
+  return { allocated, confirmedOrders }
+}
+
+/**
+ * Check an order can ship, and take its payment if it was only authorised
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { success, error, awaitingStock, captured }
+ */
+const prepareShipment = async (order) => {
+  const awaiting = order.getAwaitingStock()
+
+  if (awaiting > 0) {
+    return { success: false, awaitingStock: true, error: `${awaiting} units are still waiting for stock` }
+  }
+
+  // The authorisation lapsed and hasn't been renewed yet (POST /api/payments/:orderId/retry)
+  if (order.payment.authorizedAt && ["pending", "failed", "cancelled"].includes(order.payment.status)) {
+    return { success: false, authorizationExpired: true, error: AUTHORIZATION_EXPIRED_ERROR }
+  }
+
+  const capture = await captureAuthorizedPayment(order)
+  if (capture.authorizationExpired) {
+    return { success: false, authorizationExpired: true, error: AUTHORIZATION_EXPIRED_ERROR }
+  }
+  if (!capture.success) {
+    return { success: false, error: `Payment could not be captured: ${capture.error}` }
+  }
+
+  return { success: true, captured: capture.captured }
+}
+
+module.exports = {
+  takeBackorderCap,
+  releaseBackorderCap,
+  releaseBackorders,
+  allocateBackorders,
+  prepareShipment,
+}
@@ -0,0 +1,412 @@
+/**
+ * Bulk Operation Service
+ *
+ * Price and stock changes across many variants at once (models/BulkOperation.js):
+ *
+ * 1. previewBulkOperation -> the variants the filter picks and what each would become
+ * 2. applyBulkOperation   -> works the changes out again and makes them, all or
+ *                            nothing, keeping the operation as an audit record
+ * 3. undoBulkOperation    -> puts the prices back and reverses the stock changes,
+ *                            within BULK_OPERATION.UNDO_HOURS
+ *
+ * Each variant is changed with one conditional update, so a price edited or
+ * stock sold while the operation runs is noticed rather than overwritten. If
+ * a variant can't be changed, the variants already changed are put back.
+ * Price changes are added to each product's revision history.
+ */
+
+const BulkOperation = require("../models/BulkOperation")
+const Product = require("../models/Product")
+const { recordMovement } = require("./inventoryLedgerService")
+const { allocateBackorders } = require("./backorderService")
+const { snapshotProducts, recordRevisions } = require("./productRevisionService")
+const {
+  BULK_OPERATION,
+  BULK_OPERATION_STATUS,
+  BULK_ADJUSTMENTS,
+  INVENTORY_MOVEMENT_REASONS,
+  PRODUCT_REVISION_SOURCES,
+} = require("../utils/constants")
+
+// Highest price the Product schema allows
+const MAX_PRICE = 10000
+
+const roundPrice = (price) => Math.round(price * 100) / 100
+
+const hasPriceChange = (change) => typeof change.price?.to === "number"
+const hasStockChange = (change) => typeof change.stock?.to === "number"
+
+const adjust = (current, { action, unit, value }) => {
+  if (action === BULK_ADJUSTMENTS.SET) return value
+
+  const amount = unit === "percent" ? (current * value) / 100 : value
+  return action === BULK_ADJUSTMENTS.INCREASE ? current + amount : current - amount
+}
+
+// Normalise a filter and turn it into a product query
+const buildQuery = ({ brands = [], categories = [], tags = [], skus = [] } = {}) => {
+  const filter = { brands, categories, tags, skus: skus.map((sku) => sku.trim().toUpperCase()) }
+  const query = {}
+
+  if (filter.brands.length > 0) query.brand = { $in: filter.brands }
+  if (filter.categories.length > 0) query.category = { $in: filter.categories }
+  if (filter.tags.length > 0) query.tags = { $in: filter.tags }
+  if (filter.skus.length > 0) query["variants.sku"] = { $in: filter.skus }
+
+  return { filter, query }
+}
+
+// What one variant would become, or why it can't be changed
+const planVariant = (product, variant, { price, stock }) => {
+  const change = {
+    product: product._id,
+    productName: product.name,
+    variantId: variant._id,
+    sku: variant.sku,
+    size: variant.size,
+    color: variant.color,
+  }
+
+  if (price) {
+    const to = roundPrice(adjust(variant.price, price))
+
+    if (to < 0) return { ...change, reason: "Price would be negative" }
+    if (to > MAX_PRICE) return { ...change, reason: `Price would be over $${MAX_PRICE}` }
+    if (variant.compareAtPrice && to > variant.compareAtPrice) {
+      return { ...change, reason: "Price would be above the compare-at price" }
+    }
+
+    if (to !== variant.price) change.price = { from: variant.price, to }
+  }
+
+  if (stock) {
+    const to = adjust(variant.stock, { action: stock.action, value: stock.value })
+
+    if (to !== variant.stock) {
+      if (variant.locations.length > 0) {
+        return { ...change, reason: "Stocked by location; adjust its stock per location" }
+      }
+      if (to < 0) return { ...change, reason: "Stock would be negative" }
+
+      change.stock = { from: variant.stock, to }
+    }
+  }
+
+  return change
+}
+
+/**
+ * Work out what an operation would change
+ * @param {Object} operation - { filter, price, stock }
+ * @returns {Promise<Object>} { success, error, filter, products, changes, conflicts }
+ */
+const planOperation = async ({ filter: requested, price, stock }) => {
+  if (!price && !stock) {
+    return { success: false, error: "Give a price or stock change" }
+  }
+
+  const { filter, query } = buildQuery(requested)
+
+  if (Object.keys(query).length === 0) {
+    return { success: false, error: "Pick variants by brand, category, tag or SKU" }
+  }
+
+  const products = await Product.find(query).select("name variants").sort({ _id: 1 })
+  const changes = []
+  const conflicts = []
+
+  for (const product of products) {
+    for (const variant of product.variants) {
+      if (filter.skus.length > 0 && !filter.skus.includes(variant.sku)) continue
+
+      const planned = planVariant(product, variant, { price, stock })
+
+      if (planned.reason) {
+        conflicts.push(planned)
+      } else if (hasPriceChange(planned) || hasStockChange(planned)) {
+        changes.push(planned)
+      }
+    }
+  }
+
+  const picked = changes.length + conflicts.length
+
+  if (picked > BULK_OPERATION.MAX_VARIANTS) {
+    return {
+      success: false,
+      error: `The filter picks ${picked} variants; one operation can change at most ${BULK_OPERATION.MAX_VARIANTS}`,
+    }
+  }
+
+  return { success: true, filter, products: products.length, changes, conflicts }
+}
+
+/**
+ * Preview an operation without changing anything
+ * @param {Object} operation - { filter, price, stock }
+ * @returns {Promise<Object>} { success, error, preview: { products, variants, changes, conflicts } }
+ */
+const previewBulkOperation = async (operation) => {
+  const plan = await planOperation(operation)
+  if (!plan.success) return plan
+
+  return {
+    success: true,
+    preview: {
+      products: plan.products,
+      variants: plan.changes.length,
+      changes: plan.changes,
+      conflicts: plan.conflicts,
+    },
+  }
+}
+
+// Change one variant, checking it still has the values the change starts from.
+// Returns the variant as it was, or null if it had moved on.
+const changeVariant = async (change, { reverse = false, exactStock = false } = {}) => {
+  const match = { _id: change.variantId }
+  const update = {}
+
+  if (hasPriceChange(change)) {
+    const { from, to } = change.price
+    match.price = reverse ? to : from
+    update.$set = { "variants.$.price": reverse ? from : to }
+  }
+
+  if (hasStockChange(change)) {
+    const delta = (change.stock.to - change.stock.from) * (reverse ? -1 : 1)
+
+    match["locations.0"] = { $exists: false }
+    if (exactStock) {
+      match.stock = change.stock.from
+    } else if (delta < 0) {
+      match.stock = { $gte: -delta }
+    }
+    update.$inc = { "variants.$.stock": delta }
+  }
+
+  const previous = await Product.findOneAndUpdate({ _id: change.product, variants: { $elemMatch: match } }, update)
+  return previous ? previous.variants.id(change.variantId) : null
+}
+
+// Record a stock change made by changeVariant in the ledger
+const recordStockChange = async (change, previous, { reverse, operation, actor, note }) => {
+  if (!hasStockChange(change)) return
+
+  const delta = (change.stock.to - change.stock.from) * (reverse ? -1 : 1)
+
+  await recordMovement({
+    product: change.product,
+    variant: previous,
+    delta,
+    quantityAfter: previous.stock + delta,
+    reason: INVENTORY_MOVEMENT_REASONS.BULK_OPERATION,
+    actor,
+    bulkOperation: operation._id,
+    note,
+  })
+}
+
+/**
+ * Make (or with reverse, undo) a list of variant changes, all or nothing
+ *
+ * If a variant changed since it was read, the changes already made are put
+ * back. Any that have changed again in the meantime can't be, and are
+ * returned as notRolledBack.
+ *
+ * @returns {Promise<Object>} { success, error, notRolledBack }
+ */
+const runChanges = async (changes, { reverse = false, exactStock = false, operation, actor }) => {
+  const done = []
+
+  for (const change of changes) {
+    const previous = await changeVariant(change, { reverse, exactStock })
+
+    if (!previous) {
+      const notRolledBack = []
+
+      // Put back what was already changed
+      for (const made of done.reverse()) {
+        const restored = await changeVariant(made, { reverse: !reverse })
+
+        if (restored) {
+          await recordStockChange(made, restored, { reverse: !reverse, operation, actor, note: "Rolled back" })
+        } else {
+          notRolledBack.push({ product: made.product, sku: made.sku })
+        }
+      }
+
+      const error =
+        notRolledBack.length > 0
+          ? `${change.sku} changed while the operation was running, and ${notRolledBack.length} variants ` +
+            `could not be put back: ${notRolledBack.map((variant) => variant.sku).join(", ")}`
+          : `${change.sku} changed while the operation was running, please try again`
+
+      return { success: false, error, notRolledBack }
+    }
+
+    await recordStockChange(change, previous, { reverse, operation, actor, note: reverse ? "Undo" : undefined })
+    done.push(change)
+  }
+
+  return { success: true }
+}
+
+// Products whose prices a list of changes edits
+const repricedProducts = (changes) => [
+  ...new Set(changes.filter(hasPriceChange).map((change) => change.product.toString())),
+]
+
+// Allocate raised stock to orders waiting for it
+const allocateRestocked = async (changes, reverse) => {
+  const raised = changes.filter(
+    (change) => hasStockChange(change) && (change.stock.to - change.stock.from) * (reverse ? -1 : 1) > 0,
+  )
+
+  if (raised.length === 0) return
+
+  const productIds = [...new Set(raised.map((change) => change.product.toString()))]
+  await allocateBackorders({ productIds })
+}
+
+/**
+ * Apply an operation to every variant its filter picks
+ *
+ * The changes are worked out again from current prices and stock, so the
+ * preview is only a guide. Variants that can't be changed (conflicts) stop
+ * the operation unless skipConflicts is set, in which case they are left out.
+ *
+ * @param {Object} data - { filter, price, stock, note, skipConflicts }
+ * @param {string} actor - User running the operation
+ * @returns {Promise<Object>} { success, operation, error, conflict, conflicts, notRolledBack }
+ */
+const applyBulkOperation = async ({ filter, price, stock, note, skipConflicts = false }, actor) => {
+  const plan = await planOperation({ filter, price, stock })
+  if (!plan.success) return plan
+
+  if (plan.conflicts.length > 0 && !skipConflicts) {
+    return {
+      success: false,
+      conflict: true,
+      error: `${plan.conflicts.length} variants can't be changed`,
+      conflicts: plan.conflicts,
+    }
+  }
+
+  if (plan.changes.length === 0) {
+    return { success: false, error: "No variants would change" }
+  }
+
+  const operation = await BulkOperation.create({
+    filter: plan.filter,
+    price,
+    stock,
+    note,
+    changes: plan.changes,
+    skipped: plan.conflicts.map(({ product, sku, reason }) => ({ product, sku, reason })),
+    createdBy: actor,
+  })
+
+  const repriced = repricedProducts(operation.changes)
+  const before = repriced.length > 0 ? await snapshotProducts(repriced) : null
+
+  // Stock set to a level must still be at the level it was worked out from
+  const exactStock = stock?.action === BULK_ADJUSTMENTS.SET
+  const result = await runChanges(operation.changes, { exactStock, operation, actor })
+
+  if (!result.success) {
+    operation.status = BULK_OPERATION_STATUS.FAILED
+    operation.error = result.error
+    operation.notRolledBack = result.notRolledBack
+    await operation.save()
+
+    return { success: false, conflict: true, error: result.error, notRolledBack: result.notRolledBack, operation }
+  }
+
+  const appliedAt = new Date()
+  operation.status = BULK_OPERATION_STATUS.APPLIED
+  operation.appliedAt = appliedAt
+  operation.undoExpiresAt = new Date(appliedAt.getTime() + BULK_OPERATION.UNDO_HOURS * 60 * 60 * 1000)
+  await operation.save()
+
+  if (repriced.length > 0) {
+    await recordRevisions(repriced, {
+      source: PRODUCT_REVISION_SOURCES.BULK_OPERATION,
+      actor,
+      note: `Bulk operation ${operation._id}`,
+      before,
+    })
+  }
+
+  await allocateRestocked(operation.changes, false)
+
+  return { success: true, operation }
+}
+
+/**
+ * Undo an applied operation within its undo window
+ *
+ * Prices go back to what they were, as long as nobody has changed them
+ * since. Stock changes are reversed by the same number of units, so sales
+ * made in the meantime stand. All or nothing, like applying.
+ *
+ * @param {string} id - Bulk operation ID
+ * @param {string} actor - User undoing it
+ * @returns {Promise<Object>} { success, operation, error, conflict, notFound, notRolledBack }
+ */
+const undoBulkOperation = async (id, actor) => {
+  const existing = await BulkOperation.findById(id)
+  if (!existing) return { success: false, notFound: true, error: "Bulk operation not found" }
+
+  if (!existing.canUndo()) {
+    const reason =
+      existing.status === BULK_OPERATION_STATUS.APPLIED ? "its undo window has closed" : `it is ${existing.status}`
+    return { success: false, error: `This operation can't be undone: ${reason}` }
+  }
+
+  // Claim the undo so two requests can't both reverse the changes
+  const operation = await BulkOperation.findOneAndUpdate(
+    { _id: id, status: BULK_OPERATION_STATUS.APPLIED },
+    { $set: { status: BULK_OPERATION_STATUS.PENDING } },
+    { new: true },
+  )
+
+  if (!operation) {
+    return { success: false, conflict: true, error: "This operation is already being undone" }
+  }
+
+  const repriced = repricedProducts(operation.changes)
+  const result = await runChanges(operation.changes, { reverse: true, operation, actor })
+
+  if (!result.success) {
+    operation.status = BULK_OPERATION_STATUS.APPLIED
+    operation.error = result.error
+    operation.notRolledBack = result.notRolledBack
+    await operation.save()
+
+    return { success: false, conflict: true, error: result.error, notRolledBack: result.notRolledBack, operation }
+  }
+
+  operation.status = BULK_OPERATION_STATUS.UNDONE
+  operation.undoneAt = new Date()
+  operation.undoneBy = actor
+  await operation.save()
+
+  if (repriced.length > 0) {
+    await recordRevisions(repriced, {
+      source: PRODUCT_REVISION_SOURCES.BULK_OPERATION,
+      actor,
+      note: `Undo of bulk operation ${operation._id}`,
+    })
+  }
+
+  await allocateRestocked(operation.changes, true)
+
+  return { success: true, operation }
+}
+
+module.exports = {
+  previewBulkOperation,
+  applyBulkOperation,
+  undoBulkOperation,
+}
@@ -125,6 +125,42 @@ class ProductCacheService {
     }
   }
 
+  /**
+   * Cache Product Facets
+   * Caches search facet counts for a set of filters. Kept briefly, as
+   * counts change with every product edit and sale
+   * 
+   * @param {Object} params - Active filters
+   * @param {Object} facets - Facet counts
+   * @returns {Promise<boolean>} Success status
+   */
+  static async cacheProductFacets(params, facets) {
+    try {
+      const key = REDIS_KEYS.PRODUCT_FACETS_CACHE(params)
+      return await setCache(key, facets, DEFAULT_TTL.PRODUCT_FACETS)
+    } catch (error) {
+      console.error('Product facets cache error:', error)
+      return false
+    }
+  }
+
+  /**
+   * Get Cached Product Facets
+   * Retrieves cached facet counts matching the active filters
+   * 
+   * @param {Object} params - Active filters
+   * @returns {Promise<Object|null>} Cached facets or null
+   */
+  static async getCachedProductFacets(params) {
+    try {
+      const key = REDIS_KEYS.PRODUCT_FACETS_CACHE(params)
+      return await getCache(key)
+    } catch (error) {
+      console.error('Get cached product facets error:', error)
+      return null
+    }
+  }
+
   /**
    * Invalidate Product Cache
    * Removes product from cache and related cached lists
@@ -336,36 +372,6 @@ class InventoryCacheService {
       return null
     }
   }
-
-  /**
-   * Reserve Inventory
-   * Temporarily reserves inventory for order processing
-   * 
-   * @param {string} productId - Product ID
-   * @param {string} variantId - Variant ID
-   * @param {number} quantity - Quantity to reserve
-   * @returns {Promise<boolean>} Success status
-   */
-  static async reserveInventory(productId, variantId, quantity) {
-    try {
-      const redisClient = getRedisClient()
-      if (!redisClient) return false
-
-      const key = REDIS_KEYS.INVENTORY(productId, variantId)
-      const reservationKey = `${key}:reserved`
-      
-      // Use Redis transaction for atomic operation
-      const multi = redisClient.multi()
-      multi.incrBy(reservationKey, quantity)
-      multi.expire(reservationKey, 600) // 10 minute reservation
-      
-      await multi.exec()
-      return true
-    } catch (error) {
-      console.error('Reserve inventory error:', error)
-      return false
-    }
-  }
 }
 
 /**
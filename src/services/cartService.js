@@ -0,0 +1,123 @@
+/**
+ * Cart Service
+ *
+ * Merges a guest cart into a user's cart when the shopper signs in or
+ * registers. Guest lines are added to the account's cart with quantities of
+ * matching lines summed, then re-checked against the current catalogue:
+ *
+ * - Unavailable products/variants are dropped
+ * - Quantities are capped at the stock on hand (dropped if none is left)
+ * - Prices are refreshed to the current variant price
+ *
+ * Every change is listed in a merge report so the frontend can tell the
+ * shopper what happened to their cart.
+ */
+
+const Cart = require("../models/Cart")
+const Product = require("../models/Product")
+
+// Identify a cart line in the report
+const describeLine = (product, item) => ({
+  product: product?._id || item.product,
+  name: product?.name,
+  sku: item.variant.sku,
+  size: item.variant.size,
+  color: item.variant.color,
+})
+
+// Add a guest cart's lines to the user's cart and save it
+const mergeIntoUserCart = async (guestCart, userId) => {
+  let cart = await Cart.findOne({ user: userId })
+  if (!cart) {
+    cart = new Cart({ user: userId, items: [] })
+  }
+
+  const report = {
+    merged: [],
+    adjusted: [],
+    removed: [],
+    priceChanges: [],
+  }
+
+  for (const guestItem of guestCart.items) {
+    const product = await Product.findById(guestItem.product)
+    const variant = product?.isListed() ? product.findVariant({ sku: guestItem.variant.sku }) : null
+    const line = describeLine(product, guestItem)
+
+    if (!variant || !variant.isActive) {
+      report.removed.push({ ...line, quantity: guestItem.quantity, reason: "unavailable" })
+      continue
+    }
+
+    const existing = cart.items.find(
+      (item) => item.product.toString() === guestItem.product.toString() && item.variant.sku === variant.sku,
+    )
+    const previousQuantity = existing ? existing.quantity : 0
+    const requested = previousQuantity + guestItem.quantity
+
+    // Stock plus any backorder or pre-order cap, as when adding to a cart
+    const orderable = product.getOrderableQuantity(variant)
+
+    if (orderable <= 0) {
+      report.removed.push({ ...line, quantity: guestItem.quantity, reason: "out_of_stock" })
+      if (existing) cart.items.pull(existing._id)
+      continue
+    }
+
+    const quantity = Math.min(requested, orderable)
+    if (quantity < requested) {
+      report.adjusted.push({ ...line, requested, quantity, reason: "insufficient_stock" })
+    }
+
+    if (guestItem.variant.price !== variant.price) {
+      report.priceChanges.push({ ...line, oldPrice: guestItem.variant.price, newPrice: variant.price })
+    }
+
+    if (existing) {
+      existing.quantity = quantity
+      existing.variant.price = variant.price
+    } else {
+      cart.items.push({
+        product: guestItem.product,
+        variant: {
+          size: guestItem.variant.size,
+          color: guestItem.variant.color,
+          sku: variant.sku,
+          options: variant.options,
+          price: variant.price,
+        },
+        quantity,
+      })
+    }
+
+    report.merged.push({ ...line, quantity, previousQuantity })
+  }
+
+  await cart.save()
+
+  return { cart, report }
+}
+
+/**
+ * Move a guest cart into a user's cart
+ * @param {string} guestId - Guest ID from the cart token
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { cart, report }, or null if the guest cart is missing or empty
+ */
+const mergeGuestCart = async (guestId, userId) => {
+  // Removing the guest cart up front means concurrent sign-ins can't merge it twice
+  const guestCart = await Cart.findOneAndDelete({ guestId })
+  if (!guestCart || guestCart.items.length === 0) return null
+
+  try {
+    return await mergeIntoUserCart(guestCart, userId)
+  } catch (error) {
+    // The user's cart wasn't saved - put the guest cart back so nothing is lost
+    await Cart.create(guestCart.toObject())
+    throw error
+  }
+}
+
+module.exports = {
+  mergeGuestCart,
+}
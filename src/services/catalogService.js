@@ -0,0 +1,197 @@
+/**
+ * Catalog Service
+ *
+ * Categories and attribute definitions (models/Category.js,
+ * models/Attribute.js), managed through the admin API:
+ *
+ * - loadCatalog: every category and attribute, creating the built-in ones
+ *   when there are none yet
+ * - checkProductAttributes: check a product's category, attributes and
+ *   variant options against the catalog (used by the product routes and
+ *   imports)
+ * - attributeInUse / categoryInUse: whether products still use something an
+ *   admin wants to remove
+ */
+
+const { isDeepStrictEqual } = require("util")
+const Attribute = require("../models/Attribute")
+const Category = require("../models/Category")
+const Product = require("../models/Product")
+const { ATTRIBUTE_SCOPES, DEFAULT_ATTRIBUTES, DEFAULT_CATEGORIES, ONE_SIZE } = require("../utils/constants")
+
+// Attribute values as a plain object, whether stored as a Map or given as an object
+const valuesObject = (values) => (values instanceof Map ? Object.fromEntries(values) : values || {})
+
+// Create the built-in attributes and categories if there are none yet
+const ensureDefaultCatalog = async () => {
+  const seed = async (Model, key, definitions) => {
+    if (await Model.exists({})) return
+
+    for (const definition of definitions) {
+      try {
+        await Model.updateOne({ [key]: definition[key] }, { $setOnInsert: definition }, { upsert: true })
+      } catch (error) {
+        // Another request created it first
+        if (error.code !== 11000) throw error
+      }
+    }
+  }
+
+  await seed(Attribute, "code", DEFAULT_ATTRIBUTES)
+  await seed(Category, "slug", DEFAULT_CATEGORIES)
+}
+
+/**
+ * Every category and attribute definition
+ * @returns {Promise<Object>} { categories: Map slug -> Category, attributes: Map code -> Attribute }
+ */
+const loadCatalog = async () => {
+  await ensureDefaultCatalog()
+
+  const [categories, attributes] = await Promise.all([
+    Category.find().sort({ sortOrder: 1, name: 1 }),
+    Attribute.find().sort({ sortOrder: 1, name: 1 }),
+  ])
+
+  return {
+    categories: new Map(categories.map((category) => [category.slug, category])),
+    attributes: new Map(attributes.map((attribute) => [attribute.code, attribute])),
+  }
+}
+
+/**
+ * Check a product's category, attributes and variant options
+ *
+ * Attributes must be listed on the product's category and set at the right
+ * level - product-scope ones in `attributes`, variant-scope ones in each
+ * variant's `options` - and required ones must be set. Values are returned
+ * converted for storing (e.g. "2" -> 2 for a number). An empty value removes
+ * the attribute.
+ *
+ * Inactive categories and attributes are only accepted where the product
+ * already had them.
+ *
+ * @param {Object} catalog - From loadCatalog
+ * @param {Object} product - { category, attributes, variants } after the change
+ * @param {Object} [previous] - The same before the change, for existing products
+ * @returns {Object} { errors: [{ field, message, variant }], attributes, variants }
+ *   variant: index of the variant an error is about; variants: the given
+ *   variants with their options converted and a size for one-size items
+ */
+const checkProductAttributes = (catalog, product, previous = null) => {
+  const errors = []
+  const fail = (field, message, variant) => errors.push({ field, message, variant })
+
+  const slug = String(product.category || "").trim().toLowerCase()
+  const category = catalog.categories.get(slug)
+
+  if (!category) {
+    fail("category", `Unknown category: ${slug}`)
+    return { errors }
+  }
+
+  if (!category.isActive && previous?.category !== category.slug) {
+    fail("category", `Category ${category.name} is no longer in use`)
+  }
+
+  const listed = new Map(category.attributes.map((entry) => [entry.attribute, entry]))
+
+  const checkValues = (values, scope, previousValues, field, variant) => {
+    const checked = {}
+
+    for (const [code, value] of Object.entries(valuesObject(values))) {
+      if (value === null || value === undefined || value === "") continue
+
+      const attribute = catalog.attributes.get(code)
+
+      if (!attribute || !listed.has(code)) {
+        fail(`${field}.${code}`, `${category.name} products don't have a ${code} attribute`, variant)
+        continue
+      }
+
+      if (attribute.scope !== scope) {
+        const where = attribute.scope === ATTRIBUTE_SCOPES.VARIANT ? "per variant, in options" : "per product"
+        fail(`${field}.${code}`, `${attribute.name} is set ${where}`, variant)
+        continue
+      }
+
+      const result = attribute.checkValue(value)
+
+      if (!result.valid) {
+        fail(`${field}.${code}`, result.error, variant)
+        continue
+      }
+
+      if (!attribute.isActive && !isDeepStrictEqual(valuesObject(previousValues)[code], result.value)) {
+        fail(`${field}.${code}`, `${attribute.name} is no longer in use`, variant)
+        continue
+      }
+
+      checked[code] = result.value
+    }
+
+    for (const [code, entry] of listed) {
+      const attribute = catalog.attributes.get(code)
+
+      if (entry.required && attribute?.isActive && attribute.scope === scope && checked[code] === undefined) {
+        fail(`${field}.${code}`, `${attribute.name} is required for ${category.name}`, variant)
+      }
+    }
+
+    return checked
+  }
+
+  const attributes = checkValues(product.attributes, ATTRIBUTE_SCOPES.PRODUCT, previous?.attributes, "attributes")
+
+  const variants = (product.variants || []).map((variant, index) => {
+    const previousVariant = variant.sku && previous?.variants?.find((v) => v.sku === variant.sku)
+    const options = checkValues(variant.options, ATTRIBUTE_SCOPES.VARIANT, previousVariant?.options, "options", index)
+
+    return { ...variant, size: variant.size || ONE_SIZE, options }
+  })
+
+  return { errors, attributes, variants }
+}
+
+// Query conditions for products that set an attribute, optionally to one of some values
+const attributeQuery = (code, values) => {
+  const condition = values ? { $in: values } : { $exists: true }
+  return { $or: [{ [`attributes.${code}`]: condition }, { [`variants.options.${code}`]: condition }] }
+}
+
+/**
+ * Whether any product sets an attribute, or any category lists it
+ * @param {string} code - Attribute code
+ * @param {Object} [filters] - { values, category }: only count products set to
+ *   one of these values, or in this category (categories aren't counted then)
+ * @returns {Promise<boolean>}
+ */
+const attributeInUse = async (code, { values, category } = {}) => {
+  if (!values && !category && (await Category.exists({ "attributes.attribute": code }))) return true
+
+  const query = attributeQuery(code, values)
+  if (category) query.category = category
+
+  return Boolean(await Product.exists(query))
+}
+
+/**
+ * Whether any product is in a category, or any category is filed under it
+ * @param {Object} category - Category document
+ * @returns {Promise<boolean>}
+ */
+const categoryInUse = async (category) => {
+  const [products, children] = await Promise.all([
+    Product.exists({ category: category.slug }),
+    Category.exists({ parent: category._id }),
+  ])
+  return Boolean(products || children)
+}
+
+module.exports = {
+  ensureDefaultCatalog,
+  loadCatalog,
+  checkProductAttributes,
+  attributeInUse,
+  categoryInUse,
+}
@@ -1,6 +1,11 @@
 const cron = require("node-cron")
 const FlashSale = require("../models/FlashSale")
-const { emitFlashSaleUpdate } = require("./socketService")
+const { emitFlashSaleUpdate, sendToAdmins } = require("./socketService")
+const { processDueDeletions } = require("./privacyService")
+const { releaseExpiredHolds } = require("./reservationService")
+const { reconcileLedger } = require("./inventoryLedgerService")
+const { allocateBackorders } = require("./backorderService")
+const { publishScheduledProducts } = require("./productPublishingService")
 
 let cronJobs = []
 
@@ -22,7 +27,41 @@ const startCronJobs = () => {
     await generateDailyReports()
   })
 
-  cronJobs.push(flashSaleJob, couponCleanupJob, dailyReportJob)
+  // Anonymize accounts whose deletion grace period has ended, daily at 2 AM
+  const accountDeletionJob = cron.schedule("0 2 * * *", async () => {
+    await processAccountDeletions()
+  })
+
+  // Put expired stock holds back on sale every minute
+  const reservationJob = cron.schedule("* * * * *", async () => {
+    await releaseExpiredReservations()
+  })
+
+  // Check the inventory ledger against stock daily at 3 AM
+  const ledgerReconciliationJob = cron.schedule("0 3 * * *", async () => {
+    await reconcileInventoryLedger()
+  })
+
+  // Give stock put back on sale (cancellations, returns) to waiting backorders every 15 minutes
+  const backorderJob = cron.schedule("*/15 * * * *", async () => {
+    await allocateWaitingBackorders()
+  })
+
+  // Publish and unpublish products on their scheduled times every minute
+  const publishingJob = cron.schedule("* * * * *", async () => {
+    await processPublishingSchedule()
+  })
+
+  cronJobs.push(
+    flashSaleJob,
+    couponCleanupJob,
+    dailyReportJob,
+    accountDeletionJob,
+    reservationJob,
+    ledgerReconciliationJob,
+    backorderJob,
+    publishingJob,
+  )
   console.log("Cron jobs started successfully")
 }
 
@@ -175,10 +214,86 @@ const generateDailyReports = async () => {
   }
 }
 
+// Carry out account deletions that are past their grace period
+const processAccountDeletions = async () => {
+  try {
+    const processed = await processDueDeletions()
+
+    if (processed > 0) {
+      console.log(`Anonymized ${processed} deleted accounts`)
+    }
+  } catch (error) {
+    console.error("Process account deletions error:", error)
+  }
+}
+
+// Release stock holds that ran out and cancel the unpaid orders they belonged to
+const releaseExpiredReservations = async () => {
+  try {
+    const { released, cancelledOrders } = await releaseExpiredHolds()
+
+    if (released > 0 || cancelledOrders > 0) {
+      console.log(`Released ${released} expired stock reservations, cancelled ${cancelledOrders} unpaid orders`)
+    }
+  } catch (error) {
+    console.error("Release expired reservations error:", error)
+  }
+}
+
+// Flag SKUs whose ledger total disagrees with their stock
+const reconcileInventoryLedger = async () => {
+  try {
+    const { checked, baselined, mismatches } = await reconcileLedger()
+
+    console.log(`Reconciled ${checked} SKUs against the inventory ledger (${baselined} newly tracked)`)
+
+    if (mismatches.length > 0) {
+      console.warn(`Inventory ledger mismatch for ${mismatches.length} SKUs`)
+      sendToAdmins("inventory_ledger_mismatch", {
+        mismatches,
+        timestamp: new Date(),
+      })
+    }
+  } catch (error) {
+    console.error("Reconcile inventory ledger error:", error)
+  }
+}
+
+// Allocate stock to paid backorders and pre-orders waiting for it
+const allocateWaitingBackorders = async () => {
+  try {
+    const { allocated, confirmedOrders } = await allocateBackorders()
+
+    if (allocated > 0) {
+      console.log(`Allocated ${allocated} units to backorders, ${confirmedOrders} orders now complete`)
+    }
+  } catch (error) {
+    console.error("Allocate backorders error:", error)
+  }
+}
+
+// Publish products whose publishAt has come and archive ones whose unpublishAt has
+const processPublishingSchedule = async () => {
+  try {
+    const { published, unpublished } = await publishScheduledProducts()
+
+    if (published > 0 || unpublished > 0) {
+      console.log(`Published ${published} and unpublished ${unpublished} scheduled products`)
+    }
+  } catch (error) {
+    console.error("Process publishing schedule error:", error)
+  }
+}
+
 module.exports = {
   startCronJobs,
   stopCronJobs,
   checkFlashSaleStatus,
   cleanupExpiredCoupons,
   generateDailyReports,
+  processAccountDeletions,
+  releaseExpiredReservations,
+  reconcileInventoryLedger,
+  allocateWaitingBackorders,
+  processPublishingSchedule,
 }
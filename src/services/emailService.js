@@ -503,6 +503,49 @@ const getStaffWelcomeEmailTemplate = (firstName) => {
   }
 }
 
+const getAccountLockedEmailTemplate = (firstName, unlockToken, lockedUntil) => {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000"
+  const unlockUrl = `${clientUrl}/unlock-account/${unlockToken}`
+  const resetUrl = `${clientUrl}/forgot-password`
+
+  return {
+    subject: "Your account has been temporarily locked",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #333; text-align: center;">Account Temporarily Locked</h1>
+        
+        <p>Hi ${firstName},</p>
+        
+        <p>We locked your Shoe Store account after several failed login attempts. It will unlock automatically at <strong>${lockedUntil.toLocaleString("en-US")}</strong>.</p>
+        
+        <p>If these attempts were you, click the button below to unlock your account now:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${unlockUrl}" 
+             style="background-color: #007bff; color: white; padding: 12px 30px; 
+                    text-decoration: none; border-radius: 5px; display: inline-block;">
+            Unlock Account
+          </a>
+        </div>
+        
+        <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #666;">${unlockUrl}</p>
+        
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        
+        <p style="color: #666; font-size: 14px;">
+          If this wasn't you, someone may be trying to guess your password. We recommend you <a href="${resetUrl}">reset your password</a>.
+        </p>
+        
+        <p style="color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Shoe Store Team
+        </p>
+      </div>
+    `,
+  }
+}
+
 const getPasswordResetEmailTemplate = (firstName, resetToken) => {
   const resetUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/reset-password/${resetToken}`
 
@@ -546,6 +589,87 @@ const getPasswordResetEmailTemplate = (firstName, resetToken) => {
   }
 }
 
+const getMagicLinkEmailTemplate = (firstName, token, code, expiresMinutes) => {
+  const signInUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/auth/magic-link?token=${token}`
+
+  return {
+    subject: "Your Shoe Store sign-in link",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #333; text-align: center;">Sign In to Shoe Store</h1>
+        
+        <p>Hi ${firstName},</p>
+        
+        <p>Click the button below to sign in. No password needed.</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${signInUrl}" 
+             style="background-color: #007bff; color: white; padding: 12px 30px; 
+                    text-decoration: none; border-radius: 5px; display: inline-block;">
+            Sign In
+          </a>
+        </div>
+        
+        <p>Or enter this code on the sign-in page:</p>
+        <p style="text-align: center; font-size: 32px; letter-spacing: 8px; font-weight: bold; color: #333;">${code}</p>
+        
+        <p><strong>The link and code can be used once and expire in ${expiresMinutes} minutes.</strong></p>
+        
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        
+        <p style="color: #666; font-size: 14px;">
+          If you didn't try to sign in, you can ignore this email. Nobody can sign in without the link or code.
+        </p>
+        
+        <p style="color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Shoe Store Team
+        </p>
+      </div>
+    `,
+  }
+}
+
+const getAccountDeletionScheduledEmailTemplate = (firstName, scheduledFor) => {
+  const cancelUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/account/privacy`
+
+  return {
+    subject: "Your account is scheduled for deletion",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #333; text-align: center;">Account Deletion Scheduled</h1>
+        
+        <p>Hi ${firstName},</p>
+        
+        <p>We received your request to delete your Shoe Store account. Your personal data will be permanently erased on <strong>${scheduledFor.toLocaleDateString("en-US")}</strong>.</p>
+        
+        <p>Changed your mind? Sign in and cancel the request before then:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${cancelUrl}" 
+             style="background-color: #007bff; color: white; padding: 12px 30px; 
+                    text-decoration: none; border-radius: 5px; display: inline-block;">
+            Keep My Account
+          </a>
+        </div>
+        
+        <p>Order records are kept for accounting purposes, with your name, address and contact details removed.</p>
+        
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        
+        <p style="color: #666; font-size: 14px;">
+          If you didn't request this, sign in and cancel the request, then change your password.
+        </p>
+        
+        <p style="color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Shoe Store Team
+        </p>
+      </div>
+    `,
+  }
+}
+
 const getOrderConfirmationTemplate = (order, user) => {
   const itemsHtml = order.items
     .map(
@@ -930,6 +1054,66 @@ const sendPasswordResetEmail = async (email, firstName, resetToken) => {
   }
 }
 
+// Send account locked email with an unlock link
+const sendAccountLockedEmail = async (email, firstName, unlockToken, lockedUntil) => {
+  try {
+    const transporter = createTransporter()
+    const template = getAccountLockedEmailTemplate(firstName, unlockToken, lockedUntil)
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    })
+
+    console.log(`Account locked email sent to ${email}`)
+  } catch (error) {
+    console.error("Failed to send account locked email:", error)
+    throw error
+  }
+}
+
+// Send passwordless sign-in email (link and code)
+const sendMagicLinkEmail = async (email, firstName, token, code, expiresMinutes) => {
+  try {
+    const transporter = createTransporter()
+    const template = getMagicLinkEmailTemplate(firstName, token, code, expiresMinutes)
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    })
+
+    console.log(`Magic link email sent to ${email}`)
+  } catch (error) {
+    console.error("Failed to send magic link email:", error)
+    throw error
+  }
+}
+
+// Send account deletion scheduled email
+const sendAccountDeletionScheduledEmail = async (email, firstName, scheduledFor) => {
+  try {
+    const transporter = createTransporter()
+    const template = getAccountDeletionScheduledEmailTemplate(firstName, scheduledFor)
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+    })
+
+    console.log(`Account deletion email sent to ${email}`)
+  } catch (error) {
+    console.error("Failed to send account deletion email:", error)
+    throw error
+  }
+}
+
 // Send order confirmation email
 const sendOrderConfirmationEmail = async (order, user) => {
   try {
@@ -1195,6 +1379,9 @@ module.exports = {
   sendStaffWelcomeEmail,
   sendLoginNotificationEmail,
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  sendAccountDeletionScheduledEmail,
   sendOrderConfirmationEmail,
   sendBulkEmail,
   sendFlashSaleEmail,
@@ -0,0 +1,158 @@
+/**
+ * Guest Checkout Service
+ *
+ * Lets first-time buyers shop without an account:
+ *
+ * - Guest carts are keyed by a random guest ID, carried by the client as a
+ *   signed cart token (X-Cart-Token header) and expired after a period of
+ *   inactivity (GUEST_CHECKOUT.CART_TTL_DAYS)
+ * - Guest orders have no user, only a contact email (Order.guestEmail)
+ * - Guests look up an order by its order number plus that email
+ * - Placing or looking up a guest order returns an order access token
+ *   (X-Order-Token header), which lets the guest pay for that order
+ * - Once the customer registers and verifies the same email, they can claim
+ *   their guest orders into the account
+ */
+
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const Order = require("../models/Order")
+const { GUEST_CHECKOUT } = require("../utils/constants")
+
+const CART_TOKEN_PURPOSE = "guest_cart"
+const ORDER_TOKEN_PURPOSE = "guest_order"
+
+// Fields a guest never sees on a looked-up order
+const GUEST_HIDDEN_ORDER_FIELDS = "-adminNotes -payment.stripePaymentIntentId -payment.transactionId -__v"
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase()
+
+/**
+ * Start a new guest cart identity
+ * @returns {Object} { guestId, cartToken }
+ */
+const createGuestIdentity = () => {
+  const guestId = crypto.randomUUID()
+  return { guestId, cartToken: createCartToken(guestId) }
+}
+
+// Sign a cart token for a guest ID
+const createCartToken = (guestId) => {
+  return jwt.sign({ guestId, purpose: CART_TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: `${GUEST_CHECKOUT.CART_TTL_DAYS}d`,
+  })
+}
+
+// Decode a cart token to its guest ID, or return null if it is invalid/expired
+const verifyCartToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === CART_TOKEN_PURPOSE && decoded.guestId ? decoded.guestId : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Sign an access token for a guest order. Only issued to whoever placed the
+// order or proved its order number and contact email.
+const createOrderAccessToken = (order) => {
+  return jwt.sign({ orderId: order._id.toString(), purpose: ORDER_TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: `${GUEST_CHECKOUT.ORDER_TOKEN_TTL_DAYS}d`,
+  })
+}
+
+// Decode an order access token to its order ID, or return null if it is invalid/expired
+const verifyOrderAccessToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === ORDER_TOKEN_PURPOSE && decoded.orderId ? decoded.orderId : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Find a guest order by order number and contact email
+ * @param {string} orderNumber - Order number from the confirmation email
+ * @param {string} email - Contact email given at checkout
+ * @returns {Promise<Object|null>} Order document
+ */
+const findGuestOrder = async (orderNumber, email) => {
+  if (!orderNumber || !email) return null
+
+  return Order.findOne({
+    orderNumber: String(orderNumber).trim().toUpperCase(),
+    guestEmail: normalizeEmail(email),
+  })
+    .select(GUEST_HIDDEN_ORDER_FIELDS)
+    .populate("items.product", "name brand images slug")
+}
+
+// Query for guest orders placed with a user's email that no account owns yet
+const claimableOrdersQuery = (user) => ({
+  guestEmail: normalizeEmail(user.email),
+  user: { $exists: false },
+})
+
+/**
+ * List guest orders a user could claim
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} Order summaries
+ */
+const findClaimableOrders = async (user) => {
+  return Order.find(claimableOrdersQuery(user))
+    .sort({ createdAt: -1 })
+    .select("orderNumber status totalAmount createdAt")
+}
+
+/**
+ * Attach guest orders placed with the user's email to their account
+ *
+ * Only verified emails can claim, otherwise anyone could register with
+ * someone else's address and take over their order history.
+ *
+ * @param {Object} user - User document
+ * @param {string} [orderNumber] - Claim a single order instead of all of them
+ * @returns {Promise<Object>} { success, claimed, error, code }
+ */
+const claimGuestOrders = async (user, orderNumber) => {
+  if (!user.emailVerified) {
+    return {
+      success: false,
+      code: "EMAIL_NOT_VERIFIED",
+      error: "Please verify your email address before claiming orders",
+    }
+  }
+
+  const query = claimableOrdersQuery(user)
+  if (orderNumber) query.orderNumber = String(orderNumber).trim().toUpperCase()
+
+  const orders = await Order.find(query).select("_id orderNumber")
+
+  if (orders.length === 0) {
+    return {
+      success: false,
+      code: "NO_CLAIMABLE_ORDERS",
+      error: orderNumber ? "No guest order with that number for your email" : "No guest orders to claim",
+    }
+  }
+
+  // Re-check the owner in the update so two concurrent claims can't both win
+  await Order.updateMany(
+    { _id: { $in: orders.map((order) => order._id) }, user: { $exists: false } },
+    { $set: { user: user._id, claimedAt: new Date() } },
+  )
+
+  return { success: true, claimed: orders.map((order) => order.orderNumber) }
+}
+
+module.exports = {
+  createGuestIdentity,
+  createCartToken,
+  verifyCartToken,
+  createOrderAccessToken,
+  verifyOrderAccessToken,
+  findGuestOrder,
+  findClaimableOrders,
+  claimGuestOrders,
+}
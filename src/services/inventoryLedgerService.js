@@ -0,0 +1,276 @@
+/**
+ * Inventory Ledger Service
+ *
+ * Records every stock change in the InventoryMovement ledger and checks the
+ * ledger against the catalogue:
+ *
+ * - recordMovement: append one change (called by inventoryService.updateStock
+ *   and by the routes that set stock directly)
+ * - getMovements / getSkuHistory: browse the history
+ * - reconcileLedger: find SKUs whose ledger total disagrees with variant.stock
+ */
+
+const InventoryMovement = require("../models/InventoryMovement")
+const Product = require("../models/Product")
+const { INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
+
+// Variants are told apart by SKU, as two can share a size and color
+const variantKey = (productId, sku) => `${productId}:${sku}`
+
+const variantFilter = (productId, sku) => ({ product: productId, sku })
+
+// Start a variant's ledger with the stock it had before it was tracked
+const recordOpeningBalance = async (productId, { size, color, sku }, balance) => {
+  try {
+    await InventoryMovement.create({
+      product: productId,
+      sku,
+      variant: { size, color },
+      delta: balance,
+      quantityAfter: balance,
+      reason: INVENTORY_MOVEMENT_REASONS.OPENING_BALANCE,
+    })
+  } catch (error) {
+    // Another movement opened the ledger first
+    if (error.code !== 11000) throw error
+  }
+}
+
+/**
+ * Append a stock change to the ledger
+ *
+ * A failure is logged rather than thrown: the stock has already changed, and
+ * the reconciliation job will flag the SKU.
+ *
+ * @param {Object} movement
+ * @param {string} movement.product - Product ID
+ * @param {Object} movement.variant - { size, color, sku }
+ * @param {number} movement.delta - Signed change in stock
+ * @param {number} movement.quantityAfter - Stock after the change
+ * @param {string} [movement.location] - Location the change happened at
+ * @param {number} [movement.locationQuantityAfter] - Stock left at that location
+ * @param {string} movement.reason - One of INVENTORY_MOVEMENT_REASONS
+ * @param {string} [movement.actor] - User who made the change
+ * @param {string} [movement.order] - Related order
+ * @param {string} [movement.purchaseOrder] - Purchase order the units were received against
+ * @param {string} [movement.bulkOperation] - Bulk operation that made the change
+ * @param {string} [movement.note] - Free-text detail
+ * @returns {Promise<Object|null>} The movement, or null if it couldn't be recorded
+ */
+const recordMovement = async (movement) => {
+  const { product, variant, delta, quantityAfter, location, locationQuantityAfter } = movement
+  const { reason, actor, order, purchaseOrder, bulkOperation, note } = movement
+
+  try {
+    const { size, color, sku } = variant
+
+    if (!(await InventoryMovement.exists(variantFilter(product, sku)))) {
+      await recordOpeningBalance(product, variant, quantityAfter - delta)
+    }
+
+    return await InventoryMovement.create({
+      product,
+      sku,
+      variant: { size, color },
+      delta,
+      quantityAfter,
+      location,
+      locationQuantityAfter,
+      reason,
+      actor,
+      order,
+      purchaseOrder,
+      bulkOperation,
+      note,
+    })
+  } catch (error) {
+    console.error("Record inventory movement error:", error)
+    return null
+  }
+}
+
+/**
+ * Record the stock differences between two versions of a product's variants,
+ * e.g. before and after a product update replaced them
+ * @param {Object} before - Product before the change
+ * @param {Object} after - Product after the change
+ * @param {Object} context - { reason, actor, note }
+ * @returns {Promise<number>} Number of movements recorded
+ */
+const recordVariantChanges = async (before, after, context = {}) => {
+  const { reason = INVENTORY_MOVEMENT_REASONS.MANUAL_ADJUSTMENT, actor, note } = context
+
+  let recorded = 0
+
+  for (const variant of after.variants) {
+    const previous = before.variants.find((v) => v.sku === variant.sku)
+    const delta = variant.stock - (previous ? previous.stock : 0)
+
+    if (delta === 0) continue
+
+    await recordMovement({
+      product: after._id,
+      variant,
+      delta,
+      quantityAfter: variant.stock,
+      reason,
+      actor,
+      note,
+    })
+    recorded += 1
+  }
+
+  return recorded
+}
+
+/**
+ * List ledger entries, newest first
+ * @param {Object} [filters] - { sku, productId, location, reason, from, to, page, limit }
+ * @returns {Promise<Object>} { movements, pagination }
+ */
+const getMovements = async ({ sku, productId, location, reason, from, to, page = 1, limit = 50 } = {}) => {
+  const query = {}
+  if (sku) query.sku = sku
+  if (productId) query.product = productId
+  if (location) query.location = location
+  if (reason) query.reason = reason
+  if (from || to) {
+    query.createdAt = {}
+    if (from) query.createdAt.$gte = new Date(from)
+    if (to) query.createdAt.$lte = new Date(to)
+  }
+
+  const movements = await InventoryMovement.find(query)
+    .populate("actor", "email profile.firstName profile.lastName")
+    .populate("order", "orderNumber")
+    .populate("purchaseOrder", "poNumber")
+    .populate("location", "name code")
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .skip((page - 1) * limit)
+
+  const total = await InventoryMovement.countDocuments(query)
+
+  return {
+    movements,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+  }
+}
+
+/**
+ * One SKU's history with its current stock and ledger total
+ * @param {string} sku - Variant SKU
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<Object|null>} History, or null if no variant has this SKU
+ */
+const getSkuHistory = async (sku, { page, limit } = {}) => {
+  const product = await Product.findOne({ "variants.sku": sku }).select("name brand variants")
+  if (!product) return null
+
+  const variant = product.variants.find((v) => v.sku === sku)
+
+  const [totals] = await InventoryMovement.aggregate([
+    { $match: variantFilter(product._id, sku) },
+    { $group: { _id: null, ledgerTotal: { $sum: "$delta" } } },
+  ])
+
+  const { movements, pagination } = await getMovements({ sku, page, limit })
+
+  return {
+    sku,
+    productId: product._id,
+    name: product.name,
+    brand: product.brand,
+    size: variant.size,
+    color: variant.color,
+    stock: variant.stock,
+    ledgerTotal: totals ? totals.ledgerTotal : null,
+    movements,
+    pagination,
+  }
+}
+
+// Ledger totals per variant, optionally for some variants only
+const getLedgerTotals = async (match = {}) => {
+  const rows = await InventoryMovement.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { product: "$product", sku: "$sku" },
+        ledgerTotal: { $sum: "$delta" },
+      },
+    },
+  ])
+
+  return new Map(rows.map((row) => [variantKey(row._id.product, row._id.sku), row.ledgerTotal]))
+}
+
+/**
+ * Compare every variant's stock with its ledger total
+ *
+ * Variants the ledger has never seen are given an opening balance. A stock
+ * change lands a moment before its ledger entry, so mismatches are checked a
+ * second time before they are reported.
+ *
+ * @returns {Promise<Object>} { checked, baselined, mismatches }
+ */
+const reconcileLedger = async () => {
+  const products = await Product.find().select("name variants")
+  const totals = await getLedgerTotals()
+
+  let checked = 0
+  let baselined = 0
+  const suspects = []
+
+  for (const product of products) {
+    for (const variant of product.variants) {
+      checked += 1
+      const ledgerTotal = totals.get(variantKey(product._id, variant.sku))
+
+      if (ledgerTotal === undefined) {
+        await recordOpeningBalance(product._id, variant, variant.stock)
+        baselined += 1
+      } else if (ledgerTotal !== variant.stock) {
+        suspects.push({ product, variant })
+      }
+    }
+  }
+
+  const mismatches = []
+
+  for (const { product, variant } of suspects) {
+    const current = await Product.findById(product._id).select("variants")
+    const currentVariant = current?.variants.find((v) => v.sku === variant.sku)
+    if (!currentVariant) continue
+
+    const recheck = await getLedgerTotals(variantFilter(product._id, variant.sku))
+    const ledgerTotal = recheck.get(variantKey(product._id, variant.sku))
+
+    if (ledgerTotal !== currentVariant.stock) {
+      mismatches.push({
+        productId: product._id,
+        name: product.name,
+        sku: currentVariant.sku,
+        size: variant.size,
+        color: variant.color,
+        stock: currentVariant.stock,
+        ledgerTotal,
+        difference: currentVariant.stock - ledgerTotal,
+      })
+    }
+  }
+
+  return { checked, baselined, mismatches }
+}
+
+module.exports = {
+  recordMovement,
+  recordVariantChanges,
+  getMovements,
+  getSkuHistory,
+  reconcileLedger,
+}
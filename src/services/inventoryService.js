@@ -1,31 +1,180 @@
+const mongoose = require("mongoose")
 const Product = require("../models/Product")
+const StockReservation = require("../models/StockReservation")
 const { getSocketIO } = require("./socketService")
+const { recordMovement } = require("./inventoryLedgerService")
+const { getFulfillmentLocations } = require("./locationService")
+const { INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
+
+// Apply a signed stock change to one variant (by SKU), and to one of its
+// locations when locationId is given, as a single conditional $inc. A decrease only
+// matches while there is enough stock; a change without a location only
+// matches variants that aren't stocked by location. Returns the updated
+// product, or null if nothing matched.
+const changeStock = (productId, sku, delta, locationId) => {
+  const variantMatch = { sku }
+  const increments = { "variants.$[v].stock": delta }
+  const arrayFilters = [{ "v.sku": sku }]
+
+  if (locationId) {
+    const location = new mongoose.Types.ObjectId(locationId)
+    variantMatch.locations = { $elemMatch: delta < 0 ? { location, stock: { $gte: -delta } } : { location } }
+    increments["variants.$[v].locations.$[l].stock"] = delta
+    arrayFilters.push({ "l.location": location })
+  } else {
+    variantMatch["locations.0"] = { $exists: false }
+    if (delta < 0) variantMatch.stock = { $gte: -delta }
+  }
+
+  return Product.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: variantMatch } },
+    { $inc: increments },
+    { new: true, arrayFilters },
+  )
+}
+
+// Give a variant an empty stock entry for a location it doesn't stock yet
+const addLocation = (productId, sku, locationId) =>
+  Product.updateOne(
+    { _id: productId, variants: { $elemMatch: { sku, "locations.location": { $ne: locationId } } } },
+    { $push: { "variants.$.locations": { location: locationId, stock: 0 } } },
+  )
+
+// Where a change to a location-stocked variant should land: the given
+// location, or the variant's locations in fulfillment order (`ranking`, or
+// priority order if none is given). Inactive locations are left out.
+const planLocations = async (variant, { location, locations: ranking }) => {
+  if (location) return [location.toString()]
+
+  const order = (ranking || (await getFulfillmentLocations())).map((id) => id.toString())
+  const stocked = variant.locations.map((entry) => entry.location.toString())
+
+  return order.filter((id) => stocked.includes(id))
+}
 
 // Update product stock
-const updateStock = async (productId, size, color, quantity, operation = "decrease") => {
+//
+// The change is a single conditional $inc on the variant, so concurrent
+// checkouts can't oversell: a decrease only matches while the variant still
+// has enough stock, and stock is never read and written back.
+//
+// Variants stocked by location keep variant.stock as the total across their
+// locations, and both change together. `movement.location` pins the change to
+// one location; otherwise an increase goes to the first location in
+// `movement.locations` (fulfillment order) and a decrease is taken from those
+// locations in turn, splitting it if no single one has enough. The result
+// lists where the units went as `allocations`.
+//
+// Every change is written to the inventory ledger, one entry per location.
+// `movement` says why: { reason, actor, order, purchaseOrder, note } (reason
+// defaults to a manual adjustment). `movement.sku` picks the variant when it
+// is known, as variants can share a size and color and differ by options.
+const updateStock = async (productId, size, color, quantity, operation = "decrease", movement = {}) => {
   try {
-    const product = await Product.findById(productId)
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error("Quantity must be a positive integer")
+    }
+
+    if (!["increase", "decrease"].includes(operation)) {
+      throw new Error(`Unknown stock operation: ${operation}`)
+    }
 
-    if (!product) {
+    const current = await Product.findById(productId).select("name variants")
+
+    if (!current) {
       throw new Error("Product not found")
     }
 
-    const variant = product.variants.find((v) => v.size === size && v.color === color)
+    const currentVariant = movement.sku
+      ? current.variants.find((v) => v.sku === movement.sku)
+      : current.variants.find((v) => v.size === size && v.color === color)
 
-    if (!variant) {
+    if (!currentVariant) {
       throw new Error("Variant not found")
     }
 
-    if (operation === "decrease") {
-      if (variant.stock < quantity) {
-        throw new Error("Insufficient stock")
+    const { sku } = currentVariant
+
+    const sign = operation === "decrease" ? -1 : 1
+    const steps = []
+
+    if (!currentVariant.locations || currentVariant.locations.length === 0) {
+      const product = await changeStock(productId, sku, sign * quantity)
+      if (product) steps.push({ product, quantity })
+    } else {
+      const candidates = await planLocations(currentVariant, movement)
+
+      if (candidates.length === 0) {
+        throw new Error("No active location stocks this variant")
       }
-      variant.stock -= quantity
-    } else if (operation === "increase") {
-      variant.stock += quantity
+
+      if (operation === "increase") {
+        await addLocation(productId, sku, candidates[0])
+        const product = await changeStock(productId, sku, quantity, candidates[0])
+        if (product) steps.push({ product, location: candidates[0], quantity })
+      } else {
+        let remaining = quantity
+
+        for (const location of candidates) {
+          const entry = currentVariant.locations.find((l) => l.location.toString() === location)
+          const take = Math.min(remaining, entry ? entry.stock : 0)
+          if (take < 1) continue
+
+          const product = await changeStock(productId, sku, -take, location)
+          if (!product) continue
+
+          steps.push({ product, location, quantity: take })
+          remaining -= take
+          if (remaining === 0) break
+        }
+
+        if (remaining > 0) {
+          // Not enough across the locations - put back what was taken
+          for (const step of steps) {
+            await changeStock(productId, sku, step.quantity, step.location)
+          }
+          steps.length = 0
+        }
+      }
+    }
+
+    if (steps.length === 0) {
+      // Nothing matched - report what is left where the change was allowed to land
+      const latest = await Product.findById(productId).select("variants")
+      const variant = latest?.variants.find((v) => v.sku === sku)
+      let available = variant?.stock
+
+      if (variant && variant.locations.length > 0) {
+        const counted = await planLocations(variant, movement)
+        available = variant.locations
+          .filter((entry) => counted.includes(entry.location.toString()))
+          .reduce((sum, entry) => sum + entry.stock, 0)
+      }
+
+      return { success: false, error: "Insufficient stock", available, productName: current.name }
     }
 
-    await product.save()
+    for (const step of steps) {
+      const stepVariant = step.product.variants.find((v) => v.sku === sku)
+      const stepLocation = step.location && stepVariant.locations.find((l) => l.location.toString() === step.location)
+
+      await recordMovement({
+        product: step.product._id,
+        variant: stepVariant,
+        delta: sign * step.quantity,
+        quantityAfter: stepVariant.stock,
+        location: step.location,
+        locationQuantityAfter: stepLocation ? stepLocation.stock : undefined,
+        reason: movement.reason || INVENTORY_MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+        actor: movement.actor,
+        order: movement.order,
+        purchaseOrder: movement.purchaseOrder,
+        note: movement.note,
+      })
+    }
+
+    const product = steps[steps.length - 1].product
+    const variant = product.variants.find((v) => v.sku === sku)
 
     // Emit real-time inventory update
     const io = getSocketIO()
@@ -33,8 +182,8 @@ const updateStock = async (productId, size, color, quantity, operation = "decrea
       io.emit("inventory_update", {
         productId,
         variant: {
-          size,
-          color,
+          size: variant.size,
+          color: variant.color,
           sku: variant.sku,
           stock: variant.stock,
         },
@@ -47,8 +196,8 @@ const updateStock = async (productId, size, color, quantity, operation = "decrea
           productId,
           productName: product.name,
           variant: {
-            size,
-            color,
+            size: variant.size,
+            color: variant.color,
             sku: variant.sku,
             stock: variant.stock,
             threshold: variant.lowStockThreshold,
@@ -58,7 +207,11 @@ const updateStock = async (productId, size, color, quantity, operation = "decrea
       }
     }
 
-    return { success: true, newStock: variant.stock }
+    const allocations = steps
+      .filter((step) => step.location)
+      .map((step) => ({ location: step.location, quantity: step.quantity }))
+
+    return { success: true, newStock: variant.stock, allocations }
   } catch (error) {
     console.error("Update stock error:", error)
     return { success: false, error: error.message }
@@ -66,26 +219,51 @@ const updateStock = async (productId, size, color, quantity, operation = "decrea
 }
 
 // Reserve stock for order
-const reserveStock = async (items) => {
+//
+// All or nothing: each item is taken with a conditional decrement, and if one
+// fails the items already taken are put back before returning. On failure the
+// result names the item that ran short and, if it was a stock shortage, how
+// many units were available. Each reservation lists the locations its units
+// came from.
+const reserveStock = async (items, movement = {}) => {
   const reservations = []
 
   try {
+    // Rank the locations once for the whole order
+    if (!movement.location && !movement.locations) {
+      movement = { ...movement, locations: await getFulfillmentLocations() }
+    }
+
     for (const item of items) {
-      const result = await updateStock(item.product, item.variant.size, item.variant.color, item.quantity, "decrease")
+      const result = await updateStock(item.product, item.variant.size, item.variant.color, item.quantity, "decrease", {
+        ...movement,
+        sku: item.variant.sku,
+      })
 
       if (!result.success) {
         // Rollback previous reservations
-        for (const reservation of reservations) {
-          await updateStock(reservation.product, reservation.size, reservation.color, reservation.quantity, "increase")
+        const rollback = {
+          ...movement,
+          reason: INVENTORY_MOVEMENT_REASONS.RESERVATION_RELEASE,
+          note: "Rolled back: another item could not be reserved",
+        }
+        await releaseStock(reservations, rollback)
+
+        const label = item.variant.sku || `${item.variant.size}/${item.variant.color}`
+        return {
+          success: false,
+          error: `Failed to reserve stock for ${label}: ${result.error}`,
+          item,
+          available: result.available,
+          productName: result.productName,
         }
-        throw new Error(`Failed to reserve stock for ${item.variant.sku}: ${result.error}`)
       }
 
       reservations.push({
         product: item.product,
-        size: item.variant.size,
-        color: item.variant.color,
+        variant: { size: item.variant.size, color: item.variant.color, sku: item.variant.sku },
         quantity: item.quantity,
+        allocations: result.allocations,
       })
     }
 
@@ -97,10 +275,24 @@ const reserveStock = async (items) => {
 }
 
 // Release reserved stock (in case of order cancellation)
-const releaseStock = async (items) => {
+//
+// Items with `allocations` go back to the locations they were taken from.
+const releaseStock = async (items, movement = {}) => {
   try {
     for (const item of items) {
-      await updateStock(item.product, item.variant.size, item.variant.color, item.quantity, "increase")
+      const { size, color, sku } = item.variant
+
+      if (item.allocations && item.allocations.length > 0) {
+        for (const allocation of item.allocations) {
+          await updateStock(item.product, size, color, allocation.quantity, "increase", {
+            ...movement,
+            sku,
+            location: allocation.location,
+          })
+        }
+      } else {
+        await updateStock(item.product, size, color, item.quantity, "increase", { ...movement, sku })
+      }
     }
     return { success: true }
   } catch (error) {
@@ -109,6 +301,124 @@ const releaseStock = async (items) => {
   }
 }
 
+/**
+ * Units of a variant held by active stock reservations
+ *
+ * Held units are already out of variant.stock but still on the shelf, so a
+ * physical count includes them.
+ *
+ * @param {string} productId - Product ID
+ * @param {Object} variant - Variant ({ sku, size, color })
+ * @param {string} [locationId] - Only count units held at this location
+ * @returns {Promise<number>} Held quantity
+ */
+const getHeldQuantity = async (productId, variant, locationId) => {
+  const holds = await StockReservation.find({ product: productId, status: "active" }).select(
+    "variant quantity allocations",
+  )
+
+  return holds
+    .filter((hold) =>
+      hold.variant.sku && variant.sku
+        ? hold.variant.sku === variant.sku
+        : hold.variant.size === variant.size && hold.variant.color === variant.color,
+    )
+    .reduce((sum, hold) => {
+      if (!locationId) return sum + hold.quantity
+
+      const allocation = hold.allocations.find((a) => a.location.toString() === locationId.toString())
+      return sum + (allocation ? allocation.quantity : 0)
+    }, 0)
+}
+
+// Set one location's stock for a variant from a counted quantity
+//
+// The count is what is on the shelf, so units held there for checkouts and
+// unpaid orders are taken off it; the rest is the location's stock.
+// variant.stock moves by the same amount. The first location given to a
+// variant that wasn't stocked by location takes over its whole stock (and
+// its holds), so setting it replaces the old unassigned count. The write only
+// lands if the stock hasn't changed since it was read, and is retried a few
+// times if it has.
+const setLocationStock = async (productId, variantId, locationId, count, movement = {}) => {
+  try {
+    const location = new mongoose.Types.ObjectId(locationId)
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const current = await Product.findOne({ _id: productId, "variants._id": variantId }).select("variants")
+
+      if (!current) {
+        return { success: false, error: "Product or variant not found" }
+      }
+
+      const variant = current.variants.id(variantId)
+      const entry = variant.locations.find((l) => l.location.equals(location))
+      const previousStock = entry ? entry.stock : variant.locations.length === 0 ? variant.stock : 0
+
+      const reserved = await getHeldQuantity(productId, variant, variant.locations.length > 0 ? location : null)
+      if (count < reserved) {
+        return {
+          success: false,
+          code: "BELOW_RESERVED",
+          error: `${reserved} units are held for checkouts and unpaid orders; the count can't be lower than that`,
+        }
+      }
+
+      const stock = count - reserved
+      const delta = stock - previousStock
+
+      const product = entry
+        ? await Product.findOneAndUpdate(
+            {
+              _id: productId,
+              variants: {
+                $elemMatch: { _id: variantId, locations: { $elemMatch: { location, stock: previousStock } } },
+              },
+            },
+            { $inc: { "variants.$[v].stock": delta, "variants.$[v].locations.$[l].stock": delta } },
+            { new: true, arrayFilters: [{ "v._id": variant._id }, { "l.location": location }] },
+          )
+        : await Product.findOneAndUpdate(
+            {
+              _id: productId,
+              variants: {
+                $elemMatch: { _id: variantId, stock: variant.stock, "locations.location": { $ne: location } },
+              },
+            },
+            { $inc: { "variants.$.stock": delta }, $push: { "variants.$.locations": { location, stock } } },
+            { new: true },
+          )
+
+      if (!product) continue
+
+      const updated = product.variants.id(variantId)
+
+      if (delta !== 0) {
+        await recordMovement({
+          product: product._id,
+          variant: updated,
+          delta,
+          quantityAfter: updated.stock,
+          location,
+          locationQuantityAfter: stock,
+          reason: movement.reason || INVENTORY_MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+          actor: movement.actor,
+          order: movement.order,
+          purchaseOrder: movement.purchaseOrder,
+          note: movement.note,
+        })
+      }
+
+      return { success: true, previousStock, newStock: stock, reserved, variantStock: updated.stock, product }
+    }
+
+    return { success: false, error: "Stock changed while it was being updated, please try again" }
+  } catch (error) {
+    console.error("Set location stock error:", error)
+    return { success: false, error: error.message }
+  }
+}
+
 // Get low stock products
 const getLowStockProducts = async () => {
   try {
@@ -146,7 +456,12 @@ const bulkUpdateStock = async (updates) => {
   const results = []
 
   for (const update of updates) {
-    const result = await updateStock(update.productId, update.size, update.color, update.quantity, update.operation)
+    const result = await updateStock(update.productId, update.size, update.color, update.quantity, update.operation, {
+      sku: update.sku,
+      reason: update.reason,
+      actor: update.actor,
+      note: update.note,
+    })
     results.push({
       ...update,
       ...result,
@@ -164,7 +479,7 @@ const checkStockAvailability = async (items) => {
     try {
       const product = await Product.findById(item.productId)
 
-      if (!product || !product.isActive) {
+      if (!product || !product.isListed()) {
         availability.push({
           productId: item.productId,
           available: false,
@@ -173,7 +488,7 @@ const checkStockAvailability = async (items) => {
         continue
       }
 
-      const variant = product.getVariant(item.size, item.color)
+      const variant = product.findVariant(item)
 
       if (!variant || !variant.isActive) {
         availability.push({
@@ -187,8 +502,9 @@ const checkStockAvailability = async (items) => {
       availability.push({
         productId: item.productId,
         variant: {
-          size: item.size,
-          color: item.color,
+          size: variant.size,
+          color: variant.color,
+          options: variant.options,
           sku: variant.sku,
         },
         available: variant.stock >= item.quantity,
@@ -213,6 +529,8 @@ module.exports = {
   updateStock,
   reserveStock,
   releaseStock,
+  setLocationStock,
+  getHeldQuantity,
   getLowStockProducts,
   bulkUpdateStock,
   checkStockAvailability,
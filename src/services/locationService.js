@@ -0,0 +1,60 @@
+/**
+ * Location Service
+ *
+ * Stock locations (warehouses and stores) for multi-location inventory:
+ *
+ * - getFulfillmentLocations: the order to take stock from locations in,
+ *   best match for a shipping address first
+ * - getLocationScope / isInScope: which locations a staff member manages
+ */
+
+const Location = require("../models/Location")
+
+/**
+ * Active locations in the order stock should be taken from
+ *
+ * Locations in the shipping address's state come first, then those in its
+ * country, then the rest; ties go to the lowest priority number.
+ *
+ * @param {Object} [shippingAddress] - { state, country }
+ * @returns {Promise<Array>} Location IDs, best first
+ */
+const getFulfillmentLocations = async (shippingAddress) => {
+  const locations = await Location.find({ isActive: true }).select("address priority").sort({ priority: 1, _id: 1 })
+
+  const sameText = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase()
+
+  const rank = (location) => {
+    if (!shippingAddress) return 2
+    const sameCountry = sameText(location.address?.country || "US", shippingAddress.country || "US")
+    if (sameCountry && sameText(location.address?.state, shippingAddress.state)) return 0
+    return sameCountry ? 1 : 2
+  }
+
+  // Array.prototype.sort is stable, so priority order is kept within each rank
+  return locations.sort((a, b) => rank(a) - rank(b)).map((location) => location._id)
+}
+
+/**
+ * Locations a user may manage inventory for
+ * @param {Object} user - User document
+ * @returns {Array|null} Location ID strings, or null for no restriction
+ */
+const getLocationScope = (user) => {
+  if (!user?.locations || user.locations.length === 0) return null
+  return user.locations.map((location) => location.toString())
+}
+
+/**
+ * Whether a location is inside a scope from getLocationScope
+ * @param {Array|null} scope - Location ID strings, or null for all
+ * @param {string} locationId - Location ID
+ * @returns {boolean}
+ */
+const isInScope = (scope, locationId) => !scope || scope.includes(locationId.toString())
+
+module.exports = {
+  getFulfillmentLocations,
+  getLocationScope,
+  isInScope,
+}
@@ -0,0 +1,265 @@
+/**
+ * Login Protection Service
+ *
+ * Tracks failed sign-in attempts per account and per IP address to slow down
+ * password guessing and credential stuffing.
+ *
+ * - Accounts: progressive delays after a few failures, then a temporary
+ *   lockout that doubles on each repeat. The owner is emailed an unlock link.
+ * - IPs: blocked after many failures across any accounts.
+ * - Password reset / magic links: caps how many emails an address can trigger.
+ *
+ * Attempt records live in Redis when it is connected (shared between
+ * instances) and fall back to an in-memory store otherwise.
+ */
+
+const crypto = require("crypto")
+const User = require("../models/User")
+const { REDIS_KEYS } = require("../config/redis")
+const { LOGIN_PROTECTION, MAGIC_LINK } = require("../utils/constants")
+const { readRecord, writeRecord, deleteRecord, readRecordsByPrefix } = require("../utils/ephemeralStore")
+const { sendAccountLockedEmail } = require("./emailService")
+
+// Seconds until a timestamp, rounded up
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000))
+
+// Work out whether a record currently blocks sign-in
+const getBlock = (record) => {
+  if (!record) return null
+
+  const now = Date.now()
+
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return { reason: "locked", retryAfter: secondsUntil(record.lockedUntil), lockedUntil: record.lockedUntil }
+  }
+
+  if (record.nextAttemptAt && record.nextAttemptAt > now) {
+    return { reason: "throttled", retryAfter: secondsUntil(record.nextAttemptAt) }
+  }
+
+  return null
+}
+
+// Count a failure against an account or IP, applying delays and lockouts
+const registerFailure = async (type, subject, { maxAttempts, windowSeconds, progressiveDelay }) => {
+  const key = REDIS_KEYS.LOGIN_ATTEMPTS(type, subject)
+  const now = Date.now()
+  const record = (await readRecord(key)) || { type, subject, failures: 0, lockouts: 0 }
+
+  // Failures outside the window start a fresh count (lockout history is kept)
+  if (record.lastFailureAt && now - record.lastFailureAt > windowSeconds * 1000) {
+    record.failures = 0
+  }
+
+  record.failures += 1
+  record.lastFailureAt = now
+  record.nextAttemptAt = null
+
+  let lockedNow = false
+
+  if (record.failures >= maxAttempts) {
+    const duration = Math.min(LOGIN_PROTECTION.LOCKOUT_SECONDS * 2 ** record.lockouts, LOGIN_PROTECTION.MAX_LOCKOUT_SECONDS)
+
+    record.lockedUntil = now + duration * 1000
+    record.lockouts += 1
+    record.failures = 0
+    lockedNow = true
+  } else if (progressiveDelay && record.failures >= LOGIN_PROTECTION.DELAY_AFTER_ATTEMPTS) {
+    const delay = Math.min(2 ** (record.failures - LOGIN_PROTECTION.DELAY_AFTER_ATTEMPTS), LOGIN_PROTECTION.MAX_DELAY_SECONDS)
+    record.nextAttemptAt = now + delay * 1000
+  }
+
+  await writeRecord(key, record, LOGIN_PROTECTION.HISTORY_SECONDS)
+
+  return { lockedNow, lockedUntil: record.lockedUntil, failures: record.failures }
+}
+
+// Check whether a sign-in attempt may proceed for this IP (and account, if known)
+const checkLoginAllowed = async ({ userId, ip }) => {
+  const ipBlock = getBlock(await readRecord(REDIS_KEYS.LOGIN_ATTEMPTS("ip", ip)))
+
+  if (ipBlock && ipBlock.reason === "locked") {
+    return {
+      allowed: false,
+      code: "IP_BLOCKED",
+      message: "Too many failed login attempts from this network. Please try again later.",
+      retryAfter: ipBlock.retryAfter,
+    }
+  }
+
+  if (!userId) return { allowed: true }
+
+  const accountBlock = getBlock(await readRecord(REDIS_KEYS.LOGIN_ATTEMPTS("account", String(userId))))
+
+  if (accountBlock && accountBlock.reason === "locked") {
+    return {
+      allowed: false,
+      code: "ACCOUNT_LOCKED",
+      message: "Account is temporarily locked after too many failed login attempts. Check your email to unlock it.",
+      retryAfter: accountBlock.retryAfter,
+    }
+  }
+
+  if (accountBlock) {
+    return {
+      allowed: false,
+      code: "LOGIN_THROTTLED",
+      message: "Too many failed login attempts. Please wait before trying again.",
+      retryAfter: accountBlock.retryAfter,
+    }
+  }
+
+  return { allowed: true }
+}
+
+// Record a failed sign-in; returns lockout details for the account, if any
+const recordFailedLogin = async ({ userId, ip }) => {
+  await registerFailure("ip", ip, {
+    maxAttempts: LOGIN_PROTECTION.IP_MAX_ATTEMPTS,
+    windowSeconds: LOGIN_PROTECTION.IP_WINDOW_SECONDS,
+    progressiveDelay: false,
+  })
+
+  if (!userId) return { accountLocked: false }
+
+  const result = await registerFailure("account", String(userId), {
+    maxAttempts: LOGIN_PROTECTION.ACCOUNT_MAX_ATTEMPTS,
+    windowSeconds: LOGIN_PROTECTION.ACCOUNT_WINDOW_SECONDS,
+    progressiveDelay: true,
+  })
+
+  if (result.lockedNow) {
+    console.warn(`Account ${userId} locked after repeated failed logins`)
+  }
+
+  return { accountLocked: result.lockedNow, lockedUntil: result.lockedUntil }
+}
+
+// Reset the failure count for an account after a successful sign-in
+const recordSuccessfulLogin = async ({ userId }) => {
+  await deleteRecord(REDIS_KEYS.LOGIN_ATTEMPTS("account", String(userId)))
+}
+
+// Issue an unlock token and email it to the owner of a locked account
+const sendUnlockEmail = async (user, lockedUntil) => {
+  const unlockToken = crypto.randomBytes(32).toString("hex")
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { accountUnlockToken: unlockToken, accountUnlockExpires: new Date(lockedUntil) } },
+  )
+
+  try {
+    await sendAccountLockedEmail(user.email, user.profile.firstName, unlockToken, new Date(lockedUntil))
+  } catch (emailError) {
+    console.error("Failed to send account locked email:", emailError)
+  }
+}
+
+// Unlock an account using the emailed token
+const unlockWithToken = async (token) => {
+  const user = await User.findOne({
+    accountUnlockToken: token,
+    accountUnlockExpires: { $gt: Date.now() },
+  })
+
+  if (!user) return null
+
+  user.accountUnlockToken = undefined
+  user.accountUnlockExpires = undefined
+  await user.save()
+
+  await clearAccountLockout(user._id)
+
+  return user
+}
+
+// Clear an account lockout (admin or unlock link)
+const clearAccountLockout = async (userId) => {
+  const key = REDIS_KEYS.LOGIN_ATTEMPTS("account", String(userId))
+  const existed = !!(await readRecord(key))
+
+  await deleteRecord(key)
+
+  return existed
+}
+
+// Clear an IP block
+const clearIpLockout = async (ip) => {
+  const key = REDIS_KEYS.LOGIN_ATTEMPTS("ip", ip)
+  const existed = !!(await readRecord(key))
+
+  await deleteRecord(key)
+
+  return existed
+}
+
+// List active account and IP lockouts
+const listLockouts = async () => {
+  const records = await readRecordsByPrefix("login_attempts:")
+  const now = Date.now()
+
+  return records
+    .filter((record) => record.lockedUntil && record.lockedUntil > now)
+    .map((record) => ({
+      type: record.type,
+      subject: record.subject,
+      lockedUntil: new Date(record.lockedUntil),
+      lockouts: record.lockouts,
+      lastFailureAt: record.lastFailureAt ? new Date(record.lastFailureAt) : null,
+    }))
+    .sort((a, b) => b.lockedUntil - a.lockedUntil)
+}
+
+// Count an emailed-link request against a per-address cap
+const checkEmailRequestAllowed = async (key, maxRequests, windowSeconds) => {
+  const now = Date.now()
+  let record = await readRecord(key)
+
+  if (!record || record.windowStart + windowSeconds * 1000 <= now) {
+    record = { windowStart: now, count: 0 }
+  }
+
+  if (record.count >= maxRequests) {
+    return {
+      allowed: false,
+      retryAfter: secondsUntil(record.windowStart + windowSeconds * 1000),
+    }
+  }
+
+  record.count += 1
+  await writeRecord(key, record, windowSeconds)
+
+  return { allowed: true }
+}
+
+// Count a password reset request; returns whether another email may be sent
+const checkPasswordResetAllowed = async (email) => {
+  return checkEmailRequestAllowed(
+    REDIS_KEYS.PASSWORD_RESET_REQUESTS(String(email).toLowerCase()),
+    LOGIN_PROTECTION.PASSWORD_RESET_MAX_REQUESTS,
+    LOGIN_PROTECTION.PASSWORD_RESET_WINDOW_SECONDS,
+  )
+}
+
+// Count a passwordless sign-in request; returns whether another email may be sent
+const checkMagicLinkAllowed = async (email) => {
+  return checkEmailRequestAllowed(
+    REDIS_KEYS.MAGIC_LINK_REQUESTS(String(email).toLowerCase()),
+    MAGIC_LINK.MAX_REQUESTS,
+    MAGIC_LINK.REQUEST_WINDOW_SECONDS,
+  )
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendUnlockEmail,
+  unlockWithToken,
+  clearAccountLockout,
+  clearIpLockout,
+  listLockouts,
+  checkPasswordResetAllowed,
+  checkMagicLinkAllowed,
+}
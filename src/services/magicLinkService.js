@@ -0,0 +1,137 @@
+/**
+ * Magic Link Service
+ *
+ * Passwordless sign-in for customers who rarely log in:
+ *
+ * 1. POST /api/auth/magic-link         -> createMagicLink -> email with link + code
+ * 2. POST /api/auth/magic-link/verify  -> consumeMagicLinkToken or consumeMagicLinkCode
+ *
+ * The link token and the 6-digit code are alternatives for the same request:
+ * using either one clears both. Only SHA-256 hashes are stored, and a code is
+ * discarded after a few wrong guesses.
+ */
+
+const crypto = require("crypto")
+const User = require("../models/User")
+const { MAGIC_LINK } = require("../utils/constants")
+
+const CLEAR_MAGIC_LINK = {
+  $unset: {
+    magicLinkTokenHash: "",
+    magicLinkCodeHash: "",
+    magicLinkAttempts: "",
+    magicLinkExpires: "",
+  },
+}
+
+// Hash a token or code for storage/lookup
+const hashSecret = (value) => {
+  return crypto.createHash("sha256").update(String(value)).digest("hex")
+}
+
+// Constant-time comparison of two hex digests
+const hashesMatch = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"))
+}
+
+/**
+ * Issue a new link token and code for a user (replaces any earlier ones)
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { token, code, expiresAt }
+ */
+const createMagicLink = async (user) => {
+  const token = crypto.randomBytes(32).toString("hex")
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0")
+  const expiresAt = new Date(Date.now() + MAGIC_LINK.EXPIRE_SECONDS * 1000)
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        magicLinkTokenHash: hashSecret(token),
+        magicLinkCodeHash: hashSecret(code),
+        magicLinkAttempts: 0,
+        magicLinkExpires: expiresAt,
+      },
+    },
+  )
+
+  return { token, code, expiresAt }
+}
+
+// Discard a user's outstanding link/code (e.g. when the email couldn't be sent)
+const clearMagicLink = async (userId) => {
+  await User.updateOne({ _id: userId }, CLEAR_MAGIC_LINK)
+}
+
+/**
+ * Find the user an unexpired link token belongs to, without using it up
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserByMagicLinkToken = async (token) => {
+  if (!token) return null
+
+  return User.findOne({
+    magicLinkTokenHash: hashSecret(token),
+    magicLinkExpires: { $gt: new Date() },
+  })
+}
+
+/**
+ * Use up a link token
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object|null>} User document, or null if invalid/expired/already used
+ */
+const consumeMagicLinkToken = async (token) => {
+  if (!token) return null
+
+  // Clearing in the same query makes the link single-use even with concurrent requests
+  return User.findOneAndUpdate(
+    { magicLinkTokenHash: hashSecret(token), magicLinkExpires: { $gt: new Date() } },
+    CLEAR_MAGIC_LINK,
+    { new: true },
+  )
+}
+
+/**
+ * Use up an emailed code
+ * @param {Object} user - User the code was sent to
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Object|null>} User document, or null if wrong/expired/already used
+ */
+const consumeMagicLinkCode = async (user, code) => {
+  const stored = await User.findById(user._id).select("+magicLinkCodeHash")
+
+  if (!stored?.magicLinkCodeHash || !stored.magicLinkExpires || stored.magicLinkExpires <= new Date()) {
+    return null
+  }
+
+  const codeHash = hashSecret(code)
+
+  if (!hashesMatch(codeHash, stored.magicLinkCodeHash)) {
+    // Too many wrong guesses discards the code; a new one must be requested
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { magicLinkAttempts: 1 } },
+      { new: true, projection: { magicLinkAttempts: 1 } },
+    )
+
+    if (updated?.magicLinkAttempts >= MAGIC_LINK.MAX_CODE_ATTEMPTS) {
+      await clearMagicLink(user._id)
+    }
+
+    return null
+  }
+
+  return User.findOneAndUpdate({ _id: user._id, magicLinkCodeHash: codeHash }, CLEAR_MAGIC_LINK, { new: true })
+}
+
+module.exports = {
+  createMagicLink,
+  clearMagicLink,
+  findUserByMagicLinkToken,
+  consumeMagicLinkToken,
+  consumeMagicLinkCode,
+}
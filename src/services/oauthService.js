@@ -0,0 +1,289 @@
+/**
+ * OAuth Service
+ *
+ * Turns a normalized provider profile (see config/oauthProviders.js) into a
+ * user account:
+ *
+ * 1. Identity already linked       -> sign in as that user
+ * 2. Verified email matches a user -> link the identity, sign in
+ *    (never for staff/admin accounts, which must link from their settings)
+ * 3. No matching user              -> create a customer account
+ *
+ * Signed-in users can also link providers explicitly, starting from a
+ * short-lived link token. Unlinking is refused if it would leave the account
+ * without any way to sign in.
+ *
+ * Every provider round trip carries a signed OAuth `state` (the provider, and
+ * the account when linking) tied to a nonce kept in a browser cookie, so a
+ * callback is only accepted from the browser that started it.
+ */
+
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const { getEffectivePermissions } = require("./permissionService")
+const { OAUTH } = require("../utils/constants")
+
+const LINK_TOKEN_PURPOSE = "oauth_link"
+const STATE_TOKEN_PURPOSE = "oauth_state"
+
+const hashNonce = (nonce) => crypto.createHash("sha256").update(String(nonce)).digest("hex")
+
+// Providers linked to an account (including the legacy googleId field)
+const getLinkedProviders = (user) => {
+  const linked = (user.authProviders || []).map((identity) => ({
+    provider: identity.provider,
+    email: identity.email,
+    linkedAt: identity.linkedAt,
+    lastUsedAt: identity.lastUsedAt,
+  }))
+
+  if (user.googleId && !linked.some((identity) => identity.provider === "google")) {
+    linked.push({ provider: "google" })
+  }
+
+  return linked
+}
+
+// Find the account an identity belongs to
+const findUserByIdentity = (provider, providerId) => {
+  const query = { authProviders: { $elemMatch: { provider, providerId } } }
+
+  return User.findOne(provider === "google" ? { $or: [query, { googleId: providerId }] } : query)
+}
+
+// Attach an identity to a user document (caller saves)
+const addIdentity = (user, provider, profile) => {
+  user.authProviders = (user.authProviders || []).filter((identity) => identity.provider !== provider)
+  user.authProviders.push({
+    provider,
+    providerId: profile.id,
+    email: profile.email,
+    linkedAt: new Date(),
+    lastUsedAt: new Date(),
+  })
+
+  // Keep the legacy field in sync for Google
+  if (provider === "google") {
+    user.googleId = profile.id
+  }
+}
+
+// Record that an identity was just used to sign in
+const touchIdentity = async (user, provider, profile) => {
+  const identity = (user.authProviders || []).find((entry) => entry.provider === provider)
+
+  if (identity) {
+    identity.lastUsedAt = new Date()
+  } else {
+    // Accounts linked before provider identities were tracked
+    addIdentity(user, provider, profile)
+  }
+
+  await user.save()
+}
+
+/**
+ * Resolve the account for a provider sign-in
+ *
+ * @param {string} provider - Provider name
+ * @param {Object} profile - Normalized profile
+ * @returns {Promise<Object>} { success, user?, error?, code? }
+ */
+const findOrCreateOAuthUser = async (provider, profile) => {
+  let user = await findUserByIdentity(provider, profile.id)
+
+  if (user) {
+    await touchIdentity(user, provider, profile)
+    return { success: true, user }
+  }
+
+  if (!profile.email) {
+    return {
+      success: false,
+      code: "EMAIL_REQUIRED",
+      error: "Your account with this provider has no email address we can use",
+    }
+  }
+
+  user = await User.findOne({ email: profile.email })
+
+  if (user) {
+    // Only trust the email match if the provider has verified the address
+    if (!profile.emailVerified) {
+      return {
+        success: false,
+        code: "EMAIL_NOT_VERIFIED",
+        error: "An account with this email already exists. Sign in and link this provider from your account settings.",
+      }
+    }
+
+    // A provider account must never be a way into an account with admin or staff access
+    if ((await getEffectivePermissions(user)).length > 0) {
+      return {
+        success: false,
+        code: "EMAIL_LINK_NOT_ALLOWED",
+        error: "An account with this email already exists. Sign in and link this provider from your account settings.",
+      }
+    }
+
+    addIdentity(user, provider, profile)
+    await user.save()
+    return { success: true, user }
+  }
+
+  user = new User({
+    email: profile.email,
+    profile: {
+      firstName: profile.firstName || profile.email.split("@")[0],
+      lastName: profile.lastName || "-",
+      avatar: profile.avatar,
+    },
+    emailVerified: !!profile.emailVerified,
+    role: "customer",
+  })
+  addIdentity(user, provider, profile)
+
+  await user.save()
+  return { success: true, user }
+}
+
+/**
+ * Link a provider to a signed-in user's account
+ *
+ * @param {string} userId - Account to link to
+ * @param {string} provider - Provider name
+ * @param {Object} profile - Normalized profile
+ * @returns {Promise<Object>} { success, user?, error?, code? }
+ */
+const linkProvider = async (userId, provider, profile) => {
+  const owner = await findUserByIdentity(provider, profile.id)
+
+  if (owner && owner._id.toString() !== userId.toString()) {
+    return { success: false, code: "PROVIDER_ALREADY_LINKED", error: "This account is already linked to another user" }
+  }
+
+  const user = await User.findById(userId)
+
+  if (!user || !user.isActive) {
+    return { success: false, code: "USER_NOT_FOUND", error: "Account not found" }
+  }
+
+  addIdentity(user, provider, profile)
+  await user.save()
+
+  return { success: true, user }
+}
+
+/**
+ * Unlink a provider, keeping at least one way to sign in
+ *
+ * @param {string} userId - Account
+ * @param {string} provider - Provider name
+ * @returns {Promise<Object>} { success, error?, statusCode?, providers? }
+ */
+const unlinkProvider = async (userId, provider) => {
+  const user = await User.findById(userId).select("+password")
+
+  if (!user) {
+    return { success: false, statusCode: 404, error: "User not found" }
+  }
+
+  const linked = getLinkedProviders(user)
+
+  if (!linked.some((identity) => identity.provider === provider)) {
+    return { success: false, statusCode: 404, error: "Provider is not linked to this account" }
+  }
+
+  if (!user.password && linked.length === 1) {
+    return {
+      success: false,
+      statusCode: 400,
+      error: "Set a password or link another provider before removing your only sign-in method",
+    }
+  }
+
+  user.authProviders = user.authProviders.filter((identity) => identity.provider !== provider)
+
+  if (provider === "google") {
+    user.googleId = undefined
+  }
+
+  await user.save()
+
+  return { success: true, providers: getLinkedProviders(user) }
+}
+
+// Short-lived token carried in `state` while linking a provider
+const createLinkToken = (user, provider) => {
+  return jwt.sign({ id: user._id, purpose: LINK_TOKEN_PURPOSE, provider }, process.env.JWT_SECRET, {
+    expiresIn: "10m",
+  })
+}
+
+// Decode a link token, or return null if it is invalid/expired
+const verifyLinkToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    return decoded.purpose === LINK_TOKEN_PURPOSE ? decoded : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Start a provider round trip
+ *
+ * The nonce is for the browser's state cookie; only its hash goes into the
+ * state, which the provider echoes back to the callback.
+ *
+ * @param {string} provider - Provider name
+ * @param {string} [linkUserId] - Account the provider is being linked to
+ * @returns {Object} { state, nonce }
+ */
+const createOAuthState = (provider, linkUserId) => {
+  const nonce = crypto.randomBytes(32).toString("hex")
+  const payload = { purpose: STATE_TOKEN_PURPOSE, provider, nonce: hashNonce(nonce) }
+  if (linkUserId) payload.link = String(linkUserId)
+
+  const state = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: OAUTH.STATE_EXPIRE_SECONDS })
+
+  return { state, nonce }
+}
+
+/**
+ * Check the state a provider callback came back with
+ * @param {string} state - `state` from the callback
+ * @param {string} provider - Provider the callback is for
+ * @param {string} nonce - Nonce from the browser's state cookie
+ * @returns {Object|null} { provider, link? }, or null if invalid, expired or from another browser
+ */
+const verifyOAuthState = (state, provider, nonce) => {
+  if (!state || !nonce) return null
+
+  let decoded
+  try {
+    decoded = jwt.verify(state, process.env.JWT_SECRET)
+  } catch (error) {
+    return null
+  }
+
+  if (decoded.purpose !== STATE_TOKEN_PURPOSE || decoded.provider !== provider) return null
+
+  const expected = Buffer.from(String(decoded.nonce))
+  const actual = Buffer.from(hashNonce(nonce))
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null
+
+  return decoded
+}
+
+module.exports = {
+  getLinkedProviders,
+  findOrCreateOAuthUser,
+  linkProvider,
+  unlinkProvider,
+  createLinkToken,
+  verifyLinkToken,
+  createOAuthState,
+  verifyOAuthState,
+}
@@ -415,6 +415,60 @@ const createStripeRefund = async (paymentIntentId, amount, reason = "requested_b
   }
 }
 
+// Capture a payment that was only authorised when the order was placed
+// (orders with backordered or pre-ordered items). Other orders are left alone.
+const captureAuthorizedPayment = async (order) => {
+  if (order.payment.status !== "authorized") {
+    return { success: true, captured: false }
+  }
+
+  try {
+    if (order.payment.method === "stripe") {
+      await stripe.paymentIntents.capture(order.payment.stripePaymentIntentId)
+    }
+
+    order.payment.status = "completed"
+    order.payment.paidAt = new Date()
+    await order.save()
+
+    return { success: true, captured: true }
+  } catch (error) {
+    logger.error("Capture authorized payment error:", error)
+
+    // Stripe cancels authorisations it has held for too long; mark the
+    // payment so the customer can authorise it again
+    const intent = await stripe.paymentIntents.retrieve(order.payment.stripePaymentIntentId).catch(() => null)
+    if (intent?.status === "canceled") {
+      order.payment.status = "cancelled"
+      await order.save()
+      return { success: false, authorizationExpired: true, error: "The payment authorisation has expired" }
+    }
+
+    return { success: false, error: error.message }
+  }
+}
+
+// Release an authorised payment without charging it (the order was cancelled)
+const voidAuthorizedPayment = async (order) => {
+  if (order.payment.status !== "authorized") {
+    return { success: true, voided: false }
+  }
+
+  try {
+    if (order.payment.method === "stripe") {
+      await stripe.paymentIntents.cancel(order.payment.stripePaymentIntentId)
+    }
+
+    order.payment.status = "voided"
+    await order.save()
+
+    return { success: true, voided: true }
+  } catch (error) {
+    logger.error("Void authorized payment error:", error)
+    return { success: false, error: error.message }
+  }
+}
+
 // Get payment method details
 const getPaymentMethodDetails = (method) => {
   const methods = {
@@ -500,6 +554,8 @@ module.exports = {
   processDummyPayment,
   verifyStripeWebhook,
   createStripeRefund,
+  captureAuthorizedPayment,
+  voidAuthorizedPayment,
   getPaymentMethodDetails,
   calculateProcessingFees,
   validatePaymentAmount,
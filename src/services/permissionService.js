@@ -0,0 +1,107 @@
+/**
+ * Permission Service
+ *
+ * Resolves what a user is allowed to do from their role (stored in the
+ * database as a set of permissions) plus any per-user overrides:
+ *
+ *   effective = (role permissions + user.permissions.granted) - user.permissions.revoked
+ *
+ * Role permissions are cached in memory for a short time; changes made through
+ * the admin API invalidate the cache immediately on this instance.
+ */
+
+const Role = require("../models/Role")
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES } = require("../utils/constants")
+
+const ROLE_CACHE_TTL_MS = 60 * 1000
+const roleCache = new Map()
+
+// Every named permission
+const getAllPermissions = () => Object.values(PERMISSIONS)
+
+// Whether a string is a known permission
+const isValidPermission = (permission) => getAllPermissions().includes(permission)
+
+// Create the built-in roles if they don't exist yet
+const ensureDefaultRoles = async () => {
+  await Promise.all(
+    Object.entries(DEFAULT_ROLES).map(async ([name, definition]) => {
+      try {
+        await Role.updateOne(
+          { name },
+          { $setOnInsert: { name, ...definition, isSystem: true } },
+          { upsert: true },
+        )
+      } catch (error) {
+        // Another request created it first
+        if (error.code !== 11000) throw error
+      }
+    }),
+  )
+}
+
+// Permissions granted by a role (wildcard expanded)
+const getRolePermissions = async (roleName) => {
+  const cached = roleCache.get(roleName)
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions
+  }
+
+  let role = await Role.findOne({ name: roleName }).lean()
+
+  if (!role && DEFAULT_ROLES[roleName]) {
+    await ensureDefaultRoles()
+    role = await Role.findOne({ name: roleName }).lean()
+  }
+
+  const rolePermissions = role ? role.permissions : []
+  const permissions = rolePermissions.includes(ALL_PERMISSIONS) ? getAllPermissions() : rolePermissions
+
+  roleCache.set(roleName, { permissions, expiresAt: Date.now() + ROLE_CACHE_TTL_MS })
+
+  return permissions
+}
+
+// Drop cached role permissions after a role changes
+const invalidateRoleCache = (roleName) => {
+  if (roleName) {
+    roleCache.delete(roleName)
+  } else {
+    roleCache.clear()
+  }
+}
+
+// Resolve a user's effective permissions
+const getEffectivePermissions = async (user) => {
+  const rolePermissions = await getRolePermissions(user.role)
+  const granted = user.permissions?.granted || []
+  const revoked = user.permissions?.revoked || []
+
+  const permissions = new Set([...rolePermissions, ...granted])
+  revoked.forEach((permission) => permissions.delete(permission))
+
+  return [...permissions].sort()
+}
+
+// Check a single permission for a user
+const hasPermission = async (user, permission) => {
+  const permissions = await getEffectivePermissions(user)
+  return permissions.includes(permission)
+}
+
+// Whether a role name can be assigned to users
+const roleExists = async (roleName) => {
+  if (DEFAULT_ROLES[roleName]) return true
+  return !!(await Role.exists({ name: roleName }))
+}
+
+module.exports = {
+  getAllPermissions,
+  isValidPermission,
+  ensureDefaultRoles,
+  getRolePermissions,
+  invalidateRoleCache,
+  getEffectivePermissions,
+  hasPermission,
+  roleExists,
+}
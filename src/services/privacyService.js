@@ -0,0 +1,236 @@
+/**
+ * Privacy Service
+ *
+ * GDPR tooling for customer accounts:
+ * - Data export: everything we hold about a user as JSON or a ZIP of JSON files
+ * - Deletion: a request schedules the account for anonymization after a grace
+ *   period (ACCOUNT_DELETION.GRACE_PERIOD_DAYS) during which it can be cancelled
+ * - Anonymization: personal data is scrubbed, but orders are kept for financial
+ *   records with their shipping details redacted
+ */
+
+const archiver = require("archiver")
+const User = require("../models/User")
+const Order = require("../models/Order")
+const Review = require("../models/Review")
+const Wishlist = require("../models/Wishlist")
+const Notification = require("../models/Notification")
+const Cart = require("../models/Cart")
+const Session = require("../models/Session")
+const ApiKey = require("../models/ApiKey")
+const SearchEvent = require("../models/SearchEvent")
+const { revokeAllSessions } = require("./sessionService")
+const { ACCOUNT_DELETION } = require("../utils/constants")
+
+/**
+ * Collect a user's data for export
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Export sections keyed by name
+ */
+const buildDataExport = async (userId) => {
+  const user = await User.findById(userId)
+  if (!user) return null
+
+  const [orders, reviews, wishlists, notifications, cart, sessions, searches] = await Promise.all([
+    Order.find({ user: userId }).sort({ createdAt: -1 }).select("-adminNotes").lean(),
+    Review.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .select("-flags -moderatedBy -moderationNotes -helpfulVotes.voters")
+      .lean(),
+    Wishlist.find({ user: userId }).lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+    Cart.findOne({ user: userId }).lean(),
+    Session.find({ user: userId }).select("-refreshTokenHash").sort({ createdAt: -1 }).lean(),
+    SearchEvent.find({ user: userId }).select("-user -guestId -__v").sort({ createdAt: -1 }).lean(),
+  ])
+
+  const { addresses, ...profile } = user.toJSON()
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    addresses,
+    orders,
+    reviews,
+    wishlists,
+    notifications,
+    cart,
+    sessions,
+    searches,
+  }
+}
+
+/**
+ * Stream an export as a ZIP with one JSON file per section
+ * @param {Object} data - Result of buildDataExport()
+ * @param {Object} stream - Writable stream (e.g. the Express response)
+ * @returns {Promise<void>} Resolves when the archive is finalized
+ */
+const writeDataExportZip = (data, stream) => {
+  const archive = archiver("zip", { zlib: { level: 9 } })
+
+  return new Promise((resolve, reject) => {
+    archive.on("error", reject)
+    stream.on("finish", resolve)
+    stream.on("close", resolve)
+    archive.pipe(stream)
+
+    const { exportedAt, ...sections } = data
+
+    for (const [section, content] of Object.entries(sections)) {
+      archive.append(JSON.stringify(content ?? null, null, 2), { name: `${section}.json` })
+    }
+
+    archive.append(JSON.stringify({ exportedAt, sections: Object.keys(sections) }, null, 2), {
+      name: "manifest.json",
+    })
+
+    archive.finalize()
+  })
+}
+
+/**
+ * Schedule a user's account for deletion
+ * @param {Object} user - User document
+ * @param {string} [reason] - Optional reason given by the user
+ * @returns {Promise<Object>} The deletion request
+ */
+const requestAccountDeletion = async (user, reason) => {
+  const requestedAt = new Date()
+  const scheduledFor = new Date(requestedAt.getTime() + ACCOUNT_DELETION.GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+
+  user.deletionRequest = { requestedAt, scheduledFor, reason }
+  await user.save()
+
+  return user.deletionRequest
+}
+
+/**
+ * Cancel a pending deletion request
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} Whether there was a request to cancel
+ */
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionRequest?.scheduledFor) return false
+
+  user.deletionRequest = undefined
+  await user.save()
+
+  return true
+}
+
+/**
+ * Scrub a user's personal data
+ *
+ * Orders stay (totals, items, payment status) for accounting, with the
+ * shipping address and free-text fields redacted. Reviews stay, attributed to
+ * the anonymized user. Everything else personal is deleted.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Whether the user was found and anonymized
+ */
+const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId)
+  if (!user || user.anonymizedAt) return false
+
+  const { REDACTED } = ACCOUNT_DELETION
+
+  await Order.updateMany(
+    { user: userId },
+    {
+      $set: {
+        "shippingAddress.firstName": ACCOUNT_DELETION.ANONYMIZED_NAME.firstName,
+        "shippingAddress.lastName": ACCOUNT_DELETION.ANONYMIZED_NAME.lastName,
+        "shippingAddress.street": REDACTED,
+        "shippingAddress.city": REDACTED,
+        "shippingAddress.state": REDACTED,
+        "shippingAddress.zipCode": REDACTED,
+      },
+      $unset: {
+        "shippingAddress.phone": "",
+        guestEmail: "",
+        customerNotes: "",
+        giftMessage: "",
+      },
+    },
+  )
+
+  await Promise.all([
+    Wishlist.deleteMany({ user: userId }),
+    Notification.deleteMany({ recipient: userId }),
+    Cart.deleteMany({ user: userId }),
+    ApiKey.updateMany({ createdBy: userId, revokedAt: { $exists: false } }, { $set: { revokedAt: new Date() } }),
+    // Searches stay in search analytics without the link to the account
+    SearchEvent.updateMany({ user: userId }, { $unset: { user: "" } }),
+    revokeAllSessions(userId, { reason: "account_deleted" }),
+  ])
+
+  // updateOne skips the email format validator, which the placeholder address wouldn't pass
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        email: `deleted-${userId}@${ACCOUNT_DELETION.ANONYMIZED_EMAIL_DOMAIN}`,
+        profile: { ...ACCOUNT_DELETION.ANONYMIZED_NAME },
+        addresses: [],
+        authProviders: [],
+        preferences: { newsletter: false, pushNotifications: false, smsNotifications: false },
+        "permissions.granted": [],
+        emailVerified: false,
+        isActive: false,
+        anonymizedAt: new Date(),
+      },
+      $unset: {
+        password: "",
+        googleId: "",
+        pushSubscription: "",
+        twoFactor: "",
+        emailVerificationToken: "",
+        passwordResetToken: "",
+        passwordResetExpires: "",
+        accountUnlockToken: "",
+        accountUnlockExpires: "",
+        magicLinkTokenHash: "",
+        magicLinkCodeHash: "",
+        magicLinkAttempts: "",
+        magicLinkExpires: "",
+        deletionRequest: "",
+        lastLogin: "",
+      },
+    },
+  )
+
+  return true
+}
+
+/**
+ * Anonymize every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts anonymized
+ */
+const processDueDeletions = async () => {
+  const due = await User.find({
+    "deletionRequest.scheduledFor": { $lte: new Date() },
+    anonymizedAt: { $exists: false },
+  }).select("_id")
+
+  let processed = 0
+
+  for (const { _id } of due) {
+    try {
+      if (await anonymizeUser(_id)) processed += 1
+    } catch (error) {
+      console.error(`Failed to anonymize user ${_id}:`, error)
+    }
+  }
+
+  return processed
+}
+
+module.exports = {
+  buildDataExport,
+  writeDataExportZip,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  anonymizeUser,
+  processDueDeletions,
+}
@@ -0,0 +1,809 @@
+/**
+ * Product Import Service
+ *
+ * Bulk catalogue import and export for admins. Files are CSV - one row per
+ * variant, product columns filled in on a product's first row - or JSON in
+ * the same shape as the JSON export.
+ *
+ * An import runs in two passes:
+ * 1. Build: each product is matched by slug, then by SKU, the file's values
+ *    are applied and the result is checked against the Product schema.
+ *    Problems are reported per row; a dry run stops here.
+ * 2. Apply: image URLs are fetched into Cloudinary, valid products are saved
+ *    (and added to their revision history) and stock changes are recorded in
+ *    the inventory ledger.
+ *
+ * Empty cells leave the current value alone, and variants and images missing
+ * from the file are kept, so a file can update just prices or just stock.
+ * New products are drafts unless the file gives a status.
+ *
+ * Product attributes and variant options (see catalogService) are given as
+ * `code=value` pairs in CSV, e.g. "width=wide|size_system=us", and as objects
+ * in JSON. They are merged into the current values; an empty value removes one.
+ */
+
+const Product = require("../models/Product")
+const { uploadImage, deleteImage } = require("../config/cloudinary")
+const { recordMovement } = require("./inventoryLedgerService")
+const { snapshotProduct, recordRevision } = require("./productRevisionService")
+const { loadCatalog, checkProductAttributes } = require("./catalogService")
+const { allocateBackorders } = require("./backorderService")
+const { parseCsv, formatCsvRow } = require("../utils/csv")
+const { generateSKU } = require("../utils/helpers")
+const {
+  INVENTORY_MOVEMENT_REASONS,
+  PRODUCT_STATUS,
+  PRODUCT_REVISION_SOURCES,
+  ONE_SIZE,
+} = require("../utils/constants")
+
+// Product fields that can be imported, as Product schema paths
+const PRODUCT_FIELDS = [
+  "slug",
+  "name",
+  "brand",
+  "category",
+  "attributes",
+  "subcategory",
+  "gender",
+  "description",
+  "shortDescription",
+  "features",
+  "materials",
+  "tags",
+  "isActive",
+  "isFeatured",
+  "status",
+  "launchDate",
+  "seo.title",
+  "seo.description",
+]
+
+const VARIANT_FIELDS = [
+  "sku",
+  "size",
+  "color",
+  "options",
+  "colorCode",
+  "price",
+  "compareAtPrice",
+  "stock",
+  "lowStockThreshold",
+  "isActive",
+  "allowBackorder",
+  "preorder",
+  "expectedShipDate",
+  "backorderCap",
+]
+
+// CSV column names that differ from the schema path
+const PRODUCT_COLUMN_NAMES = { "seo.title": "seoTitle", "seo.description": "seoDescription" }
+const VARIANT_COLUMN_NAMES = { isActive: "variantActive" }
+
+const PRODUCT_COLUMNS = [...PRODUCT_FIELDS, "images"].map((path) => PRODUCT_COLUMN_NAMES[path] || path)
+const VARIANT_COLUMNS = VARIANT_FIELDS.map((path) => VARIANT_COLUMN_NAMES[path] || path)
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS]
+
+// Columns holding several values
+const LIST_COLUMNS = ["features", "materials", "tags", "images"]
+const LIST_SEPARATOR = "|"
+
+// Columns holding code=value pairs, separated like lists
+const MAP_COLUMNS = ["attributes", "options"]
+
+const parsePairs = (cell) =>
+  Object.fromEntries(
+    cell
+      .split(LIST_SEPARATOR)
+      .filter((pair) => pair.trim())
+      .map((pair) => {
+        const [code, ...value] = pair.split("=")
+        return [code.trim().toLowerCase(), value.join("=").trim()]
+      }),
+  )
+
+// A value as one CSV cell
+const formatCell = (value) => {
+  if (Array.isArray(value)) return value.join(LIST_SEPARATOR)
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.entries(value)
+      .map(([code, entry]) => `${code}=${entry}`)
+      .join(LIST_SEPARATOR)
+  }
+  return value
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object)
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".")
+  const last = keys.pop()
+  const parent = keys.reduce((target, key) => (target[key] = target[key] || {}), object)
+  parent[last] = value
+}
+
+const normalizeSku = (sku) =>
+  sku === undefined || sku === null || sku === "" ? undefined : String(sku).trim().toUpperCase()
+
+const normalizeImages = (images) =>
+  (Array.isArray(images) ? images : [])
+    .map((image) => (typeof image === "string" ? { url: image.trim() } : { url: image?.url, alt: image?.alt }))
+    .filter((image) => image.url)
+
+const isImageUrl = (url) => /^https?:\/\/\S+$/i.test(url)
+
+const isValidStock = (stock) => {
+  if (typeof stock === "number") return Number.isInteger(stock) && stock >= 0
+  return typeof stock === "string" && /^\d+$/.test(stock.trim())
+}
+
+/**
+ * An import entry: one product and its variants, from either format
+ * { row, slug, key, fields, images, variants: [{ row, fields }] }
+ * - slug: given in the file; key: slug to match on (given or from the name)
+ * - fields: schema path -> value, only for values the file gives
+ */
+const toEntry = (row, productFields, images, variants) => {
+  const slug = productFields.slug ? String(productFields.slug).trim().toLowerCase() : undefined
+  const fields = { ...productFields }
+  delete fields.slug
+  const name = typeof fields.name === "string" ? fields.name : undefined
+
+  return {
+    row,
+    slug,
+    key: slug || (name && Product.generateSlug(name)) || undefined,
+    fields,
+    images: normalizeImages(images),
+    variants: variants.map((variant) => {
+      const variantFields = { ...variant.fields }
+      if (variantFields.sku !== undefined) variantFields.sku = normalizeSku(variantFields.sku)
+      if (typeof variantFields.size === "number") variantFields.size = String(variantFields.size)
+      return { row: variant.row, fields: variantFields }
+    }),
+  }
+}
+
+// Read the cells of one CSV row into { product, variant } values, by schema path
+const readCsvRow = (columns, cells) => {
+  const product = {}
+  const variant = {}
+
+  columns.forEach((column, index) => {
+    const cell = (cells[index] || "").trim()
+    if (!column || cell === "") return
+
+    let value = cell
+    if (LIST_COLUMNS.includes(column)) {
+      value = cell
+        .split(LIST_SEPARATOR)
+        .map((item) => item.trim())
+        .filter(Boolean)
+    } else if (MAP_COLUMNS.includes(column)) {
+      value = parsePairs(cell)
+    }
+
+    const productPath = [...PRODUCT_FIELDS, "images"].find((path) => (PRODUCT_COLUMN_NAMES[path] || path) === column)
+    if (productPath) {
+      product[productPath] = value
+      return
+    }
+
+    const variantPath = VARIANT_FIELDS.find((path) => (VARIANT_COLUMN_NAMES[path] || path) === column)
+    variant[variantPath] = value
+  })
+
+  return { product, variant }
+}
+
+/**
+ * Read a CSV file into import entries, grouping variant rows by product
+ *
+ * Rows are grouped by slug, or the slug of their name. Rows with neither take
+ * the product their SKU belongs to, so a price or stock update only needs the
+ * sku column and the columns being changed.
+ */
+const readCsvImport = async (text) => {
+  const [header, ...lines] = parseCsv(text)
+
+  if (!header) {
+    return { success: false, error: "The file is empty" }
+  }
+
+  const columns = header.map((column) => column.trim())
+  const unknown = columns.filter((column) => column && !CSV_COLUMNS.includes(column))
+
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown columns: ${unknown.join(", ")}` }
+  }
+
+  const rows = lines.map((cells, index) => ({ row: index + 2, ...readCsvRow(columns, cells) }))
+  const errors = []
+
+  // Rows that only name a SKU belong to that SKU's product
+  const skuOnly = rows.filter(({ product }) => !product.slug && !product.name)
+  const skus = skuOnly.map(({ variant }) => normalizeSku(variant.sku)).filter(Boolean)
+  const owners =
+    skus.length === 0 ? [] : await Product.find({ "variants.sku": { $in: skus } }).select("slug variants.sku")
+
+  const groups = new Map()
+
+  for (const { row, product, variant } of rows) {
+    let key = product.slug ? product.slug.toLowerCase() : product.name && Product.generateSlug(product.name)
+
+    if (!key) {
+      const sku = normalizeSku(variant.sku)
+      const owner = sku && owners.find((candidate) => candidate.variants.some((v) => v.sku === sku))
+
+      if (!owner) {
+        errors.push({ row, sku, field: "slug", message: "Give a slug or name for a new product" })
+        continue
+      }
+
+      key = owner.slug
+      product.slug = owner.slug
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, { row, product: {}, variants: [] })
+    }
+
+    const group = groups.get(key)
+
+    // The first row to give a product value wins
+    for (const [path, value] of Object.entries(product)) {
+      if (group.product[path] === undefined) group.product[path] = value
+    }
+
+    if (Object.keys(variant).length > 0) {
+      group.variants.push({ row, fields: variant })
+    }
+  }
+
+  const entries = [...groups.values()].map(({ row, product, variants }) => {
+    const { images, ...fields } = product
+    return toEntry(row, fields, images, variants)
+  })
+
+  return { success: true, entries, errors }
+}
+
+// Read a JSON file ({ products: [...] } or a bare list) into import entries
+const readJsonImport = (content) => {
+  let data = content
+
+  if (typeof content === "string") {
+    try {
+      data = JSON.parse(content)
+    } catch (error) {
+      return { success: false, error: "The file is not valid JSON" }
+    }
+  }
+
+  const products = Array.isArray(data) ? data : data && data.products
+
+  if (!Array.isArray(products)) {
+    return { success: false, error: "Expected a list of products" }
+  }
+
+  const entries = []
+  const errors = []
+
+  products.forEach((product, index) => {
+    const row = index + 1
+
+    if (!product || typeof product !== "object" || Array.isArray(product)) {
+      errors.push({ row, field: "product", message: "Each product must be an object" })
+      return
+    }
+
+    const fields = {}
+    for (const path of PRODUCT_FIELDS) {
+      const value = getPath(product, path)
+      if (value !== undefined) fields[path] = value
+    }
+
+    const variants = (Array.isArray(product.variants) ? product.variants : []).map((variant) => {
+      const variantFields = {}
+      for (const path of VARIANT_FIELDS) {
+        const value = variant ? variant[path] : undefined
+        if (value !== undefined) variantFields[path] = value
+      }
+      return { row, fields: variantFields }
+    })
+
+    entries.push(toEntry(row, fields, product.images, variants))
+  })
+
+  return { success: true, entries, errors }
+}
+
+// Merge code=value pairs into a product's attributes or a variant's options
+const mergeValues = (current, values) => {
+  const merged = current instanceof Map ? Object.fromEntries(current) : { ...current }
+  for (const [code, value] of Object.entries(values)) merged[code] = value
+  return merged
+}
+
+// Whether a variant has all of the given options
+const hasOptions = (variant, options) =>
+  Object.entries(options).every(([code, value]) => String(variant.options?.get(code)) === String(value))
+
+// Apply one entry's values to its product and check the result, including
+// against the catalog's categories and attributes (from loadCatalog)
+const buildEntry = (entry, existing, catalog) => {
+  const errors = []
+  const fail = (row, field, message, sku) => errors.push({ row, sku, field, message })
+
+  const bySlug = entry.key ? existing.find((product) => product.slug === entry.key) : null
+  const owners = new Map()
+
+  for (const { row, fields } of entry.variants) {
+    const owner = fields.sku && existing.find((product) => product.variants.some((v) => v.sku === fields.sku))
+    if (!owner) continue
+
+    // A slug given in the file is never matched by SKU instead
+    if (bySlug ? !owner._id.equals(bySlug._id) : entry.slug) {
+      fail(row, "sku", `SKU ${fields.sku} belongs to another product (${owner.slug})`, fields.sku)
+    }
+    owners.set(owner.id, owner)
+  }
+
+  if (!bySlug && owners.size > 1) {
+    fail(entry.row, "sku", "The SKUs belong to more than one product")
+  }
+
+  if (errors.length > 0) return { errors }
+
+  const target = bySlug || [...owners.values()][0] || null
+  const product = target || new Product({ status: PRODUCT_STATUS.DRAFT })
+  const before = target ? snapshotProduct(target) : null
+
+  for (const [path, value] of Object.entries(entry.fields)) {
+    if (path === "attributes") {
+      if (!isPlainObject(value)) fail(entry.row, "attributes", "Attributes must be code=value pairs")
+      else product.set("attributes", mergeValues(product.attributes, value))
+      continue
+    }
+    product.set(path, value)
+  }
+
+  if (product.isModified("status") && product.status === PRODUCT_STATUS.PUBLISHED) {
+    product.publishedAt = new Date()
+  }
+
+  if (entry.slug || !target) {
+    product.slug = entry.slug || entry.key
+    // Keep the file's slug even when the name changes too
+    product.markModified("slug")
+  }
+
+  const variantRows = new Map()
+  const newVariants = []
+  const stockUpdates = []
+
+  for (const { row, fields } of entry.variants) {
+    const { stock, options, ...values } = fields
+
+    if (stock !== undefined && !isValidStock(stock)) {
+      fail(row, "stock", "Stock must be a non-negative integer", fields.sku)
+    }
+
+    if (options !== undefined && !isPlainObject(options)) {
+      fail(row, "options", "Options must be code=value pairs", fields.sku)
+    }
+
+    const givenOptions = isPlainObject(options) ? options : {}
+
+    let variant = fields.sku
+      ? product.variants.find((v) => v.sku === fields.sku)
+      : product.variants.find(
+          (v) => v.size === (fields.size || ONE_SIZE) && v.color === fields.color && hasOptions(v, givenOptions),
+        )
+
+    if (variant) {
+      variant.set(values)
+      if (options !== undefined) variant.set("options", mergeValues(variant.options, givenOptions))
+
+      // Stock of an existing variant is set after saving, like a stock edit
+      if (stock !== undefined && isValidStock(stock) && Number(stock) !== variant.stock) {
+        if (variant.locations.length > 0) {
+          fail(row, "stock", "This variant is stocked by location; update its stock per location", variant.sku)
+        } else {
+          stockUpdates.push({ variantId: variant._id, stock: Number(stock) })
+        }
+      }
+    } else {
+      const { brand, category } = product
+      const size = values.size || ONE_SIZE
+      const canGenerateSku = brand && category && typeof size === "string" && typeof values.color === "string"
+
+      product.variants.push({
+        ...values,
+        options: givenOptions,
+        sku: values.sku || (canGenerateSku ? generateSKU(brand, category, size, values.color) : undefined),
+        stock: stock !== undefined && isValidStock(stock) ? Number(stock) : 0,
+      })
+      variant = product.variants[product.variants.length - 1]
+      newVariants.push(variant)
+    }
+
+    variantRows.set(product.variants.indexOf(variant), { row, sku: variant.sku })
+  }
+
+  if (product.category) {
+    const checked = checkProductAttributes(
+      catalog,
+      {
+        category: product.category,
+        attributes: product.attributes,
+        variants: product.variants.map((v) => ({ sku: v.sku, options: v.options })),
+      },
+      before,
+    )
+
+    for (const { field, message, variant } of checked.errors) {
+      const variantRow = variant !== undefined && variantRows.get(variant)
+
+      if (variantRow) {
+        fail(variantRow.row, field, message, variantRow.sku)
+      } else if (variant === undefined) {
+        fail(entry.row, field, message)
+      } else {
+        fail(entry.row, field, `${message} (variant ${product.variants[variant].sku})`)
+      }
+    }
+
+    if (checked.errors.length === 0) {
+      product.attributes = checked.attributes
+      product.variants.forEach((variant, index) => variant.set("options", checked.variants[index].options))
+    }
+  }
+
+  const combinations = new Map()
+  product.variants.forEach((variant, index) => {
+    const combination = Product.variantKey(variant)
+    const { row, sku } = variantRows.get(index) || { row: entry.row }
+
+    if (combinations.has(combination)) {
+      fail(row, "variants", `Size ${variant.size} in ${variant.color} is listed more than once`, sku)
+    }
+    combinations.set(combination, index)
+  })
+
+  const pendingImages = entry.images.filter(
+    (image, index) =>
+      entry.images.findIndex((other) => other.url === image.url) === index &&
+      !product.images.some((existingImage) => existingImage.url === image.url || existingImage.sourceUrl === image.url),
+  )
+
+  for (const image of pendingImages) {
+    if (!isImageUrl(image.url)) fail(entry.row, "images", `Not an image URL: ${image.url}`)
+  }
+
+  const validation = product.validateSync()
+
+  if (validation) {
+    for (const [path, error] of Object.entries(validation.errors)) {
+      const match = path.match(/^variants\.(\d+)\.(.+)$/)
+      const variantRow = match && variantRows.get(Number(match[1]))
+
+      if (variantRow) {
+        fail(variantRow.row, match[2], error.message, variantRow.sku)
+      } else {
+        fail(entry.row, path, error.message)
+      }
+    }
+  }
+
+  return {
+    product,
+    before,
+    action: target ? "update" : "create",
+    newVariants,
+    stockUpdates,
+    pendingImages,
+    errors,
+  }
+}
+
+// Fetch an entry's new images into Cloudinary, save the product and set its stock
+const applyEntry = async ({ product, before, newVariants, stockUpdates, pendingImages }, actor) => {
+  const uploaded = []
+
+  for (const image of pendingImages) {
+    try {
+      const result = await uploadImage(image.url, "products")
+      uploaded.push({ ...result, alt: image.alt, sourceUrl: image.url })
+    } catch (error) {
+      await Promise.all(uploaded.map((done) => deleteImage(done.public_id)))
+      return { success: false, field: "images", error: `Image could not be fetched: ${image.url}` }
+    }
+  }
+
+  for (const image of uploaded) {
+    product.images.push({
+      ...image,
+      alt: image.alt || `${product.name} - ${product.brand}`,
+      isPrimary: product.images.length === 0,
+    })
+  }
+
+  try {
+    await product.save()
+  } catch (error) {
+    await Promise.all(uploaded.map((done) => deleteImage(done.public_id)))
+    return {
+      success: false,
+      field: error.code === 11000 ? "sku" : "product",
+      error: error.code === 11000 ? "The slug or a SKU is already used by another product" : error.message,
+    }
+  }
+
+  await recordRevision(product, {
+    source: before ? PRODUCT_REVISION_SOURCES.IMPORT : PRODUCT_REVISION_SOURCES.CREATE,
+    actor,
+    note: "Product import",
+    before,
+  })
+
+  const ledger = { reason: INVENTORY_MOVEMENT_REASONS.PRODUCT_IMPORT, actor, note: "Product import" }
+  let restocked = false
+
+  for (const variant of newVariants) {
+    const { stock } = variant
+    if (stock === 0) continue
+
+    await recordMovement({ product: product._id, variant, delta: stock, quantityAfter: stock, ...ledger })
+    restocked = true
+  }
+
+  const skipped = []
+
+  for (const { variantId, stock } of stockUpdates) {
+    // The document as it was before the update gives the previous stock for the ledger
+    const previous = await Product.findOneAndUpdate(
+      { _id: product._id, variants: { $elemMatch: { _id: variantId, "locations.0": { $exists: false } } } },
+      { $set: { "variants.$.stock": stock } },
+    )
+
+    if (!previous) {
+      skipped.push(product.variants.id(variantId).sku)
+      continue
+    }
+
+    const variant = previous.variants.id(variantId)
+    if (variant.stock === stock) continue
+
+    const delta = stock - variant.stock
+    await recordMovement({ product: product._id, variant, delta, quantityAfter: stock, ...ledger })
+    if (stock > variant.stock) restocked = true
+  }
+
+  return { success: true, restocked, skipped }
+}
+
+/**
+ * Import products from a CSV or JSON file
+ *
+ * Products are matched by slug, then by variant SKU, and created when
+ * neither matches. Products with errors are left out; the rest are saved.
+ *
+ * @param {Object} options
+ * @param {string} options.format - "csv" or "json"
+ * @param {string|Object} options.content - File text, or already parsed JSON
+ * @param {boolean} [options.dryRun] - Only validate and report
+ * @param {string} [options.actor] - User running the import, for the ledger
+ * @returns {Promise<Object>} { success, error, report }
+ *   report: { dryRun, summary, products: [{ row, slug, action, status }], errors: [{ row, sku, field, message }] }
+ *   row is the CSV line (the header is line 1) or the product's position in a JSON list
+ */
+const importProducts = async ({ format, content, dryRun = false, actor }) => {
+  const parsed = format === "csv" ? await readCsvImport(content) : readJsonImport(content)
+
+  if (!parsed.success) {
+    return { success: false, error: parsed.error }
+  }
+
+  const { entries } = parsed
+  const errors = [...parsed.errors]
+
+  const keys = entries.map((entry) => entry.key).filter(Boolean)
+  const skus = entries.flatMap((entry) => entry.variants.map((variant) => variant.fields.sku)).filter(Boolean)
+  const existing = await Product.find({ $or: [{ slug: { $in: keys } }, { "variants.sku": { $in: skus } }] })
+
+  // Rows each product and SKU was first seen on, to catch repeats
+  const seenProducts = new Map()
+  const seenSkus = new Map()
+
+  const catalog = await loadCatalog()
+
+  const results = []
+  const restocked = []
+
+  for (const entry of entries) {
+    const build = buildEntry(entry, existing, catalog)
+
+    for (const { row, fields } of entry.variants) {
+      if (!fields.sku) continue
+
+      if (seenSkus.has(fields.sku)) {
+        build.errors.push({
+          row,
+          sku: fields.sku,
+          field: "sku",
+          message: `SKU ${fields.sku} is also on row ${seenSkus.get(fields.sku)}`,
+        })
+      } else {
+        seenSkus.set(fields.sku, row)
+      }
+    }
+
+    const productKey = build.product && (build.product.isNew ? build.product.slug : build.product.id)
+    if (productKey && seenProducts.has(productKey)) {
+      build.errors.push({
+        row: entry.row,
+        field: "slug",
+        message: `Same product as row ${seenProducts.get(productKey)}`,
+      })
+    } else if (productKey) {
+      seenProducts.set(productKey, entry.row)
+    }
+
+    const result = {
+      row: entry.row,
+      slug: build.product ? build.product.slug : entry.key,
+      action: build.action || null,
+    }
+    results.push(result)
+
+    if (build.errors.length > 0) {
+      errors.push(...build.errors)
+      result.status = "invalid"
+      continue
+    }
+
+    if (dryRun) {
+      result.status = "valid"
+      continue
+    }
+
+    const applied = await applyEntry(build, actor)
+
+    if (!applied.success) {
+      errors.push({ row: entry.row, field: applied.field, message: applied.error })
+      result.status = "failed"
+      continue
+    }
+
+    for (const sku of applied.skipped) {
+      const { row } = entry.variants.find((variant) => variant.fields.sku === sku) || entry
+      errors.push({ row, sku, field: "stock", message: "Stock changed while it was being updated, please try again" })
+    }
+
+    result.status = "imported"
+    if (applied.restocked) restocked.push(build.product._id)
+  }
+
+  // Orders waiting for this stock get it first
+  const backorders = restocked.length > 0 ? await allocateBackorders({ productIds: restocked }) : null
+
+  errors.sort((a, b) => a.row - b.row)
+  const done = ["valid", "imported"]
+
+  return {
+    success: true,
+    report: {
+      dryRun,
+      summary: {
+        products: results.length,
+        variants: entries.reduce((total, entry) => total + entry.variants.length, 0),
+        created: results.filter((result) => result.action === "create" && done.includes(result.status)).length,
+        updated: results.filter((result) => result.action === "update" && done.includes(result.status)).length,
+        invalid: results.filter((result) => result.status === "invalid").length,
+        failed: results.filter((result) => result.status === "failed").length,
+        errors: errors.length,
+      },
+      products: results,
+      errors,
+      backordersAllocated: backorders ? backorders.allocated : 0,
+    },
+  }
+}
+
+// A product in the JSON import shape
+const toExportShape = (product) => {
+  const shape = {}
+
+  for (const path of PRODUCT_FIELDS) {
+    const value = getPath(product, path)
+    if (value !== undefined && value !== null) setPath(shape, path, value)
+  }
+
+  shape.images = (product.images || []).map((image) => image.url)
+  shape.variants = (product.variants || []).map((variant) => {
+    const values = {}
+    for (const path of VARIANT_FIELDS) {
+      if (variant[path] !== undefined && variant[path] !== null) values[path] = variant[path]
+    }
+    return values
+  })
+
+  return shape
+}
+
+// A product's CSV lines: one per variant, product columns on the first only
+const toCsvRows = (product) => {
+  const shape = toExportShape(product)
+  const productCells = [...PRODUCT_FIELDS, "images"].map((path) => formatCell(getPath(shape, path)))
+  const blankProduct = productCells.map((cell, index) => (index === 0 ? cell : ""))
+
+  const variants = shape.variants.length > 0 ? shape.variants : [{}]
+
+  return variants
+    .map((variant, index) => {
+      const variantCells = VARIANT_FIELDS.map((path) => formatCell(variant[path]))
+      return formatCsvRow([...(index === 0 ? productCells : blankProduct), ...variantCells])
+    })
+    .join("")
+}
+
+// Wait until the client has taken what was already written (or has gone)
+const drained = (stream) =>
+  new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done)
+      stream.off("close", done)
+      resolve()
+    }
+    stream.on("drain", done)
+    stream.on("close", done)
+  })
+
+/**
+ * Stream the whole catalogue as CSV or JSON, in the import format
+ *
+ * Products are read with a cursor and written one at a time, so the export
+ * never holds the catalogue in memory.
+ *
+ * @param {Object} stream - Writable stream (e.g. the response)
+ * @param {string} format - "csv" or "json"
+ */
+const writeProductExport = async (stream, format) => {
+  const cursor = Product.find().sort({ _id: 1 }).lean().cursor()
+
+  const write = async (chunk) => {
+    if (!stream.write(chunk) && !stream.destroyed) await drained(stream)
+  }
+
+  try {
+    await write(format === "csv" ? formatCsvRow(CSV_COLUMNS) : '{"products":[')
+
+    let first = true
+    for await (const product of cursor) {
+      if (stream.destroyed) break
+
+      if (format === "csv") {
+        await write(toCsvRows(product))
+      } else {
+        await write(`${first ? "" : ","}${JSON.stringify(toExportShape(product))}`)
+      }
+      first = false
+    }
+
+    if (format !== "csv") await write("]}")
+  } finally {
+    await cursor.close()
+  }
+
+  stream.end()
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  importProducts,
+  writeProductExport,
+}
@@ -0,0 +1,134 @@
+/**
+ * Product Publishing Service
+ *
+ * The draft -> review -> published -> archived workflow (PRODUCT_STATUS).
+ * Only published products are on the storefront (Product.listedFilter).
+ *
+ * - updatePublishing: change a product's status and/or the times it is to be
+ *   published and unpublished
+ * - publishScheduledProducts: publish and unpublish products whose time has
+ *   come (run every minute by cronService)
+ *
+ * Every change is recorded in the product's revision history.
+ */
+
+const Product = require("../models/Product")
+const { snapshotProduct, recordRevision } = require("./productRevisionService")
+const { PRODUCT_STATUS, PRODUCT_REVISION_SOURCES } = require("../utils/constants")
+
+/**
+ * Change a product's status and publishing schedule
+ *
+ * Publishing sets publishedAt and replaces any scheduled publish time. A
+ * scheduled time of null clears it.
+ *
+ * @param {string} productId - Product ID
+ * @param {Object} changes - { status, publishAt, unpublishAt, note }
+ * @param {string} actor - User making the change
+ * @returns {Promise<Object>} { success, error, notFound, product }
+ */
+const updatePublishing = async (productId, { status, publishAt, unpublishAt, note }, actor) => {
+  const product = await Product.findById(productId)
+  if (!product) return { success: false, notFound: true, error: "Product not found" }
+
+  const now = new Date()
+  const before = snapshotProduct(product)
+
+  for (const [field, value] of Object.entries({ publishAt, unpublishAt })) {
+    if (value && new Date(value) <= now) {
+      return { success: false, error: `${field} must be in the future` }
+    }
+  }
+
+  if (status === PRODUCT_STATUS.PUBLISHED && publishAt) {
+    return { success: false, error: "Publish now or schedule a publish time, not both" }
+  }
+
+  if (publishAt !== undefined) product.publishAt = publishAt || undefined
+  if (unpublishAt !== undefined) product.unpublishAt = unpublishAt || undefined
+
+  if (status && status !== product.status) {
+    product.status = status
+
+    if (status === PRODUCT_STATUS.PUBLISHED) {
+      product.publishedAt = now
+      product.publishAt = undefined
+    }
+  }
+
+  if (product.status === PRODUCT_STATUS.PUBLISHED && product.publishAt) {
+    return { success: false, error: "The product is already published; unpublish it before scheduling a publish" }
+  }
+
+  if (product.publishAt && product.unpublishAt && product.unpublishAt <= product.publishAt) {
+    return { success: false, error: "unpublishAt must be after publishAt" }
+  }
+
+  if (!product.isModified()) {
+    return { success: true, product }
+  }
+
+  await product.save()
+
+  await recordRevision(product, { source: PRODUCT_REVISION_SOURCES.STATUS, actor, note, before })
+
+  return { success: true, product }
+}
+
+// Move one product whose scheduled time has come, unless it was changed meanwhile
+const moveOnSchedule = async (product, { match, update, note }) => {
+  const before = snapshotProduct(product)
+  const moved = await Product.findOneAndUpdate({ _id: product._id, ...match }, update, { new: true })
+
+  if (!moved) return false
+
+  await recordRevision(moved, { source: PRODUCT_REVISION_SOURCES.SCHEDULE, note, before })
+  return true
+}
+
+/**
+ * Publish products whose publishAt has passed and unpublish (archive)
+ * published products whose unpublishAt has passed
+ * @param {Date} [now] - Point in time to run at
+ * @returns {Promise<Object>} { published, unpublished }
+ */
+const publishScheduledProducts = async (now = new Date()) => {
+  let published = 0
+  let unpublished = 0
+
+  const toPublish = await Product.find({
+    status: { $in: [PRODUCT_STATUS.DRAFT, PRODUCT_STATUS.REVIEW, PRODUCT_STATUS.ARCHIVED] },
+    publishAt: { $lte: now },
+  })
+
+  for (const product of toPublish) {
+    const moved = await moveOnSchedule(product, {
+      match: { status: product.status, publishAt: product.publishAt },
+      update: { $set: { status: PRODUCT_STATUS.PUBLISHED, publishedAt: now }, $unset: { publishAt: 1 } },
+      note: "Published on schedule",
+    })
+    if (moved) published++
+  }
+
+  // Products saved before statuses existed have none and are published
+  const toUnpublish = await Product.find({
+    status: { $in: [PRODUCT_STATUS.PUBLISHED, null] },
+    unpublishAt: { $lte: now },
+  })
+
+  for (const product of toUnpublish) {
+    const moved = await moveOnSchedule(product, {
+      match: { status: { $in: [PRODUCT_STATUS.PUBLISHED, null] }, unpublishAt: product.unpublishAt },
+      update: { $set: { status: PRODUCT_STATUS.ARCHIVED }, $unset: { unpublishAt: 1 } },
+      note: "Unpublished on schedule",
+    })
+    if (moved) unpublished++
+  }
+
+  return { published, unpublished }
+}
+
+module.exports = {
+  updatePublishing,
+  publishScheduledProducts,
+}
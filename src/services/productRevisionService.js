@@ -0,0 +1,357 @@
+/**
+ * Product Revision Service
+ *
+ * Revision history for product edits (models/ProductRevision.js):
+ *
+ * - recordRevision: snapshot a product after an edit (called wherever products
+ *   are edited - the product routes, imports, bulk operations, scheduling)
+ * - diffRevision: what a revision changed, or how it differs from another
+ *   revision or the product as it is now
+ * - rollbackToRevision: put a product's content back as it was at a revision
+ *
+ * Stock is not part of a revision; it has its own history in the inventory
+ * ledger, and a rollback never changes it.
+ */
+
+const ProductRevision = require("../models/ProductRevision")
+const Product = require("../models/Product")
+const { PRODUCT_REVISION_SOURCES } = require("../utils/constants")
+
+// Product fields a revision keeps, besides variants
+const SNAPSHOT_FIELDS = [
+  "name",
+  "slug",
+  "description",
+  "shortDescription",
+  "brand",
+  "category",
+  "attributes",
+  "subcategory",
+  "gender",
+  "features",
+  "materials",
+  "tags",
+  "images",
+  "seo",
+  "supplier",
+  "isActive",
+  "isFeatured",
+  "status",
+  "publishAt",
+  "unpublishAt",
+  "launchDate",
+  "discontinuedDate",
+]
+
+// Variant fields that move with sales rather than edits
+const LIVE_VARIANT_FIELDS = ["stock", "locations", "backorderCap"]
+
+// Publishing state, which a rollback leaves as it is
+const PUBLISHING_FIELDS = ["isActive", "status", "publishAt", "unpublishAt", "discontinuedDate"]
+
+// Snapshots are stored as plain JSON so they compare the same however they were loaded
+const toJSON = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)))
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+const isObjectOrEmpty = (value) => isPlainObject(value) || value == null
+
+// An empty list and no value at all are the same to an editor
+const isEmpty = (value) => value == null || (Array.isArray(value) && value.length === 0)
+
+const isEqual = (a, b) => (isEmpty(a) && isEmpty(b)) || JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * A product's content as kept in a revision
+ * @param {Object} product - Product document
+ * @returns {Object} Plain JSON snapshot
+ */
+const snapshotProduct = (product) => {
+  const data = product.toObject({ depopulate: true, virtuals: false, flattenMaps: true })
+  const snapshot = {}
+
+  for (const field of SNAPSHOT_FIELDS) {
+    if (data[field] !== undefined) snapshot[field] = data[field]
+  }
+
+  snapshot.variants = data.variants.map((variant) => {
+    const kept = { ...variant }
+    for (const field of LIVE_VARIANT_FIELDS) delete kept[field]
+    return kept
+  })
+
+  return toJSON(snapshot)
+}
+
+/**
+ * Fields that differ between two snapshots
+ *
+ * Nested objects (seo) are compared field by field and variants by SKU, so a
+ * price change reads as { field: "variants.NIKE-AM270-BLK-9.price", from, to }.
+ * A variant only on one side is a single change of the whole variant.
+ *
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Array} [{ field, from, to }]
+ */
+const diffSnapshots = (before, after) => {
+  const changes = []
+
+  const compare = (field, from, to) => {
+    const nested = (isPlainObject(from) || isPlainObject(to)) && isObjectOrEmpty(from) && isObjectOrEmpty(to)
+
+    if (!nested) {
+      if (!isEqual(from, to)) changes.push({ field, from: from ?? null, to: to ?? null })
+      return
+    }
+
+    if (field.startsWith("variants.") && (from == null || to == null)) {
+      const variant = { ...(from || to) }
+      delete variant._id
+      changes.push({ field, from: from ? variant : null, to: to ? variant : null })
+      return
+    }
+
+    for (const key of new Set([...Object.keys(from || {}), ...Object.keys(to || {})])) {
+      if (key !== "_id") compare(`${field}.${key}`, from?.[key], to?.[key])
+    }
+  }
+
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)])
+
+  for (const field of fields) {
+    if (field === "variants") continue
+    compare(field, before[field], after[field])
+  }
+
+  const bySku = (variants = []) => new Map(variants.map((variant) => [variant.sku, variant]))
+  const beforeVariants = bySku(before.variants)
+  const afterVariants = bySku(after.variants)
+
+  for (const sku of new Set([...beforeVariants.keys(), ...afterVariants.keys()])) {
+    compare(`variants.${sku}`, beforeVariants.get(sku), afterVariants.get(sku))
+  }
+
+  return changes
+}
+
+/**
+ * Record a revision of a product after an edit
+ *
+ * Nothing is recorded when the edit didn't change anything a revision keeps
+ * (e.g. only stock). Like the inventory ledger, a revision that can't be
+ * recorded is logged rather than failing the edit.
+ *
+ * @param {Object} product - Product document after the edit
+ * @param {Object} context - { source, actor, note, rolledBackFrom, before }
+ *   before: snapshot from before the edit, recorded as a baseline if the
+ *   product has no revisions yet
+ * @returns {Promise<Object|null>} The revision, or null if none was recorded
+ */
+const recordRevision = async (product, context) => {
+  const { source, actor, note, rolledBackFrom, before } = context
+
+  try {
+    const snapshot = snapshotProduct(product)
+
+    // Two edits at once can pick the same version number; the later one tries again
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        let latest = await ProductRevision.findOne({ product: product._id }).sort({ version: -1 })
+
+        if (!latest && before && source !== PRODUCT_REVISION_SOURCES.CREATE) {
+          latest = await ProductRevision.create({
+            product: product._id,
+            version: 1,
+            source: PRODUCT_REVISION_SOURCES.BASELINE,
+            snapshot: before,
+          })
+        }
+
+        const changes = latest ? diffSnapshots(latest.snapshot, snapshot) : []
+        if (latest && changes.length === 0) return null
+
+        return await ProductRevision.create({
+          product: product._id,
+          version: latest ? latest.version + 1 : 1,
+          source,
+          snapshot,
+          changes,
+          actor,
+          rolledBackFrom,
+          note,
+        })
+      } catch (error) {
+        if (error.code !== 11000) throw error
+      }
+    }
+
+    throw new Error(`Could not number a revision of product ${product._id}`)
+  } catch (error) {
+    console.error("Record product revision error:", error)
+    return null
+  }
+}
+
+/**
+ * Snapshots of several products, to pass as `before` to recordRevisions
+ * @param {Array} productIds - Product IDs
+ * @returns {Promise<Map>} Product ID -> snapshot
+ */
+const snapshotProducts = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+  return new Map(products.map((product) => [product.id, snapshotProduct(product)]))
+}
+
+/**
+ * Record a revision of each of several products after an edit
+ * @param {Array} productIds - Product IDs
+ * @param {Object} context - As for recordRevision, with before a Map from snapshotProducts
+ * @returns {Promise<number>} Number of revisions recorded
+ */
+const recordRevisions = async (productIds, { before, ...context }) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+  let recorded = 0
+
+  for (const product of products) {
+    const revision = await recordRevision(product, { ...context, before: before && before.get(product.id) })
+    if (revision) recorded++
+  }
+
+  return recorded
+}
+
+/**
+ * Compare a revision with the one before it, another revision or the current product
+ *
+ * The changes always lead from the version compared against to the revision,
+ * so against "current" they are what a rollback to the revision would change.
+ *
+ * @param {string} productId - Product ID
+ * @param {string} revisionId - Revision ID
+ * @param {string} [against] - "previous" (default), "current" or another revision's ID
+ * @returns {Promise<Object>} { success, error, notFound, revision, against, changes }
+ */
+const diffRevision = async (productId, revisionId, against = "previous") => {
+  const revision = await ProductRevision.findOne({ _id: revisionId, product: productId })
+  if (!revision) return { success: false, notFound: true, error: "Revision not found" }
+
+  if (against === "previous") {
+    return { success: true, revision, against: "previous", changes: revision.changes }
+  }
+
+  if (against === "current") {
+    const product = await Product.findById(productId)
+    if (!product) return { success: false, notFound: true, error: "Product not found" }
+
+    return {
+      success: true,
+      revision,
+      against: "current",
+      changes: diffSnapshots(snapshotProduct(product), revision.snapshot),
+    }
+  }
+
+  const other = await ProductRevision.findOne({ _id: against, product: productId })
+  if (!other) return { success: false, notFound: true, error: "Revision to compare against not found" }
+
+  return { success: true, revision, against: other.version, changes: diffSnapshots(other.snapshot, revision.snapshot) }
+}
+
+// A revision's variants merged into the product's current ones, keeping current stock
+const restoreVariants = (product, snapshotVariants) => {
+  const current = product.variants.map((variant) => variant.toObject())
+
+  const restored = snapshotVariants.map((variant) => {
+    const existing = current.find((v) => v.sku === variant.sku)
+    if (!existing) return { ...variant, stock: 0 }
+
+    const live = {}
+    for (const field of LIVE_VARIANT_FIELDS) live[field] = existing[field]
+    return { ...variant, ...live, _id: existing._id }
+  })
+
+  // Variants added since are kept but switched off, so their stock and orders stay intact
+  for (const variant of current) {
+    if (!restored.some((v) => v.sku === variant.sku)) restored.push({ ...variant, isActive: false })
+  }
+
+  return restored
+}
+
+/**
+ * Put a product's content back as it was at a revision
+ *
+ * Content fields, images and variants are restored; publishing state (status,
+ * schedule, isActive, discontinuedDate) and stock are left as they are.
+ * Images are only restored if they are still on the product, as deleted
+ * images are gone from Cloudinary. The rollback is itself a new revision.
+ *
+ * @param {string} productId - Product ID
+ * @param {string} revisionId - Revision to roll back to
+ * @param {string} actor - User rolling back
+ * @returns {Promise<Object>} { success, error, notFound, conflict, product, revision }
+ */
+const rollbackToRevision = async (productId, revisionId, actor) => {
+  const product = await Product.findById(productId)
+  if (!product) return { success: false, notFound: true, error: "Product not found" }
+
+  const target = await ProductRevision.findOne({ _id: revisionId, product: productId })
+  if (!target) return { success: false, notFound: true, error: "Revision not found" }
+
+  const before = snapshotProduct(product)
+  const { snapshot } = target
+
+  for (const field of SNAPSHOT_FIELDS) {
+    if (PUBLISHING_FIELDS.includes(field) || field === "images") continue
+    product.set(field, snapshot[field])
+  }
+  // Keep the revision's slug even if the name changes too
+  product.markModified("slug")
+
+  const stillStored = (image) =>
+    product.images.some((current) =>
+      image.public_id ? current.public_id === image.public_id : current.url === image.url,
+    )
+  const images = (snapshot.images || []).filter(stillStored)
+  if (images.length > 0 && !images.some((image) => image.isPrimary)) images[0].isPrimary = true
+  product.images = images
+
+  product.variants = restoreVariants(product, snapshot.variants || [])
+
+  // Only save over the product as it was read, so stock sold meanwhile isn't overwritten
+  product.$where = { updatedAt: product.updatedAt }
+
+  try {
+    await product.save()
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") {
+      return { success: false, conflict: true, error: "The product changed while rolling back, please try again" }
+    }
+    if (error.code === 11000) {
+      return { success: false, conflict: true, error: "The revision's slug or a SKU is now used by another product" }
+    }
+    if (error.name === "ValidationError") return { success: false, error: error.message }
+    throw error
+  }
+
+  const revision = await recordRevision(product, {
+    source: PRODUCT_REVISION_SOURCES.ROLLBACK,
+    actor,
+    rolledBackFrom: target._id,
+    note: `Rolled back to version ${target.version}`,
+    before,
+  })
+
+  return { success: true, product, revision }
+}
+
+module.exports = {
+  snapshotProduct,
+  snapshotProducts,
+  diffSnapshots,
+  recordRevision,
+  recordRevisions,
+  diffRevision,
+  rollbackToRevision,
+}
@@ -0,0 +1,260 @@
+/**
+ * Product Search Service
+ *
+ * The storefront's product filters, shared by the product list and faceted
+ * search:
+ *
+ * - buildProductFilter: query conditions for the filters in a request, with
+ *   text searches answered by the search index (searchIndexService)
+ * - getProductFacets: counts of matching products by brand, category, gender,
+ *   size, color, price and rating, from one aggregation and cached briefly
+ *   (cacheService)
+ *
+ * Each facet's counts apply every active filter except its own, so picking
+ * a brand still shows how many products the other brands have.
+ */
+
+const mongoose = require("mongoose")
+const Product = require("../models/Product")
+const Location = require("../models/Location")
+const { ProductCacheService } = require("./cacheService")
+const { loadSizeCharts, sizeFilter, sizeIn, isUnchartedSize } = require("./sizeChartService")
+const { searchProducts } = require("./searchIndexService")
+const { SIZE_SYSTEMS, SEARCH_FACETS } = require("../utils/constants")
+
+// Filters that have a facet, by request parameter
+const FACET_FILTERS = {
+  brand: ["brand"],
+  category: ["category"],
+  gender: ["gender"],
+  size: ["size", "sizeSystem"],
+  color: ["color"],
+  price: ["minPrice", "maxPrice"],
+  rating: ["minRating"],
+}
+
+// Filters without a facet, applied to every count
+const OTHER_FILTERS = ["search", "featured", "location"]
+
+/**
+ * Query conditions for the filters in a request
+ * @param {Object} params - Request query: category, brand, gender, minPrice,
+ *   maxPrice, size, sizeSystem, color, minRating, search, featured, location
+ * @returns {Promise<Object>} { error, base, conditions, stockLocation, sizeCharts, sizeSystem, relevance }
+ *   base: storefront, search, featured and location conditions; conditions:
+ *   the faceted filters' conditions by facet; relevance: search match scores
+ *   by product id (null without a search)
+ */
+const buildProductFilter = async (params) => {
+  const { category, brand, gender, minPrice, maxPrice, size, color, minRating, search, featured, location } = params
+  const sizeSystem = params.sizeSystem || SIZE_SYSTEMS.US_MEN
+
+  // Published, launched products only
+  const base = Product.listedFilter()
+  const conditions = {}
+
+  if (category) conditions.category = { category }
+  if (brand) conditions.brand = { brand: new RegExp(brand, "i") }
+  if (gender) conditions.gender = { gender }
+  if (featured !== undefined) base.isFeatured = featured === "true"
+
+  if (minPrice || maxPrice) {
+    const price = {}
+    if (minPrice) price.$gte = Number.parseFloat(minPrice)
+    if (maxPrice) price.$lte = Number.parseFloat(maxPrice)
+    conditions.price = { "variants.price": price }
+  }
+
+  // Size in any size system, converted with each brand's size chart
+  if (!Object.values(SIZE_SYSTEMS).includes(sizeSystem)) {
+    return { error: `Size system must be one of: ${Object.values(SIZE_SYSTEMS).join(", ")}` }
+  }
+
+  const sizeCharts = await loadSizeCharts()
+  if (size) conditions.size = sizeFilter(size, sizeSystem, sizeCharts)
+
+  if (color) conditions.color = { "variants.color": new RegExp(color, "i") }
+  if (minRating) conditions.rating = { "ratings.average": { $gte: Number.parseFloat(minRating) } }
+
+  // Products the search index matched
+  let relevance = null
+  if (search) {
+    const matches = await searchProducts(search)
+    relevance = new Map(matches.map(({ id, score }) => [id, score]))
+    base._id = { $in: matches.map(({ id }) => new mongoose.Types.ObjectId(id)) }
+  }
+
+  // In stock at one warehouse or store, by location code
+  let stockLocation = null
+  if (location) {
+    stockLocation = await Location.findOne({ code: String(location).toUpperCase(), isActive: true }).select(
+      "name code type",
+    )
+    if (!stockLocation) return { error: "Unknown location" }
+
+    base.variants = {
+      $elemMatch: { isActive: true, locations: { $elemMatch: { location: stockLocation._id, stock: { $gt: 0 } } } },
+    }
+  }
+
+  return { base, conditions, stockLocation, sizeCharts, sizeSystem, relevance }
+}
+
+/**
+ * The query for every filter in a request
+ * @param {Object} filter - From buildProductFilter
+ * @returns {Object} Product query
+ */
+const productQuery = ({ base, conditions }) => ({ ...base, $and: [...base.$and, ...Object.values(conditions)] })
+
+// Stages counting products by a value, e.g. { _id: "Nike", count: 42 }
+const countBy = (value) => [
+  { $group: { _id: value, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ""] } } },
+  { $sort: { count: -1, _id: 1 } },
+]
+
+// Stages counting products by a variant value, each product once per value
+const countByVariant = (value) => [
+  { $unwind: "$variants" },
+  { $group: { _id: { product: "$_id", value } } },
+  ...countBy("$_id.value"),
+]
+
+const facetPipelines = (filter) => {
+  const { conditions } = filter
+  const { PRICE_BUCKETS, RATINGS } = SEARCH_FACETS
+
+  // A facet's own filter is the only one it ignores
+  const matching = (facet) => {
+    const others = Object.entries(conditions)
+      .filter(([name]) => name !== facet)
+      .map(([, condition]) => condition)
+    return others.length > 0 ? [{ $match: { $and: others } }] : []
+  }
+
+  return {
+    brands: [...matching("brand"), ...countBy("$brand")],
+    categories: [...matching("category"), ...countBy("$category")],
+    genders: [...matching("gender"), ...countBy("$gender")],
+    sizes: [
+      ...matching("size"),
+      { $unwind: "$variants" },
+      {
+        $group: {
+          _id: {
+            product: "$_id",
+            brand: { $toLower: "$brand" },
+            size: "$variants.size",
+            sizeSystem: "$variants.options.size_system",
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { brand: "$_id.brand", size: "$_id.size", sizeSystem: "$_id.sizeSystem" },
+          count: { $sum: 1 },
+        },
+      },
+    ],
+    colors: [...matching("color"), ...countByVariant({ $toLower: "$variants.color" })],
+    prices: [
+      ...matching("price"),
+      { $unwind: "$variants" },
+      {
+        $bucket: {
+          groupBy: "$variants.price",
+          boundaries: PRICE_BUCKETS,
+          default: "top",
+          output: { products: { $addToSet: "$_id" } },
+        },
+      },
+      { $project: { count: { $size: "$products" } } },
+    ],
+    ratings: [
+      ...matching("rating"),
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(
+            RATINGS.map((rating) => [`${rating}`, { $sum: { $cond: [{ $gte: ["$ratings.average", rating] }, 1, 0] } }]),
+          ),
+        },
+      },
+    ],
+  }
+}
+
+// Size counts in the size system asked for, merging stored sizes that convert to the same size.
+// Sizes in systems no chart covers (e.g. kids' sizes) are counted as stored.
+const sizeCounts = (rows, { sizeCharts, sizeSystem }) => {
+  const counts = new Map()
+
+  for (const { _id, count } of rows) {
+    const options = _id.sizeSystem === undefined || _id.sizeSystem === null ? {} : { size_system: _id.sizeSystem }
+    const variant = { size: _id.size, options }
+    const size = isUnchartedSize(variant) ? _id.size : sizeIn(sizeCharts, _id.brand, variant, sizeSystem)
+    if (size) counts.set(size, (counts.get(size) || 0) + count)
+  }
+
+  const bySize = (a, b) => {
+    const [x, y] = [Number.parseFloat(a), Number.parseFloat(b)]
+    if (Number.isNaN(x) || Number.isNaN(y)) return Number.isNaN(x) - Number.isNaN(y) || a.localeCompare(b)
+    return x - y
+  }
+
+  return [...counts.keys()].sort(bySize).map((size) => ({ value: size, count: counts.get(size) }))
+}
+
+/**
+ * Counts of matching products for each facet
+ *
+ * A product counts once per value, e.g. once under size 10 however many
+ * colors it has in that size. Prices count a product in every bucket one of
+ * its variants is priced in. Sizes are given in the sizeSystem asked for.
+ *
+ * @param {Object} params - Request query, as for buildProductFilter
+ * @param {Object} filter - From buildProductFilter
+ * @returns {Promise<Object>} { brands, categories, genders, sizes, colors,
+ *   prices, ratings }: lists of { value, count }; prices { min, max, count }
+ *   (max null for the top bucket); ratings { min, count } ("& up")
+ */
+const getProductFacets = async (params, filter) => {
+  const cacheKey = {}
+  for (const name of [...Object.values(FACET_FILTERS).flat(), ...OTHER_FILTERS]) {
+    if (params[name] !== undefined && params[name] !== "") cacheKey[name] = String(params[name])
+  }
+
+  const cached = await ProductCacheService.getCachedProductFacets(cacheKey)
+  if (cached) return cached
+
+  // The facets share one match on the unfaceted conditions before splitting
+  const [results] = await Product.aggregate([{ $match: filter.base }, { $facet: facetPipelines(filter) }])
+
+  const values = (rows) => rows.map(({ _id, count }) => ({ value: _id, count }))
+  const { PRICE_BUCKETS, RATINGS } = SEARCH_FACETS
+  const prices = new Map(results.prices.map(({ _id, count }) => [_id, count]))
+  const ratings = results.ratings[0] || {}
+
+  const facets = {
+    brands: values(results.brands),
+    categories: values(results.categories),
+    genders: values(results.genders),
+    sizes: sizeCounts(results.sizes, filter),
+    colors: values(results.colors),
+    prices: PRICE_BUCKETS.map((min, index) => {
+      const top = index === PRICE_BUCKETS.length - 1
+      return { min, max: top ? null : PRICE_BUCKETS[index + 1], count: prices.get(top ? "top" : min) || 0 }
+    }),
+    ratings: RATINGS.map((min) => ({ min, count: ratings[`${min}`] || 0 })),
+  }
+
+  await ProductCacheService.cacheProductFacets(cacheKey, facets)
+  return facets
+}
+
+module.exports = {
+  buildProductFilter,
+  productQuery,
+  getProductFacets,
+}
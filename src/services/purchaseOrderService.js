@@ -0,0 +1,438 @@
+/**
+ * Purchase Order Service
+ *
+ * Restocking from suppliers (models/Supplier.js, models/PurchaseOrder.js):
+ *
+ * 1. createPurchaseOrder / createDraftsFromSuggestions -> draft
+ * 2. sendPurchaseOrder                                 -> sent
+ * 3. receivePurchaseOrder, once per delivery           -> partially_received / received
+ *    Received units are added to stock through inventoryService.updateStock,
+ *    then allocated to any backorders waiting for them
+ * 4. cancelPurchaseOrder stops waiting for whatever hasn't arrived
+ *
+ * getReorderSuggestions says what to buy: variants whose stock plus units
+ * already on order won't last the supplier's lead time at the current sales
+ * velocity, on top of their lowStockThreshold.
+ */
+
+const PurchaseOrder = require("../models/PurchaseOrder")
+const Supplier = require("../models/Supplier")
+const Product = require("../models/Product")
+const Location = require("../models/Location")
+const { updateStock } = require("./inventoryService")
+const { allocateBackorders } = require("./backorderService")
+const { AnalyticsService } = require("./analyticsService")
+const { PURCHASE_ORDER_STATUS, REORDER, INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
+
+// Statuses whose outstanding units count as on order
+const OPEN_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+]
+
+// Variants are told apart by SKU, as two can share a size and color
+const variantKey = (productId, sku) => `${productId}:${sku}`
+
+const generatePoNumber = () => {
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, "0")
+  return `PO-${Date.now()}-${random}`
+}
+
+// Turn request lines ({ productId, sku or size and color, quantity, unitCost }) into PO items
+const resolveItems = async (lines) => {
+  const items = []
+  const seen = new Set()
+
+  for (const line of lines) {
+    const label = line.sku || `${line.size}/${line.color}`
+    const product = await Product.findById(line.productId).select("name variants")
+    const variant = line.sku
+      ? product?.variants.find((v) => v.sku === String(line.sku).trim().toUpperCase())
+      : product?.variants.find((v) => v.size === line.size && v.color === line.color)
+
+    if (!variant) {
+      return { success: false, error: `Variant ${label} of product ${line.productId} not found` }
+    }
+
+    const key = variantKey(product._id, variant.sku)
+    if (seen.has(key)) {
+      return { success: false, error: `${label} appears more than once` }
+    }
+    seen.add(key)
+
+    items.push({
+      product: product._id,
+      variant: { size: variant.size, color: variant.color, sku: variant.sku },
+      quantityOrdered: line.quantity,
+      unitCost: line.unitCost || 0,
+    })
+  }
+
+  return { success: true, items }
+}
+
+const checkSupplier = async (supplierId) => {
+  if (!(await Supplier.exists({ _id: supplierId, isActive: true }))) {
+    return "Supplier not found or inactive"
+  }
+  return null
+}
+
+const checkLocation = async (locationId) => {
+  if (locationId && !(await Location.exists({ _id: locationId, isActive: true }))) {
+    return "Location not found or inactive"
+  }
+  return null
+}
+
+/**
+ * Create a draft purchase order
+ * @param {Object} data - { supplierId, items, locationId, expectedAt, notes }
+ * @param {string} actor - User creating it
+ * @returns {Promise<Object>} { success, purchaseOrder, error }
+ */
+const createPurchaseOrder = async ({ supplierId, items, locationId, expectedAt, notes }, actor) => {
+  const problem = (await checkSupplier(supplierId)) || (await checkLocation(locationId))
+  if (problem) return { success: false, error: problem }
+
+  const resolved = await resolveItems(items)
+  if (!resolved.success) return resolved
+
+  const purchaseOrder = await PurchaseOrder.create({
+    poNumber: generatePoNumber(),
+    supplier: supplierId,
+    items: resolved.items,
+    location: locationId,
+    expectedAt,
+    notes,
+    createdBy: actor,
+  })
+
+  return { success: true, purchaseOrder }
+}
+
+/**
+ * Edit a draft purchase order
+ * @param {string} id - Purchase order ID
+ * @param {Object} changes - Any of { supplierId, items, locationId, expectedAt, notes }
+ * @returns {Promise<Object>} { success, purchaseOrder, error, notFound }
+ */
+const updatePurchaseOrder = async (id, { supplierId, items, locationId, expectedAt, notes }) => {
+  const purchaseOrder = await PurchaseOrder.findById(id)
+  if (!purchaseOrder) return { success: false, notFound: true, error: "Purchase order not found" }
+
+  if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+    return { success: false, error: "Only draft purchase orders can be edited" }
+  }
+
+  const problem = (supplierId && (await checkSupplier(supplierId))) || (await checkLocation(locationId))
+  if (problem) return { success: false, error: problem }
+
+  if (items) {
+    const resolved = await resolveItems(items)
+    if (!resolved.success) return resolved
+    purchaseOrder.items = resolved.items
+  }
+
+  if (supplierId) purchaseOrder.supplier = supplierId
+  if (locationId !== undefined) purchaseOrder.location = locationId || undefined
+  if (expectedAt !== undefined) purchaseOrder.expectedAt = expectedAt
+  if (notes !== undefined) purchaseOrder.notes = notes
+
+  await purchaseOrder.save()
+
+  return { success: true, purchaseOrder }
+}
+
+/**
+ * Mark a draft purchase order as sent to its supplier
+ * @param {string} id - Purchase order ID
+ * @returns {Promise<Object>} { success, purchaseOrder, error, notFound }
+ */
+const sendPurchaseOrder = async (id) => {
+  const purchaseOrder = await PurchaseOrder.findById(id)
+  if (!purchaseOrder) return { success: false, notFound: true, error: "Purchase order not found" }
+
+  if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+    return { success: false, error: `A ${purchaseOrder.status} purchase order can't be sent` }
+  }
+
+  const problem = await checkSupplier(purchaseOrder.supplier)
+  if (problem) return { success: false, error: problem }
+
+  purchaseOrder.updateStatus(PURCHASE_ORDER_STATUS.SENT)
+  await purchaseOrder.save()
+
+  return { success: true, purchaseOrder }
+}
+
+/**
+ * Book a delivery against a purchase order and add the units to stock
+ *
+ * The delivery is saved on the PO before stock moves, and the PO is
+ * versioned, so two people booking the same delivery at once can't both
+ * receive it. A stock update that fails afterwards (e.g. the variant was
+ * deleted) is reported in `stockErrors`; the delivery still stands.
+ *
+ * @param {string} id - Purchase order ID
+ * @param {Array} [lines] - [{ itemId, quantity }]; everything outstanding if omitted
+ * @param {string} actor - User booking the delivery
+ * @param {string} [note] - Delivery note
+ * @returns {Promise<Object>} { success, purchaseOrder, received, stockErrors, backordersAllocated,
+ *   error, notFound }
+ */
+const receivePurchaseOrder = async (id, lines, actor, note) => {
+  const purchaseOrder = await PurchaseOrder.findById(id)
+  if (!purchaseOrder) return { success: false, notFound: true, error: "Purchase order not found" }
+
+  const receivable = [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]
+  if (!receivable.includes(purchaseOrder.status)) {
+    return { success: false, error: `A ${purchaseOrder.status} purchase order can't be received` }
+  }
+
+  const wanted = lines
+    ? lines
+    : purchaseOrder.items
+        .filter((item) => purchaseOrder.getOutstanding(item) > 0)
+        .map((item) => ({ itemId: item._id.toString(), quantity: purchaseOrder.getOutstanding(item) }))
+
+  const received = []
+
+  for (const line of wanted) {
+    const item = purchaseOrder.items.id(line.itemId)
+    if (!item) return { success: false, error: `Item ${line.itemId} is not on this purchase order` }
+
+    const outstanding = purchaseOrder.getOutstanding(item)
+    if (line.quantity > outstanding) {
+      return { success: false, error: `Only ${outstanding} units of ${item.variant.sku} are still expected` }
+    }
+
+    item.quantityReceived += line.quantity
+    received.push({ item, quantity: line.quantity })
+  }
+
+  if (received.length === 0) {
+    return { success: false, error: "Nothing to receive" }
+  }
+
+  const complete = purchaseOrder.items.every((item) => purchaseOrder.getOutstanding(item) === 0)
+  purchaseOrder.updateStatus(complete ? PURCHASE_ORDER_STATUS.RECEIVED : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED)
+  purchaseOrder.receipts.push({
+    receivedBy: actor,
+    items: received.map(({ item, quantity }) => ({ item: item._id, sku: item.variant.sku, quantity })),
+    note,
+  })
+
+  try {
+    await purchaseOrder.save()
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return { success: false, error: "Purchase order changed while receiving, please try again" }
+    }
+    throw error
+  }
+
+  const stockErrors = []
+
+  for (const { item, quantity } of received) {
+    const result = await updateStock(item.product, item.variant.size, item.variant.color, quantity, "increase", {
+      sku: item.variant.sku,
+      reason: INVENTORY_MOVEMENT_REASONS.PURCHASE_RECEIPT,
+      actor,
+      purchaseOrder: purchaseOrder._id,
+      location: purchaseOrder.location,
+      note: purchaseOrder.poNumber,
+    })
+
+    if (!result.success) {
+      console.error(`Receive ${purchaseOrder.poNumber}: stock update failed for ${item.variant.sku}:`, result.error)
+      stockErrors.push({ sku: item.variant.sku, quantity, error: result.error })
+    }
+  }
+
+  // Orders waiting for these variants get the new units first
+  const backorders = await allocateBackorders({ productIds: received.map(({ item }) => item.product) })
+
+  return {
+    success: true,
+    purchaseOrder,
+    received: received.map(({ item, quantity }) => ({ itemId: item._id, sku: item.variant.sku, quantity })),
+    stockErrors,
+    backordersAllocated: backorders.allocated,
+  }
+}
+
+/**
+ * Cancel a purchase order; units already received stay in stock
+ * @param {string} id - Purchase order ID
+ * @param {string} [reason] - Why it was cancelled
+ * @returns {Promise<Object>} { success, purchaseOrder, error, notFound }
+ */
+const cancelPurchaseOrder = async (id, reason) => {
+  const purchaseOrder = await PurchaseOrder.findById(id)
+  if (!purchaseOrder) return { success: false, notFound: true, error: "Purchase order not found" }
+
+  if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+    return { success: false, error: `A ${purchaseOrder.status} purchase order can't be cancelled` }
+  }
+
+  purchaseOrder.updateStatus(PURCHASE_ORDER_STATUS.CANCELLED)
+  purchaseOrder.cancelReason = reason
+  await purchaseOrder.save()
+
+  return { success: true, purchaseOrder }
+}
+
+// Units ordered but not yet received per variant, over every open PO
+const getUnitsOnOrder = async () => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $in: OPEN_STATUSES } } },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: { product: "$items.product", sku: "$items.variant.sku" },
+        onOrder: { $sum: { $max: [{ $subtract: ["$items.quantityOrdered", "$items.quantityReceived"] }, 0] } },
+      },
+    },
+  ])
+
+  return new Map(rows.map((row) => [variantKey(row._id.product, row._id.sku), row.onOrder]))
+}
+
+/**
+ * Variants that should be reordered, most urgent first
+ *
+ * A variant is suggested when its stock plus units already on order (drafts
+ * included, so accepted suggestions aren't suggested again) is at or below
+ * lowStockThreshold plus the units expected to sell during the supplier's
+ * lead time. The suggested quantity tops it up to last `coverDays` more.
+ *
+ * @param {Object} [options] - { days, coverDays, supplierId }
+ * @returns {Promise<Object>} { success, suggestions, days, coverDays, error }
+ */
+const getReorderSuggestions = async (options = {}) => {
+  const { days = REORDER.VELOCITY_DAYS, coverDays = REORDER.COVER_DAYS, supplierId } = options
+  const filter = { isActive: true }
+  if (supplierId) filter.supplier = supplierId
+
+  const products = await Product.find(filter).select("name brand supplier variants")
+
+  const velocity = await AnalyticsService.getSalesVelocity({ days })
+  if (!velocity.success) return { success: false, error: velocity.error }
+
+  const sold = new Map(velocity.data.variants.map((v) => [variantKey(v.productId, v.sku), v.dailyVelocity]))
+  const onOrderByVariant = await getUnitsOnOrder()
+
+  const supplierIds = [...new Set(products.filter((p) => p.supplier).map((p) => p.supplier.toString()))]
+  const suppliers = await Supplier.find({ _id: { $in: supplierIds } }).select("name code leadTimeDays")
+
+  const suggestions = []
+
+  for (const product of products) {
+    const supplier = product.supplier && suppliers.find((s) => s._id.equals(product.supplier))
+    const leadTimeDays = supplier ? supplier.leadTimeDays : REORDER.DEFAULT_LEAD_TIME_DAYS
+
+    for (const variant of product.variants) {
+      if (!variant.isActive) continue
+
+      const key = variantKey(product._id, variant.sku)
+      const dailyVelocity = sold.get(key) || 0
+      const onOrder = onOrderByVariant.get(key) || 0
+      const position = variant.stock + onOrder
+      const reorderPoint = variant.lowStockThreshold + dailyVelocity * leadTimeDays
+
+      if (position > reorderPoint) continue
+
+      const target = variant.lowStockThreshold + dailyVelocity * (leadTimeDays + coverDays)
+
+      suggestions.push({
+        productId: product._id,
+        name: product.name,
+        brand: product.brand,
+        supplier: supplier ? { _id: supplier._id, name: supplier.name, code: supplier.code } : null,
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        stock: variant.stock,
+        onOrder,
+        lowStockThreshold: variant.lowStockThreshold,
+        dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+        daysOfStock: dailyVelocity > 0 ? Math.floor(variant.stock / dailyVelocity) : null,
+        leadTimeDays,
+        suggestedQuantity: Math.max(1, Math.ceil(target - position)),
+      })
+    }
+  }
+
+  // Soonest to run out first; variants that aren't selling last
+  suggestions.sort((a, b) => (a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity) || a.stock - b.stock)
+
+  return { success: true, suggestions, days, coverDays }
+}
+
+/**
+ * Turn reorder suggestions into one draft purchase order per supplier
+ *
+ * Variants without a supplier are skipped. Unit costs are taken from the
+ * variant's last purchase order, if any.
+ *
+ * @param {Object} [options] - Options for getReorderSuggestions
+ * @param {string} actor - User creating the drafts
+ * @returns {Promise<Object>} { success, purchaseOrders, skipped, error }
+ */
+const createDraftsFromSuggestions = async (options, actor) => {
+  const result = await getReorderSuggestions(options)
+  if (!result.success) return result
+
+  const bySupplier = new Map()
+  let skipped = 0
+
+  for (const suggestion of result.suggestions) {
+    if (!suggestion.supplier) {
+      skipped += 1
+      continue
+    }
+
+    const supplierId = suggestion.supplier._id.toString()
+    if (!bySupplier.has(supplierId)) bySupplier.set(supplierId, [])
+    bySupplier.get(supplierId).push(suggestion)
+  }
+
+  const purchaseOrders = []
+
+  for (const [supplierId, lines] of bySupplier) {
+    const items = []
+
+    for (const line of lines) {
+      const last = await PurchaseOrder.findOne({
+        items: { $elemMatch: { product: line.productId, "variant.sku": line.sku } },
+      })
+        .sort({ createdAt: -1 })
+        .select("items")
+      const lastItem = last?.items.find((item) => item.product.equals(line.productId) && item.variant.sku === line.sku)
+
+      items.push({
+        productId: line.productId,
+        sku: line.sku,
+        quantity: line.suggestedQuantity,
+        unitCost: lastItem ? lastItem.unitCost : 0,
+      })
+    }
+
+    const created = await createPurchaseOrder({ supplierId, items, notes: "Created from reorder suggestions" }, actor)
+    if (created.success) purchaseOrders.push(created.purchaseOrder)
+  }
+
+  return { success: true, purchaseOrders, skipped }
+}
+
+module.exports = {
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  getReorderSuggestions,
+  createDraftsFromSuggestions,
+}
@@ -0,0 +1,607 @@
+/**
+ * Reservation Service
+ *
+ * Time-bounded stock holds (models/StockReservation.js):
+ *
+ * 1. POST /api/cart/checkout    -> holdCart: hold the cart's items for a short while
+ * 2. POST /api/orders           -> reserveForOrder: checkout holds move to the order
+ * 3. Payment in progress        -> extendOrderHolds (capped at MAX_HOLD_MINUTES)
+ * 4. Payment succeeded          -> commitOrderHolds: held units become sold units
+ * 5. Cron, every minute         -> releaseExpiredHolds: units go back on sale and
+ *                                  the unpaid orders they belonged to are cancelled
+ *
+ * Holding takes units out of variant.stock straight away, so every existing
+ * stock check keeps seeing what is actually available to sell.
+ *
+ * For variants stocked by location, each hold records the locations its units
+ * came from (hold.allocations), chosen by the shipping address when one is
+ * known and by location priority otherwise. Released units go back to the
+ * same locations.
+ *
+ * Variants that can be backordered or pre-ordered are only held up to what is
+ * in stock; the rest of the line is sold beyond stock (backorderService.js).
+ */
+
+const mongoose = require("mongoose")
+const StockReservation = require("../models/StockReservation")
+const Order = require("../models/Order")
+const Cart = require("../models/Cart")
+const Product = require("../models/Product")
+const { reserveStock, releaseStock } = require("./inventoryService")
+const { recordMovement } = require("./inventoryLedgerService")
+const { getFulfillmentLocations } = require("./locationService")
+const { releaseBackorders } = require("./backorderService")
+const { emitOrderStatusUpdate } = require("./socketService")
+const { STOCK_RESERVATION, INVENTORY_MOVEMENT_REASONS } = require("../utils/constants")
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000)
+
+// Holds from before variants had options may not have a SKU
+const sameVariant = (a, b) =>
+  a.sku && b.sku ? a.sku === b.sku : a.size === b.size && a.color === b.color
+
+const sameLine = (a, b) => a.product.toString() === b.product.toString() && sameVariant(a.variant, b.variant)
+
+// Close an active hold and put its units back on sale. Returns false if the
+// hold was already closed, so units are never given back twice.
+const closeHold = async (reservationId, status, reason, actor) => {
+  const hold = await StockReservation.findOneAndUpdate(
+    { _id: reservationId, status: "active" },
+    { $set: { status, releasedAt: new Date(), releaseReason: reason } },
+    { new: true },
+  )
+
+  if (!hold) return false
+
+  await releaseStock([hold], {
+    reason: INVENTORY_MOVEMENT_REASONS.RESERVATION_RELEASE,
+    order: hold.order,
+    actor,
+    note: reason,
+  })
+  return true
+}
+
+// Add newly taken allocations to a hold's, merging repeat locations
+const mergeAllocations = (allocations, added) => {
+  const merged = allocations.map(({ location, quantity }) => ({ location, quantity }))
+
+  for (const { location, quantity } of added) {
+    const existing = merged.find((allocation) => allocation.location.toString() === location.toString())
+    if (existing) {
+      existing.quantity += quantity
+    } else {
+      merged.push({ location, quantity })
+    }
+  }
+
+  return merged
+}
+
+// Split a hold's allocations into the units to give back and the ones to
+// keep, giving back from the most recently added locations first
+const splitAllocations = (allocations, quantity) => {
+  const kept = allocations.map(({ location, quantity: held }) => ({ location, quantity: held }))
+  const returned = []
+  let remaining = quantity
+
+  for (let index = kept.length - 1; index >= 0 && remaining > 0; index--) {
+    const give = Math.min(remaining, kept[index].quantity)
+    returned.push({ location: kept[index].location, quantity: give })
+    kept[index].quantity -= give
+    remaining -= give
+  }
+
+  return { returned, kept: kept.filter((allocation) => allocation.quantity > 0) }
+}
+
+// Active holds of a shopper's checkout (not yet attached to an order). Holds
+// about to expire are released first so the expiry job can't race with reuse.
+const getCheckoutHolds = async (owner) => {
+  const holds = await StockReservation.find({ ...owner, order: { $exists: false }, status: "active" })
+  const safeUntil = minutesFromNow(1)
+  const usable = []
+
+  for (const hold of holds) {
+    if (hold.expiresAt > safeUntil) {
+      usable.push(hold)
+    } else {
+      await closeHold(hold._id, "released", "expiring")
+    }
+  }
+
+  return usable
+}
+
+// Explain a failed reservation in terms of the whole line, counting the
+// units the holder already has on hold as available to them
+const describeShortage = (plan, result) => {
+  if (result.available === undefined) return result.error
+
+  const { item, hold } = plan.find((line) => sameLine(line.item, result.item))
+  const available = result.available + (hold ? hold.quantity : 0)
+
+  return `Only ${available} items available for ${result.productName} - ${item.variant.color} (Size ${item.variant.size})`
+}
+
+// Decide how many of each line's units to hold. Lines that can be sold beyond
+// stock are held only up to what is in stock, counting the units the holder
+// already has on hold; the rest is left to be backordered.
+const planHoldQuantities = async (plan) => {
+  const products = await Product.find({ _id: { $in: plan.map(({ item }) => item.product) } }).select(
+    "variants launchDate",
+  )
+
+  for (const line of plan) {
+    const { item, hold } = line
+    const held = hold ? hold.quantity : 0
+    const product = products.find((candidate) => candidate._id.toString() === item.product.toString())
+    const variant = product && product.findVariant({ sku: item.variant.sku })
+    const terms = variant && product.getBackorderTerms(variant)
+
+    line.canBackorder = Boolean(terms)
+    line.quantity = terms ? Math.min(item.quantity, held + variant.stock) : item.quantity
+    line.extra = line.quantity - held
+  }
+}
+
+/**
+ * Make a holder's holds match a list of items
+ *
+ * Existing holds are reused, taking or giving back only the difference.
+ * Extra units are taken first - the only step that can fail - so a failure
+ * leaves the existing holds untouched. If stock runs short for a line that
+ * can be backordered, the holds are planned again against the new stock.
+ *
+ * @param {Array} holds - Holds to reuse (consumed)
+ * @param {Array} items - Items with product, variant { size, color, sku } and quantity
+ * @param {Object} holder - Fields identifying the holder ({ order } or { user } / { guestId })
+ * @param {Date} expiresAt - New expiry for all the holds
+ * @param {Object} [shippingAddress] - Picks the locations extra units are taken from
+ * @returns {Promise<Object>} { success, reservations, expiresAt, error } - one reservation
+ *   per item, null for items sold entirely beyond stock
+ */
+const reconcileHolds = async (holds, items, holder, expiresAt, shippingAddress) => {
+  const unmatched = [...holds]
+  const plan = items.map((item) => {
+    const index = unmatched.findIndex((hold) => sameLine(hold, item))
+    const hold = index > -1 ? unmatched.splice(index, 1)[0] : null
+    return { item, hold }
+  })
+
+  const locations = await getFulfillmentLocations(shippingAddress)
+
+  for (let attempt = 1; ; attempt++) {
+    await planHoldQuantities(plan)
+
+    const extraLines = plan.filter((line) => line.extra > 0)
+    if (extraLines.length === 0) break
+
+    const result = await reserveStock(
+      extraLines.map(({ item, extra }) => ({ product: item.product, variant: item.variant, quantity: extra })),
+      { reason: INVENTORY_MOVEMENT_REASONS.RESERVATION, order: holder.order, locations },
+    )
+
+    if (result.success) {
+      // reserveStock answers in the order of extraLines
+      extraLines.forEach((line, index) => {
+        line.taken = result.reservations[index].allocations
+      })
+      break
+    }
+
+    const short = plan.find((line) => result.item && sameLine(line.item, result.item))
+    if (!short || !short.canBackorder || attempt === 3) {
+      return { success: false, error: describeShortage(plan, result) }
+    }
+  }
+
+  const reservations = []
+
+  for (const { item, hold, quantity, extra, taken = [] } of plan) {
+    if (hold) {
+      let allocations = mergeAllocations(hold.allocations, taken)
+
+      if (extra < 0) {
+        const { returned, kept } = splitAllocations(allocations, -extra)
+        await releaseStock(
+          [{ product: item.product, variant: item.variant, quantity: -extra, allocations: returned }],
+          { reason: INVENTORY_MOVEMENT_REASONS.RESERVATION_RELEASE, order: holder.order, note: "no_longer_needed" },
+        )
+        allocations = kept
+      }
+
+      hold.set({ ...holder, quantity, allocations, expiresAt })
+      reservations.push(await hold.save())
+    } else if (quantity > 0) {
+      reservations.push(
+        await StockReservation.create({
+          product: item.product,
+          variant: { size: item.variant.size, color: item.variant.color, sku: item.variant.sku },
+          quantity,
+          allocations: taken,
+          ...holder,
+          expiresAt,
+        }),
+      )
+    } else {
+      reservations.push(null)
+    }
+  }
+
+  // Holds for lines that are no longer being bought
+  for (const hold of unmatched) {
+    await closeHold(hold._id, "released", "no_longer_needed")
+  }
+
+  return { success: true, reservations, expiresAt }
+}
+
+/**
+ * Hold a cart's items when the shopper starts checkout
+ * @param {Object} owner - Cart owner ({ user } or { guestId })
+ * @param {Object} [shippingAddress] - { state, country }, if the shopper has given one
+ * @returns {Promise<Object>} { success, reservations, expiresAt, error }
+ */
+const holdCart = async (owner, shippingAddress) => {
+  const cart = await Cart.findOne(owner)
+
+  if (!cart || cart.items.length === 0) {
+    return { success: false, error: "Cart is empty" }
+  }
+
+  const holds = await getCheckoutHolds(owner)
+  const expiresAt = minutesFromNow(STOCK_RESERVATION.CHECKOUT_HOLD_MINUTES)
+
+  return reconcileHolds(holds, cart.items, owner, expiresAt, shippingAddress)
+}
+
+/**
+ * Hold stock for a new order, reusing the shopper's checkout holds
+ * @param {string} orderId - ID of the order being created
+ * @param {Array} items - Order items
+ * @param {Object|null} owner - Cart owner whose checkout holds can be reused
+ * @param {Object} [shippingAddress] - Picks the locations new units are taken from
+ * @returns {Promise<Object>} { success, reservations, expiresAt, error }
+ */
+const reserveForOrder = async (orderId, items, owner, shippingAddress) => {
+  const holds = owner ? await getCheckoutHolds(owner) : []
+  const expiresAt = minutesFromNow(STOCK_RESERVATION.ORDER_HOLD_MINUTES)
+
+  return reconcileHolds(holds, items, { order: orderId }, expiresAt, shippingAddress)
+}
+
+/**
+ * Keep an order's holds alive while its payment is in progress
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { extended, expiresAt }
+ */
+const extendOrderHolds = async (order) => {
+  const limit = new Date(order.createdAt.getTime() + STOCK_RESERVATION.MAX_HOLD_MINUTES * 60 * 1000)
+  const wanted = minutesFromNow(STOCK_RESERVATION.PAYMENT_EXTENSION_MINUTES)
+  const expiresAt = wanted < limit ? wanted : limit
+
+  const result = await StockReservation.updateMany(
+    { order: order._id, status: "active", expiresAt: { $lt: expiresAt } },
+    { $set: { expiresAt } },
+  )
+
+  return { extended: result.modifiedCount, expiresAt }
+}
+
+// Record a committed hold's units as sold. They left stock when they were
+// held, so the ledger gives them back from the reservation and takes them
+// again as a sale: stock doesn't move, but the sale is reported as one.
+const recordHeldUnitsSold = async (hold) => {
+  const product = await Product.findById(hold.product).select("variants")
+  const variant = product?.variants.find((v) => sameVariant(v, hold.variant))
+  if (!variant) return
+
+  const parts = hold.allocations.length > 0 ? hold.allocations : [{ quantity: hold.quantity }]
+
+  for (const { location, quantity } of parts) {
+    const locationStock = location ? variant.locations.find((l) => l.location.equals(location))?.stock : undefined
+    const entry = { product: product._id, variant, location, order: hold.order, note: "Held units sold" }
+
+    await recordMovement({
+      ...entry,
+      delta: quantity,
+      quantityAfter: variant.stock + quantity,
+      locationQuantityAfter: location ? locationStock + quantity : undefined,
+      reason: INVENTORY_MOVEMENT_REASONS.RESERVATION_RELEASE,
+    })
+    await recordMovement({
+      ...entry,
+      delta: -quantity,
+      quantityAfter: variant.stock,
+      locationQuantityAfter: locationStock,
+      reason: INVENTORY_MOVEMENT_REASONS.SALE,
+    })
+  }
+}
+
+/**
+ * Turn an order's holds into sold stock once it has been paid
+ *
+ * If the holds ran out before the payment arrived, the stock is taken again.
+ * Orders placed before reservations existed already had their stock deducted
+ * and are left alone.
+ *
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { success, committed, reacquired, error }
+ */
+const commitOrderHolds = async (order) => {
+  const committedAt = new Date()
+
+  // Commit hold by hold so a repeated payment event can't record a sale twice
+  const active = await StockReservation.find({ order: order._id, status: "active" }).select("_id")
+  let committed = 0
+
+  for (const { _id } of active) {
+    const hold = await StockReservation.findOneAndUpdate(
+      { _id, status: "active" },
+      { $set: { status: "committed", committedAt } },
+      { new: true },
+    )
+
+    if (hold) {
+      await recordHeldUnitsSold(hold)
+      committed += 1
+    }
+  }
+
+  if (committed > 0) {
+    return { success: true, committed }
+  }
+
+  const hasLapsedHolds = await StockReservation.exists({ order: order._id, status: { $in: ["expired", "released"] } })
+  const hasCommittedHolds = await StockReservation.exists({ order: order._id, status: "committed" })
+
+  // Already committed (e.g. a repeated webhook), or a legacy order
+  if (hasCommittedHolds || !hasLapsedHolds) {
+    return { success: true, committed: 0 }
+  }
+
+  // Backordered units were never held, so only the units sold from stock are taken again
+  const items = order.items
+    .map((item) => ({
+      product: item.product._id || item.product,
+      variant: item.variant,
+      quantity: item.quantity - (item.backorder?.quantity || 0),
+    }))
+    .filter((item) => item.quantity > 0)
+
+  const reservation = await reserveStock(items, {
+    reason: INVENTORY_MOVEMENT_REASONS.SALE,
+    order: order._id,
+    note: "Paid after the order's holds had lapsed",
+    locations: await getFulfillmentLocations(order.shippingAddress),
+  })
+  if (!reservation.success) {
+    return { success: false, error: reservation.error }
+  }
+
+  await StockReservation.insertMany(
+    items.map((item, index) => ({
+      product: item.product,
+      variant: { size: item.variant.size, color: item.variant.color, sku: item.variant.sku },
+      quantity: item.quantity,
+      allocations: reservation.reservations[index].allocations,
+      order: order._id,
+      status: "committed",
+      committedAt,
+      expiresAt: committedAt,
+    })),
+  )
+
+  return { success: true, committed: items.length, reacquired: true }
+}
+
+/**
+ * Give back an order's held stock early (e.g. the order was cancelled)
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Stored on the holds
+ * @param {string} [actor] - User who released them, for the inventory ledger
+ * @returns {Promise<number>} Number of holds released
+ */
+const releaseOrderHolds = async (orderId, reason, actor) => {
+  const holds = await StockReservation.find({ order: orderId, status: "active" }).select("_id")
+  let released = 0
+
+  for (const hold of holds) {
+    if (await closeHold(hold._id, "released", reason, actor)) released += 1
+  }
+
+  return released
+}
+
+/**
+ * Put a cancelled order's stock back on sale, whatever state its holds are in
+ *
+ * - Active holds (unpaid order) are released
+ * - Committed holds (paid order) are returned to stock, at the locations they
+ *   were taken from
+ * - Holds that already expired have nothing left to return
+ * - Orders placed before reservations existed are returned item by item
+ * - Backordered units still waiting for stock go back to their variants' caps
+ *
+ * @param {Object} order - Order document
+ * @param {string} reason - Stored on the holds
+ * @param {string} [actor] - User who cancelled the order, for the inventory ledger
+ * @param {string} [movementReason] - Ledger reason for sold units put back:
+ *   cancellation (default), or return for refunded and returned orders
+ * @returns {Promise<boolean>} Whether any stock was returned
+ */
+const releaseOrderStock = async (order, reason, actor, movementReason = INVENTORY_MOVEMENT_REASONS.CANCELLATION) => {
+  await releaseBackorders(order)
+
+  if ((await releaseOrderHolds(order._id, reason, actor)) > 0) return true
+
+  const committed = await StockReservation.find({ order: order._id, status: "committed" })
+  const isLegacyOrder = committed.length === 0 && !(await StockReservation.exists({ order: order._id }))
+
+  if (committed.length === 0 && !isLegacyOrder) return false
+
+  await StockReservation.updateMany(
+    { _id: { $in: committed.map((hold) => hold._id) } },
+    { $set: { status: "released", releasedAt: new Date(), releaseReason: reason } },
+  )
+
+  const items = isLegacyOrder
+    ? order.items
+        .map((item) => ({
+          product: item.product._id || item.product,
+          variant: { size: item.variant.size, color: item.variant.color, sku: item.variant.sku },
+          quantity: item.quantity - (item.backorder?.quantity || 0),
+        }))
+        .filter((item) => item.quantity > 0)
+    : committed
+
+  await releaseStock(items, {
+    reason: movementReason,
+    order: order._id,
+    actor,
+    note: reason,
+  })
+
+  return true
+}
+
+// Cancel an order whose holds ran out before it was paid
+const cancelUnpaidOrder = async (orderId) => {
+  const order = await Order.findOne({ _id: orderId, status: "pending", "payment.status": { $in: ["pending", "failed"] } })
+  if (!order) return false
+
+  await releaseBackorders(order)
+
+  // The payment is cancelled with the order, so it can't be paid afterwards
+  order.updateStatus("cancelled")
+  order.payment.status = "cancelled"
+  order.adminNotes = "Cancelled automatically: payment was not received before the stock reservation expired"
+  await order.save()
+
+  if (order.user) {
+    emitOrderStatusUpdate(order.user, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      message: "Your order was cancelled because payment was not completed in time",
+    })
+  }
+
+  return true
+}
+
+/**
+ * Release every hold past its expiry and cancel the unpaid orders they held stock for
+ * @returns {Promise<Object>} { released, cancelledOrders }
+ */
+const releaseExpiredHolds = async () => {
+  const expired = await StockReservation.find({ status: "active", expiresAt: { $lte: new Date() } }).select("_id order")
+  const orderIds = new Set()
+  let released = 0
+
+  for (const hold of expired) {
+    if (await closeHold(hold._id, "expired", "hold_expired")) {
+      released += 1
+      if (hold.order) orderIds.add(hold.order.toString())
+    }
+  }
+
+  // Orders sold entirely beyond stock have no holds to expire, so they are
+  // given as long as any order's holds can be extended
+  const unheld = await Order.find({
+    status: "pending",
+    "payment.status": { $in: ["pending", "failed"] },
+    "items.backorder.quantity": { $gt: 0 },
+    createdAt: { $lte: new Date(Date.now() - STOCK_RESERVATION.MAX_HOLD_MINUTES * 60 * 1000) },
+  }).select("_id")
+
+  for (const order of unheld) {
+    if (!(await StockReservation.exists({ order: order._id, status: "active" }))) orderIds.add(order._id.toString())
+  }
+
+  let cancelledOrders = 0
+  for (const orderId of orderIds) {
+    if (await cancelUnpaidOrder(orderId)) cancelledOrders += 1
+  }
+
+  return { released, cancelledOrders }
+}
+
+/**
+ * Reserved versus available stock per variant
+ * @param {Object} [options]
+ * @param {string} [options.productId] - Report every variant of one product
+ * @returns {Promise<Object>} { variants, totals }
+ */
+const getReservationReport = async ({ productId } = {}) => {
+  const match = { status: "active" }
+  if (productId) match.product = new mongoose.Types.ObjectId(productId)
+
+  const held = await StockReservation.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { product: "$product", sku: "$variant.sku" },
+        reserved: { $sum: "$quantity" },
+        holds: { $sum: 1 },
+        nextExpiry: { $min: "$expiresAt" },
+      },
+    },
+  ])
+
+  const productIds = productId ? [productId] : [...new Set(held.map((line) => line._id.product.toString()))]
+  const products = await Product.find({ _id: { $in: productIds } }).select("name brand variants")
+
+  const variants = []
+
+  for (const product of products) {
+    for (const variant of product.variants) {
+      const line = held.find(({ _id }) => _id.product.toString() === product._id.toString() && _id.sku === variant.sku)
+
+      // Without a product filter, only variants with holds are listed
+      if (!line && !productId) continue
+
+      const reserved = line ? line.reserved : 0
+
+      variants.push({
+        productId: product._id,
+        name: product.name,
+        brand: product.brand,
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        available: variant.stock,
+        reserved,
+        onHand: variant.stock + reserved,
+        holds: line ? line.holds : 0,
+        nextExpiry: line ? line.nextExpiry : null,
+      })
+    }
+  }
+
+  variants.sort((a, b) => b.reserved - a.reserved)
+
+  const totals = variants.reduce(
+    (sum, variant) => ({
+      available: sum.available + variant.available,
+      reserved: sum.reserved + variant.reserved,
+      onHand: sum.onHand + variant.onHand,
+    }),
+    { available: 0, reserved: 0, onHand: 0 },
+  )
+
+  return { variants, totals }
+}
+
+module.exports = {
+  holdCart,
+  reserveForOrder,
+  extendOrderHolds,
+  commitOrderHolds,
+  releaseOrderHolds,
+  releaseOrderStock,
+  releaseExpiredHolds,
+  getReservationReport,
+}
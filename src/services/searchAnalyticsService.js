@@ -0,0 +1,299 @@
+/**
+ * Search Analytics Service
+ *
+ * Follows storefront searches from query to purchase (models/SearchEvent.js):
+ *
+ * - recordSearchEvent: log a search with its result count, latency and searcher
+ * - recordInteraction: a click or add-to-cart on one of its results
+ * - attributeOrder: credit an order to the searches its products were picked from
+ * - getTopQueries, getZeroResultQueries, getSearchConversion: reports
+ *
+ * Searchers are signed-in users or, for guests, the cart identity from the
+ * X-Cart-Token header, so guest purchases can be attributed as well.
+ *
+ * Orders are credited when they're placed, while the searcher is known, but
+ * reports only count them once paid (CONVERTED_PAYMENT_STATUSES), so orders
+ * left unpaid, expired, cancelled or refunded aren't conversions.
+ */
+
+const SearchEvent = require("../models/SearchEvent")
+const logger = require("../utils/logger")
+const { verifyCartToken } = require("./guestCheckoutService")
+const { normalizeQuery } = require("./searchSuggestionService")
+const { SEARCH_ANALYTICS, SEARCH_SUGGESTIONS, GUEST_CHECKOUT } = require("../utils/constants")
+
+const { INTERACTION_TYPES } = SEARCH_ANALYTICS
+
+/**
+ * Who is making a request, as stored on search events
+ * @param {Object} req - Express request, after optionalAuth
+ * @returns {Object} { user } or { guestId }, or {} for guests without a cart
+ */
+const searcherOf = (req) => {
+  if (req.user) return { user: req.user._id }
+
+  const cartToken = req.header(GUEST_CHECKOUT.CART_TOKEN_HEADER)
+  const guestId = cartToken ? verifyCartToken(cartToken) : null
+  return guestId ? { guestId } : {}
+}
+
+// Whether a searcher made a search; anyone may report on anonymous searches
+const isSearcher = (event, searcher) => {
+  if (event.user) return String(event.user) === String(searcher.user)
+  if (event.guestId) return event.guestId === searcher.guestId
+  return true
+}
+
+// Percentage to one decimal place
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0)
+
+// Aggregation expressions: 1 for a search with an interaction of a type, or that led to an order
+const hasInteraction = (type) => ({ $cond: [{ $in: [type, "$interactions.type"] }, 1, 0] })
+const hasConversion = { $cond: [{ $gt: [{ $size: "$conversions" }, 0] }, 1, 0] }
+
+// Aggregation stages keeping only the conversions of paid orders
+const paidConversions = [
+  {
+    $lookup: {
+      from: "orders",
+      localField: "conversions.order",
+      foreignField: "_id",
+      pipeline: [
+        { $match: { "payment.status": { $in: SEARCH_ANALYTICS.CONVERTED_PAYMENT_STATUSES } } },
+        { $project: { _id: 1 } },
+      ],
+      as: "paidOrders",
+    },
+  },
+  { $set: { conversions: { $filter: { input: "$conversions", cond: { $in: ["$$this.order", "$paidOrders._id"] } } } } },
+]
+
+/**
+ * Log a search
+ *
+ * Never throws: a search shouldn't fail because it couldn't be logged.
+ *
+ * @param {Object} search
+ * @param {string} search.text - The search as typed
+ * @param {number} search.resultCount - Products it found
+ * @param {number} search.latencyMs - Time taken to answer it
+ * @param {Object} search.searcher - From searcherOf
+ * @returns {Promise<string|null>} The search event's id, or null if not logged
+ */
+const recordSearchEvent = async ({ text, resultCount, latencyMs, searcher }) => {
+  const query = normalizeQuery(text)
+  if (query.length < SEARCH_SUGGESTIONS.MIN_QUERY_LENGTH) return null
+
+  try {
+    const event = await SearchEvent.create({ query, resultCount, latencyMs, ...searcher })
+    return String(event._id)
+  } catch (error) {
+    logger.error("Failed to record search event:", error)
+    return null
+  }
+}
+
+/**
+ * Record a click or add-to-cart on a search result
+ *
+ * Only the latest MAX_INTERACTIONS interactions of a search are kept.
+ *
+ * @param {string} searchId - Search event id
+ * @param {Object} searcher - From searcherOf; must be who searched
+ * @param {Object} interaction - { type, product, position }
+ * @returns {Promise<Object>} { success, notFound }
+ */
+const recordInteraction = async (searchId, searcher, { type, product, position }) => {
+  const event = await SearchEvent.findById(searchId).select("user guestId")
+  if (!event || !isSearcher(event, searcher)) return { success: false, notFound: true }
+
+  const interaction = { type, product, position, at: new Date() }
+  await SearchEvent.updateOne(
+    { _id: event._id },
+    { $push: { interactions: { $each: [interaction], $slice: -SEARCH_ANALYTICS.MAX_INTERACTIONS } } },
+    { runValidators: true },
+  )
+
+  return { success: true }
+}
+
+/**
+ * Credit an order to the searches its products were picked from
+ *
+ * Each ordered product counts for the customer's latest search, within
+ * ATTRIBUTION_WINDOW_DAYS, where they clicked it or added it to the cart.
+ * Reports only count the credit once the order is paid. Never throws, as
+ * for recordSearchEvent.
+ *
+ * @param {Object} order - Saved order
+ * @param {Object} searcher - Who placed it: { user } or { guestId }
+ * @returns {Promise<void>}
+ */
+const attributeOrder = async (order, searcher) => {
+  if (!searcher?.user && !searcher?.guestId) return
+
+  try {
+    const windowMs = SEARCH_ANALYTICS.ATTRIBUTION_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    const placedAt = order.createdAt || new Date()
+    const productIds = order.items.map((item) => item.product)
+
+    const events = await SearchEvent.find({
+      ...searcher,
+      createdAt: { $gte: new Date(placedAt - windowMs), $lte: placedAt },
+      "interactions.product": { $in: productIds },
+    })
+      .sort({ createdAt: -1 })
+      .select("interactions.product")
+      .lean()
+
+    // Search event id -> { products, revenue }
+    const credits = new Map()
+    for (const item of order.items) {
+      const product = String(item.product)
+      const event = events.find(({ interactions }) => interactions.some((entry) => String(entry.product) === product))
+      if (!event) continue
+
+      const credit = credits.get(String(event._id)) || { products: new Set(), revenue: 0 }
+      credit.products.add(product)
+      credit.revenue += item.totalPrice
+      credits.set(String(event._id), credit)
+    }
+
+    await Promise.all(
+      [...credits].map(([id, { products, revenue }]) =>
+        SearchEvent.updateOne(
+          { _id: id },
+          {
+            $push: {
+              conversions: { order: order._id, products: [...products], revenue: Math.round(revenue * 100) / 100 },
+            },
+          },
+        ),
+      ),
+    )
+  } catch (error) {
+    logger.error("Failed to attribute order to searches:", error)
+  }
+}
+
+/**
+ * Most searched queries
+ * @param {Object} options - { startDate, endDate, limit }
+ * @returns {Promise<Array>} [{ query, searches, averageResults, zeroResultSearches,
+ *   clickThroughRate, conversionRate, lastSearchedAt }], rates in percent
+ */
+const getTopQueries = async ({ startDate, endDate, limit = 20 }) => {
+  const rows = await SearchEvent.aggregate([
+    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+    ...paidConversions,
+    {
+      $group: {
+        _id: "$query",
+        searches: { $sum: 1 },
+        averageResults: { $avg: "$resultCount" },
+        zeroResultSearches: { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+        clickedSearches: { $sum: hasInteraction(INTERACTION_TYPES.CLICK) },
+        convertedSearches: { $sum: hasConversion },
+        lastSearchedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+  ])
+
+  return rows.map((row) => ({
+    query: row._id,
+    searches: row.searches,
+    averageResults: Math.round(row.averageResults * 10) / 10,
+    zeroResultSearches: row.zeroResultSearches,
+    clickThroughRate: rate(row.clickedSearches, row.searches),
+    conversionRate: rate(row.convertedSearches, row.searches),
+    lastSearchedAt: row.lastSearchedAt,
+  }))
+}
+
+/**
+ * Queries that found nothing, most searched first
+ * @param {Object} options - { startDate, endDate, limit }
+ * @returns {Promise<Array>} [{ query, searches, searchers, lastSearchedAt }]
+ */
+const getZeroResultQueries = async ({ startDate, endDate, limit = 20 }) => {
+  const rows = await SearchEvent.aggregate([
+    { $match: { createdAt: { $gte: startDate, $lte: endDate }, resultCount: 0 } },
+    {
+      $group: {
+        _id: "$query",
+        searches: { $sum: 1 },
+        searchers: { $addToSet: { $ifNull: ["$user", "$guestId"] } },
+        lastSearchedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+  ])
+
+  return rows.map((row) => ({
+    query: row._id,
+    searches: row.searches,
+    // Distinct signed-in users and guest carts; anonymous searches aren't counted
+    searchers: row.searchers.filter((searcher) => searcher !== null).length,
+    lastSearchedAt: row.lastSearchedAt,
+  }))
+}
+
+/**
+ * The search funnel: searches, clicks, add-to-carts and purchases
+ * @param {Object} options - { startDate, endDate }
+ * @returns {Promise<Object>} { searches, zeroResultRate, clickThroughRate,
+ *   addToCartRate, conversionRate, orders, revenue, averageLatencyMs }, rates in percent of searches
+ */
+const getSearchConversion = async ({ startDate, endDate }) => {
+  const [totals = {}] = await SearchEvent.aggregate([
+    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+    ...paidConversions,
+    {
+      $group: {
+        _id: null,
+        searches: { $sum: 1 },
+        zeroResultSearches: { $sum: { $cond: [{ $eq: ["$resultCount", 0] }, 1, 0] } },
+        clickedSearches: { $sum: hasInteraction(INTERACTION_TYPES.CLICK) },
+        addedToCartSearches: { $sum: hasInteraction(INTERACTION_TYPES.ADD_TO_CART) },
+        convertedSearches: { $sum: hasConversion },
+        revenue: { $sum: { $sum: "$conversions.revenue" } },
+        averageLatencyMs: { $avg: "$latencyMs" },
+        // An order can be credited to more than one search
+        orders: { $addToSet: "$conversions.order" },
+      },
+    },
+    {
+      $set: {
+        orders: {
+          $size: { $reduce: { input: "$orders", initialValue: [], in: { $setUnion: ["$$value", "$$this"] } } },
+        },
+      },
+    },
+  ])
+
+  const searches = totals.searches || 0
+
+  return {
+    searches,
+    zeroResultRate: rate(totals.zeroResultSearches, searches),
+    clickThroughRate: rate(totals.clickedSearches, searches),
+    addToCartRate: rate(totals.addedToCartSearches, searches),
+    conversionRate: rate(totals.convertedSearches, searches),
+    orders: totals.orders || 0,
+    revenue: Math.round((totals.revenue || 0) * 100) / 100,
+    averageLatencyMs: Math.round(totals.averageLatencyMs || 0),
+  }
+}
+
+module.exports = {
+  searcherOf,
+  recordSearchEvent,
+  recordInteraction,
+  attributeOrder,
+  getTopQueries,
+  getZeroResultQueries,
+  getSearchConversion,
+}
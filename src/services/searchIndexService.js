@@ -0,0 +1,190 @@
+/**
+ * Search Index Service
+ *
+ * Full-text catalog search behind a driver interface, so the storefront can
+ * move from the built-in index to an external engine without changing the
+ * routes:
+ *
+ * - searchProducts: ids of products matching a search, best match first
+ * - indexProducts / removeProducts: incremental updates, called by the
+ *   Product model's save, update and delete hooks
+ * - reindexProducts: rebuild the whole index from the database
+ * - registerSearchDriver: add an engine, chosen with SEARCH_ENGINE (env)
+ *
+ * A driver is an object with these methods, which may return promises:
+ *   upsert(documents) - index [{ id, name, brand, description }], replacing
+ *                       earlier versions of the same ids
+ *   remove(ids)       - drop products from the index
+ *   clear()           - drop every product, before a full reindex
+ *   search(text, { limit }) - [{ id, score }], best first
+ * and a `persistent` flag: true if the engine keeps its index between
+ * restarts. Other indexes are built from the database on the first search.
+ *
+ * The built-in "memory" driver (utils/searchIndex.js) ranks with BM25F using
+ * the product text index's field weights. Each API instance holds its own
+ * copy, so changes made on one instance reach the others' indexes only when
+ * they rebuild.
+ */
+
+const Product = require("../models/Product")
+const logger = require("../utils/logger")
+const { createSearchIndex } = require("../utils/searchIndex")
+const { SEARCH_INDEX } = require("../utils/constants")
+
+const searchableFields = Object.keys(SEARCH_INDEX.FIELD_WEIGHTS)
+
+// The built-in in-process engine
+const createMemoryDriver = () => {
+  const index = createSearchIndex({ fields: SEARCH_INDEX.FIELD_WEIGHTS })
+
+  return {
+    persistent: false,
+    upsert: (documents) => documents.forEach(({ id, ...fields }) => index.add(id, fields)),
+    remove: (ids) => ids.forEach((id) => index.remove(id)),
+    clear: () => index.clear(),
+    search: (text, options) => index.search(text, options),
+  }
+}
+
+// Engine name -> function creating its driver
+const driverFactories = new Map([["memory", createMemoryDriver]])
+
+let engine = null
+let driver = null
+// Whether a non-persistent index has been filled from the database, and the rebuild under way
+let indexed = false
+let rebuilding = null
+
+/**
+ * Make a search engine available as SEARCH_ENGINE=<name>
+ *
+ * Register before the first search, e.g. when the app starts.
+ *
+ * @param {string} name - Engine name
+ * @param {Function} createDriver - Returns the driver (see above)
+ */
+const registerSearchDriver = (name, createDriver) => {
+  driverFactories.set(name.toLowerCase(), createDriver)
+}
+
+// The configured engine's driver, created on first use
+const getDriver = () => {
+  if (driver) return driver
+
+  engine = (process.env.SEARCH_ENGINE || SEARCH_INDEX.DEFAULT_ENGINE).toLowerCase()
+  if (!driverFactories.has(engine)) {
+    logger.warn(`Unknown search engine "${engine}", using the built-in index`)
+    engine = SEARCH_INDEX.DEFAULT_ENGINE
+  }
+
+  driver = driverFactories.get(engine)()
+  return driver
+}
+
+// A product as the driver indexes it
+const toDocument = (product) => ({
+  id: String(product._id),
+  ...Object.fromEntries(searchableFields.map((field) => [field, product[field] || ""])),
+})
+
+/**
+ * Rebuild the index from every product in the database
+ *
+ * Searches on the built-in index wait for the rebuild to finish. A rebuild
+ * already under way is joined rather than started again.
+ *
+ * @returns {Promise<Object>} { engine, documents, durationMs }
+ */
+const reindexProducts = () => {
+  if (rebuilding) return rebuilding
+
+  rebuilding = (async () => {
+    const startedAt = Date.now()
+    const searchDriver = getDriver()
+    await searchDriver.clear()
+
+    let batch = []
+    let documents = 0
+    const flush = async () => {
+      await searchDriver.upsert(batch)
+      documents += batch.length
+      batch = []
+    }
+
+    const cursor = Product.find().select(searchableFields.join(" ")).lean().cursor()
+    for await (const product of cursor) {
+      batch.push(toDocument(product))
+      if (batch.length >= SEARCH_INDEX.REINDEX_BATCH_SIZE) await flush()
+    }
+    if (batch.length > 0) await flush()
+
+    indexed = true
+    logger.info(`Search index rebuilt: ${documents} products in ${Date.now() - startedAt}ms`)
+
+    return { engine, documents, durationMs: Date.now() - startedAt }
+  })().finally(() => {
+    rebuilding = null
+  })
+
+  return rebuilding
+}
+
+// Whether incremental changes need sending: an unbuilt index will read them from the database
+const acceptsChanges = (searchDriver) => searchDriver.persistent || indexed || rebuilding
+
+/**
+ * Add or update products in the index
+ *
+ * Never throws: a product save shouldn't fail because the index couldn't be
+ * updated. A reindex brings the index back in step.
+ *
+ * @param {Array} products - Product documents or plain objects with the searchable fields
+ * @returns {Promise<void>}
+ */
+const indexProducts = async (products) => {
+  try {
+    const searchDriver = getDriver()
+    if (!acceptsChanges(searchDriver)) return
+
+    const documents = products.filter(Boolean).map(toDocument)
+    if (documents.length > 0) await searchDriver.upsert(documents)
+  } catch (error) {
+    logger.error("Failed to update the search index:", error)
+  }
+}
+
+/**
+ * Remove products from the index. Never throws, as for indexProducts.
+ * @param {Array} ids - Product ids
+ * @returns {Promise<void>}
+ */
+const removeProducts = async (ids) => {
+  try {
+    const searchDriver = getDriver()
+    if (!acceptsChanges(searchDriver)) return
+
+    await searchDriver.remove(ids.map(String))
+  } catch (error) {
+    logger.error("Failed to update the search index:", error)
+  }
+}
+
+/**
+ * Products matching a search, best match first
+ * @param {string} text - Search text
+ * @returns {Promise<Array>} [{ id, score }], at most MAX_RESULTS
+ */
+const searchProducts = async (text) => {
+  const searchDriver = getDriver()
+  if (!searchDriver.persistent && (rebuilding || !indexed)) await reindexProducts()
+
+  return searchDriver.search(String(text), { limit: SEARCH_INDEX.MAX_RESULTS })
+}
+
+module.exports = {
+  registerSearchDriver,
+  searchProducts,
+  indexProducts,
+  removeProducts,
+  reindexProducts,
+}
@@ -0,0 +1,294 @@
+/**
+ * Search Suggestion Service
+ *
+ * Autocomplete for the storefront search box:
+ *
+ * - getSuggestions: popular queries, products, brands and tags for what a
+ *   shopper has typed so far, correcting typos ("addidas" -> "adidas") and
+ *   expanding admin synonyms ("trainers" also finds "sneakers")
+ * - recordSearch: log a search, so popular queries can be suggested
+ *
+ * Typos are corrected against the words used in listed products' names,
+ * brands, categories and tags plus the synonym terms. That vocabulary is
+ * cached in memory for a short time, indexed by word length and prefix so a
+ * typed word is only compared with words it could be a typo of; synonym
+ * changes made through the admin API invalidate it immediately on this
+ * instance.
+ */
+
+const Product = require("../models/Product")
+const SearchQuery = require("../models/SearchQuery")
+const SearchSynonym = require("../models/SearchSynonym")
+const logger = require("../utils/logger")
+const { escapeRegExp, editDistance } = require("../utils/helpers")
+const { SEARCH_SUGGESTIONS } = require("../utils/constants")
+
+let vocabularyCache = null
+
+// Lowercase, single-spaced and at most MAX_QUERY_LENGTH characters
+const normalizeQuery = (text) =>
+  String(text ?? "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, SEARCH_SUGGESTIONS.MAX_QUERY_LENGTH)
+
+// Letters and digits only, so "Air-Max" is ["air", "max"]
+const tokenize = (text) => String(text ?? "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+
+// Add a value to the list under a key
+const addTo = (map, key, value) => {
+  if (!map.has(key)) map.set(key, [])
+  map.get(key).push(value)
+}
+
+/**
+ * Vocabulary words by length, and by each prefix a typed word could be
+ * @param {Set} words - Vocabulary
+ * @returns {Object} { byLength: length -> words, prefixes: prefix length -> prefix -> longer words }
+ */
+const indexWords = (words) => {
+  const byLength = new Map()
+  const prefixes = new Map()
+
+  for (const word of words) {
+    addTo(byLength, word.length, word)
+
+    const longest = Math.min(word.length - 1, SEARCH_SUGGESTIONS.MAX_CORRECTED_WORD_LENGTH)
+    for (let length = 1; length <= longest; length++) {
+      if (!prefixes.has(length)) prefixes.set(length, new Map())
+      addTo(prefixes.get(length), word.slice(0, length), word)
+    }
+  }
+
+  return { byLength, prefixes }
+}
+
+// Words shoppers might type, with the brands, tags and synonym groups they come from
+const loadVocabulary = async () => {
+  if (vocabularyCache && vocabularyCache.expiresAt > Date.now()) return vocabularyCache.value
+
+  const listed = Product.listedFilter()
+  const [names, brands, categories, tags, synonyms] = await Promise.all([
+    Product.distinct("name", listed),
+    Product.distinct("brand", listed),
+    Product.distinct("category", listed),
+    Product.distinct("tags", listed),
+    SearchSynonym.find().select("terms").lean(),
+  ])
+
+  const groups = synonyms.map((synonym) => synonym.terms)
+  const words = new Set([...names, ...brands, ...categories, ...tags, ...groups.flat()].flatMap(tokenize))
+
+  const value = { words, ...indexWords(words), brands: brands.sort(), tags: tags.sort(), synonyms: groups }
+  vocabularyCache = { value, expiresAt: Date.now() + SEARCH_SUGGESTIONS.VOCABULARY_CACHE_SECONDS * 1000 }
+
+  return value
+}
+
+// Drop the cached vocabulary after synonyms change
+const invalidateSuggestionCache = () => {
+  vocabularyCache = null
+}
+
+// Edits allowed before a word counts as a different word
+const maxTypos = (word) => {
+  if (word.length < 3) return 0
+  return word.length <= 4 ? 1 : 2
+}
+
+/**
+ * The vocabulary word a typed word was most likely meant to be
+ *
+ * The word being typed (the last one) may be unfinished, so it's also
+ * compared against the start of longer words: "addi" becomes "adidas".
+ * Only words within the allowed edits in length, or longer words for an
+ * unfinished one, are compared.
+ *
+ * @param {string} word - Typed word
+ * @param {Object} vocabulary - From loadVocabulary
+ * @param {boolean} partial - Whether the word may be unfinished
+ * @returns {string} The correction, or the word itself if it's known or nothing is close
+ */
+const correctWord = (word, { words, byLength, prefixes }, partial) => {
+  const startsOf = prefixes.get(word.length) || new Map()
+
+  if (words.has(word)) return word
+  if (partial && startsOf.has(word)) return word
+  if (word.length > SEARCH_SUGGESTIONS.MAX_CORRECTED_WORD_LENGTH) return word
+
+  const allowed = maxTypos(word)
+  let best = { word, distance: allowed + 1, fullDistance: Infinity }
+
+  const consider = (known, distance, fullDistance) => {
+    if (distance < best.distance || (distance === best.distance && fullDistance < best.fullDistance)) {
+      best = { word: known, distance, fullDistance }
+    }
+  }
+
+  for (let length = word.length - allowed; length <= word.length + allowed; length++) {
+    for (const known of byLength.get(length) || []) {
+      const distance = editDistance(word, known, allowed)
+      consider(known, distance, distance)
+    }
+  }
+
+  // An unfinished word against the start of each longer word, one comparison per distinct start
+  if (partial) {
+    for (const [start, longer] of startsOf) {
+      const distance = editDistance(word, start, allowed)
+      if (distance > allowed) continue
+
+      for (const known of longer) consider(known, distance, editDistance(word, known))
+    }
+  }
+
+  return best.distance <= allowed ? best.word : word
+}
+
+/**
+ * The query rewritten with each synonym of the terms it uses
+ *
+ * A term matches as whole words, or - for the word being typed - when the
+ * term starts with it, so "train" already finds "sneakers".
+ *
+ * @param {string} query - Corrected query
+ * @param {Array} groups - Synonym groups (arrays of terms)
+ * @returns {Array} The query first, then its rewrites, at most MAX_SYNONYM_QUERIES
+ */
+const expandSynonyms = (query, groups) => {
+  const queries = new Set([query])
+  const words = query.split(" ")
+  const last = words[words.length - 1]
+
+  for (const terms of groups) {
+    for (const term of terms) {
+      const others = terms.filter((other) => other !== term)
+
+      if (` ${query} `.includes(` ${term} `)) {
+        for (const other of others) queries.add(` ${query} `.replace(` ${term} `, ` ${other} `).trim())
+      } else if (last.length >= SEARCH_SUGGESTIONS.MIN_QUERY_LENGTH && !term.includes(" ") && term.startsWith(last)) {
+        for (const other of others) queries.add([...words.slice(0, -1), other].join(" "))
+      }
+    }
+  }
+
+  return [...queries].slice(0, SEARCH_SUGGESTIONS.MAX_SYNONYM_QUERIES)
+}
+
+// Whether a brand or tag fits a query: every word in it, the last one as a prefix
+const fitsQuery = (value, words) => {
+  const valueWords = tokenize(value)
+  return words.every((word, index) =>
+    valueWords.some((valueWord) => (index === words.length - 1 ? valueWord.startsWith(word) : valueWord === word)),
+  )
+}
+
+// Listed products with every word of one of the queries starting a word of their name, brand, category or tags
+const findProducts = (queries) => {
+  const wordCondition = (word) => {
+    const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(word)}`, "i")
+    return { $or: [{ name: pattern }, { brand: pattern }, { category: pattern }, { tags: pattern }] }
+  }
+
+  const listed = Product.listedFilter()
+  const matches = queries.map((query) => ({ $and: tokenize(query).map(wordCondition) }))
+
+  return Product.find({ ...listed, $and: [...listed.$and, { $or: matches }] })
+    .sort({ totalSold: -1, createdAt: -1 })
+    .limit(SEARCH_SUGGESTIONS.LIMIT)
+    .select("name slug brand images")
+    .lean()
+}
+
+// Logged queries that start with one of the queries and found something, most searched first
+const findPopularQueries = (queries) =>
+  SearchQuery.find({
+    $or: queries.map((query) => ({ query: new RegExp(`^${escapeRegExp(query)}`) })),
+    resultCount: { $gt: 0 },
+  })
+    .sort({ count: -1, lastSearchedAt: -1 })
+    .limit(SEARCH_SUGGESTIONS.LIMIT)
+    .lean()
+
+/**
+ * Suggestions for a partly typed search
+ * @param {string} text - What the shopper has typed
+ * @returns {Promise<Object>} { query, didYouMean, queries, products, brands, tags }
+ *   didYouMean: the corrected query, or null if nothing was corrected;
+ *   queries: popular searches as { query, searches }; products as
+ *   { _id, name, slug, brand, image }
+ */
+const getSuggestions = async (text) => {
+  const query = normalizeQuery(text)
+  const empty = { query, didYouMean: null, queries: [], products: [], brands: [], tags: [] }
+  if (query.replace(/ /g, "").length < SEARCH_SUGGESTIONS.MIN_QUERY_LENGTH) return empty
+
+  const vocabulary = await loadVocabulary()
+
+  // Correct word by word, up to MAX_CORRECTED_WORDS; the last word may be unfinished
+  const typed = tokenize(query)
+  if (typed.length === 0) return empty
+
+  // A trailing space means the last word is finished
+  const partial = !/\s$/.test(String(text))
+  const corrected = typed
+    .map((word, index) => {
+      if (index >= SEARCH_SUGGESTIONS.MAX_CORRECTED_WORDS) return word
+      return correctWord(word, vocabulary, partial && index === typed.length - 1)
+    })
+    .join(" ")
+
+  const queries = expandSynonyms(corrected, vocabulary.synonyms)
+  const queryWords = queries.map(tokenize)
+
+  const [popular, products] = await Promise.all([findPopularQueries(queries), findProducts(queries)])
+  const suggest = (values) =>
+    values.filter((value) => queryWords.some((words) => fitsQuery(value, words))).slice(0, SEARCH_SUGGESTIONS.LIMIT)
+
+  return {
+    query,
+    didYouMean: corrected === typed.join(" ") ? null : corrected,
+    queries: popular.map((entry) => ({ query: entry.query, searches: entry.count })),
+    products: products.map(({ _id, name, slug, brand, images = [] }) => ({
+      _id,
+      name,
+      slug,
+      brand,
+      image: (images.find((image) => image.isPrimary) || images[0])?.url || null,
+    })),
+    brands: suggest(vocabulary.brands),
+    tags: suggest(vocabulary.tags),
+  }
+}
+
+/**
+ * Log a storefront search for popular-query suggestions
+ *
+ * Never throws: a search shouldn't fail because it couldn't be logged.
+ *
+ * @param {string} text - The search as typed
+ * @param {number} resultCount - Products it found
+ * @returns {Promise<void>}
+ */
+const recordSearch = async (text, resultCount) => {
+  const query = normalizeQuery(text)
+  if (query.length < SEARCH_SUGGESTIONS.MIN_QUERY_LENGTH) return
+
+  try {
+    await SearchQuery.updateOne(
+      { query },
+      { $inc: { count: 1 }, $set: { resultCount, lastSearchedAt: new Date() } },
+      { upsert: true },
+    )
+  } catch (error) {
+    logger.error("Failed to record search query:", error)
+  }
+}
+
+module.exports = {
+  normalizeQuery,
+  getSuggestions,
+  recordSearch,
+  invalidateSuggestionCache,
+}
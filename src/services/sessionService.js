@@ -0,0 +1,226 @@
+/**
+ * Session Service
+ *
+ * Issues short-lived access tokens and rotating refresh tokens, and keeps the
+ * server-side session store that lets users (and the API) revoke them.
+ *
+ * Token model:
+ * - Access token: JWT carrying the user ID (`id`) and session ID (`sid`),
+ *   valid for JWT_ACCESS_EXPIRE (default 15 minutes)
+ * - Refresh token: opaque `<sessionId>.<random>` string, stored only as a
+ *   SHA-256 hash, valid for REFRESH_TOKEN_EXPIRE_DAYS (default 30 days)
+ *
+ * Every refresh rotates the refresh token. If a rotated-out token is presented
+ * again the whole session (token family) is revoked, since either the client
+ * or an attacker is holding a stolen copy.
+ */
+
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const mongoose = require("mongoose")
+const Session = require("../models/Session")
+const User = require("../models/User")
+const { getLoginInfo } = require("../utils/loginHelper")
+
+const ACCESS_TOKEN_EXPIRE = () => process.env.JWT_ACCESS_EXPIRE || "15m"
+const REFRESH_TOKEN_TTL_MS = () => (Number.parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000
+
+// Hash a token for storage/lookup
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// Build a refresh token bound to a session
+const buildRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(48).toString("hex")}`
+}
+
+// Generate short-lived access token
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE(),
+  })
+}
+
+// Create a new session (token family) for a user
+const createSession = async (user, req, method = "password") => {
+  const loginInfo = req ? getLoginInfo(req) : {}
+  const sessionId = new mongoose.Types.ObjectId()
+  const refreshToken = buildRefreshToken(sessionId)
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ipAddress: loginInfo.ipAddress,
+    location: loginInfo.location,
+    device: loginInfo.device,
+    browser: loginInfo.browser,
+    userAgent: loginInfo.userAgent,
+    method,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS()),
+  })
+
+  return { session, refreshToken }
+}
+
+// Create a session and return the token payload sent to clients
+const issueAuthTokens = async (user, req, method = "password") => {
+  const { session, refreshToken } = await createSession(user, req, method)
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE(),
+  }
+}
+
+// Exchange a refresh token for a new access/refresh token pair
+const rotateRefreshToken = async (refreshToken, req) => {
+  try {
+    const [sessionId] = (refreshToken || "").split(".")
+
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return { success: false, error: "Invalid refresh token" }
+    }
+
+    const presentedHash = hashToken(refreshToken)
+    const nextRefreshToken = buildRefreshToken(sessionId)
+    const update = { refreshTokenHash: hashToken(nextRefreshToken), lastUsedAt: new Date() }
+
+    if (req) {
+      const loginInfo = getLoginInfo(req)
+      update.ipAddress = loginInfo.ipAddress
+      update.location = loginInfo.location
+    }
+
+    // Atomically rotate only if the presented token is the current one
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        refreshTokenHash: presentedHash,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+      },
+      {
+        $set: update,
+        $push: { rotatedTokenHashes: { $each: [presentedHash], $slice: -50 } },
+      },
+      { new: true },
+    )
+
+    if (!session) {
+      // Token was not current - check whether it is a replayed, already-rotated token
+      const reused = await Session.findOne({ _id: sessionId, rotatedTokenHashes: presentedHash })
+
+      if (reused) {
+        if (!reused.revokedAt) {
+          await reused.revoke("token_reuse")
+          console.warn(`Refresh token reuse detected, session ${sessionId} revoked`)
+        }
+        return { success: false, error: "Refresh token reuse detected. Please log in again.", code: "TOKEN_REUSE" }
+      }
+
+      return { success: false, error: "Invalid or expired refresh token" }
+    }
+
+    const user = await User.findById(session.user)
+
+    if (!user || !user.isActive) {
+      await session.revoke("admin")
+      return { success: false, error: "Invalid token or user not found." }
+    }
+
+    return {
+      success: true,
+      user,
+      token: generateAccessToken(user._id, session._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE(),
+    }
+  } catch (error) {
+    console.error("Rotate refresh token error:", error)
+    return { success: false, error: "Failed to refresh token" }
+  }
+}
+
+// Check that the session behind an access token is still valid
+const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .select("_id")
+    .lean()
+
+  return !!session
+}
+
+// Whether the session behind an access token was signed into within the last maxAgeMs
+const isRecentSignIn = async (sessionId, userId, maxAgeMs) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: { $exists: false },
+    createdAt: { $gt: new Date(Date.now() - maxAgeMs) },
+  })
+    .select("_id")
+    .lean()
+
+  return !!session
+}
+
+// List a user's active sessions
+const listActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 })
+}
+
+// Revoke a single session belonging to a user
+const revokeSession = async (sessionId, userId, reason = "user_revoked") => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null
+
+  const session = await Session.findOne({ _id: sessionId, user: userId })
+
+  if (!session) return null
+
+  if (!session.revokedAt) {
+    await session.revoke(reason)
+  }
+
+  return session
+}
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = async (userId, { exceptSessionId = null, reason = "user_revoked" } = {}) => {
+  const filter = { user: userId, revokedAt: { $exists: false } }
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId }
+
+  const result = await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { runValidators: true },
+  )
+
+  return result.modifiedCount
+}
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  issueAuthTokens,
+  rotateRefreshToken,
+  isSessionActive,
+  isRecentSignIn,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+}
@@ -0,0 +1,175 @@
+/**
+ * Size Chart Service
+ *
+ * Converts variant sizes between US men's, US women's, UK, EU and centimetres
+ * using each brand's size chart (models/SizeChart.js), or the generic chart
+ * for brands without one:
+ *
+ * - withSizeConversions: a product for a response, each variant with its
+ *   size in every system
+ * - sizeFilter: product query conditions for a size given in any system
+ * - sizeIn: one variant's size in a given system (e.g. for search facets)
+ *
+ * A variant's size is stored in the system of its size_system option - US
+ * men's when it has none. Sizes that aren't on the chart, and systems no
+ * chart covers (e.g. us_kids), are left unconverted and matched as stored.
+ */
+
+const SizeChart = require("../models/SizeChart")
+const { escapeRegExp } = require("../utils/helpers")
+const { SIZE_SYSTEMS, VARIANT_SIZE_SYSTEMS, DEFAULT_SIZE_CHART } = require("../utils/constants")
+
+const { normalizeSize } = SizeChart
+
+const brandKey = (brand) => String(brand || "").trim().toLowerCase()
+
+// A product brand exactly, ignoring case
+const brandPattern = (brand) => new RegExp(`^${escapeRegExp(brand)}$`, "i")
+
+/**
+ * Size charts by brand
+ * @param {Array} [brands] - Only these brands' charts (default all)
+ * @returns {Promise<Map>} Lowercase brand -> chart rows
+ */
+const loadSizeCharts = async (brands) => {
+  const query = brands ? { brand: { $in: [...new Set(brands.map(brandKey))] } } : {}
+  const charts = await SizeChart.find(query).lean()
+  return new Map(charts.map((chart) => [chart.brand, chart.sizes]))
+}
+
+// The chart a brand's sizes convert with
+const chartFor = (charts, brand) => charts.get(brandKey(brand)) || DEFAULT_SIZE_CHART
+
+// Size system a variant's size is stored in, or null if it can't be converted (e.g. kids' sizes)
+const variantSizeSystem = (variant) => {
+  const options = variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options || {}
+  if (options.size_system === undefined) return SIZE_SYSTEMS.US_MEN
+  return VARIANT_SIZE_SYSTEMS[options.size_system] || null
+}
+
+/**
+ * A size in every system
+ * @param {Array} chart - Chart rows
+ * @param {string} size - Size to convert
+ * @param {string} from - Its size system
+ * @returns {Object|null} e.g. { us_men: "9", us_women: "10.5", uk: "8.5", eu: "42.5", cm: "27" },
+ *   or null if the size isn't on the chart
+ */
+const convertSize = (chart, size, from) => {
+  const normalized = normalizeSize(size)
+  const row = chart.find((entry) => entry[from] === normalized)
+  if (!row) return null
+
+  const sizes = {}
+  for (const system of Object.values(SIZE_SYSTEMS)) {
+    if (row[system] !== undefined) sizes[system] = row[system]
+  }
+  return sizes
+}
+
+// Whether a variant's size is in a system no chart converts (e.g. kids' sizes)
+const isUnchartedSize = (variant) => variantSizeSystem(variant) === null
+
+/**
+ * A variant's size in one system
+ * @param {Map} charts - From loadSizeCharts, including the brand
+ * @param {string} brand - Product brand
+ * @param {Object} variant - { size, options }
+ * @param {string} system - Size system wanted
+ * @returns {string|null} The size, or null if it can't be converted
+ */
+const sizeIn = (charts, brand, variant, system) => {
+  const stored = variantSizeSystem(variant)
+  if (!stored) return null
+  if (stored === system) return normalizeSize(variant.size)
+  return convertSize(chartFor(charts, brand), variant.size, stored)?.[system] || null
+}
+
+/**
+ * A product as JSON with each variant's converted sizes, as `sizes`
+ * @param {Object} product - Product document or plain object
+ * @param {Map} charts - From loadSizeCharts, including the product's brand
+ * @returns {Object}
+ */
+const withSizeConversions = (product, charts) => {
+  const chart = chartFor(charts, product.brand)
+  const data = typeof product.toJSON === "function" ? product.toJSON({ flattenMaps: true }) : { ...product }
+
+  data.variants = (data.variants || []).map((variant) => {
+    const system = variantSizeSystem(variant)
+    return { ...variant, sizes: system ? convertSize(chart, variant.size, system) : null }
+  })
+
+  return data
+}
+
+/**
+ * Query conditions for products with a variant in a size, given in any system
+ *
+ * The size is converted with each brand's chart into the systems variant
+ * sizes are stored in, so EU 42 finds the US men's 8.5 of one brand and the
+ * US men's 9 of another. A size on no chart (e.g. kids' 3Y) finds variants
+ * stored in that size in a system no chart covers.
+ *
+ * @param {string} size - Size to find
+ * @param {string} system - Its size system (SIZE_SYSTEMS)
+ * @param {Map} charts - From loadSizeCharts (all brands)
+ * @returns {Object} Product query conditions
+ */
+const sizeFilter = (size, system, charts) => {
+  const normalized = normalizeSize(size)
+
+  // Variant conditions for the size as stored in each system
+  const variantConditions = (chart) => {
+    const rows = chart.filter((row) => row[system] === normalized)
+
+    return [...new Set(Object.values(VARIANT_SIZE_SYSTEMS))]
+      .map((stored) => {
+        const sizes = new Set(rows.map((row) => row[stored]).filter(Boolean))
+        if (stored === system) sizes.add(normalized)
+
+        const optionValues = Object.keys(VARIANT_SIZE_SYSTEMS).filter((key) => VARIANT_SIZE_SYSTEMS[key] === stored)
+        if (stored === SIZE_SYSTEMS.US_MEN) optionValues.push(null)
+
+        return { size: { $in: [...sizes] }, "options.size_system": { $in: optionValues } }
+      })
+      .filter((condition) => condition.size.$in.length > 0)
+  }
+
+  const withSize = (brand, chart) => {
+    const conditions = variantConditions(chart)
+    return conditions.length > 0 ? [{ brand, variants: { $elemMatch: { $or: conditions } } }] : []
+  }
+
+  const brands = [...charts.keys()]
+  const matches = [
+    ...brands.flatMap((brand) => withSize(brandPattern(brand), charts.get(brand))),
+    ...withSize({ $nin: brands.map(brandPattern) }, DEFAULT_SIZE_CHART),
+  ]
+
+  // A size on no chart is also matched as stored, in the systems charts don't cover
+  const chartsWithSize = [DEFAULT_SIZE_CHART, ...charts.values()].filter((chart) =>
+    chart.some((row) => row[system] === normalized),
+  )
+  if (chartsWithSize.length === 0) {
+    matches.push({
+      variants: {
+        $elemMatch: {
+          size: new RegExp(`^${escapeRegExp(normalized)}$`, "i"),
+          "options.size_system": { $nin: [...Object.keys(VARIANT_SIZE_SYSTEMS), null] },
+        },
+      },
+    })
+  }
+
+  return { $or: matches }
+}
+
+module.exports = {
+  loadSizeCharts,
+  convertSize,
+  sizeIn,
+  isUnchartedSize,
+  withSizeConversions,
+  sizeFilter,
+}
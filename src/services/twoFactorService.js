@@ -0,0 +1,222 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP enrollment, verification and recovery codes, plus the short-lived
+ * challenge tokens used by the two-step login flow.
+ *
+ * Flow:
+ * 1. POST /api/auth/2fa/setup    -> startEnrollment (pending secret + otpauth URI)
+ * 2. POST /api/auth/2fa/verify   -> confirmEnrollment (enables 2FA, returns recovery codes once)
+ * 3. POST /api/auth/login        -> password OK + 2FA on -> createChallengeToken
+ * 4. POST /api/auth/login/2fa    -> verifyChallengeToken + verifySecondFactor -> tokens
+ *
+ * A challenge token completes one login: its jti is recorded as used once
+ * the second factor checks out (consumeChallengeToken).
+ */
+
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const Setting = require("../models/Setting")
+const { REDIS_KEYS } = require("../config/redis")
+const { readRecord, incrementCounter } = require("../utils/ephemeralStore")
+const { generateSecret, verifyCode, buildOtpauthUri } = require("../utils/totp")
+
+const RECOVERY_CODE_COUNT = 10
+const CHALLENGE_TOKEN_PURPOSE = "2fa_challenge"
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+
+// Hash a recovery code for storage/lookup
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, "")
+  return crypto.createHash("sha256").update(normalized).digest("hex")
+}
+
+// Generate a fresh set of recovery codes (plain codes + hashes to store)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+// Begin enrollment: store a pending secret and return the authenticator payload
+const startEnrollment = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS)
+
+  if (!user) {
+    return { success: false, error: "User not found" }
+  }
+
+  if (user.twoFactor?.enabled) {
+    return { success: false, error: "Two-factor authentication is already enabled" }
+  }
+
+  const secret = generateSecret()
+  user.twoFactor.pendingSecret = secret
+  await user.save()
+
+  const otpauthUri = buildOtpauthUri(secret, user.email)
+
+  return {
+    success: true,
+    secret,
+    otpauthUri,
+    // Clients render the otpauth URI as a QR code
+    qrPayload: otpauthUri,
+  }
+}
+
+// Confirm enrollment with a code from the authenticator app
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS)
+
+  if (!user || !user.twoFactor?.pendingSecret) {
+    return { success: false, error: "No two-factor setup in progress" }
+  }
+
+  const step = verifyCode(user.twoFactor.pendingSecret, code)
+
+  if (step === null) {
+    return { success: false, error: "Invalid verification code" }
+  }
+
+  const { codes, hashes } = generateRecoveryCodes()
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret
+  user.twoFactor.pendingSecret = undefined
+  user.twoFactor.recoveryCodes = hashes
+  user.twoFactor.lastUsedStep = step
+  user.twoFactor.enabled = true
+  user.twoFactor.enabledAt = new Date()
+  await user.save()
+
+  return { success: true, recoveryCodes: codes }
+}
+
+// Verify a TOTP code or a one-time recovery code for an enrolled user
+const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS)
+
+  if (!user || !user.twoFactor?.enabled) {
+    return { success: false, error: "Two-factor authentication is not enabled" }
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode)
+    const index = user.twoFactor.recoveryCodes.indexOf(hash)
+
+    if (index === -1) {
+      return { success: false, error: "Invalid recovery code" }
+    }
+
+    // Recovery codes are single-use
+    user.twoFactor.recoveryCodes.splice(index, 1)
+    await user.save()
+
+    return { success: true, user, method: "recovery_code", remainingRecoveryCodes: user.twoFactor.recoveryCodes.length }
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code)
+
+  // Reject invalid codes and replays of an already accepted code
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return { success: false, error: "Invalid verification code" }
+  }
+
+  user.twoFactor.lastUsedStep = step
+  await user.save()
+
+  return { success: true, user, method: "totp" }
+}
+
+// Replace all recovery codes
+const regenerateRecoveryCodes = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS)
+
+  if (!user || !user.twoFactor?.enabled) {
+    return { success: false, error: "Two-factor authentication is not enabled" }
+  }
+
+  const { codes, hashes } = generateRecoveryCodes()
+  user.twoFactor.recoveryCodes = hashes
+  await user.save()
+
+  return { success: true, recoveryCodes: codes }
+}
+
+// Turn 2FA off and wipe secrets
+const disableTwoFactor = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.recoveryCodes": "",
+        "twoFactor.lastUsedStep": "",
+        "twoFactor.enabledAt": "",
+      },
+    },
+  )
+
+  return result.matchedCount > 0
+}
+
+// Short-lived, single-use token proving the first factor succeeded
+const createChallengeToken = (user, method = "password") => {
+  return jwt.sign({ id: user._id, purpose: CHALLENGE_TOKEN_PURPOSE, method }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
+    jwtid: crypto.randomBytes(16).toString("hex"),
+  })
+}
+
+// Decode a challenge token, or return null if it is invalid, expired or already used
+const verifyChallengeToken = async (token) => {
+  let decoded
+
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    return null
+  }
+
+  if (decoded.purpose !== CHALLENGE_TOKEN_PURPOSE || !decoded.jti) return null
+  if (await readRecord(REDIS_KEYS.TWO_FACTOR_CHALLENGE(decoded.jti))) return null
+
+  return decoded
+}
+
+/**
+ * Use up a verified challenge token, so it can't complete another login
+ * @param {Object} challenge - Decoded token from verifyChallengeToken
+ * @returns {Promise<boolean>} false if it was already used (e.g. by a concurrent request)
+ */
+const consumeChallengeToken = async (challenge) => {
+  // Remember the jti only for as long as the token would still verify
+  const ttlSeconds = Math.max(challenge.exp - Math.floor(Date.now() / 1000), 1)
+  const uses = await incrementCounter(REDIS_KEYS.TWO_FACTOR_CHALLENGE(challenge.jti), ttlSeconds)
+
+  return uses === 1
+}
+
+// Whether the admin security settings require 2FA for a role
+const isTwoFactorRequiredForRole = async (role) => {
+  const settings = await Setting.getSettings()
+  return settings.security.twoFactorRequiredRoles.includes(role)
+}
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  isTwoFactorRequiredForRole,
+}
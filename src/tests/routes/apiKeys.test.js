@@ -0,0 +1,92 @@
+/**
+ * API Key Tests
+ *
+ * Covers scoped API keys for server-to-server integrations:
+ * - Admin creates a key (shown once, stored hashed)
+ * - X-API-Key is accepted on permission-guarded endpoints within its scopes
+ * - Personal endpoints reject API keys
+ * - Revocation and per-key rate limits
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const ApiKey = require("../../models/ApiKey")
+
+describe("API Keys", () => {
+  let adminToken
+
+  const createKey = async (body) => {
+    const response = await request(app)
+      .post("/api/admin/api-keys")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201)
+    return response.body.data
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+  })
+
+  it("should store only a hash of the key", async () => {
+    const { key, _id } = await createKey({ name: "ERP sync", scopes: ["orders:read"] })
+
+    expect(key).toMatch(/^sk_/)
+
+    const stored = await ApiKey.findById(_id).select("+keyHash")
+    expect(stored.keyHash).not.toBe(key)
+  })
+
+  it("should authenticate within the key's scopes", async () => {
+    const { key } = await createKey({ name: "ERP sync", scopes: ["orders:read"] })
+
+    await request(app).get("/api/orders/admin/all").set("X-API-Key", key).expect(200)
+
+    const denied = await request(app).post("/api/products").set("X-API-Key", key).send({}).expect(403)
+    expect(denied.body.requiredPermissions).toEqual(["products:write"])
+  })
+
+  it("should reject API keys on personal endpoints", async () => {
+    const { key } = await createKey({ name: "ERP sync", scopes: ["orders:read"] })
+
+    await request(app).get("/api/auth/me").set("X-API-Key", key).expect(403)
+  })
+
+  it("should reject revoked keys", async () => {
+    const { key, _id } = await createKey({ name: "ERP sync", scopes: ["orders:read"] })
+
+    await request(app).delete(`/api/admin/api-keys/${_id}`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+    await request(app).get("/api/orders/admin/all").set("X-API-Key", key).expect(401)
+  })
+
+  it("should enforce the per-key rate limit", async () => {
+    const { key } = await createKey({ name: "Warehouse", scopes: ["orders:read"], rateLimit: { max: 2 } })
+
+    await request(app).get("/api/orders/admin/all").set("X-API-Key", key).expect(200)
+    await request(app).get("/api/orders/admin/all").set("X-API-Key", key).expect(200)
+
+    const limited = await request(app).get("/api/orders/admin/all").set("X-API-Key", key).expect(429)
+    expect(limited.headers["retry-after"]).toBeDefined()
+  })
+
+  it("should track last use", async () => {
+    const { key, _id } = await createKey({ name: "ERP sync", scopes: ["orders:read"] })
+
+    await request(app).get("/api/orders/admin/all").set("X-API-Key", key).expect(200)
+
+    // Usage tracking is written in the background
+    await new Promise((resolve) => setTimeout(resolve, 100))
+    const stored = await ApiKey.findById(_id)
+    expect(stored.usageCount).toBe(1)
+    expect(stored.lastUsedAt).toBeDefined()
+  })
+})
@@ -0,0 +1,212 @@
+/**
+ * Backorder and Pre-order Tests
+ *
+ * Covers selling variants beyond their stock:
+ * - Orders hold what is in stock and backorder the rest, up to the cap
+ * - Payment is authorised and the order waits as backordered / preordered
+ * - Incoming stock is allocated to waiting orders
+ * - Shipping captures the payment; cancelling gives units back to the cap
+ * - An expired authorisation blocks shipping until the customer authorises again
+ */
+
+// Stripe, for the orders paid by card
+const mockStripe = {
+  paymentIntents: { create: jest.fn(), capture: jest.fn(), retrieve: jest.fn(), cancel: jest.fn() },
+  customers: { create: jest.fn() },
+  webhooks: { constructEvent: jest.fn((body) => (Buffer.isBuffer(body) ? JSON.parse(body) : body)) },
+}
+jest.mock("stripe", () => () => mockStripe)
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const Order = require("../../models/Order")
+
+describe("Backorders and Pre-orders", () => {
+  let adminToken
+  let customerToken
+  let product
+  let variant
+
+  const shippingAddress = { firstName: "Test", lastName: "Customer", ...global.mockOrder.shippingAddress }
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+  const customerRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${customerToken}`)
+
+  const setBackorder = (settings) =>
+    adminRequest("patch", `/api/admin/inventory/${product._id}/variant/${variant._id}/backorder`).send(settings)
+
+  const setStock = (stock) =>
+    adminRequest("patch", `/api/admin/inventory/${product._id}/variant/${variant._id}/stock`).send({ stock })
+
+  const placeOrder = (quantity) =>
+    customerRequest("post", "/api/orders").send({
+      items: [{ product: product._id, variant: { size: "9", color: "black" }, quantity }],
+      shippingAddress,
+    })
+
+  const pay = (order) => customerRequest("post", "/api/payments/dummy-payment").send({ orderId: order._id }).expect(200)
+
+  const currentVariant = async () => (await Product.findById(product._id)).getVariant("9", "black")
+
+  const sendWebhook = (type, object) =>
+    request(app).post("/api/payments/webhook").set("stripe-signature", "test").send({ type, data: { object } })
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    await new User(global.mockUsers.customer).save()
+    product = await new Product(global.mockProduct).save()
+    variant = product.getVariant("9", "black")
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+    customerToken = await global.loginUser(global.mockUsers.customer)
+  })
+
+  it("should refuse more than is in stock unless the variant can be backordered", async () => {
+    await customerRequest("post", "/api/cart/items")
+      .send({ productId: product._id, size: "9", color: "black", quantity: 12 })
+      .expect(400)
+
+    await setBackorder({ allowBackorder: true, backorderCap: 5 }).expect(200)
+
+    await customerRequest("post", "/api/cart/items")
+      .send({ productId: product._id, size: "9", color: "black", quantity: 12 })
+      .expect(201)
+
+    const response = await customerRequest("post", "/api/cart/items")
+      .send({ productId: product._id, size: "9", color: "black", quantity: 4 })
+      .expect(400)
+
+    expect(response.body.message).toContain("Only 3 more available")
+  })
+
+  it("should hold the stock and backorder the rest, within the cap", async () => {
+    await setBackorder({ allowBackorder: true, expectedShipDate: "2030-01-15", backorderCap: 5 }).expect(200)
+
+    const response = await placeOrder(13).expect(201)
+    const [item] = response.body.data.order.items
+
+    expect(item.fulfillment).toBe("backorder")
+    expect(item.backorder).toEqual(
+      expect.objectContaining({ quantity: 3, awaiting: 3, expectedShipDate: "2030-01-15T00:00:00.000Z" }),
+    )
+
+    const after = await currentVariant()
+    expect(after.stock).toBe(0)
+    expect(after.backorderCap).toBe(2)
+
+    const refused = await placeOrder(3).expect(400)
+    expect(refused.body.message).toContain("Only 2 more")
+    expect((await currentVariant()).backorderCap).toBe(2)
+  })
+
+  it("should authorise payment, wait for stock and capture on shipment", async () => {
+    await setBackorder({ allowBackorder: true }).expect(200)
+    const { order } = (await placeOrder(12).expect(201)).body.data
+
+    const paid = await pay(order)
+    expect(paid.body.data.order.status).toBe("backordered")
+    expect(paid.body.data.order.payment.status).toBe("authorized")
+
+    const early = await adminRequest("put", `/api/orders/${order._id}/status`).send({ status: "shipped" }).expect(400)
+    expect(early.body.message).toContain("2 units are still waiting")
+
+    // Stock comes in: the waiting units get it first
+    await setStock(5).expect(200)
+
+    const allocated = await Order.findById(order._id)
+    expect(allocated.status).toBe("confirmed")
+    expect(allocated.items[0].backorder.awaiting).toBe(0)
+    expect((await currentVariant()).stock).toBe(3)
+
+    const shipped = await adminRequest("put", `/api/orders/${order._id}/status`).send({ status: "shipped" }).expect(200)
+    expect(shipped.body.data.order.payment.status).toBe("completed")
+    expect(shipped.body.data.order.payment.paidAt).toBeDefined()
+  })
+
+  it("should take pre-orders until launch", async () => {
+    await Product.updateOne({ _id: product._id }, { launchDate: new Date("2030-03-01") })
+    await setBackorder({ preorder: true }).expect(200)
+    await setStock(0).expect(200)
+
+    const { order } = (await placeOrder(2).expect(201)).body.data
+    expect(order.items[0].fulfillment).toBe("preorder")
+    expect(order.items[0].backorder.expectedShipDate).toBe("2030-03-01T00:00:00.000Z")
+
+    const paid = await pay(order)
+    expect(paid.body.data.order.status).toBe("preordered")
+
+    // After launch the variant is no longer sold beyond stock
+    await Product.updateOne({ _id: product._id }, { launchDate: new Date("2020-03-01") })
+    await placeOrder(1).expect(400)
+  })
+
+  it("should give a cancelled order's waiting units back to the cap", async () => {
+    await setBackorder({ allowBackorder: true, backorderCap: 4 }).expect(200)
+    const { order } = (await placeOrder(13).expect(201)).body.data
+    await pay(order)
+
+    expect((await currentVariant()).backorderCap).toBe(1)
+
+    const response = await customerRequest("put", `/api/orders/${order._id}/cancel`).expect(200)
+    expect(response.body.data.order.payment.status).toBe("voided")
+
+    const after = await currentVariant()
+    expect(after.backorderCap).toBe(4)
+    expect(after.stock).toBe(10)
+  })
+
+  it("should let the customer authorise again once Stripe lets the authorisation expire", async () => {
+    await setBackorder({ allowBackorder: true }).expect(200)
+    const { order } = (await placeOrder(12).expect(201)).body.data
+    await pay(order)
+
+    // Paid by card, and Stripe cancels the authorisation after about 7 days
+    await Order.updateOne({ _id: order._id }, { "payment.method": "stripe", "payment.stripePaymentIntentId": "pi_old" })
+    await sendWebhook("payment_intent.canceled", { id: "pi_old", cancellation_reason: "automatic" }).expect(200)
+    expect((await Order.findById(order._id)).payment.status).toBe("cancelled")
+
+    await setStock(5).expect(200)
+
+    const refused = await adminRequest("put", `/api/orders/${order._id}/status`).send({ status: "shipped" }).expect(402)
+    expect(refused.body.message).toContain("authorise the payment again")
+
+    // The customer authorises the payment again
+    mockStripe.paymentIntents.create.mockResolvedValueOnce({ id: "pi_new", status: "requires_capture" })
+    await customerRequest("post", `/api/payments/${order._id}/retry`).send({ paymentMethodId: "pm_card" }).expect(200)
+    expect(mockStripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({ capture_method: "manual" }))
+
+    await sendWebhook("payment_intent.amount_capturable_updated", { id: "pi_new", amount_capturable: 100 }).expect(200)
+    expect((await Order.findById(order._id)).payment.status).toBe("authorized")
+
+    mockStripe.paymentIntents.capture.mockResolvedValueOnce({ id: "pi_new", status: "succeeded" })
+    const shipped = await adminRequest("put", `/api/orders/${order._id}/status`).send({ status: "shipped" }).expect(200)
+    expect(shipped.body.data.order.payment.status).toBe("completed")
+    expect(mockStripe.paymentIntents.capture).toHaveBeenCalledWith("pi_new")
+  })
+
+  it("should mark the payment for re-authorisation when capture finds it expired", async () => {
+    await setBackorder({ allowBackorder: true }).expect(200)
+    const { order } = (await placeOrder(12).expect(201)).body.data
+    await pay(order)
+    await Order.updateOne({ _id: order._id }, { "payment.method": "stripe", "payment.stripePaymentIntentId": "pi_old" })
+    await setStock(5).expect(200)
+
+    mockStripe.paymentIntents.capture.mockRejectedValueOnce(new Error("This PaymentIntent has been canceled"))
+    mockStripe.paymentIntents.retrieve.mockResolvedValueOnce({ id: "pi_old", status: "canceled" })
+
+    await adminRequest("put", `/api/orders/${order._id}/status`).send({ status: "shipped" }).expect(402)
+
+    const expired = await Order.findById(order._id)
+    expect(expired.payment.status).toBe("cancelled")
+    expect(expired.status).toBe("confirmed")
+  })
+})
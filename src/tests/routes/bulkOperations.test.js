@@ -0,0 +1,202 @@
+/**
+ * Bulk Operation Tests
+ *
+ * Covers price and stock changes across filtered variants:
+ * - Previews list what would change without changing it
+ * - Operations are all or nothing and kept as an audit record, listing any
+ *   variants that changed mid-run and couldn't be put back
+ * - Undo puts prices back and reverses stock, within the undo window
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const BulkOperation = require("../../models/BulkOperation")
+const InventoryMovement = require("../../models/InventoryMovement")
+
+describe("Bulk Operations", () => {
+  let adminToken
+  let admin
+  let product
+  let otherProduct
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+
+  const variantsOf = async (id) => {
+    const current = await Product.findById(id)
+    return current.variants.map((variant) => ({ sku: variant.sku, price: variant.price, stock: variant.stock }))
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    admin = await new User(global.mockUsers.admin).save()
+
+    product = await new Product(global.mockProduct).save()
+    otherProduct = await new Product({
+      ...global.mockProduct,
+      name: "Other Brand Shoe",
+      brand: "OtherBrand",
+      variants: [{ size: "9", color: "red", sku: "OTHER-RED-9", price: 50, stock: 4 }],
+    }).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+  })
+
+  it("should preview the affected variants without changing them", async () => {
+    const response = await adminRequest("post", "/api/admin/bulk-operations/preview")
+      .send({ filter: { brands: ["TestBrand"] }, price: { action: "decrease", unit: "percent", value: 20 } })
+      .expect(200)
+
+    expect(response.body.data.products).toBe(1)
+    expect(response.body.data.variants).toBe(2)
+    expect(response.body.data.changes[0]).toEqual(
+      expect.objectContaining({ sku: "TEST-RUN-BLK-9", price: { from: 99.99, to: 79.99 } }),
+    )
+
+    expect(await variantsOf(product._id)).toEqual([
+      { sku: "TEST-RUN-BLK-9", price: 99.99, stock: 10 },
+      { sku: "TEST-RUN-WHT-10", price: 99.99, stock: 5 },
+    ])
+    expect(await BulkOperation.countDocuments()).toBe(0)
+  })
+
+  it("should apply price and stock changes and record who ran them", async () => {
+    const response = await adminRequest("post", "/api/admin/bulk-operations")
+      .send({
+        filter: { skus: ["test-run-blk-9", "OTHER-RED-9"] },
+        price: { action: "increase", unit: "amount", value: 5 },
+        stock: { action: "increase", value: 3 },
+        note: "Autumn restock",
+      })
+      .expect(201)
+
+    const operation = response.body.data
+    expect(operation.status).toBe("applied")
+    expect(operation.changes).toHaveLength(2)
+    expect(operation.createdBy).toBe(admin._id.toString())
+    expect(operation.undoExpiresAt).toBeDefined()
+
+    expect(await variantsOf(product._id)).toEqual([
+      { sku: "TEST-RUN-BLK-9", price: 104.99, stock: 13 },
+      { sku: "TEST-RUN-WHT-10", price: 99.99, stock: 5 },
+    ])
+    expect(await variantsOf(otherProduct._id)).toEqual([{ sku: "OTHER-RED-9", price: 55, stock: 7 }])
+
+    const movements = await InventoryMovement.find({ bulkOperation: operation._id })
+    expect(movements.map((movement) => movement.delta)).toEqual([3, 3])
+    expect(movements[0].reason).toBe("bulk_operation")
+
+    const list = await adminRequest("get", "/api/admin/bulk-operations").expect(200)
+    expect(list.body.data.operations[0].createdBy.email).toBe(global.mockUsers.admin.email)
+  })
+
+  it("should refuse the whole operation when a variant can't be changed", async () => {
+    await Product.updateOne(
+      { _id: product._id, "variants.sku": "TEST-RUN-WHT-10" },
+      { $set: { "variants.$.compareAtPrice": 100 } },
+    )
+
+    const refused = await adminRequest("post", "/api/admin/bulk-operations")
+      .send({ filter: { categories: ["running"] }, price: { action: "increase", unit: "percent", value: 10 } })
+      .expect(409)
+
+    expect(refused.body.conflicts).toEqual([
+      expect.objectContaining({ sku: "TEST-RUN-WHT-10", reason: "Price would be above the compare-at price" }),
+    ])
+    expect((await variantsOf(product._id))[0].price).toBe(99.99)
+
+    const skipped = await adminRequest("post", "/api/admin/bulk-operations")
+      .send({
+        filter: { categories: ["running"] },
+        price: { action: "increase", unit: "percent", value: 10 },
+        skipConflicts: true,
+      })
+      .expect(201)
+
+    expect(skipped.body.data.skipped).toEqual([expect.objectContaining({ sku: "TEST-RUN-WHT-10" })])
+    expect((await variantsOf(product._id)).map((variant) => variant.price)).toEqual([109.99, 99.99])
+    expect((await variantsOf(otherProduct._id))[0].price).toBe(55)
+  })
+
+  it("should record variants that couldn't be rolled back", async () => {
+    const findOneAndUpdate = Product.findOneAndUpdate.bind(Product)
+    const spy = jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockImplementationOnce(async (...args) => {
+        const previous = await findOneAndUpdate(...args)
+        // Someone else edits the first variant's price straight after the operation did
+        await Product.updateOne(
+          { _id: product._id, "variants.sku": "TEST-RUN-BLK-9" },
+          { $set: { "variants.$.price": 85 } },
+        )
+        return previous
+      })
+      // The second variant has changed since it was read
+      .mockImplementationOnce(async () => null)
+
+    const response = await adminRequest("post", "/api/admin/bulk-operations")
+      .send({ filter: { brands: ["TestBrand"] }, price: { action: "set", value: 79 } })
+      .expect(409)
+    spy.mockRestore()
+
+    expect(response.body.message).toContain("could not be put back: TEST-RUN-BLK-9")
+    expect(response.body.notRolledBack).toEqual([expect.objectContaining({ sku: "TEST-RUN-BLK-9" })])
+
+    const operation = await BulkOperation.findById(response.body.data._id)
+    expect(operation.status).toBe("failed")
+    expect(operation.notRolledBack.map((variant) => variant.sku)).toEqual(["TEST-RUN-BLK-9"])
+  })
+
+  it("should refuse stock changes that would go below zero", async () => {
+    const response = await adminRequest("post", "/api/admin/bulk-operations")
+      .send({ filter: { brands: ["TestBrand"] }, stock: { action: "decrease", value: 6 } })
+      .expect(409)
+
+    expect(response.body.conflicts.map((conflict) => conflict.sku)).toEqual(["TEST-RUN-WHT-10"])
+  })
+
+  it("should undo an operation while keeping sales made since", async () => {
+    const applied = await adminRequest("post", "/api/admin/bulk-operations")
+      .send({
+        filter: { brands: ["TestBrand"] },
+        price: { action: "set", value: 79 },
+        stock: { action: "increase", value: 10 },
+      })
+      .expect(201)
+
+    // Two units sell after the operation
+    await Product.updateOne(
+      { _id: product._id, "variants.sku": "TEST-RUN-BLK-9" },
+      { $inc: { "variants.$.stock": -2 } },
+    )
+
+    const undone = await adminRequest("post", `/api/admin/bulk-operations/${applied.body.data._id}/undo`).expect(200)
+    expect(undone.body.data.status).toBe("undone")
+
+    expect(await variantsOf(product._id)).toEqual([
+      { sku: "TEST-RUN-BLK-9", price: 99.99, stock: 8 },
+      { sku: "TEST-RUN-WHT-10", price: 99.99, stock: 5 },
+    ])
+
+    await adminRequest("post", `/api/admin/bulk-operations/${applied.body.data._id}/undo`).expect(400)
+  })
+
+  it("should not undo once the undo window has closed", async () => {
+    const applied = await adminRequest("post", "/api/admin/bulk-operations")
+      .send({ filter: { tags: ["running"] }, price: { action: "decrease", unit: "amount", value: 10 } })
+      .expect(201)
+
+    await BulkOperation.updateOne({ _id: applied.body.data._id }, { undoExpiresAt: new Date(Date.now() - 1000) })
+
+    const response = await adminRequest("post", `/api/admin/bulk-operations/${applied.body.data._id}/undo`).expect(400)
+    expect(response.body.message).toContain("undo window has closed")
+    expect((await variantsOf(product._id))[0].price).toBe(89.99)
+  })
+})
@@ -0,0 +1,202 @@
+/**
+ * Cart Merge Tests
+ *
+ * Covers moving a guest cart into the account's cart on sign-in:
+ * - Quantities of matching lines are summed
+ * - Merged lines are re-checked against stock (plus any backorder cap), price and availability
+ * - The merge report lists what changed
+ * - The guest cart is used up by the merge, and kept if the merge fails
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Cart = require("../../models/Cart")
+const Product = require("../../models/Product")
+
+describe("Cart Merge", () => {
+  let customer
+  let product
+
+  const login = (cartToken) => {
+    const req = request(app)
+      .post("/api/auth/login")
+      .send({ email: global.mockUsers.customer.email, password: global.mockUsers.customer.password })
+
+    return cartToken ? req.set("X-Cart-Token", cartToken) : req
+  }
+
+  // Build a guest cart through the API and return its cart token
+  const guestCartWith = async (lines) => {
+    let cartToken
+    for (const { size, color, quantity } of lines) {
+      const req = request(app).post("/api/cart/items").send({ productId: product._id, size, color, quantity })
+      if (cartToken) req.set("X-Cart-Token", cartToken)
+      const response = await req.expect(201)
+      cartToken = response.headers["x-cart-token"]
+    }
+    return cartToken
+  }
+
+  const setVariant = (size, color, changes) => {
+    const update = Object.fromEntries(Object.entries(changes).map(([key, value]) => [`variants.$.${key}`, value]))
+    return Product.updateOne({ _id: product._id, variants: { $elemMatch: { size, color } } }, { $set: update })
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    customer = await new User(global.mockUsers.customer).save()
+    product = await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+  })
+
+  it("should sum quantities with the account's cart on login", async () => {
+    await Cart.create({
+      user: customer._id,
+      items: [
+        {
+          product: product._id,
+          variant: { size: "9", color: "black", sku: "TEST-RUN-BLK-9", price: 99.99 },
+          quantity: 2,
+        },
+      ],
+    })
+    const cartToken = await guestCartWith([{ size: "9", color: "black", quantity: 3 }])
+
+    const response = await login(cartToken).expect(200)
+
+    const { cartMerge } = response.body.data
+    expect(cartMerge.merged).toEqual([
+      expect.objectContaining({ size: "9", color: "black", quantity: 5, previousQuantity: 2 }),
+    ])
+    expect(cartMerge.adjusted).toHaveLength(0)
+
+    const cart = await Cart.findOne({ user: customer._id })
+    expect(cart.items).toHaveLength(1)
+    expect(cart.items[0].quantity).toBe(5)
+    expect(await Cart.countDocuments({ guestId: { $exists: true } })).toBe(0)
+  })
+
+  it("should cap quantities at the stock on hand and refresh prices", async () => {
+    const cartToken = await guestCartWith([{ size: "10", color: "white", quantity: 4 }])
+    await setVariant("10", "white", { stock: 2, price: 89.99 })
+
+    const response = await login(cartToken).expect(200)
+
+    const { cartMerge } = response.body.data
+    expect(cartMerge.adjusted).toEqual([
+      expect.objectContaining({ requested: 4, quantity: 2, reason: "insufficient_stock" }),
+    ])
+    expect(cartMerge.priceChanges).toEqual([expect.objectContaining({ newPrice: 89.99 })])
+
+    const cart = await Cart.findOne({ user: customer._id })
+    expect(cart.items[0].quantity).toBe(2)
+    expect(cart.items[0].variant.price).toBe(89.99)
+  })
+
+  it("should keep backordered lines up to the backorder cap", async () => {
+    await setVariant("9", "black", { stock: 0, allowBackorder: true, backorderCap: 3 })
+    await Cart.create({
+      user: customer._id,
+      items: [
+        {
+          product: product._id,
+          variant: { size: "9", color: "black", sku: "TEST-RUN-BLK-9", price: 99.99 },
+          quantity: 2,
+        },
+      ],
+    })
+    const cartToken = await guestCartWith([{ size: "9", color: "black", quantity: 2 }])
+
+    const response = await login(cartToken).expect(200)
+
+    const { cartMerge, token } = response.body.data
+    expect(cartMerge.removed).toHaveLength(0)
+    expect(cartMerge.adjusted).toEqual([
+      expect.objectContaining({ requested: 4, quantity: 3, reason: "insufficient_stock" }),
+    ])
+
+    // Loading the cart keeps the backordered line too
+    const cart = await request(app).get("/api/cart").set("Authorization", `Bearer ${token}`).expect(200)
+    expect(cart.body.data.cart.items.map((item) => item.quantity)).toEqual([3])
+  })
+
+  it("should drop lines that are no longer available", async () => {
+    const cartToken = await guestCartWith([
+      { size: "9", color: "black", quantity: 1 },
+      { size: "10", color: "white", quantity: 1 },
+    ])
+    await setVariant("10", "white", { isActive: false })
+    await setVariant("9", "black", { stock: 0 })
+
+    const response = await login(cartToken).expect(200)
+
+    const reasons = response.body.data.cartMerge.removed.map((line) => line.reason).sort()
+    expect(reasons).toEqual(["out_of_stock", "unavailable"])
+
+    const cart = await Cart.findOne({ user: customer._id })
+    expect(cart.items).toHaveLength(0)
+  })
+
+  it("should leave the login response unchanged without a cart token", async () => {
+    const response = await login().expect(200)
+    expect(response.body.data.cartMerge).toBeUndefined()
+  })
+
+  it("should keep the guest cart when the merged cart can't be saved", async () => {
+    const cartToken = await guestCartWith([{ size: "9", color: "black", quantity: 1 }])
+
+    const save = jest.spyOn(Cart.prototype, "save").mockRejectedValueOnce(new Error("Write failed"))
+    const response = await login(cartToken).expect(200)
+    save.mockRestore()
+
+    expect(response.body.data.cartMerge).toBeUndefined()
+    expect(await Cart.findOne({ user: customer._id })).toBeNull()
+
+    const guestCart = await Cart.findOne({ guestId: { $exists: true } })
+    expect(guestCart.items).toHaveLength(1)
+
+    // The guest can still merge it afterwards
+    const merge = await request(app)
+      .post("/api/cart/merge")
+      .set("Authorization", `Bearer ${response.body.data.token}`)
+      .set("X-Cart-Token", cartToken)
+      .expect(200)
+    expect(merge.body.data.mergeReport.merged).toHaveLength(1)
+  })
+
+  describe("POST /api/cart/merge", () => {
+    it("should merge a guest cart for an already signed-in user", async () => {
+      const { body } = await login().expect(200)
+      const cartToken = await guestCartWith([{ size: "9", color: "black", quantity: 1 }])
+
+      const response = await request(app)
+        .post("/api/cart/merge")
+        .set("Authorization", `Bearer ${body.data.token}`)
+        .set("X-Cart-Token", cartToken)
+        .expect(200)
+
+      expect(response.body.data.cart.items).toHaveLength(1)
+      expect(response.body.data.mergeReport.merged).toHaveLength(1)
+
+      // The guest cart is gone, so a second merge has nothing to do
+      const again = await request(app)
+        .post("/api/cart/merge")
+        .set("Authorization", `Bearer ${body.data.token}`)
+        .set("X-Cart-Token", cartToken)
+        .expect(200)
+      expect(again.body.data.mergeReport).toBeNull()
+    })
+
+    it("should require a cart token", async () => {
+      const { body } = await login().expect(200)
+
+      await request(app).post("/api/cart/merge").set("Authorization", `Bearer ${body.data.token}`).expect(400)
+    })
+  })
+})
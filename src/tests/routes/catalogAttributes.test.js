@@ -0,0 +1,208 @@
+/**
+ * Category and Attribute Tests
+ *
+ * Covers the configurable catalogue:
+ * - Variants can share a size and colour when their options (e.g. width) differ
+ * - Products are checked against their category's attributes
+ * - Admins manage attributes and categories, but can't strand products' values
+ * - One-size accessories and import of attribute pairs
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+
+describe("Categories and Attributes", () => {
+  let adminToken
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+
+  const trailRunner = (overrides = {}) => ({
+    name: "Trail Runner",
+    description: "Grippy shoe for muddy trails",
+    brand: "Acme",
+    category: "running",
+    gender: "men",
+    attributes: { material: "mesh" },
+    variants: [
+      { size: "10", color: "black", sku: "ACME-TR-BLK-10", price: 120, stock: 4, options: { width: "standard" } },
+      { size: "10", color: "black", sku: "ACME-TR-BLK-10W", price: 120, stock: 2, options: { width: "wide" } },
+    ],
+    ...overrides,
+  })
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+  })
+
+  it("should sell wide-fit variants that share a size and colour", async () => {
+    const created = await adminRequest("post", "/api/products").send(trailRunner()).expect(201)
+    const { _id: id, variants } = created.body.data.product
+    expect(variants.map((v) => [v.sku, v.options.width])).toEqual([
+      ["ACME-TR-BLK-10", "standard"],
+      ["ACME-TR-BLK-10W", "wide"],
+    ])
+
+    await Product.updateOne({ _id: id }, { status: "published" })
+
+    const addWide = () =>
+      adminRequest("post", "/api/cart/items").send({ productId: id, sku: "ACME-TR-BLK-10W", quantity: 1 })
+
+    await addWide().expect(201)
+    const cart = await adminRequest("post", "/api/cart/items")
+      .send({ productId: id, size: "10", color: "black", options: { width: "wide" }, quantity: 1 })
+      .expect(201)
+
+    expect(cart.body.data.cart.items).toHaveLength(1)
+    expect(cart.body.data.cart.items[0].quantity).toBe(2)
+    expect(cart.body.data.cart.items[0].variant).toEqual(
+      expect.objectContaining({ sku: "ACME-TR-BLK-10W", options: { width: "wide" } }),
+    )
+
+    // Only two wide pairs are in stock, whatever the standard width has
+    await addWide().expect(400)
+
+    const duplicate = trailRunner({ name: "Trail Runner Two" })
+    duplicate.variants[1].options = { width: "standard" }
+    await adminRequest("post", "/api/products").send(duplicate).expect(400)
+  })
+
+  it("should reject unknown categories and attributes that don't fit the category", async () => {
+    const unknown = await adminRequest("post", "/api/products").send(trailRunner({ category: "skating" })).expect(400)
+    expect(unknown.body.errors).toEqual([expect.objectContaining({ field: "category" })])
+
+    const wrongLevel = await adminRequest("post", "/api/products")
+      .send(trailRunner({ attributes: { material: "mesh", width: "wide" } }))
+      .expect(400)
+    expect(wrongLevel.body.errors).toEqual([
+      expect.objectContaining({ field: "attributes.width", message: "Width is set per variant, in options" }),
+    ])
+
+    const badValues = trailRunner()
+    badValues.variants[0].options = { width: "huge" }
+    badValues.variants[1].options = { width: "wide", pack_size: 2 }
+    const invalid = await adminRequest("post", "/api/products").send(badValues).expect(400)
+    expect(invalid.body.errors).toEqual([
+      expect.objectContaining({ field: "options.width", variant: 0 }),
+      expect.objectContaining({ field: "options.pack_size", variant: 1 }),
+    ])
+
+    expect(await Product.countDocuments()).toBe(1)
+  })
+
+  it("should manage attributes and categories without stranding product values", async () => {
+    await adminRequest("post", "/api/admin/attributes")
+      .send({
+        code: "closure",
+        name: "Closure",
+        type: "select",
+        values: [{ value: "laces" }, { value: "velcro" }],
+      })
+      .expect(201)
+    await adminRequest("post", "/api/admin/attributes")
+      .send({ code: "closure", name: "Other", type: "text" })
+      .expect(400)
+
+    await adminRequest("post", "/api/admin/categories")
+      .send({ slug: "hiking", name: "Hiking", attributes: [{ attribute: "nope" }] })
+      .expect(400)
+    await adminRequest("post", "/api/admin/categories")
+      .send({
+        slug: "hiking",
+        name: "Hiking",
+        attributes: [{ attribute: "width" }, { attribute: "closure", required: true }],
+      })
+      .expect(201)
+
+    const hiker = trailRunner({ name: "Hill Walker", category: "hiking", attributes: {} })
+    const missing = await adminRequest("post", "/api/products").send(hiker).expect(400)
+    expect(missing.body.errors).toEqual([
+      expect.objectContaining({ field: "attributes.closure", message: "Closure is required for Hiking" }),
+    ])
+
+    hiker.attributes = { closure: "Velcro" }
+    const created = await adminRequest("post", "/api/products").send(hiker).expect(201)
+    expect(created.body.data.product.attributes).toEqual({ closure: "velcro" })
+
+    await adminRequest("put", "/api/admin/attributes/closure").send({ values: [{ value: "laces" }] }).expect(409)
+    await adminRequest("put", "/api/admin/attributes/closure").send({ type: "text" }).expect(409)
+    await adminRequest("delete", "/api/admin/attributes/closure").expect(409)
+    await adminRequest("put", "/api/admin/categories/hiking").send({ attributes: [{ attribute: "width" }] }).expect(409)
+    await adminRequest("delete", "/api/admin/categories/hiking").expect(409)
+
+    // Deactivating keeps the product's value but stops new ones
+    await adminRequest("put", "/api/admin/attributes/closure").send({ isActive: false }).expect(200)
+    await adminRequest("put", `/api/products/${created.body.data.product._id}`)
+      .send({ description: "Sturdy walking shoe" })
+      .expect(200)
+    await adminRequest("post", "/api/products")
+      .send(trailRunner({ name: "Hill Walker Two", category: "hiking", attributes: { closure: "laces" } }))
+      .expect(400)
+
+    const attributes = await adminRequest("get", "/api/admin/attributes").expect(200)
+    expect(attributes.body.data.map((attribute) => attribute.code)).toEqual(
+      expect.arrayContaining(["width", "size_system", "material", "pack_size", "closure"]),
+    )
+  })
+
+  it("should sell one-size accessories and describe categories for the storefront", async () => {
+    const created = await adminRequest("post", "/api/products")
+      .send({
+        name: "Running Socks",
+        description: "Cushioned socks",
+        brand: "Acme",
+        category: "accessories",
+        gender: "unisex",
+        attributes: { material: "cotton" },
+        variants: [{ color: "white", sku: "ACME-SOCK-WHT-3", price: 15, stock: 10, options: { pack_size: "3" } }],
+      })
+      .expect(201)
+
+    expect(created.body.data.product.variants[0]).toEqual(
+      expect.objectContaining({ size: "one-size", options: { pack_size: 3 } }),
+    )
+
+    const meta = await request(app).get("/api/products/meta/categories").expect(200)
+    const accessories = meta.body.data.categoryDetails.find((category) => category.slug === "accessories")
+    expect(accessories.attributes.map((attribute) => [attribute.code, attribute.scope])).toEqual([
+      ["material", "product"],
+      ["pack_size", "variant"],
+    ])
+  })
+
+  it("should import attributes and options as code=value pairs", async () => {
+    const content = [
+      "slug,name,brand,category,gender,description,attributes,sku,size,color,options,price,stock",
+      "trail-runner,Trail Runner,Acme,running,men,Grippy,material=mesh,ACME-TR-9,9,black,width=standard,120,4",
+      "trail-runner,,,,,,,ACME-TR-9W,9,black,width=wide,120,2",
+      "city-walker,City Walker,Acme,casual,women,Everyday,material=tweed,ACME-CW-7,7,tan,,80,1",
+    ].join("\n")
+
+    const response = await adminRequest("post", "/api/admin/products/import")
+      .attach("file", Buffer.from(content), "catalog.csv")
+      .expect(200)
+
+    expect(response.body.data.errors).toEqual([expect.objectContaining({ row: 4, field: "attributes.material" })])
+
+    const product = await Product.findOne({ slug: "trail-runner" })
+    expect(product.attributes.get("material")).toBe("mesh")
+    expect(product.variants.map((v) => [v.sku, v.options.get("width")])).toEqual([
+      ["ACME-TR-9", "standard"],
+      ["ACME-TR-9W", "wide"],
+    ])
+
+    const exported = await adminRequest("get", "/api/admin/products/export?format=csv").expect(200)
+    expect(exported.text).toContain("width=wide")
+  })
+})
@@ -0,0 +1,226 @@
+/**
+ * Guest Checkout Tests
+ *
+ * Covers buying without an account:
+ * - Guest carts keyed by a signed cart token
+ * - Guest orders with a contact email
+ * - Order lookup by order number plus email
+ * - Paying for a guest order with its order access token
+ * - Claiming guest orders once the customer has an account
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Order = require("../../models/Order")
+const Cart = require("../../models/Cart")
+const Product = require("../../models/Product")
+
+describe("Guest Checkout", () => {
+  const guestEmail = global.mockUsers.customer.email
+  const shippingAddress = { firstName: "Guest", lastName: "Buyer", ...global.mockOrder.shippingAddress }
+  let product
+
+  // Add an item to a new guest cart and return its cart token
+  const startGuestCart = async () => {
+    const response = await request(app)
+      .post("/api/cart/items")
+      .send({ productId: product._id, size: "9", color: "black", quantity: 1 })
+      .expect(201)
+
+    return response.headers["x-cart-token"]
+  }
+
+  // Place a guest order, returning the order and its access token
+  const placeGuestOrder = async () => {
+    const cartToken = await startGuestCart()
+    const response = await request(app)
+      .post("/api/orders")
+      .set("X-Cart-Token", cartToken)
+      .send({ email: guestEmail, shippingAddress })
+      .expect(201)
+
+    return response.body.data
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    product = await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+  })
+
+  describe("Guest cart", () => {
+    it("should issue a cart token and keep the cart under it", async () => {
+      const cartToken = await startGuestCart()
+      expect(cartToken).toBeDefined()
+
+      const response = await request(app).get("/api/cart").set("X-Cart-Token", cartToken).expect(200)
+
+      expect(response.body.data.cart.items).toHaveLength(1)
+      expect(response.body.data.cart.user).toBeUndefined()
+      expect(response.headers["x-cart-token"]).toBeDefined()
+    })
+
+    it("should reject an invalid cart token", async () => {
+      await request(app).get("/api/cart").set("X-Cart-Token", "not-a-token").expect(401)
+    })
+
+    it("should not store an empty guest cart", async () => {
+      await request(app).get("/api/cart").expect(200)
+      expect(await Cart.countDocuments()).toBe(0)
+    })
+  })
+
+  describe("POST /api/orders", () => {
+    it("should place a guest order from the guest cart", async () => {
+      const { order } = await placeGuestOrder()
+
+      expect(order.guestEmail).toBe(guestEmail)
+      expect(order.user).toBeUndefined()
+
+      const cart = await Cart.findOne({ guestId: { $exists: true } })
+      expect(cart.items).toHaveLength(0)
+    })
+
+    it("should require a contact email for guests", async () => {
+      const cartToken = await startGuestCart()
+
+      const response = await request(app)
+        .post("/api/orders")
+        .set("X-Cart-Token", cartToken)
+        .send({ shippingAddress })
+        .expect(400)
+
+      expect(response.body.message).toContain("Contact email is required")
+    })
+  })
+
+  describe("POST /api/orders/lookup", () => {
+    it("should find a guest order by order number and email", async () => {
+      const { order } = await placeGuestOrder()
+
+      const response = await request(app)
+        .post("/api/orders/lookup")
+        .send({ orderNumber: order.orderNumber.toLowerCase(), email: guestEmail.toUpperCase() })
+        .expect(200)
+
+      expect(response.body.data.order._id).toBe(order._id)
+      expect(response.body.data.order.adminNotes).toBeUndefined()
+    })
+
+    it("should not reveal an order for the wrong email", async () => {
+      const { order } = await placeGuestOrder()
+
+      await request(app)
+        .post("/api/orders/lookup")
+        .send({ orderNumber: order.orderNumber, email: "someone-else@example.com" })
+        .expect(404)
+    })
+  })
+
+  describe("Guest payments", () => {
+    it("should let a guest pay for their order with the order access token", async () => {
+      const { order, orderToken } = await placeGuestOrder()
+      expect(orderToken).toBeDefined()
+
+      const response = await request(app)
+        .post("/api/payments/dummy-payment")
+        .set("X-Order-Token", orderToken)
+        .send({ orderId: order._id })
+        .expect(200)
+
+      expect(response.body.data.order.payment.status).toBe("completed")
+    })
+
+    it("should issue a working order token on lookup", async () => {
+      const { order } = await placeGuestOrder()
+
+      const lookup = await request(app)
+        .post("/api/orders/lookup")
+        .send({ orderNumber: order.orderNumber, email: guestEmail })
+        .expect(200)
+
+      await request(app)
+        .post("/api/payments/dummy-payment")
+        .set("X-Order-Token", lookup.body.data.orderToken)
+        .send({ orderId: order._id })
+        .expect(200)
+    })
+
+    it("should not accept another order's token or no token", async () => {
+      const { order } = await placeGuestOrder()
+      const other = await placeGuestOrder()
+
+      await request(app).post("/api/payments/dummy-payment").send({ orderId: order._id }).expect(401)
+
+      await request(app)
+        .post("/api/payments/dummy-payment")
+        .set("X-Order-Token", other.orderToken)
+        .send({ orderId: order._id })
+        .expect(403)
+
+      const unpaid = await Order.findById(order._id)
+      expect(unpaid.payment.status).toBe("pending")
+    })
+  })
+
+  describe("Claiming guest orders", () => {
+    let customer
+    let customerToken
+
+    beforeEach(async () => {
+      customer = await new User(global.mockUsers.customer).save()
+      customerToken = await global.loginUser(global.mockUsers.customer)
+    })
+
+    it("should require a verified email", async () => {
+      await User.updateOne({ _id: customer._id }, { emailVerified: false })
+      await placeGuestOrder()
+
+      const response = await request(app)
+        .post("/api/orders/claim")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(403)
+
+      expect(response.body.code).toBe("EMAIL_NOT_VERIFIED")
+    })
+
+    it("should attach guest orders to the account", async () => {
+      await User.updateOne({ _id: customer._id }, { emailVerified: true })
+      const { order } = await placeGuestOrder()
+
+      const claimable = await request(app)
+        .get("/api/orders/claimable")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+      expect(claimable.body.data.orders).toHaveLength(1)
+
+      const response = await request(app)
+        .post("/api/orders/claim")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+      expect(response.body.data.claimed).toEqual([order.orderNumber])
+
+      const claimed = await Order.findById(order._id)
+      expect(claimed.user.toString()).toBe(customer._id.toString())
+      expect(claimed.claimedAt).toBeDefined()
+
+      const orders = await request(app)
+        .get("/api/orders")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+      expect(orders.body.data.orders).toHaveLength(1)
+
+      // Nothing left to claim
+      await request(app)
+        .post("/api/orders/claim")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(404)
+    })
+  })
+})
@@ -0,0 +1,239 @@
+/**
+ * Inventory Ledger Tests
+ *
+ * Covers the stock audit trail:
+ * - Manual stock changes and orders append ledger entries
+ * - Paid orders are recorded as sales; refunds and returns as returns
+ * - Per-SKU history with its ledger total
+ * - Reconciliation flags stock changed behind the ledger's back
+ * - Entries can't be edited
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const InventoryMovement = require("../../models/InventoryMovement")
+
+describe("Inventory Ledger", () => {
+  let adminToken
+  let customerToken
+  let product
+
+  const shippingAddress = { firstName: "Test", lastName: "Customer", ...global.mockOrder.shippingAddress }
+
+  const setStock = (body) =>
+    request(app)
+      .patch(`/api/admin/inventory/${product._id}/variant/${product.variants[0]._id}/stock`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+
+  const skuHistory = async () => {
+    const response = await request(app)
+      .get("/api/admin/inventory/movements/TEST-RUN-BLK-9")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200)
+    return response.body.data
+  }
+
+  const placePaidOrder = async (quantity) => {
+    const orderResponse = await request(app)
+      .post("/api/orders")
+      .set("Authorization", `Bearer ${customerToken}`)
+      .send({
+        items: [{ product: product._id, variant: { size: "9", color: "black" }, quantity }],
+        shippingAddress,
+      })
+      .expect(201)
+    const { order } = orderResponse.body.data
+
+    await request(app)
+      .post("/api/payments/dummy-payment")
+      .set("Authorization", `Bearer ${customerToken}`)
+      .send({ orderId: order._id })
+      .expect(200)
+
+    return order
+  }
+
+  const movementsOf = (history) =>
+    history.movements.map(({ reason, delta, quantityAfter }) => [reason, delta, quantityAfter])
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    await new User(global.mockUsers.customer).save()
+    product = await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+    customerToken = await global.loginUser(global.mockUsers.customer)
+  })
+
+  it("should record a stocktake with an opening balance", async () => {
+    await setStock({ stock: 14, reason: "stocktake", note: "Quarterly count" }).expect(200)
+
+    const history = await skuHistory()
+
+    expect(history.stock).toBe(14)
+    expect(history.ledgerTotal).toBe(14)
+    expect(history.movements.map(({ reason, delta }) => [reason, delta])).toEqual([
+      ["stocktake", 4],
+      ["opening_balance", 10],
+    ])
+    expect(history.movements[0].actor.email).toBe(global.mockUsers.admin.email)
+  })
+
+  it("should reject unknown reasons for manual changes", async () => {
+    await setStock({ stock: 14, reason: "sale" }).expect(400)
+  })
+
+  it("should record order reservations and cancellations against the order", async () => {
+    const orderResponse = await request(app)
+      .post("/api/orders")
+      .set("Authorization", `Bearer ${customerToken}`)
+      .send({
+        items: [{ product: product._id, variant: { size: "9", color: "black" }, quantity: 3 }],
+        shippingAddress,
+      })
+      .expect(201)
+    const { order } = orderResponse.body.data
+
+    await request(app)
+      .put(`/api/orders/${order._id}/cancel`)
+      .set("Authorization", `Bearer ${customerToken}`)
+      .expect(200)
+
+    const history = await skuHistory()
+
+    expect(history.movements.map(({ reason, delta, quantityAfter }) => [reason, delta, quantityAfter])).toEqual([
+      ["reservation_release", 3, 10],
+      ["reservation", -3, 7],
+      ["opening_balance", 10, 10],
+    ])
+    expect(history.movements[0].order.orderNumber).toBe(order.orderNumber)
+    expect(history.ledgerTotal).toBe(history.stock)
+  })
+
+  it("should record a paid order's held units as a sale", async () => {
+    const order = await placePaidOrder(3)
+
+    const history = await skuHistory()
+
+    expect(movementsOf(history)).toEqual([
+      ["sale", -3, 7],
+      ["reservation_release", 3, 10],
+      ["reservation", -3, 7],
+      ["opening_balance", 10, 10],
+    ])
+    expect(history.movements[0].order.orderNumber).toBe(order.orderNumber)
+    expect(history.ledgerTotal).toBe(history.stock)
+  })
+
+  it("should put a refunded order's units back as a return before it ships", async () => {
+    const order = await placePaidOrder(3)
+
+    await request(app)
+      .post(`/api/payments/${order._id}/refund`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Customer changed their mind" })
+      .expect(200)
+
+    const history = await skuHistory()
+
+    expect(movementsOf(history)[0]).toEqual(["return", 3, 10])
+    expect(history.ledgerTotal).toBe(history.stock)
+
+    const orderResponse = await request(app)
+      .get(`/api/orders/${order._id}`)
+      .set("Authorization", `Bearer ${customerToken}`)
+      .expect(200)
+    expect(orderResponse.body.data.order.status).toBe("cancelled")
+  })
+
+  it("should put a returned order's units back once", async () => {
+    const order = await placePaidOrder(3)
+    const setStatus = (status) =>
+      request(app)
+        .put(`/api/orders/${order._id}/status`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ status })
+        .expect(200)
+
+    await setStatus("shipped")
+    await setStatus("returned")
+    await setStatus("returned")
+
+    const history = await skuHistory()
+
+    expect(movementsOf(history).filter(([reason]) => reason === "return")).toEqual([["return", 3, 10]])
+    expect(history.stock).toBe(10)
+    expect(history.ledgerTotal).toBe(history.stock)
+  })
+
+  it("should filter the ledger by reason", async () => {
+    await setStock({ stock: 12, reason: "return" }).expect(200)
+    await setStock({ stock: 11 }).expect(200)
+
+    const response = await request(app)
+      .get("/api/admin/inventory/movements?reason=return")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200)
+
+    expect(response.body.data.movements).toHaveLength(1)
+    expect(response.body.data.movements[0].delta).toBe(2)
+  })
+
+  it("should return 404 for an unknown SKU", async () => {
+    await request(app)
+      .get("/api/admin/inventory/movements/NO-SUCH-SKU")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(404)
+  })
+
+  describe("Reconciliation", () => {
+    const reconcile = async () => {
+      const response = await request(app)
+        .post("/api/admin/inventory/reconciliation")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      return response.body.data
+    }
+
+    it("should baseline untracked SKUs and then find no mismatches", async () => {
+      const first = await reconcile()
+      expect(first.baselined).toBe(2)
+      expect(first.mismatches).toHaveLength(0)
+
+      const second = await reconcile()
+      expect(second.baselined).toBe(0)
+      expect(second.mismatches).toHaveLength(0)
+    })
+
+    it("should flag stock changed outside the ledger", async () => {
+      await reconcile()
+      await Product.updateOne(
+        { _id: product._id, "variants.sku": "TEST-RUN-BLK-9" },
+        { $set: { "variants.$.stock": 7 } },
+      )
+
+      const { mismatches } = await reconcile()
+
+      expect(mismatches).toEqual([
+        expect.objectContaining({ sku: "TEST-RUN-BLK-9", stock: 7, ledgerTotal: 10, difference: -3 }),
+      ])
+    })
+  })
+
+  it("should not allow ledger entries to be edited", async () => {
+    await setStock({ stock: 14 }).expect(200)
+
+    await expect(InventoryMovement.updateMany({}, { delta: 0 })).rejects.toThrow("cannot be changed")
+    await expect(InventoryMovement.deleteMany({})).rejects.toThrow("cannot be changed")
+  })
+})
@@ -0,0 +1,221 @@
+/**
+ * Stock Location Tests
+ *
+ * Covers multi-location inventory:
+ * - Per-location stock adds up to the variant's stock
+ * - Availability broken down by location
+ * - Orders take stock from the best location for the shipping address
+ * - Staff inventory endpoints are limited to their locations
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+
+describe("Stock Locations", () => {
+  let adminToken
+  let customerToken
+  let staff
+  let product
+  let east
+  let west
+
+  const shippingAddress = { firstName: "Test", lastName: "Customer", ...global.mockOrder.shippingAddress }
+
+  const createLocation = async (body) => {
+    const response = await request(app)
+      .post("/api/admin/locations")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201)
+    return response.body.data
+  }
+
+  const setLocationStock = (location, stock) =>
+    request(app)
+      .patch(`/api/admin/inventory/${product._id}/variant/${product.variants[0]._id}/stock`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ stock, locationId: location._id })
+
+  const stockAt = async (location) => {
+    const current = await Product.findById(product._id)
+    const variant = current.variants[0]
+    const entry = variant.locations.find((l) => l.location.toString() === location._id)
+    return { location: entry ? entry.stock : 0, total: variant.stock }
+  }
+
+  const placeOrder = (quantity) =>
+    request(app)
+      .post("/api/orders")
+      .set("Authorization", `Bearer ${customerToken}`)
+      .send({
+        items: [{ product: product._id, variant: { size: "9", color: "black" }, quantity }],
+        shippingAddress,
+      })
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    await new User(global.mockUsers.customer).save()
+    staff = await new User(global.mockUsers.staff).save()
+    product = await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+    customerToken = await global.loginUser(global.mockUsers.customer)
+
+    // West ships first by priority; east is in the customer's state
+    east = await createLocation({
+      name: "East Warehouse",
+      code: "wh-east",
+      address: { state: "Test State" },
+      priority: 50,
+    })
+    west = await createLocation({
+      name: "West Warehouse",
+      code: "WH-WEST",
+      address: { state: "Other State" },
+      priority: 10,
+    })
+
+    await setLocationStock(east, 4).expect(200)
+    await setLocationStock(west, 6).expect(200)
+  })
+
+  it("should keep the variant's stock as the total across locations", async () => {
+    expect(east.code).toBe("WH-EAST")
+    expect(await stockAt(east)).toEqual({ location: 4, total: 10 })
+    expect(await stockAt(west)).toEqual({ location: 6, total: 10 })
+  })
+
+  it("should require a location for variants stocked by location", async () => {
+    const response = await request(app)
+      .patch(`/api/admin/inventory/${product._id}/variant/${product.variants[0]._id}/stock`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ stock: 3 })
+      .expect(400)
+
+    expect(response.body.message).toContain("locationId")
+  })
+
+  it("should break availability down by location", async () => {
+    const response = await request(app)
+      .post(`/api/products/${product._id}/check-availability`)
+      .send({ size: "9", color: "black", quantity: 5 })
+      .expect(200)
+
+    const { available, currentStock, locations } = response.body.data
+    expect(available).toBe(true)
+    expect(currentStock).toBe(10)
+    expect(locations.map(({ code, stock, available }) => [code, stock, available])).toEqual([
+      ["WH-WEST", 6, true],
+      ["WH-EAST", 4, false],
+    ])
+  })
+
+  it("should filter products by location", async () => {
+    const response = await request(app).get("/api/products?location=wh-east").expect(200)
+
+    expect(response.body.data.products).toHaveLength(1)
+    expect(response.body.data.products[0].locationStock).toBe(4)
+
+    await request(app).get("/api/products?location=NOWHERE").expect(400)
+  })
+
+  it("should take order stock from the location nearest the shipping address", async () => {
+    const response = await placeOrder(3).expect(201)
+
+    expect(response.body.data.order.items[0].allocations).toEqual([{ location: east._id, quantity: 3 }])
+    expect(await stockAt(east)).toEqual({ location: 1, total: 7 })
+  })
+
+  it("should split an order across locations and return stock where it came from", async () => {
+    const response = await placeOrder(5).expect(201)
+    const { order } = response.body.data
+
+    expect(order.items[0].allocations).toEqual([
+      { location: east._id, quantity: 4 },
+      { location: west._id, quantity: 1 },
+    ])
+    expect(await stockAt(west)).toEqual({ location: 5, total: 5 })
+
+    await request(app)
+      .put(`/api/orders/${order._id}/cancel`)
+      .set("Authorization", `Bearer ${customerToken}`)
+      .expect(200)
+
+    expect(await stockAt(east)).toEqual({ location: 4, total: 10 })
+    expect(await stockAt(west)).toEqual({ location: 6, total: 10 })
+  })
+
+  it("should not deactivate a location that still holds stock", async () => {
+    await request(app)
+      .put(`/api/admin/locations/${east._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ isActive: false })
+      .expect(400)
+
+    await setLocationStock(east, 0).expect(200)
+
+    await request(app)
+      .put(`/api/admin/locations/${east._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ isActive: false })
+      .expect(200)
+  })
+
+  describe("Staff scope", () => {
+    let staffToken
+
+    beforeEach(async () => {
+      await request(app)
+        .put(`/api/admin/users/${staff._id}/locations`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ locations: [west._id] })
+        .expect(200)
+
+      staffToken = await global.loginUser(global.mockUsers.staff)
+    })
+
+    it("should only list stock at the staff member's locations", async () => {
+      const response = await request(app)
+        .get("/api/staff/inventory")
+        .set("Authorization", `Bearer ${staffToken}`)
+        .expect(200)
+
+      expect(response.body.data.items).toHaveLength(1)
+      expect(response.body.data.items[0].location.code).toBe("WH-WEST")
+      expect(response.body.data.items[0].stock).toBe(6)
+
+      await request(app)
+        .get(`/api/staff/inventory?locationId=${east._id}`)
+        .set("Authorization", `Bearer ${staffToken}`)
+        .expect(403)
+    })
+
+    it("should only let staff change stock at their locations", async () => {
+      const path = (location) =>
+        `/api/staff/inventory/${product._id}/variant/${product.variants[0]._id}/locations/${location._id}/stock`
+
+      await request(app)
+        .patch(path(east))
+        .set("Authorization", `Bearer ${staffToken}`)
+        .send({ stock: 1 })
+        .expect(403)
+
+      const response = await request(app)
+        .patch(path(west))
+        .set("Authorization", `Bearer ${staffToken}`)
+        .send({ stock: 8, reason: "stocktake" })
+        .expect(200)
+
+      expect(response.body.data).toEqual(expect.objectContaining({ previousStock: 6, stock: 8, totalStock: 12 }))
+    })
+  })
+})
@@ -0,0 +1,97 @@
+/**
+ * Login Protection Tests
+ *
+ * Covers brute-force protection on authentication:
+ * - Progressive delays after repeated failed logins
+ * - Account lockout and unlock via the emailed token
+ * - Admin endpoints to view and clear lockouts
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const { recordFailedLogin, sendUnlockEmail } = require("../../services/loginProtectionService")
+const { LOGIN_PROTECTION } = require("../../utils/constants")
+
+describe("Login Protection", () => {
+  const credentials = {
+    email: global.mockUsers.customer.email,
+    password: global.mockUsers.customer.password,
+  }
+
+  let customer
+
+  // Lock the customer account as if it had hit the failed-attempt limit
+  const lockCustomer = async () => {
+    let result
+    for (let i = 0; i < LOGIN_PROTECTION.ACCOUNT_MAX_ATTEMPTS; i++) {
+      result = await recordFailedLogin({ userId: customer._id, ip: "203.0.113.10" })
+    }
+    return result
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    customer = await new User(global.mockUsers.customer).save()
+
+    // Each test starts with a fresh per-IP limiter budget
+    global.resetAuthRateLimits()
+  })
+
+  it("should throttle an account after repeated failed logins", async () => {
+    for (let i = 0; i < LOGIN_PROTECTION.DELAY_AFTER_ATTEMPTS; i++) {
+      await request(app)
+        .post("/api/auth/login")
+        .send({ ...credentials, password: "wrongpassword" })
+        .expect(401)
+    }
+
+    // Even the correct password has to wait for the delay
+    const response = await request(app).post("/api/auth/login").send(credentials).expect(429)
+
+    expect(response.body.code).toBe("LOGIN_THROTTLED")
+    expect(response.headers["retry-after"]).toBeDefined()
+  })
+
+  it("should lock the account and unlock it with the emailed token", async () => {
+    const { accountLocked, lockedUntil } = await lockCustomer()
+    expect(accountLocked).toBe(true)
+
+    const locked = await request(app).post("/api/auth/login").send(credentials).expect(429)
+    expect(locked.body.code).toBe("ACCOUNT_LOCKED")
+
+    await sendUnlockEmail(customer, lockedUntil)
+    const { accountUnlockToken } = await User.findById(customer._id)
+
+    await request(app).post("/api/auth/unlock/invalid-token").expect(400)
+    await request(app).post(`/api/auth/unlock/${accountUnlockToken}`).expect(200)
+
+    await request(app).post("/api/auth/login").send(credentials).expect(200)
+  })
+
+  it("should let admins view and clear account lockouts", async () => {
+    await new User(global.mockUsers.admin).save()
+    const adminLogin = await request(app)
+      .post("/api/auth/login")
+      .send({ email: global.mockUsers.admin.email, password: global.mockUsers.admin.password })
+      .expect(200)
+    const adminToken = adminLogin.body.data.token
+
+    await lockCustomer()
+
+    const list = await request(app).get("/api/admin/lockouts").set("Authorization", `Bearer ${adminToken}`).expect(200)
+    const accountLockout = list.body.data.lockouts.find((lockout) => lockout.type === "account")
+    expect(accountLockout.user.email).toBe(credentials.email)
+
+    await request(app)
+      .delete(`/api/admin/users/${customer._id}/lockout`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200)
+
+    await request(app).post("/api/auth/login").send(credentials).expect(200)
+  })
+})
@@ -0,0 +1,156 @@
+/**
+ * Magic Link Tests
+ *
+ * Covers passwordless sign-in:
+ * - Requesting an emailed link/code without revealing which emails have accounts
+ * - Signing in with the link token or the 6-digit code (single use)
+ * - Two-factor accounts still get a challenge
+ * - Wrong codes count towards the account lockout
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const { sendMagicLinkEmail } = require("../../services/emailService")
+const { createMagicLink, consumeMagicLinkCode } = require("../../services/magicLinkService")
+const { deleteRecord } = require("../../utils/ephemeralStore")
+const { REDIS_KEYS } = require("../../config/redis")
+const { MAGIC_LINK, LOGIN_PROTECTION } = require("../../utils/constants")
+
+describe("Magic Link Login", () => {
+  let customer
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    customer = await new User(global.mockUsers.customer).save()
+
+    // Each test starts with fresh limiter and per-email budgets
+    global.resetAuthRateLimits()
+    await deleteRecord(REDIS_KEYS.MAGIC_LINK_REQUESTS(customer.email))
+    sendMagicLinkEmail.mockClear()
+  })
+
+  describe("POST /api/auth/magic-link", () => {
+    it("should email a sign-in link and code", async () => {
+      await request(app).post("/api/auth/magic-link").send({ email: customer.email }).expect(200)
+
+      expect(sendMagicLinkEmail).toHaveBeenCalledTimes(1)
+      const [email, , token, code] = sendMagicLinkEmail.mock.calls[0]
+      expect(email).toBe(customer.email)
+      expect(token).toHaveLength(64)
+      expect(code).toMatch(/^\d{6}$/)
+    })
+
+    it("should respond the same way for unknown emails", async () => {
+      const response = await request(app)
+        .post("/api/auth/magic-link")
+        .send({ email: "nobody@example.com" })
+        .expect(200)
+
+      expect(response.body.status).toBe("success")
+      expect(sendMagicLinkEmail).not.toHaveBeenCalled()
+    })
+
+    it("should respond the same way when the email can't be sent", async () => {
+      const unknown = await request(app).post("/api/auth/magic-link").send({ email: "nobody@example.com" }).expect(200)
+
+      sendMagicLinkEmail.mockRejectedValueOnce(new Error("SMTP unavailable"))
+      const failed = await request(app).post("/api/auth/magic-link").send({ email: customer.email }).expect(200)
+
+      expect(failed.body).toEqual(unknown.body)
+
+      // The link that couldn't be delivered is discarded
+      const stored = await User.findById(customer._id).select("+magicLinkTokenHash")
+      expect(stored.magicLinkTokenHash).toBeUndefined()
+    })
+
+    it("should cap emails per address", async () => {
+      for (let i = 0; i < MAGIC_LINK.MAX_REQUESTS; i++) {
+        await request(app).post("/api/auth/magic-link").send({ email: customer.email }).expect(200)
+      }
+
+      const response = await request(app).post("/api/auth/magic-link").send({ email: customer.email }).expect(429)
+      expect(response.headers["retry-after"]).toBeDefined()
+    })
+  })
+
+  describe("POST /api/auth/magic-link/verify", () => {
+    it("should sign in with the link token once", async () => {
+      const { token } = await createMagicLink(customer)
+
+      const response = await request(app).post("/api/auth/magic-link/verify").send({ token }).expect(200)
+
+      expect(response.body.data.token).toBeDefined()
+      expect(response.body.data.refreshToken).toBeDefined()
+      expect(response.body.data.user.email).toBe(customer.email)
+
+      await request(app).post("/api/auth/magic-link/verify").send({ token }).expect(401)
+    })
+
+    it("should sign in with the emailed code", async () => {
+      const { code } = await createMagicLink(customer)
+
+      const response = await request(app)
+        .post("/api/auth/magic-link/verify")
+        .send({ email: customer.email, code })
+        .expect(200)
+
+      expect(response.body.data.token).toBeDefined()
+    })
+
+    it("should mark the email as verified", async () => {
+      await User.updateOne({ _id: customer._id }, { emailVerified: false })
+      const { token } = await createMagicLink(customer)
+
+      await request(app).post("/api/auth/magic-link/verify").send({ token }).expect(200)
+
+      const updated = await User.findById(customer._id)
+      expect(updated.emailVerified).toBe(true)
+    })
+
+    it("should discard the code after too many wrong guesses", async () => {
+      const { code } = await createMagicLink(customer)
+      const wrongCode = code === "000000" ? "111111" : "000000"
+
+      // Called directly: over HTTP the login throttling kicks in first
+      for (let i = 0; i < MAGIC_LINK.MAX_CODE_ATTEMPTS; i++) {
+        expect(await consumeMagicLinkCode(customer, wrongCode)).toBeNull()
+      }
+
+      expect(await consumeMagicLinkCode(customer, code)).toBeNull()
+    })
+
+    it("should count wrong codes towards the login throttle", async () => {
+      const { code } = await createMagicLink(customer)
+      const wrongCode = code === "000000" ? "111111" : "000000"
+
+      for (let i = 0; i < LOGIN_PROTECTION.DELAY_AFTER_ATTEMPTS; i++) {
+        await request(app)
+          .post("/api/auth/magic-link/verify")
+          .send({ email: customer.email, code: wrongCode })
+          .expect(401)
+      }
+
+      const response = await request(app)
+        .post("/api/auth/magic-link/verify")
+        .send({ email: customer.email, code })
+        .expect(429)
+      expect(response.body.code).toBe("LOGIN_THROTTLED")
+    })
+
+    it("should return a 2FA challenge for two-factor accounts", async () => {
+      await User.updateOne({ _id: customer._id }, { "twoFactor.enabled": true })
+      const { token } = await createMagicLink(customer)
+
+      const response = await request(app).post("/api/auth/magic-link/verify").send({ token }).expect(200)
+
+      expect(response.body.data.twoFactorRequired).toBe(true)
+      expect(response.body.data.challengeToken).toBeDefined()
+      expect(response.body.data.token).toBeUndefined()
+    })
+  })
+})
@@ -0,0 +1,238 @@
+/**
+ * OAuth Provider Tests
+ *
+ * Covers the social / single sign-on provider registry:
+ * - Only configured, enabled providers are listed
+ * - Provider sign-in links to existing accounts by verified email only,
+ *   never to staff/admin accounts, and only for OIDC issuers trusted with emails
+ * - OIDC ID tokens must come from the configured issuer for our client
+ * - Callbacks only accepted from the browser that started sign-in (state nonce)
+ * - Linking from a signed-in account and unlinking with a remaining login method
+ */
+
+const request = require("supertest")
+const jwt = require("jsonwebtoken")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Setting = require("../../models/Setting")
+const { builtInProviders, createOidcProvider } = require("../../config/oauthProviders")
+const { findOrCreateOAuthUser, createOAuthState, verifyOAuthState } = require("../../services/oauthService")
+const { issueAuthTokens } = require("../../services/sessionService")
+
+describe("OAuth Providers", () => {
+  let customerToken
+
+  const githubProfile = (overrides = {}) => ({
+    id: "gh-123",
+    email: global.mockUsers.customer.email,
+    emailVerified: true,
+    firstName: "Git",
+    lastName: "Hub",
+    ...overrides,
+  })
+
+  beforeAll(async () => {
+    await global.connectTestDatabase()
+    process.env.GITHUB_CLIENT_ID = "test-github-client"
+    process.env.GITHUB_CLIENT_SECRET = "test-github-secret"
+  })
+
+  afterAll(async () => {
+    delete process.env.GITHUB_CLIENT_ID
+    delete process.env.GITHUB_CLIENT_SECRET
+    await global.disconnectTestDatabase()
+  })
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.customer).save()
+
+    customerToken = await global.loginUser(global.mockUsers.customer)
+  })
+
+  describe("GET /api/auth/providers", () => {
+    it("should list configured providers", async () => {
+      const response = await request(app).get("/api/auth/providers").expect(200)
+
+      const github = response.body.data.providers.find((provider) => provider.name === "github")
+      expect(github.loginUrl).toBe("/api/auth/oauth/github")
+      expect(response.body.data.linked).toBeUndefined()
+    })
+
+    it("should hide providers disabled in settings", async () => {
+      const settings = await Setting.getSettings()
+      settings.authProviders.disabled = ["github"]
+      await settings.save()
+
+      const response = await request(app).get("/api/auth/providers").expect(200)
+      expect(response.body.data.providers.map((provider) => provider.name)).not.toContain("github")
+    })
+
+    it("should include linked providers when signed in", async () => {
+      const response = await request(app)
+        .get("/api/auth/providers")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+
+      expect(response.body.data.linked).toEqual([])
+      expect(response.body.data.hasPassword).toBe(true)
+    })
+  })
+
+  describe("GET /api/auth/oauth/:provider", () => {
+    it("should redirect to the provider", async () => {
+      const response = await request(app).get("/api/auth/oauth/github").expect(302)
+      expect(response.headers.location).toMatch(/^https:\/\/github\.com\/login\/oauth\/authorize/)
+    })
+
+    it("should return 404 for unknown providers", async () => {
+      await request(app).get("/api/auth/oauth/myspace").expect(404)
+    })
+
+    it("should send a signed state and keep its nonce in a cookie", async () => {
+      const response = await request(app).get("/api/auth/oauth/github").expect(302)
+
+      const state = new URL(response.headers.location).searchParams.get("state")
+      const cookie = response.headers["set-cookie"].find((header) => header.startsWith("oauth_state="))
+      expect(cookie).toMatch(/HttpOnly/)
+
+      const nonce = cookie.split(";")[0].split("=")[1]
+      expect(verifyOAuthState(state, "github", nonce)).toMatchObject({ provider: "github" })
+      expect(verifyOAuthState(state, "github", "another-browser")).toBeNull()
+      expect(verifyOAuthState(state, "google", nonce)).toBeNull()
+    })
+  })
+
+  describe("GET /api/auth/oauth/:provider/callback", () => {
+    const expectStateRejected = (response) => {
+      const location = new URL(response.headers.location)
+      expect(location.pathname).toBe("/auth/error")
+      expect(location.searchParams.get("code")).toBe("OAUTH_STATE_INVALID")
+    }
+
+    it("should reject callbacks without a state", async () => {
+      expectStateRejected(await request(app).get("/api/auth/oauth/github/callback?code=abc").expect(302))
+    })
+
+    it("should reject a state started in another browser", async () => {
+      const { state } = createOAuthState("github")
+
+      const response = await request(app)
+        .get("/api/auth/oauth/github/callback")
+        .query({ code: "abc", state })
+        .set("Cookie", "oauth_state=attacker-nonce")
+        .expect(302)
+
+      expectStateRejected(response)
+    })
+  })
+
+  describe("Provider sign-in", () => {
+    it("should link to an existing account by verified email", async () => {
+      const result = await findOrCreateOAuthUser("github", githubProfile())
+
+      expect(result.success).toBe(true)
+      expect(result.user.email).toBe(global.mockUsers.customer.email)
+      expect(result.user.authProviders[0].provider).toBe("github")
+    })
+
+    it("should not link by unverified email", async () => {
+      const result = await findOrCreateOAuthUser("github", githubProfile({ emailVerified: false }))
+
+      expect(result.success).toBe(false)
+      expect(result.code).toBe("EMAIL_NOT_VERIFIED")
+    })
+
+    it("should never treat Facebook emails as verified", async () => {
+      const profile = builtInProviders.facebook.toProfile({ id: "fb-1", email: global.mockUsers.customer.email })
+      expect(profile.emailVerified).toBe(false)
+
+      const result = await findOrCreateOAuthUser("facebook", profile)
+      expect(result.code).toBe("EMAIL_NOT_VERIFIED")
+    })
+
+    it("should not link to an account with staff or admin permissions by email", async () => {
+      await new User(global.mockUsers.staff).save()
+
+      const result = await findOrCreateOAuthUser("github", githubProfile({ email: global.mockUsers.staff.email }))
+
+      expect(result.success).toBe(false)
+      expect(result.code).toBe("EMAIL_LINK_NOT_ALLOWED")
+      const staff = await User.findOne({ email: global.mockUsers.staff.email })
+      expect(staff.authProviders).toHaveLength(0)
+    })
+
+    it("should only trust OIDC emails when the issuer is trusted with them", async () => {
+      const config = { name: "okta", issuer: "https://sso.example.com", clientId: "shop", clientSecret: "secret" }
+      const claims = { sub: "okta-1", email: global.mockUsers.customer.email, email_verified: true }
+
+      const untrusted = createOidcProvider(config).toProfile(claims)
+      expect(untrusted.emailVerified).toBe(false)
+      expect((await findOrCreateOAuthUser("okta", untrusted)).code).toBe("EMAIL_NOT_VERIFIED")
+
+      const trusted = createOidcProvider({ ...config, trustEmail: true }).toProfile(claims)
+      expect(trusted.emailVerified).toBe(true)
+    })
+
+    it("should reject OIDC ID tokens from another issuer or for another client", () => {
+      const provider = createOidcProvider({
+        name: "okta",
+        issuer: "https://sso.example.com/",
+        clientId: "shop",
+        clientSecret: "secret",
+      })
+      const idToken = (claims) => ({ id_token: jwt.sign({ sub: "okta-1", ...claims }, "any-key") })
+
+      expect(provider.toProfile(null, idToken({ iss: "https://sso.example.com", aud: "shop" })).id).toBe("okta-1")
+      expect(provider.toProfile(null, idToken({ iss: "https://sso.example.com", aud: ["shop", "other"] })).id).toBe(
+        "okta-1",
+      )
+      expect(() => provider.toProfile(null, idToken({ iss: "https://evil.example.com", aud: "shop" }))).toThrow(
+        "Invalid okta ID token",
+      )
+      expect(() => provider.toProfile(null, idToken({ iss: "https://sso.example.com", aud: "other" }))).toThrow(
+        "Invalid okta ID token",
+      )
+    })
+
+    it("should create an account for a new email", async () => {
+      const result = await findOrCreateOAuthUser("github", githubProfile({ email: "new-github-user@example.com" }))
+
+      expect(result.success).toBe(true)
+      expect(result.user.emailVerified).toBe(true)
+      expect(await User.countDocuments()).toBe(2)
+    })
+  })
+
+  describe("Linking and unlinking", () => {
+    it("should return a link URL for an enabled provider", async () => {
+      const response = await request(app)
+        .post("/api/auth/providers/github/link")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+
+      expect(response.body.data.url).toMatch(/^\/api\/auth\/oauth\/github\?link=/)
+    })
+
+    it("should unlink a provider when the account has a password", async () => {
+      await findOrCreateOAuthUser("github", githubProfile())
+
+      const response = await request(app)
+        .delete("/api/auth/providers/github")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+
+      expect(response.body.data.linked).toEqual([])
+    })
+
+    it("should refuse to remove the only login method", async () => {
+      const { user } = await findOrCreateOAuthUser("github", githubProfile({ email: "github-only@example.com" }))
+      const { token } = await issueAuthTokens(user, { headers: {}, ip: "127.0.0.1" }, "github")
+
+      await request(app)
+        .delete("/api/auth/providers/github")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(400)
+    })
+  })
+})
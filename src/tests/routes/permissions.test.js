@@ -0,0 +1,196 @@
+/**
+ * Permission System Tests
+ *
+ * Covers database-backed roles and permission checks:
+ * - Admin CRUD for custom roles
+ * - Custom roles gaining access without code changes
+ * - Per-user permission overrides
+ * - Built-in roles cannot be deleted
+ * - Roles and overrides never give out permissions the acting user lacks
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const { invalidateRoleCache } = require("../../services/permissionService")
+
+describe("Permission System", () => {
+  let adminToken
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    invalidateRoleCache()
+
+    await new User(global.mockUsers.admin).save()
+    adminToken = await global.loginUser(global.mockUsers.admin)
+  })
+
+  describe("Custom roles", () => {
+    it("should grant access to a new role without code changes", async () => {
+      await request(app)
+        .post("/api/admin/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "warehouse", displayName: "Warehouse", permissions: ["staff:access", "inventory:read"] })
+        .expect(201)
+
+      const worker = await new User({ ...global.mockUsers.customer, role: "warehouse" }).save()
+      const workerToken = await global.loginUser(global.mockUsers.customer)
+
+      await request(app).get("/api/staff/inventory/alerts").set("Authorization", `Bearer ${workerToken}`).expect(200)
+
+      const denied = await request(app).get("/api/staff/orders").set("Authorization", `Bearer ${workerToken}`).expect(403)
+      expect(denied.body.requiredPermissions).toEqual(["orders:read"])
+
+      const me = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${workerToken}`).expect(200)
+      expect(me.body.data.user.permissions).toEqual(["inventory:read", "staff:access"])
+
+      // Role in use cannot be deleted
+      await request(app).delete("/api/admin/roles/warehouse").set("Authorization", `Bearer ${adminToken}`).expect(400)
+
+      await User.deleteOne({ _id: worker._id })
+      await request(app).delete("/api/admin/roles/warehouse").set("Authorization", `Bearer ${adminToken}`).expect(200)
+    })
+
+    it("should reject unknown permissions and roles", async () => {
+      await request(app)
+        .post("/api/admin/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "support", permissions: ["everything:everywhere"] })
+        .expect(400)
+
+      const customer = await new User(global.mockUsers.customer).save()
+
+      await request(app)
+        .patch(`/api/admin/users/${customer._id}/role`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "support" })
+        .expect(400)
+    })
+
+    it("should only let users assign roles within their own permissions", async () => {
+      await request(app)
+        .post("/api/admin/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "user-manager", permissions: ["admin:access", "users:manage", "customers:read"] })
+        .expect(201)
+
+      const manager = await new User({ ...global.mockUsers.staff, role: "user-manager" }).save()
+      const managerToken = await global.loginUser(global.mockUsers.staff)
+      const customer = await new User(global.mockUsers.customer).save()
+
+      const changeRole = (user, role) =>
+        request(app)
+          .patch(`/api/admin/users/${user._id}/role`)
+          .set("Authorization", `Bearer ${managerToken}`)
+          .send({ role })
+
+      const escalation = await changeRole(customer, "admin").expect(403)
+      expect(escalation.body.requiredPermissions).toContain("roles:manage")
+
+      await changeRole(manager, "admin").expect(400)
+      await changeRole(manager, "customer").expect(400)
+
+      await changeRole(customer, "user-manager").expect(200)
+      expect((await User.findById(customer._id)).role).toBe("user-manager")
+      expect((await User.findById(manager._id)).role).toBe("user-manager")
+
+      // Nor demote users with permissions they don't have
+      const admin = await User.findOne({ email: global.mockUsers.admin.email })
+      const demotion = await changeRole(admin, "customer").expect(403)
+      expect(demotion.body.requiredPermissions).toContain("roles:manage")
+      expect((await User.findById(admin._id)).role).toBe("admin")
+    })
+
+    it("should only let role managers add permissions they hold, and not to their own role", async () => {
+      await request(app)
+        .post("/api/admin/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "role-manager", permissions: ["admin:access", "roles:manage", "users:manage", "orders:read"] })
+        .expect(201)
+
+      await new User({ ...global.mockUsers.staff, role: "role-manager" }).save()
+      const managerToken = await global.loginUser(global.mockUsers.staff)
+
+      const editRole = (name, body) =>
+        request(app).put(`/api/admin/roles/${name}`).set("Authorization", `Bearer ${managerToken}`).send(body)
+
+      const wildcard = await editRole("staff", { permissions: ["*"] }).expect(403)
+      expect(wildcard.body.requiredPermissions).toContain("orders:refund")
+
+      const escalation = await editRole("staff", { permissions: ["staff:access", "orders:refund"] }).expect(403)
+      expect(escalation.body.requiredPermissions).toEqual(["orders:refund"])
+
+      await editRole("role-manager", { permissions: ["*"] }).expect(400)
+      await editRole("role-manager", { displayName: "Managers" }).expect(400)
+
+      await request(app)
+        .post("/api/admin/roles")
+        .set("Authorization", `Bearer ${managerToken}`)
+        .send({ name: "everything", permissions: ["*"] })
+        .expect(403)
+
+      // Keeping permissions it doesn't hold, or adding ones it does, is fine
+      const staffRole = await request(app).get("/api/admin/roles").set("Authorization", `Bearer ${managerToken}`)
+      const { permissions } = staffRole.body.data.find((role) => role.name === "staff")
+      const updated = await editRole("staff", { permissions: [...permissions, "users:manage"] }).expect(200)
+      expect(updated.body.data.permissions).toContain("users:manage")
+    })
+
+    it("should not delete built-in roles", async () => {
+      await request(app).get("/api/admin/roles").set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+      await request(app).delete("/api/admin/roles/staff").set("Authorization", `Bearer ${adminToken}`).expect(400)
+    })
+  })
+
+  describe("Per-user overrides", () => {
+    it("should apply granted and revoked permissions on top of the role", async () => {
+      const staff = await new User(global.mockUsers.staff).save()
+      const staffToken = await global.loginUser(global.mockUsers.staff)
+
+      await request(app)
+        .put(`/api/admin/users/${staff._id}/permissions`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ granted: ["orders:refund"], revoked: ["customers:read"] })
+        .expect(200)
+
+      await request(app).get("/api/staff/customers").set("Authorization", `Bearer ${staffToken}`).expect(403)
+      await request(app).get("/api/staff/orders").set("Authorization", `Bearer ${staffToken}`).expect(200)
+
+      const me = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${staffToken}`).expect(200)
+      expect(me.body.data.user.permissions).toContain("orders:refund")
+    })
+
+    it("should only grant permissions the acting user holds, to users they outrank", async () => {
+      await request(app)
+        .post("/api/admin/roles")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "user-manager", permissions: ["admin:access", "users:manage", "roles:manage"] })
+        .expect(201)
+
+      const first = await new User({ ...global.mockUsers.staff, role: "user-manager" }).save()
+      const second = await new User({ ...global.mockUsers.customer, role: "user-manager" }).save()
+      const firstToken = await global.loginUser(global.mockUsers.staff)
+
+      const override = (user, body) =>
+        request(app)
+          .put(`/api/admin/users/${user._id}/permissions`)
+          .set("Authorization", `Bearer ${firstToken}`)
+          .send(body)
+
+      const escalation = await override(second, { granted: ["orders:refund", "users:manage"] }).expect(403)
+      expect(escalation.body.requiredPermissions).toEqual(["orders:refund"])
+
+      const admin = await User.findOne({ email: global.mockUsers.admin.email })
+      await override(admin, { revoked: ["admin:access"] }).expect(403)
+
+      await override(second, { revoked: ["roles:manage"] }).expect(200)
+      expect((await User.findById(second._id)).permissions.revoked).toEqual(["roles:manage"])
+      expect((await User.findById(first._id)).permissions.granted).toEqual([])
+    })
+  })
+})
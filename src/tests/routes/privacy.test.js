@@ -0,0 +1,234 @@
+/**
+ * Privacy (GDPR) Tests
+ *
+ * Covers customer data rights:
+ * - Exporting account data as JSON or ZIP
+ * - Requesting and cancelling account deletion (recent sign-in required without a password)
+ * - Anonymization after the grace period keeps orders but scrubs PII
+ * - Admin view of pending deletion requests
+ */
+
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Order = require("../../models/Order")
+const Cart = require("../../models/Cart")
+const Session = require("../../models/Session")
+const { processDueDeletions } = require("../../services/privacyService")
+const { issueAuthTokens } = require("../../services/sessionService")
+
+describe("Privacy", () => {
+  let customer
+  let customerToken
+  let order
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    customer = await new User({
+      ...global.mockUsers.customer,
+      addresses: [{ ...global.mockOrder.shippingAddress, isDefault: true }],
+    }).save()
+    customerToken = await global.loginUser(global.mockUsers.customer)
+
+    order = await new Order({
+      orderNumber: "ORD-123456789-001",
+      user: customer._id,
+      items: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          productSnapshot: { name: "Test Running Shoe", brand: "TestBrand" },
+          variant: { size: "9", color: "black", sku: "TEST-RUN-BLK-9" },
+          quantity: 1,
+          price: 99.99,
+          totalPrice: 99.99,
+        },
+      ],
+      subtotal: 99.99,
+      totalAmount: 99.99,
+      shippingAddress: {
+        firstName: "Jane",
+        lastName: "Customer",
+        phone: "+1 555 0100",
+        ...global.mockOrder.shippingAddress,
+      },
+      payment: { method: "dummy", status: "completed" },
+      customerNotes: "Leave with the neighbour",
+    }).save()
+  })
+
+  describe("POST /api/auth/me/export", () => {
+    it("should export account data as JSON", async () => {
+      const response = await request(app)
+        .post("/api/auth/me/export")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+
+      const { data } = response.body
+      expect(response.headers["content-disposition"]).toMatch(/attachment/)
+      expect(data.profile.email).toBe(customer.email)
+      expect(data.profile.password).toBeUndefined()
+      expect(data.addresses).toHaveLength(1)
+      expect(data.orders[0].orderNumber).toBe(order.orderNumber)
+      expect(data).toHaveProperty("reviews")
+      expect(data).toHaveProperty("wishlists")
+      expect(data).toHaveProperty("notifications")
+      expect(data).toHaveProperty("cart")
+    })
+
+    it("should export account data as a ZIP", async () => {
+      const response = await request(app)
+        .post("/api/auth/me/export")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .send({ format: "zip" })
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = []
+          res.on("data", (chunk) => chunks.push(chunk))
+          res.on("end", () => callback(null, Buffer.concat(chunks)))
+        })
+        .expect(200)
+
+      expect(response.headers["content-type"]).toMatch(/application\/zip/)
+      // ZIP local file header signature
+      expect(response.body.subarray(0, 4).toString("hex")).toBe("504b0304")
+    })
+  })
+
+  describe("DELETE /api/auth/me", () => {
+    it("should require the account password", async () => {
+      await request(app)
+        .delete("/api/auth/me")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .send({ password: "wrongpassword" })
+        .expect(401)
+    })
+
+    it("should schedule deletion after the grace period", async () => {
+      const response = await request(app)
+        .delete("/api/auth/me")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .send({ password: global.mockUsers.customer.password, reason: "No longer shopping" })
+        .expect(200)
+
+      expect(new Date(response.body.data.scheduledFor).getTime()).toBeGreaterThan(Date.now())
+
+      // Nothing is erased until the grace period ends
+      expect(await processDueDeletions()).toBe(0)
+      const user = await User.findById(customer._id)
+      expect(user.email).toBe(global.mockUsers.customer.email)
+    })
+
+    it("should let the user cancel a pending deletion", async () => {
+      await request(app)
+        .delete("/api/auth/me")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .send({ password: global.mockUsers.customer.password })
+        .expect(200)
+
+      await request(app)
+        .post("/api/auth/me/deletion/cancel")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+
+      const user = await User.findById(customer._id)
+      expect(user.deletionRequest?.scheduledFor).toBeUndefined()
+    })
+
+    it("should require a recent sign-in for accounts without a password", async () => {
+      const passwordless = await new User({
+        email: "passwordless@example.com",
+        profile: { firstName: "No", lastName: "Password" },
+      }).save()
+      const { token } = await issueAuthTokens(passwordless, { headers: {}, ip: "127.0.0.1" }, "magic_link")
+
+      // Signed in an hour ago: a stolen token alone isn't enough
+      await Session.collection.updateMany(
+        { user: passwordless._id },
+        { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } },
+      )
+      const response = await request(app).delete("/api/auth/me").set("Authorization", `Bearer ${token}`).expect(401)
+      expect(response.body.code).toBe("REAUTHENTICATION_REQUIRED")
+
+      const fresh = await issueAuthTokens(passwordless, { headers: {}, ip: "127.0.0.1" }, "magic_link")
+      await request(app).delete("/api/auth/me").set("Authorization", `Bearer ${fresh.token}`).expect(200)
+    })
+
+    it("should refuse self-deletion for staff accounts", async () => {
+      await new User(global.mockUsers.staff).save()
+      const staffToken = await global.loginUser(global.mockUsers.staff)
+
+      await request(app)
+        .delete("/api/auth/me")
+        .set("Authorization", `Bearer ${staffToken}`)
+        .send({ password: global.mockUsers.staff.password })
+        .expect(403)
+    })
+  })
+
+  describe("Anonymization", () => {
+    beforeEach(async () => {
+      await Cart.create({ user: customer._id, items: [] })
+      await User.updateOne(
+        { _id: customer._id },
+        { deletionRequest: { requestedAt: new Date(Date.now() - 1000), scheduledFor: new Date(Date.now() - 1) } },
+      )
+    })
+
+    it("should scrub personal data but keep orders", async () => {
+      expect(await processDueDeletions()).toBe(1)
+
+      const user = await User.findById(customer._id).select("+password")
+      expect(user.email).not.toBe(global.mockUsers.customer.email)
+      expect(user.profile.firstName).toBe("Deleted")
+      expect(user.addresses).toHaveLength(0)
+      expect(user.password).toBeUndefined()
+      expect(user.isActive).toBe(false)
+      expect(user.anonymizedAt).toBeDefined()
+
+      const keptOrder = await Order.findById(order._id)
+      expect(keptOrder.totalAmount).toBe(99.99)
+      expect(keptOrder.payment.status).toBe("completed")
+      expect(keptOrder.shippingAddress.street).toBe("Redacted")
+      expect(keptOrder.shippingAddress.phone).toBeUndefined()
+      expect(keptOrder.customerNotes).toBeUndefined()
+
+      expect(await Cart.countDocuments({ user: customer._id })).toBe(0)
+    })
+
+    it("should end the user's sessions", async () => {
+      await processDueDeletions()
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${customerToken}`).expect(401)
+
+      const sessions = await Session.find({ user: customer._id })
+      expect(sessions.length).toBeGreaterThan(0)
+      expect(sessions.every((session) => session.revokedReason === "account_deleted")).toBe(true)
+    })
+  })
+
+  describe("GET /api/admin/deletion-requests", () => {
+    it("should list pending deletion requests", async () => {
+      await request(app)
+        .delete("/api/auth/me")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .send({ password: global.mockUsers.customer.password })
+        .expect(200)
+
+      await new User(global.mockUsers.admin).save()
+      const adminToken = await global.loginUser(global.mockUsers.admin)
+
+      const response = await request(app)
+        .get("/api/admin/deletion-requests")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.data.requests).toHaveLength(1)
+      expect(response.body.data.requests[0].user.email).toBe(customer.email)
+    })
+  })
+})
@@ -0,0 +1,170 @@
+/**
+ * Product Import and Export Tests
+ *
+ * Covers bulk catalogue management:
+ * - Dry runs report row-level errors without saving anything
+ * - CSV rows are grouped into products and upserted by slug or SKU
+ * - Stock set by an import goes through the inventory ledger
+ * - The export can be imported again as it is
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const InventoryMovement = require("../../models/InventoryMovement")
+
+describe("Product Import and Export", () => {
+  let adminToken
+
+  const header = "slug,name,brand,category,gender,description,tags,sku,size,color,price,stock"
+
+  const csv = (...rows) => [header, ...rows].join("\n")
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+
+  const importCsv = (content, query = "") =>
+    adminRequest("post", `/api/admin/products/import${query}`).attach("file", Buffer.from(content), "catalog.csv")
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+  })
+
+  it("should report row-level errors in a dry run and save nothing", async () => {
+    const response = await importCsv(
+      csv(
+        "trail-runner,Trail Runner,Acme,running,men,Grippy trail shoe,trail|grip,ACME-TR-9,9,black,120,4",
+        "trail-runner,,,,,,,ACME-TR-10,10,black,125,4",
+        "city-walker,City Walker,Acme,hiking,women,Everyday shoe,,ACME-CW-7,7,tan,80,two",
+        "city-walker,,,,,,,ACME-CW-8,8,tan,-5,1",
+      ),
+      "?dryRun=true",
+    ).expect(200)
+
+    const { summary, products, errors } = response.body.data
+    expect(summary).toEqual(expect.objectContaining({ products: 2, variants: 4, created: 1, invalid: 1 }))
+    expect(products).toEqual([
+      expect.objectContaining({ row: 2, slug: "trail-runner", action: "create", status: "valid" }),
+      expect.objectContaining({ row: 4, slug: "city-walker", action: "create", status: "invalid" }),
+    ])
+
+    expect(errors).toHaveLength(3)
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ row: 4, field: "category" }),
+        expect.objectContaining({ row: 4, sku: "ACME-CW-7", field: "stock" }),
+        expect.objectContaining({ row: 5, sku: "ACME-CW-8", field: "price", message: "Price cannot be negative" }),
+      ]),
+    )
+
+    expect(await Product.countDocuments()).toBe(1)
+  })
+
+  it("should create products from CSV rows and record their stock", async () => {
+    const response = await importCsv(
+      csv(
+        'trail-runner,Trail Runner,Acme,running,men,"Grippy, light trail shoe",trail|grip,ACME-TR-9,9,black,120,4',
+        "trail-runner,,,,,,,ACME-TR-10,10,black,125,6",
+      ),
+    ).expect(200)
+
+    expect(response.body.data.summary).toEqual(expect.objectContaining({ created: 1, errors: 0 }))
+
+    const product = await Product.findOne({ slug: "trail-runner" })
+    expect(product.description).toBe("Grippy, light trail shoe")
+    expect(product.tags).toEqual(["trail", "grip"])
+    expect(product.variants.map((v) => [v.sku, v.price, v.stock])).toEqual([
+      ["ACME-TR-9", 120, 4],
+      ["ACME-TR-10", 125, 6],
+    ])
+
+    const movements = await InventoryMovement.find({ product: product._id, reason: "product_import" })
+    expect(movements.map((movement) => movement.delta).sort()).toEqual([4, 6])
+  })
+
+  it("should update existing products by slug and by SKU", async () => {
+    await importCsv(
+      csv(
+        "test-running-shoe,Test Running Shoe v2,,,,,,TEST-RUN-BLK-9,9,black,89.99,",
+        "test-running-shoe,,,,,,,,11,black,99.99,3",
+      ),
+    ).expect(200)
+
+    const response = await importCsv("sku,stock\nTEST-RUN-WHT-10,8\n").expect(200)
+    expect(response.body.data.products[0]).toEqual(expect.objectContaining({ action: "update", status: "imported" }))
+
+    const product = await Product.findOne({ slug: "test-running-shoe" })
+    expect(product.name).toBe("Test Running Shoe v2")
+    expect(product.variants).toHaveLength(3)
+    expect(product.getVariant("9", "black").toObject()).toEqual(expect.objectContaining({ price: 89.99, stock: 10 }))
+    expect(product.getVariant("10", "white").stock).toBe(8)
+    expect(product.getVariant("11", "black").sku).toBeDefined()
+
+    const movement = await InventoryMovement.findOne({ sku: "TEST-RUN-WHT-10", reason: "product_import" })
+    expect(movement.delta).toBe(3)
+  })
+
+  it("should refuse a SKU that belongs to another product", async () => {
+    const response = await importCsv(
+      csv("trail-runner,Trail Runner,Acme,running,men,Grippy trail shoe,,TEST-RUN-BLK-9,9,black,120,4"),
+    ).expect(200)
+
+    expect(response.body.data.products[0].status).toBe("invalid")
+    expect(response.body.data.errors[0].message).toContain("belongs to another product (test-running-shoe)")
+    expect(await Product.exists({ slug: "trail-runner" })).toBeNull()
+  })
+
+  it("should import JSON products", async () => {
+    const response = await adminRequest("post", "/api/admin/products/import")
+      .send({
+        products: [
+          {
+            name: "Court Classic",
+            brand: "Acme",
+            category: "sneakers",
+            gender: "unisex",
+            description: "Low-top court shoe",
+            seo: { title: "Court Classic sneakers" },
+            variants: [{ sku: "acme-cc-8", size: 8, color: "white", price: 70, stock: 2 }],
+          },
+        ],
+      })
+      .expect(200)
+
+    expect(response.body.data.products[0]).toEqual(
+      expect.objectContaining({ slug: "court-classic", action: "create", status: "imported" }),
+    )
+
+    const product = await Product.findOne({ slug: "court-classic" })
+    expect(product.seo.title).toBe("Court Classic sneakers")
+    expect(product.variants[0].toObject()).toEqual(expect.objectContaining({ sku: "ACME-CC-8", size: "8", stock: 2 }))
+  })
+
+  it("should export the catalogue in a format that imports back unchanged", async () => {
+    const exported = await adminRequest("get", "/api/admin/products/export").expect(200)
+
+    expect(exported.headers["content-type"]).toMatch(/text\/csv/)
+    expect(exported.headers["content-disposition"]).toMatch(/attachment/)
+
+    const lines = exported.text.trim().split("\r\n")
+    expect(lines).toHaveLength(3)
+    expect(lines[1]).toContain("test-running-shoe,Test Running Shoe,TestBrand")
+    expect(lines[2]).toMatch(/^test-running-shoe,,/)
+
+    const reimported = await importCsv(exported.text, "?dryRun=true").expect(200)
+    expect(reimported.body.data.summary).toEqual(expect.objectContaining({ updated: 1, errors: 0 }))
+
+    const json = await adminRequest("get", "/api/admin/products/export?format=json").expect(200)
+    expect(json.body.products[0].variants.map((v) => v.sku)).toEqual(["TEST-RUN-BLK-9", "TEST-RUN-WHT-10"])
+  })
+})
@@ -0,0 +1,215 @@
+/**
+ * Product Publishing and Revision Tests
+ *
+ * Covers the product workflow:
+ * - New products are drafts, hidden from the storefront until published
+ * - Scheduled publish and unpublish times, launch and discontinued dates
+ * - Every edit is a revision that can be compared and rolled back to
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const ProductRevision = require("../../models/ProductRevision")
+const { publishScheduledProducts } = require("../../services/productPublishingService")
+
+describe("Product Publishing and Revisions", () => {
+  let adminToken
+  let product
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+
+  const listedSlugs = async () => {
+    const response = await request(app).get("/api/products").expect(200)
+    return response.body.data.products.map((listed) => listed.slug)
+  }
+
+  const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000)
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    product = await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+  })
+
+  it("should keep new products off the storefront until they are published", async () => {
+    const created = await adminRequest("post", "/api/products")
+      .send({
+        name: "Trail Runner",
+        description: "Grippy shoe for muddy trails",
+        brand: "Acme",
+        category: "running",
+        gender: "men",
+        variants: [{ size: "9", color: "black", sku: "ACME-TR-9", price: 120, stock: 4 }],
+      })
+      .expect(201)
+
+    const { _id: id, status } = created.body.data.product
+    expect(status).toBe("draft")
+
+    expect(await listedSlugs()).toEqual(["test-running-shoe"])
+    await request(app).get(`/api/products/${id}`).expect(404)
+    await adminRequest("get", `/api/products/${id}`).expect(200)
+    await adminRequest("post", "/api/cart/items")
+      .send({ productId: id, size: "9", color: "black", quantity: 1 })
+      .expect(404)
+
+    await adminRequest("patch", `/api/products/${id}/status`).send({ status: "review" }).expect(200)
+    const published = await adminRequest("patch", `/api/products/${id}/status`)
+      .send({ status: "published" })
+      .expect(200)
+    expect(published.body.data.product.publishedAt).toBeDefined()
+
+    expect((await listedSlugs()).sort()).toEqual(["test-running-shoe", "trail-runner"])
+    await request(app).get("/api/products/trail-runner").expect(200)
+
+    const history = await adminRequest("get", `/api/products/${id}/revisions`).expect(200)
+    expect(history.body.data.revisions.map((revision) => [revision.version, revision.source])).toEqual([
+      [3, "status"],
+      [2, "status"],
+      [1, "create"],
+    ])
+    expect(history.body.data.revisions[0].changes).toEqual([{ field: "status", from: "review", to: "published" }])
+  })
+
+  it("should publish and unpublish on schedule", async () => {
+    await adminRequest("patch", `/api/products/${product._id}/status`)
+      .send({ publishAt: inMinutes(-5) })
+      .expect(400)
+
+    await adminRequest("patch", `/api/products/${product._id}/status`).send({ status: "draft" }).expect(200)
+    const scheduled = await adminRequest("patch", `/api/products/${product._id}/status`)
+      .send({ publishAt: inMinutes(10), unpublishAt: inMinutes(60) })
+      .expect(200)
+    expect(scheduled.body.data.product.status).toBe("draft")
+
+    expect(await publishScheduledProducts()).toEqual({ published: 0, unpublished: 0 })
+    expect(await listedSlugs()).toEqual([])
+
+    expect(await publishScheduledProducts(inMinutes(11))).toEqual({ published: 1, unpublished: 0 })
+    let current = await Product.findById(product._id)
+    expect(current.status).toBe("published")
+    expect(current.publishAt).toBeUndefined()
+    expect(await listedSlugs()).toEqual(["test-running-shoe"])
+
+    expect(await publishScheduledProducts(inMinutes(61))).toEqual({ published: 0, unpublished: 1 })
+    current = await Product.findById(product._id)
+    expect(current.status).toBe("archived")
+
+    const revision = await ProductRevision.findOne({ product: product._id }).sort({ version: -1 })
+    expect(revision.source).toBe("schedule")
+    expect(revision.note).toBe("Unpublished on schedule")
+  })
+
+  it("should honour launch and discontinued dates", async () => {
+    await Product.updateOne({ _id: product._id }, { launchDate: inMinutes(60 * 24) })
+    expect(await listedSlugs()).toEqual([])
+
+    // Taking pre-orders puts it back on the storefront before launch
+    await Product.updateOne({ _id: product._id, "variants.sku": "TEST-RUN-BLK-9" }, { "variants.$.preorder": true })
+    expect(await listedSlugs()).toEqual(["test-running-shoe"])
+
+    await Product.updateOne({ _id: product._id }, { $unset: { launchDate: 1 }, discontinuedDate: inMinutes(-1) })
+    expect(await listedSlugs()).toEqual([])
+    await request(app).get("/api/products/test-running-shoe").expect(404)
+  })
+
+  it("should record edits with a baseline and show what changed", async () => {
+    await adminRequest("put", `/api/products/${product._id}`)
+      .send({ name: "Test Running Shoe v2", tags: ["running", "road"], status: "archived" })
+      .expect(200)
+
+    const current = await Product.findById(product._id)
+    expect(current.status).toBe("published")
+
+    const revisions = await ProductRevision.find({ product: product._id }).sort({ version: 1 })
+    expect(revisions.map((revision) => revision.source)).toEqual(["baseline", "update"])
+    expect(revisions[0].snapshot.name).toBe("Test Running Shoe")
+    expect(revisions[1].changes).toEqual(
+      expect.arrayContaining([
+        { field: "name", from: "Test Running Shoe", to: "Test Running Shoe v2" },
+        { field: "tags", from: ["running", "comfortable", "durable"], to: ["running", "road"] },
+      ]),
+    )
+    expect(revisions[1].snapshot.variants[0].stock).toBeUndefined()
+
+    // The history names who made each change
+    const history = await adminRequest("get", `/api/products/${product._id}/revisions`).expect(200)
+    const { actor } = history.body.data.revisions[0]
+    expect(actor.email).toBe(global.mockUsers.admin.email)
+    expect(actor.profile).toEqual({ firstName: "Test", lastName: "Admin" })
+
+    // Stock-only changes aren't revisions
+    await adminRequest("patch", `/api/admin/inventory/${product._id}/variant/${product.variants[0]._id}/stock`)
+      .send({ stock: 7, reason: "stocktake" })
+      .expect(200)
+    expect(await ProductRevision.countDocuments({ product: product._id })).toBe(2)
+
+    const diff = await adminRequest(
+      "get",
+      `/api/products/${product._id}/revisions/${revisions[0]._id}/diff?against=current`,
+    ).expect(200)
+    expect(diff.body.data.changes).toEqual(
+      expect.arrayContaining([{ field: "name", from: "Test Running Shoe v2", to: "Test Running Shoe" }]),
+    )
+  })
+
+  it("should roll back content while keeping stock and publishing state", async () => {
+    await adminRequest("put", `/api/products/${product._id}`)
+      .send({
+        name: "Renamed Shoe",
+        variants: [
+          { size: "9", color: "black", sku: "TEST-RUN-BLK-9", price: 79.99, stock: 10 },
+          { size: "10", color: "white", sku: "TEST-RUN-WHT-10", price: 99.99, stock: 5 },
+          { size: "11", color: "black", sku: "TEST-RUN-BLK-11", price: 99.99, stock: 2 },
+        ],
+      })
+      .expect(200)
+
+    await adminRequest("patch", `/api/products/${product._id}/status`).send({ status: "review" }).expect(200)
+
+    // Three units sell after the edit
+    await Product.updateOne(
+      { _id: product._id, "variants.sku": "TEST-RUN-BLK-9" },
+      { $inc: { "variants.$.stock": -3 } },
+    )
+
+    const baseline = await ProductRevision.findOne({ product: product._id, version: 1 })
+    const rolledBack = await adminRequest(
+      "post",
+      `/api/products/${product._id}/revisions/${baseline._id}/rollback`,
+    ).expect(200)
+
+    expect(rolledBack.body.data.revision).toEqual(
+      expect.objectContaining({ source: "rollback", rolledBackFrom: baseline._id.toString() }),
+    )
+
+    const current = await Product.findById(product._id)
+    expect(current.name).toBe("Test Running Shoe")
+    expect(current.slug).toBe("test-running-shoe")
+    expect(current.status).toBe("review")
+    expect(current.variants.map((v) => [v.sku, v.price, v.stock, v.isActive])).toEqual([
+      ["TEST-RUN-BLK-9", 99.99, 7, true],
+      ["TEST-RUN-WHT-10", 99.99, 5, true],
+      ["TEST-RUN-BLK-11", 99.99, 2, false],
+    ])
+
+    const diff = await adminRequest(
+      "get",
+      `/api/products/${product._id}/revisions/${baseline._id}/diff?against=current`,
+    ).expect(200)
+    expect(diff.body.data.changes).toEqual([
+      expect.objectContaining({ field: "status", from: "review", to: "published" }),
+      expect.objectContaining({ field: "variants.TEST-RUN-BLK-11", to: null }),
+    ])
+  })
+})
@@ -0,0 +1,139 @@
+/**
+ * Faceted Product Search Tests
+ *
+ * Covers GET /api/products/search:
+ * - A page of products plus counts by brand, category, gender, size, color,
+ *   price and rating
+ * - Each facet applies the other active filters but not its own
+ * - Size counts in the size system asked for
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const Product = require("../../models/Product")
+
+describe("Faceted Product Search", () => {
+  const search = async (query = {}) => {
+    const response = await request(app).get("/api/products/search").query(query).expect(200)
+    return response.body.data
+  }
+
+  const counts = (facet) => facet.map(({ value, count }) => [value, count])
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new Product(global.mockProduct).save()
+
+    await new Product({
+      ...global.mockProduct,
+      name: "Acme Trail",
+      brand: "Acme",
+      gender: "men",
+      variants: [
+        { size: "10", color: "Black", sku: "ACME-TRAIL-BLK-10", price: 120, stock: 3 },
+        { size: "11", color: "black", sku: "ACME-TRAIL-BLK-11", price: 120, stock: 3 },
+      ],
+      ratings: { average: 4.5, count: 12 },
+    }).save()
+
+    await new Product({
+      ...global.mockProduct,
+      name: "Acme Oxford",
+      brand: "Acme",
+      category: "formal",
+      gender: "men",
+      variants: [{ size: "10", color: "brown", sku: "ACME-OXF-BRN-10", price: 180, stock: 2 }],
+      ratings: { average: 3.2, count: 4 },
+    }).save()
+  })
+
+  it("should return the product page with counts for every facet", async () => {
+    const { products, pagination, facets } = await search({ limit: 2 })
+
+    expect(products).toHaveLength(2)
+    expect(pagination.totalItems).toBe(3)
+
+    expect(counts(facets.brands)).toEqual([
+      ["Acme", 2],
+      ["TestBrand", 1],
+    ])
+    expect(counts(facets.categories)).toEqual([
+      ["running", 2],
+      ["formal", 1],
+    ])
+    expect(counts(facets.genders)).toEqual([
+      ["men", 2],
+      ["unisex", 1],
+    ])
+    expect(counts(facets.sizes)).toEqual([
+      ["9", 1],
+      ["10", 3],
+      ["11", 1],
+    ])
+    expect(counts(facets.colors)).toEqual([
+      ["black", 2],
+      ["brown", 1],
+      ["white", 1],
+    ])
+    expect(facets.prices).toEqual([
+      { min: 0, max: 50, count: 0 },
+      { min: 50, max: 100, count: 1 },
+      { min: 100, max: 150, count: 1 },
+      { min: 150, max: 200, count: 1 },
+      { min: 200, max: 300, count: 0 },
+      { min: 300, max: null, count: 0 },
+    ])
+    expect(facets.ratings).toEqual([
+      { min: 4, count: 1 },
+      { min: 3, count: 2 },
+      { min: 2, count: 2 },
+      { min: 1, count: 2 },
+    ])
+  })
+
+  it("should apply the other filters to each facet but not its own", async () => {
+    const { products, facets } = await search({ brand: "Acme", minRating: 4 })
+
+    expect(products.map((product) => product.slug)).toEqual(["acme-trail"])
+
+    // Brands of 4+ rated products, and ratings of all Acme products
+    expect(counts(facets.brands)).toEqual([["Acme", 1]])
+    expect(facets.ratings).toEqual([
+      { min: 4, count: 1 },
+      { min: 3, count: 2 },
+      { min: 2, count: 2 },
+      { min: 1, count: 2 },
+    ])
+    expect(counts(facets.sizes)).toEqual([
+      ["10", 1],
+      ["11", 1],
+    ])
+
+    const bySize = await search({ size: "10", category: "running" })
+    expect(counts(bySize.facets.sizes)).toEqual([
+      ["9", 1],
+      ["10", 2],
+      ["11", 1],
+    ])
+    expect(counts(bySize.facets.categories)).toEqual([
+      ["running", 2],
+      ["formal", 1],
+    ])
+  })
+
+  it("should count sizes in the size system asked for", async () => {
+    const { facets } = await search({ sizeSystem: "eu" })
+
+    expect(counts(facets.sizes)).toEqual([
+      ["42.5", 1],
+      ["44", 3],
+      ["45", 1],
+    ])
+
+    await request(app).get("/api/products/search").query({ sizeSystem: "jp" }).expect(400)
+  })
+})
@@ -0,0 +1,177 @@
+/**
+ * Purchase Order Tests
+ *
+ * Covers supplier restocking:
+ * - PO lifecycle from draft to received
+ * - Partial deliveries add stock through the inventory ledger
+ * - Reorder suggestions from stock, units on order and sales velocity
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const Order = require("../../models/Order")
+const InventoryMovement = require("../../models/InventoryMovement")
+
+describe("Purchase Orders", () => {
+  let adminToken
+  let admin
+  let product
+  let supplier
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+
+  const stockOf = async (size, color) => {
+    const current = await Product.findById(product._id)
+    return current.variants.find((v) => v.size === size && v.color === color).stock
+  }
+
+  const createSentPurchaseOrder = async (quantity) => {
+    const response = await adminRequest("post", "/api/admin/purchase-orders")
+      .send({
+        supplierId: supplier._id,
+        items: [{ productId: product._id, size: "9", color: "black", quantity, unitCost: 40 }],
+      })
+      .expect(201)
+    const purchaseOrder = response.body.data
+
+    await adminRequest("post", `/api/admin/purchase-orders/${purchaseOrder._id}/send`).expect(200)
+    return purchaseOrder
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    admin = await new User(global.mockUsers.admin).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+
+    const supplierResponse = await adminRequest("post", "/api/admin/suppliers")
+      .send({ name: "Test Supplier", code: "test-sup", leadTimeDays: 10 })
+      .expect(201)
+    supplier = supplierResponse.body.data
+
+    product = await new Product({ ...global.mockProduct, supplier: supplier._id }).save()
+  })
+
+  it("should receive a PO in parts and add the units to stock", async () => {
+    const purchaseOrder = await createSentPurchaseOrder(10)
+    const itemId = purchaseOrder.items[0]._id
+
+    const partial = await adminRequest("post", `/api/admin/purchase-orders/${purchaseOrder._id}/receive`)
+      .send({ items: [{ itemId, quantity: 4 }] })
+      .expect(200)
+
+    expect(partial.body.data.purchaseOrder.status).toBe("partially_received")
+    expect(await stockOf("9", "black")).toBe(14)
+
+    await adminRequest("post", `/api/admin/purchase-orders/${purchaseOrder._id}/receive`)
+      .send({ items: [{ itemId, quantity: 7 }] })
+      .expect(400)
+
+    const rest = await adminRequest("post", `/api/admin/purchase-orders/${purchaseOrder._id}/receive`).expect(200)
+
+    expect(rest.body.data.purchaseOrder.status).toBe("received")
+    expect(rest.body.data.purchaseOrder.receipts).toHaveLength(2)
+    expect(await stockOf("9", "black")).toBe(20)
+
+    const movements = await InventoryMovement.find({ reason: "purchase_receipt" }).sort({ createdAt: 1 })
+    expect(movements.map((movement) => movement.delta)).toEqual([4, 6])
+    expect(movements[0].purchaseOrder.toString()).toBe(purchaseOrder._id)
+    expect(movements[0].actor.toString()).toBe(admin._id.toString())
+  })
+
+  it("should only edit drafts and only receive sent POs", async () => {
+    const response = await adminRequest("post", "/api/admin/purchase-orders")
+      .send({ supplierId: supplier._id, items: [{ productId: product._id, size: "9", color: "black", quantity: 5 }] })
+      .expect(201)
+    const draft = response.body.data
+
+    await adminRequest("post", `/api/admin/purchase-orders/${draft._id}/receive`).expect(400)
+
+    await adminRequest("put", `/api/admin/purchase-orders/${draft._id}`).send({ notes: "Rush" }).expect(200)
+    await adminRequest("post", `/api/admin/purchase-orders/${draft._id}/send`).expect(200)
+    await adminRequest("put", `/api/admin/purchase-orders/${draft._id}`).send({ notes: "Later" }).expect(400)
+  })
+
+  it("should reject lines for unknown variants", async () => {
+    await adminRequest("post", "/api/admin/purchase-orders")
+      .send({ supplierId: supplier._id, items: [{ productId: product._id, size: "13", color: "red", quantity: 5 }] })
+      .expect(400)
+  })
+
+  it("should keep received units when a PO is cancelled", async () => {
+    const purchaseOrder = await createSentPurchaseOrder(10)
+
+    await adminRequest("post", `/api/admin/purchase-orders/${purchaseOrder._id}/receive`)
+      .send({ items: [{ itemId: purchaseOrder.items[0]._id, quantity: 3 }] })
+      .expect(200)
+
+    const response = await adminRequest("post", `/api/admin/purchase-orders/${purchaseOrder._id}/cancel`)
+      .send({ reason: "Supplier out of stock" })
+      .expect(200)
+
+    expect(response.body.data.status).toBe("cancelled")
+    expect(await stockOf("9", "black")).toBe(13)
+
+    await adminRequest("post", `/api/admin/purchase-orders/${purchaseOrder._id}/receive`).expect(400)
+  })
+
+  describe("Reorder suggestions", () => {
+    const getSuggestions = async () => {
+      const response = await adminRequest("get", "/api/admin/inventory/reorder-suggestions").expect(200)
+      return response.body.data.suggestions
+    }
+
+    beforeEach(async () => {
+      // 30 units sold in the last 30 days: one a day
+      await new Order({
+        orderNumber: "ORD-123456789-001",
+        user: admin._id,
+        items: [
+          {
+            product: product._id,
+            productSnapshot: { name: product.name, brand: product.brand },
+            variant: { size: "9", color: "black", sku: "TEST-RUN-BLK-9" },
+            quantity: 30,
+            price: 99.99,
+            totalPrice: 2999.7,
+          },
+        ],
+        subtotal: 2999.7,
+        tax: 0,
+        shippingCost: 0,
+        totalAmount: 2999.7,
+        shippingAddress: global.mockOrder.shippingAddress,
+        status: "delivered",
+        payment: { method: "dummy", status: "completed" },
+      }).save()
+    })
+
+    it("should suggest variants that won't last the supplier's lead time", async () => {
+      const suggestions = await getSuggestions()
+
+      // 10 in stock < 2 threshold + 1/day * 10 days; top up to 2 + 1/day * (10 + 30) days
+      expect(suggestions).toEqual([
+        expect.objectContaining({ sku: "TEST-RUN-BLK-9", dailyVelocity: 1, daysOfStock: 10, suggestedQuantity: 32 }),
+      ])
+      expect(suggestions[0].supplier.code).toBe("TEST-SUP")
+    })
+
+    it("should turn suggestions into draft POs and count them as on order", async () => {
+      const response = await adminRequest("post", "/api/admin/purchase-orders/from-suggestions").send({}).expect(201)
+
+      expect(response.body.data.purchaseOrders).toHaveLength(1)
+      expect(response.body.data.purchaseOrders[0].status).toBe("draft")
+      expect(response.body.data.purchaseOrders[0].items[0].quantityOrdered).toBe(32)
+
+      expect(await getSuggestions()).toHaveLength(0)
+    })
+  })
+})
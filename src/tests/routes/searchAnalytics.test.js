@@ -0,0 +1,150 @@
+/**
+ * Search Analytics Tests
+ *
+ * Covers logging product searches and following them to purchases:
+ * - Searches logged with query, result count, latency and searcher
+ * - Clicks and add-to-carts recorded against the shopper's own searches
+ * - Orders credited to the searches their products were picked from
+ * - Top query, zero-result and conversion reports, counting only paid orders
+ */
+
+const request = require("supertest")
+const mongoose = require("mongoose")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const SearchEvent = require("../../models/SearchEvent")
+
+describe("Search Analytics", () => {
+  let adminToken
+  let customerToken
+  let customer
+  let product
+
+  const search = async (text, token, query = {}) => {
+    const call = request(app)
+      .get("/api/products")
+      .query({ search: text, ...query })
+    if (token) call.set("Authorization", `Bearer ${token}`)
+
+    const response = await call.expect(200)
+    return response.body.data.searchId
+  }
+
+  const interact = (searchId, token, body) => {
+    const call = request(app).post(`/api/analytics/search/${searchId}/interactions`).send(body)
+    return token ? call.set("Authorization", `Bearer ${token}`) : call
+  }
+
+  const report = (name, token = adminToken) =>
+    request(app).get(`/api/analytics/search/${name}`).set("Authorization", `Bearer ${token}`)
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    customer = await new User(global.mockUsers.customer).save()
+    product = await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+    customerToken = await global.loginUser(global.mockUsers.customer)
+  })
+
+  it("should log the first page of each search", async () => {
+    const searchId = await search("  Running   SHOES ", customerToken)
+    expect(searchId).toBeDefined()
+    expect(await search("running shoes", customerToken, { page: 2 })).toBeUndefined()
+
+    const event = await SearchEvent.findById(searchId)
+    expect(event.query).toBe("running shoes")
+    expect(event.resultCount).toBe(1)
+    expect(String(event.user)).toBe(String(customer._id))
+    expect(event.latencyMs).toBeGreaterThanOrEqual(0)
+
+    const anonymous = await SearchEvent.findById(await search("xyzzy"))
+    expect(anonymous.resultCount).toBe(0)
+    expect(anonymous.user).toBeUndefined()
+
+    expect(await SearchEvent.countDocuments()).toBe(2)
+  })
+
+  it("should only take interactions from the shopper who searched", async () => {
+    const searchId = await search("running", customerToken)
+    const click = { type: "click", product: String(product._id), position: 1 }
+
+    await interact(searchId, customerToken, { ...click, type: "view" }).expect(400)
+    await interact(searchId, customerToken, { ...click, position: 0 }).expect(400)
+    await interact(searchId, adminToken, click).expect(404)
+    await interact(searchId, null, click).expect(404)
+    await interact(new mongoose.Types.ObjectId(), customerToken, click).expect(404)
+
+    await interact(searchId, customerToken, click).expect(201)
+    await interact(searchId, customerToken, { ...click, type: "add_to_cart" }).expect(201)
+
+    const event = await SearchEvent.findById(searchId)
+    expect(event.interactions.map((interaction) => interaction.type)).toEqual(["click", "add_to_cart"])
+  })
+
+  it("should credit orders to searches and report conversion", async () => {
+    const searchId = await search("running", customerToken)
+    await search("running")
+    await search("xyzzy", customerToken)
+
+    await interact(searchId, customerToken, { type: "click", product: String(product._id) }).expect(201)
+
+    const order = await request(app)
+      .post("/api/orders")
+      .set("Authorization", `Bearer ${customerToken}`)
+      .send({
+        items: [{ product: product._id, variant: { size: "9", color: "black" }, quantity: 1 }],
+        shippingAddress: global.mockOrder.shippingAddress,
+        shippingMethod: "standard",
+      })
+      .expect(201)
+
+    const event = await SearchEvent.findById(searchId)
+    expect(event.conversions).toHaveLength(1)
+    expect(String(event.conversions[0].order)).toBe(order.body.data.order._id)
+    expect(event.conversions[0].revenue).toBe(99.99)
+
+    // Not a conversion until it's paid
+    const unpaid = await report("conversion").expect(200)
+    expect(unpaid.body.data).toMatchObject({ conversionRate: 0, orders: 0, revenue: 0 })
+    const unpaidQueries = await report("top-queries").expect(200)
+    expect(unpaidQueries.body.data.queries[0]).toMatchObject({ query: "running", conversionRate: 0 })
+
+    await request(app)
+      .post("/api/payments/dummy-payment")
+      .set("Authorization", `Bearer ${customerToken}`)
+      .send({ orderId: order.body.data.order._id })
+      .expect(200)
+
+    const topQueries = await report("top-queries").expect(200)
+    expect(topQueries.body.data.queries).toMatchObject([
+      { query: "running", searches: 2, averageResults: 1, clickThroughRate: 50, conversionRate: 50 },
+      { query: "xyzzy", searches: 1, zeroResultSearches: 1, clickThroughRate: 0 },
+    ])
+
+    const zeroResults = await report("zero-results").expect(200)
+    expect(zeroResults.body.data.queries).toMatchObject([{ query: "xyzzy", searches: 1, searchers: 1 }])
+
+    const conversion = await report("conversion").expect(200)
+    expect(conversion.body.data).toMatchObject({
+      searches: 3,
+      zeroResultRate: 33.3,
+      clickThroughRate: 33.3,
+      addToCartRate: 0,
+      conversionRate: 33.3,
+      orders: 1,
+      revenue: 99.99,
+    })
+
+    await report("conversion", customerToken).expect(403)
+    await report("top-queries").query({ startDate: "2020-02-01", endDate: "2020-01-01" }).expect(400)
+  })
+})
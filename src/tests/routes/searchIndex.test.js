@@ -0,0 +1,103 @@
+/**
+ * Search Index Tests
+ *
+ * Covers product text search through the built-in search index:
+ * - BM25 ranking with name matches above description matches
+ * - Incremental updates from product saves, updates and deletes
+ * - Full reindex through the admin API
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const { searchProducts } = require("../../services/searchIndexService")
+
+describe("Search Index", () => {
+  let adminToken
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+
+  const searchSlugs = async (search, query = {}) => {
+    const response = await request(app)
+      .get("/api/products")
+      .query({ search, ...query })
+      .expect(200)
+    return response.body.data.products.map((product) => product.slug)
+  }
+
+  const createProduct = (name, description, sku) =>
+    new Product({
+      ...global.mockProduct,
+      name,
+      description,
+      variants: [{ size: "9", color: "black", sku, price: 90, stock: 4 }],
+    }).save()
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+    await adminRequest("post", "/api/admin/search/reindex").expect(200)
+  })
+
+  it("should rank name matches above description matches", async () => {
+    await createProduct("Trail Runner", "Grippy outsole for the mountains", "TRAIL-RUN-BLK-9")
+    await createProduct("City Walker", "Light enough for a trail now and then", "CITY-WALK-BLK-9")
+
+    // Best match first, though the walker is newer
+    expect(await searchSlugs("trail")).toEqual(["trail-runner", "city-walker"])
+    expect(await searchSlugs("trail", { sortBy: "name", sortOrder: "asc" })).toEqual(["city-walker", "trail-runner"])
+
+    // Any of the words; plurals match their singular
+    expect(await searchSlugs("walkers mountains")).toEqual(["city-walker", "trail-runner"])
+    expect(await searchSlugs("the")).toEqual([])
+
+    const page = await request(app).get("/api/products").query({ search: "trail", limit: 1, page: 2 }).expect(200)
+    expect(page.body.data.products.map((product) => product.slug)).toEqual(["city-walker"])
+    expect(page.body.data.pagination.totalItems).toBe(2)
+  })
+
+  it("should follow product saves, updates and deletes", async () => {
+    const product = await createProduct("Zephyr Racer", "Carbon plate", "ZEPH-RACE-BLK-9")
+    expect(await searchSlugs("racers")).toEqual(["zephyr-racer"])
+
+    await Product.findByIdAndUpdate(product._id, { name: "Mistral Racer", slug: "mistral-racer" })
+    expect(await searchSlugs("zephyr")).toEqual([])
+    expect(await searchSlugs("mistral")).toEqual(["mistral-racer"])
+
+    // Stock changes leave the index alone; deletes remove the product
+    await Product.findByIdAndUpdate(product._id, { $inc: { "variants.0.stock": 1 } })
+    expect(await searchSlugs("mistral")).toEqual(["mistral-racer"])
+
+    await product.deleteOne()
+    expect(await searchProducts("mistral")).toEqual([])
+  })
+
+  it("should pick up products written around the model after a reindex", async () => {
+    await Product.collection.insertOne({
+      name: "Harbour Loafer",
+      slug: "harbour-loafer",
+      brand: "Quayside",
+      description: "Suede loafer",
+      category: "casual",
+      isActive: true,
+      variants: [],
+    })
+
+    expect(await searchSlugs("loafer")).toEqual([])
+
+    const response = await adminRequest("post", "/api/admin/search/reindex").expect(200)
+    expect(response.body.data).toMatchObject({ engine: "memory", documents: 2 })
+
+    expect(await searchSlugs("loafer")).toEqual(["harbour-loafer"])
+  })
+})
@@ -0,0 +1,126 @@
+/**
+ * Search Suggestion Tests
+ *
+ * Covers GET /api/products/suggest:
+ * - Prefix matches on product names, brands and tags
+ * - Typo correction by edit distance ("did you mean"), for a limited number of words
+ * - Synonym groups maintained by admins
+ * - Popular queries from logged searches
+ * - Per-IP rate limiting
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+const { invalidateSuggestionCache, recordSearch } = require("../../services/searchSuggestionService")
+const { SEARCH_SUGGESTIONS, RATE_LIMITS } = require("../../utils/constants")
+
+describe("Search Suggestions", () => {
+  let adminToken
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+
+  const suggest = async (q) => {
+    const response = await request(app).get("/api/products/suggest").query({ q }).expect(200)
+    return response.body.data
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    invalidateSuggestionCache()
+
+    await new User(global.mockUsers.admin).save()
+    await new Product(global.mockProduct).save()
+    await new Product({
+      ...global.mockProduct,
+      name: "Adidas Samba",
+      brand: "Adidas",
+      category: "casual",
+      tags: ["sneakers", "classic"],
+      variants: [{ size: "9", color: "white", sku: "ADI-SAMBA-WHT-9", price: 100, stock: 5 }],
+    }).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+  })
+
+  it("should suggest products, brands and tags by prefix", async () => {
+    const suggestions = await suggest("ad")
+
+    expect(suggestions.didYouMean).toBeNull()
+    expect(suggestions.brands).toEqual(["Adidas"])
+    expect(suggestions.products.map((product) => product.slug)).toEqual(["adidas-samba"])
+
+    const tagged = await suggest("sneak")
+    expect(tagged.tags).toEqual(["sneakers"])
+    expect(tagged.products.map((product) => product.slug)).toEqual(["adidas-samba"])
+
+    expect(await suggest("a")).toMatchObject({ products: [], brands: [], queries: [] })
+  })
+
+  it("should correct typos and say what it searched for instead", async () => {
+    const misspelt = await suggest("addidas")
+    expect(misspelt.didYouMean).toBe("adidas")
+    expect(misspelt.products.map((product) => product.slug)).toEqual(["adidas-samba"])
+
+    // The last word may still be being typed
+    expect((await suggest("runing sh")).didYouMean).toBe("running sh")
+    expect((await suggest("addi")).didYouMean).toBe("adidas")
+
+    // Nothing close enough is left alone
+    expect(await suggest("xylophone")).toMatchObject({ didYouMean: null, products: [] })
+  })
+
+  it("should only correct the first words of a long query, and words of a reasonable length", async () => {
+    const typed = Array(SEARCH_SUGGESTIONS.MAX_CORRECTED_WORDS + 1).fill("addidas")
+    const corrected = [...Array(SEARCH_SUGGESTIONS.MAX_CORRECTED_WORDS).fill("adidas"), "addidas"]
+    expect((await suggest(typed.join(" "))).didYouMean).toBe(corrected.join(" "))
+
+    const longWord = "a".repeat(SEARCH_SUGGESTIONS.MAX_CORRECTED_WORD_LENGTH + 1)
+    expect((await suggest(longWord)).didYouMean).toBeNull()
+  })
+
+  it("should rate limit suggestions per IP", async () => {
+    const response = await request(app).get("/api/products/suggest").query({ q: "ad" }).expect(200)
+
+    expect(response.headers["ratelimit-limit"]).toBe(String(RATE_LIMITS.SUGGEST.max))
+  })
+
+  it("should expand synonym groups maintained by admins", async () => {
+    expect((await suggest("trainers")).products).toEqual([])
+
+    const created = await adminRequest("post", "/api/admin/search-synonyms")
+      .send({ terms: ["Trainers", "sneakers"] })
+      .expect(201)
+    expect(created.body.data.terms).toEqual(["trainers", "sneakers"])
+
+    await adminRequest("post", "/api/admin/search-synonyms").send({ terms: ["kicks", "sneakers"] }).expect(409)
+    await adminRequest("post", "/api/admin/search-synonyms").send({ terms: ["kicks", "Kicks"] }).expect(400)
+
+    expect((await suggest("trainers")).products.map((product) => product.slug)).toEqual(["adidas-samba"])
+    expect((await suggest("train")).products.map((product) => product.slug)).toEqual(["adidas-samba"])
+
+    await adminRequest("delete", `/api/admin/search-synonyms/${created.body.data._id}`).expect(200)
+    expect((await suggest("trainers")).products).toEqual([])
+  })
+
+  it("should rank popular queries that found products", async () => {
+    await recordSearch("adidas samba", 1)
+    await recordSearch("Adidas  Samba", 1)
+    await recordSearch("adidas running", 1)
+    await recordSearch("adidas gazelle", 0)
+
+    const suggestions = await suggest("adi")
+
+    expect(suggestions.queries).toEqual([
+      { query: "adidas samba", searches: 2 },
+      { query: "adidas running", searches: 1 },
+    ])
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Session Routes Tests
+ *
+ * Covers refresh token rotation and server-side session revocation:
+ * - Login issues access + refresh tokens backed by a session
+ * - POST /api/auth/refresh rotates the refresh token
+ * - Refresh token reuse revokes the whole token family
+ * - GET/DELETE /api/auth/sessions list and revoke sessions
+ * - Logout revokes the current session
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Session = require("../../models/Session")
+
+describe("Session Routes", () => {
+  const credentials = {
+    email: global.mockUsers.customer.email,
+    password: global.mockUsers.customer.password,
+  }
+
+  const login = async () => {
+    const response = await request(app).post("/api/auth/login").send(credentials).expect(200)
+    return response.body.data
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.customer).save()
+  })
+
+  describe("POST /api/auth/login", () => {
+    it("should issue an access token and a refresh token", async () => {
+      const data = await login()
+
+      expect(data.token).toBeDefined()
+      expect(data.refreshToken).toBeDefined()
+      expect(await Session.countDocuments()).toBe(1)
+    })
+  })
+
+  describe("POST /api/auth/refresh", () => {
+    it("should rotate the refresh token", async () => {
+      const { refreshToken } = await login()
+
+      const response = await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(200)
+
+      expect(response.body.data.token).toBeDefined()
+      expect(response.body.data.refreshToken).toBeDefined()
+      expect(response.body.data.refreshToken).not.toBe(refreshToken)
+    })
+
+    it("should revoke the token family when a rotated token is reused", async () => {
+      const { refreshToken } = await login()
+
+      const first = await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(200)
+
+      // Replay the original (already rotated) token
+      const replay = await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(401)
+      expect(replay.body.code).toBe("TOKEN_REUSE")
+
+      // The legitimately rotated token is now dead too
+      await request(app).post("/api/auth/refresh").send({ refreshToken: first.body.data.refreshToken }).expect(401)
+
+      // And so is the access token issued from that family
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${first.body.data.token}`).expect(401)
+    })
+
+    it("should reject a missing refresh token", async () => {
+      await request(app).post("/api/auth/refresh").send({}).expect(400)
+    })
+  })
+
+  describe("Sessions management", () => {
+    it("should list active sessions and flag the current one", async () => {
+      await login()
+      const { token } = await login()
+
+      const response = await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${token}`).expect(200)
+
+      expect(response.body.data.sessions).toHaveLength(2)
+      expect(response.body.data.sessions.filter((s) => s.current)).toHaveLength(1)
+    })
+
+    it("should revoke another session and reject its access token", async () => {
+      const other = await login()
+      const { token } = await login()
+
+      const list = await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${token}`)
+      const otherSession = list.body.data.sessions.find((s) => !s.current)
+
+      await request(app)
+        .delete(`/api/auth/sessions/${otherSession.id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${other.token}`).expect(401)
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${token}`).expect(200)
+    })
+
+    it("should revoke the current session on logout", async () => {
+      const { token, refreshToken } = await login()
+
+      await request(app).post("/api/auth/logout").set("Authorization", `Bearer ${token}`).expect(200)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${token}`).expect(401)
+      await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(401)
+    })
+  })
+})
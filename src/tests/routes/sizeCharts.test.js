@@ -0,0 +1,121 @@
+/**
+ * Size Chart Tests
+ *
+ * Covers international size conversion:
+ * - Product responses show each variant's size in US, UK, EU and cm
+ * - The size filter accepts any size system
+ * - Kids' and other sizes no chart covers are found and counted as stored
+ * - Brand charts maintained by admins override the generic chart
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Product = require("../../models/Product")
+
+describe("Size Charts", () => {
+  let adminToken
+
+  const adminRequest = (method, path) => request(app)[method](path).set("Authorization", `Bearer ${adminToken}`)
+
+  const slugsInSize = async (size, sizeSystem) => {
+    const response = await request(app).get("/api/products").query({ size, sizeSystem }).expect(200)
+    return response.body.data.products.map((product) => product.slug).sort()
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.admin).save()
+    await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    adminToken = await global.loginUser(global.mockUsers.admin)
+  })
+
+  it("should show each variant's size in every system", async () => {
+    const response = await request(app).get("/api/products/test-running-shoe").expect(200)
+
+    expect(response.body.data.product.variants.map((variant) => variant.sizes)).toEqual([
+      { us_men: "9", us_women: "10.5", uk: "8.5", eu: "42.5", cm: "27" },
+      { us_men: "10", us_women: "11.5", uk: "9.5", eu: "44", cm: "28" },
+    ])
+  })
+
+  it("should filter by a size in any system", async () => {
+    expect(await slugsInSize("9")).toEqual(["test-running-shoe"])
+    expect(await slugsInSize("42.5", "eu")).toEqual(["test-running-shoe"])
+    expect(await slugsInSize("9,5", "uk")).toEqual(["test-running-shoe"])
+    expect(await slugsInSize("28", "cm")).toEqual(["test-running-shoe"])
+    expect(await slugsInSize("40", "eu")).toEqual([])
+
+    await request(app).get("/api/products").query({ size: "42", sizeSystem: "jp" }).expect(400)
+
+    // Sizes stored in EU convert the other way
+    await new Product({
+      ...global.mockProduct,
+      name: "Euro Runner",
+      slug: "euro-runner",
+      variants: [
+        { size: "42", color: "red", sku: "EURO-RUN-RED-42", price: 110, stock: 3, options: { size_system: "eu" } },
+      ],
+    }).save()
+
+    expect(await slugsInSize("8.5")).toEqual(["euro-runner"])
+    expect(await slugsInSize("42", "eu")).toEqual(["euro-runner"])
+  })
+
+  it("should find and count kids' sizes as stored", async () => {
+    await new Product({
+      ...global.mockProduct,
+      name: "Kids Runner",
+      slug: "kids-runner",
+      variants: [
+        { size: "3Y", color: "blue", sku: "KIDS-RUN-BLU-3Y", price: 60, stock: 4, options: { size_system: "us_kids" } },
+      ],
+    }).save()
+
+    expect(await slugsInSize("3Y")).toEqual(["kids-runner"])
+    expect(await slugsInSize("3y", "eu")).toEqual(["kids-runner"])
+    expect(await slugsInSize("9")).toEqual(["test-running-shoe"])
+
+    const response = await request(app).get("/api/products/search").expect(200)
+    expect(response.body.data.facets.sizes.map((size) => size.value)).toContain("3Y")
+  })
+
+  it("should convert with a brand's own chart once an admin adds one", async () => {
+    await adminRequest("put", "/api/admin/size-charts/TestBrand")
+      .send({ sizes: [{ us_men: "9", eu: "43" }, { us_men: "9" }] })
+      .expect(400)
+    await adminRequest("put", "/api/admin/size-charts/TestBrand").send({ sizes: [{ eu: "43" }] }).expect(400)
+
+    const created = await adminRequest("put", "/api/admin/size-charts/TestBrand")
+      .send({
+        name: "TestBrand running",
+        sizes: [
+          { us_men: 9, uk: "8.5", eu: "43" },
+          { us_men: "10", uk: "9.5", eu: "44,0" },
+        ],
+      })
+      .expect(201)
+    expect(created.body.data.brand).toBe("testbrand")
+    expect(created.body.data.sizes[1].eu).toBe("44")
+
+    expect(await slugsInSize("42.5", "eu")).toEqual([])
+    expect(await slugsInSize("43", "eu")).toEqual(["test-running-shoe"])
+
+    const product = await request(app).get("/api/products/test-running-shoe").expect(200)
+    expect(product.body.data.product.variants[0].sizes).toEqual({ us_men: "9", uk: "8.5", eu: "43" })
+
+    const charts = await adminRequest("get", "/api/admin/size-charts").expect(200)
+    expect(charts.body.data.charts.map((chart) => chart.brand)).toEqual(["testbrand"])
+
+    await adminRequest("delete", "/api/admin/size-charts/testbrand").expect(200)
+    await adminRequest("get", "/api/admin/size-charts/testbrand").expect(404)
+    expect(await slugsInSize("42.5", "eu")).toEqual(["test-running-shoe"])
+  })
+})
@@ -0,0 +1,174 @@
+/**
+ * Stock Concurrency Tests
+ *
+ * Proves stock can't be oversold when orders race for the same units:
+ * - Parallel decrements never take a variant below zero
+ * - Multi-item reservations are all or nothing
+ * - Parallel orders through the API sell exactly the stock on hand
+ * - Product edits never write back stale stock
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Order = require("../../models/Order")
+const Product = require("../../models/Product")
+const StockReservation = require("../../models/StockReservation")
+const { updateStock, reserveStock } = require("../../services/inventoryService")
+
+describe("Stock Concurrency", () => {
+  let product
+
+  const shippingAddress = { firstName: "Test", lastName: "Customer", ...global.mockOrder.shippingAddress }
+
+  const line = (size, color, quantity = 1) => ({ product: product._id, variant: { size, color }, quantity })
+
+  const stockOf = async (size, color) => {
+    const current = await Product.findById(product._id)
+    return current.getVariant(size, color).stock
+  }
+
+  const inParallel = (count, task) => Promise.all(Array.from({ length: count }, (_, index) => task(index)))
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    product = await new Product(global.mockProduct).save()
+  })
+
+  describe("updateStock", () => {
+    it("should never go below zero under parallel decrements", async () => {
+      const results = await inParallel(25, () => updateStock(product._id, "9", "black", 1, "decrease"))
+
+      expect(results.filter((result) => result.success)).toHaveLength(10)
+      expect(results.filter((result) => !result.success).every((result) => result.available === 0)).toBe(true)
+      expect(await stockOf("9", "black")).toBe(0)
+    })
+
+    it("should not lose parallel increases", async () => {
+      await inParallel(20, () => updateStock(product._id, "10", "white", 2, "increase"))
+
+      expect(await stockOf("10", "white")).toBe(45)
+    })
+
+    it("should reject quantities that aren't positive integers", async () => {
+      const result = await updateStock(product._id, "9", "black", -3, "increase")
+
+      expect(result.success).toBe(false)
+      expect(await stockOf("9", "black")).toBe(10)
+    })
+  })
+
+  describe("reserveStock", () => {
+    it("should take all items or none", async () => {
+      // Size 10 runs out first; every reservation wants one of each
+      const results = await inParallel(8, () => reserveStock([line("9", "black"), line("10", "white")]))
+
+      expect(results.filter((result) => result.success)).toHaveLength(5)
+      expect(await stockOf("10", "white")).toBe(0)
+      expect(await stockOf("9", "black")).toBe(5)
+    })
+
+    it("should report the line that ran short", async () => {
+      const result = await reserveStock([line("9", "black", 2), line("10", "white", 6)])
+
+      expect(result.success).toBe(false)
+      expect(result.item.variant.size).toBe("10")
+      expect(result.available).toBe(5)
+      expect(await stockOf("9", "black")).toBe(10)
+    })
+  })
+
+  describe("POST /api/orders", () => {
+    let customerToken
+
+    beforeEach(async () => {
+      await new User(global.mockUsers.customer).save()
+
+      global.resetAuthRateLimits()
+
+      customerToken = await global.loginUser(global.mockUsers.customer)
+    })
+
+    it("should sell exactly the stock on hand to parallel orders", async () => {
+      const responses = await inParallel(12, () =>
+        request(app)
+          .post("/api/orders")
+          .set("Authorization", `Bearer ${customerToken}`)
+          .send({
+            items: [{ product: product._id, variant: { size: "10", color: "white" }, quantity: 1 }],
+            shippingAddress,
+          }),
+      )
+
+      const placed = responses.filter((response) => response.status === 201)
+      const rejected = responses.filter((response) => response.status === 400)
+
+      expect(placed).toHaveLength(5)
+      expect(rejected).toHaveLength(7)
+      expect(rejected[0].body.message).toContain("Only 0 items available")
+
+      expect(await stockOf("10", "white")).toBe(0)
+      expect(await Order.countDocuments()).toBe(5)
+      expect(await StockReservation.countDocuments({ status: "active" })).toBe(5)
+    })
+  })
+
+  describe("PUT /api/products/:id", () => {
+    let customerToken
+    let staffToken
+
+    // The variants as an edit form would send them back, with the stock it read
+    const editVariants = (variants) =>
+      request(app).put(`/api/products/${product._id}`).set("Authorization", `Bearer ${staffToken}`).send({ variants })
+
+    beforeEach(async () => {
+      await new User(global.mockUsers.customer).save()
+      await new User(global.mockUsers.staff).save()
+
+      global.resetAuthRateLimits()
+
+      customerToken = await global.loginUser(global.mockUsers.customer)
+      staffToken = await global.loginUser(global.mockUsers.staff)
+    })
+
+    it("should keep existing variants' stock and only take stock for new variants", async () => {
+      const response = await editVariants([
+        { ...global.mockProduct.variants[0], price: 89.99, stock: 99 },
+        global.mockProduct.variants[1],
+        { size: "11", color: "black", sku: "TEST-RUN-BLK-11", price: 99.99, stock: 3 },
+      ]).expect(200)
+
+      const variants = response.body.data.product.variants
+      expect(variants.map(({ sku, stock, price }) => [sku, stock, price])).toEqual([
+        ["TEST-RUN-BLK-9", 10, 89.99],
+        ["TEST-RUN-WHT-10", 5, 99.99],
+        ["TEST-RUN-BLK-11", 3, 99.99],
+      ])
+    })
+
+    it("should not overwrite stock sold while the product is being edited", async () => {
+      const order = () =>
+        request(app)
+          .post("/api/orders")
+          .set("Authorization", `Bearer ${customerToken}`)
+          .send({
+            items: [{ product: product._id, variant: { size: "10", color: "white" }, quantity: 1 }],
+            shippingAddress,
+          })
+
+      const [edit, ...orders] = await Promise.all([
+        editVariants(global.mockProduct.variants.map((variant) => ({ ...variant, price: 79.99 }))),
+        ...Array.from({ length: 3 }, order),
+      ])
+
+      expect([200, 409]).toContain(edit.status)
+      expect(orders.every((response) => response.status === 201)).toBe(true)
+      expect(await stockOf("10", "white")).toBe(2)
+      expect(await StockReservation.countDocuments({ status: "active" })).toBe(3)
+    })
+  })
+})
@@ -0,0 +1,276 @@
+/**
+ * Stock Reservation Tests
+ *
+ * Covers time-bounded stock holds:
+ * - Starting checkout holds the cart's items
+ * - Placing the order takes over the checkout holds
+ * - Expired holds go back on sale and the unpaid order is cancelled, and can't be paid afterwards
+ * - Payment commits the holds
+ * - Admin report of reserved versus available stock
+ * - Stock counts taken while units are held
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Cart = require("../../models/Cart")
+const Order = require("../../models/Order")
+const Product = require("../../models/Product")
+const StockReservation = require("../../models/StockReservation")
+const { releaseExpiredHolds } = require("../../services/reservationService")
+
+describe("Stock Reservations", () => {
+  let customer
+  let customerToken
+  let product
+
+  const shippingAddress = { firstName: "Test", lastName: "Customer", ...global.mockOrder.shippingAddress }
+
+  const stockOf = async (size, color) => {
+    const current = await Product.findById(product._id)
+    return current.getVariant(size, color).stock
+  }
+
+  const fillCart = (quantity) =>
+    Cart.create({
+      user: customer._id,
+      items: [
+        {
+          product: product._id,
+          variant: { size: "9", color: "black", sku: "TEST-RUN-BLK-9", price: 99.99 },
+          quantity,
+        },
+      ],
+    })
+
+  const startCheckout = () =>
+    request(app).post("/api/cart/checkout").set("Authorization", `Bearer ${customerToken}`)
+
+  const placeOrder = async () => {
+    const response = await request(app)
+      .post("/api/orders")
+      .set("Authorization", `Bearer ${customerToken}`)
+      .send({ shippingAddress, shippingMethod: "standard" })
+      .expect(201)
+
+    return response.body.data
+  }
+
+  // Move a holder's holds into the past
+  const expireHolds = (filter) => StockReservation.updateMany(filter, { expiresAt: new Date(Date.now() - 1000) })
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    customer = await new User(global.mockUsers.customer).save()
+    product = await new Product(global.mockProduct).save()
+
+    global.resetAuthRateLimits()
+
+    customerToken = await global.loginUser(global.mockUsers.customer)
+  })
+
+  describe("POST /api/cart/checkout", () => {
+    it("should hold the cart's items", async () => {
+      await fillCart(2)
+
+      const response = await startCheckout().expect(200)
+
+      expect(response.body.data.reservations).toHaveLength(1)
+      expect(new Date(response.body.data.expiresAt).getTime()).toBeGreaterThan(Date.now())
+      expect(await stockOf("9", "black")).toBe(8)
+    })
+
+    it("should refresh the holds rather than hold twice", async () => {
+      await fillCart(2)
+      await startCheckout().expect(200)
+      await Cart.updateOne({ user: customer._id }, { $set: { "items.0.quantity": 3 } })
+
+      await startCheckout().expect(200)
+
+      expect(await StockReservation.countDocuments({ status: "active" })).toBe(1)
+      expect(await stockOf("9", "black")).toBe(7)
+    })
+
+    it("should reject an empty cart", async () => {
+      await startCheckout().expect(400)
+    })
+
+    it("should reject more than is in stock", async () => {
+      await fillCart(11)
+
+      await startCheckout().expect(400)
+      expect(await stockOf("9", "black")).toBe(10)
+    })
+  })
+
+  describe("Order holds", () => {
+    it("should move the checkout holds to the order", async () => {
+      await fillCart(2)
+      await startCheckout().expect(200)
+
+      const { order, reservation } = await placeOrder()
+
+      expect(reservation.expiresAt).toBeDefined()
+      expect(await stockOf("9", "black")).toBe(8)
+
+      const holds = await StockReservation.find({ status: "active" })
+      expect(holds).toHaveLength(1)
+      expect(holds[0].order.toString()).toBe(order._id)
+    })
+
+    it("should release expired holds and cancel the unpaid order", async () => {
+      await fillCart(2)
+      const { order } = await placeOrder()
+      await expireHolds({ order: order._id })
+
+      const result = await releaseExpiredHolds()
+
+      expect(result).toEqual({ released: 1, cancelledOrders: 1 })
+      expect(await stockOf("9", "black")).toBe(10)
+
+      const cancelled = await Order.findById(order._id)
+      expect(cancelled.status).toBe("cancelled")
+      expect(cancelled.payment.status).toBe("cancelled")
+
+      // The cancelled order can no longer be paid
+      const pay = (path, body) => request(app).post(path).set("Authorization", `Bearer ${customerToken}`).send(body)
+      await pay("/api/payments/create-intent", { orderId: order._id }).expect(400)
+      await pay("/api/payments/dummy-payment", { orderId: order._id }).expect(400)
+      await pay(`/api/payments/${order._id}/retry`, { paymentMethodId: "pm_card_visa" }).expect(400)
+
+      expect((await Order.findById(order._id)).status).toBe("cancelled")
+      expect(await stockOf("9", "black")).toBe(10)
+    })
+
+    it("should release expired checkout holds without touching orders", async () => {
+      await fillCart(2)
+      await startCheckout().expect(200)
+      await expireHolds({ user: customer._id })
+
+      const result = await releaseExpiredHolds()
+
+      expect(result).toEqual({ released: 1, cancelledOrders: 0 })
+      expect(await stockOf("9", "black")).toBe(10)
+    })
+
+    it("should commit the holds once the order is paid", async () => {
+      await fillCart(2)
+      const { order } = await placeOrder()
+
+      await request(app)
+        .post("/api/payments/dummy-payment")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .send({ orderId: order._id })
+        .expect(200)
+
+      const holds = await StockReservation.find({ order: order._id })
+      expect(holds.map((hold) => hold.status)).toEqual(["committed"])
+
+      // Committed holds are no longer swept up by the expiry job
+      await expireHolds({ order: order._id })
+      await releaseExpiredHolds()
+      expect(await stockOf("9", "black")).toBe(8)
+    })
+
+    it("should return a cancelled order's held stock once", async () => {
+      await fillCart(2)
+      const { order } = await placeOrder()
+
+      await request(app)
+        .put(`/api/orders/${order._id}/cancel`)
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(200)
+
+      await expireHolds({ order: order._id })
+      await releaseExpiredHolds()
+
+      expect(await stockOf("9", "black")).toBe(10)
+
+      await request(app)
+        .post("/api/payments/dummy-payment")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .send({ orderId: order._id })
+        .expect(400)
+      expect(await stockOf("9", "black")).toBe(10)
+    })
+  })
+
+  describe("Setting stock during a hold", () => {
+    let adminToken
+
+    const setStock = (body) =>
+      request(app)
+        .patch(`/api/admin/inventory/${product._id}/variant/${product.variants[0]._id}/stock`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(body)
+
+    beforeEach(async () => {
+      await new User(global.mockUsers.admin).save()
+      adminToken = await global.loginUser(global.mockUsers.admin)
+    })
+
+    it("should treat the count as on-hand stock, including held units", async () => {
+      await fillCart(2)
+      await startCheckout().expect(200)
+
+      await setStock({ stock: 12, reason: "stocktake" }).expect(200)
+      expect(await stockOf("9", "black")).toBe(10)
+
+      // Releasing the hold brings the count back to what was on the shelf
+      await expireHolds({ user: customer._id })
+      await releaseExpiredHolds()
+      expect(await stockOf("9", "black")).toBe(12)
+    })
+
+    it("should reject a count below the held units", async () => {
+      await fillCart(2)
+      await startCheckout().expect(200)
+
+      await setStock({ stock: 1, reason: "stocktake" }).expect(409)
+      expect(await stockOf("9", "black")).toBe(8)
+    })
+  })
+
+  describe("GET /api/admin/inventory/reservations", () => {
+    it("should report reserved versus available stock", async () => {
+      await new User(global.mockUsers.admin).save()
+      const adminToken = await global.loginUser(global.mockUsers.admin)
+      await fillCart(2)
+      await startCheckout().expect(200)
+
+      const response = await request(app)
+        .get("/api/admin/inventory/reservations")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.data.variants).toEqual([
+        expect.objectContaining({ size: "9", color: "black", available: 8, reserved: 2, onHand: 10, holds: 1 }),
+      ])
+      expect(response.body.data.totals).toEqual({ available: 8, reserved: 2, onHand: 10 })
+    })
+
+    it("should list every variant of one product", async () => {
+      await new User(global.mockUsers.admin).save()
+      const adminToken = await global.loginUser(global.mockUsers.admin)
+
+      const response = await request(app)
+        .get(`/api/admin/inventory/reservations?productId=${product._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.data.variants).toHaveLength(2)
+      expect(response.body.data.totals.reserved).toBe(0)
+    })
+
+    it("should be forbidden to customers", async () => {
+      await request(app)
+        .get("/api/admin/inventory/reservations")
+        .set("Authorization", `Bearer ${customerToken}`)
+        .expect(403)
+    })
+  })
+})
@@ -0,0 +1,168 @@
+/**
+ * Two-Factor Authentication Routes Tests
+ *
+ * Covers TOTP enrollment and the two-step login flow:
+ * - Enrollment returns a secret/otpauth URI and recovery codes on verification
+ * - Login returns a challenge token once 2FA is enabled
+ * - POST /api/auth/login/2fa accepts TOTP and single-use recovery codes
+ * - Required-role enforcement on the admin dashboard
+ */
+
+const request = require("supertest")
+const { app } = require("../../app")
+const User = require("../../models/User")
+const Setting = require("../../models/Setting")
+const { generateCode, getTimeStep } = require("../../utils/totp")
+
+describe("Two-Factor Authentication Routes", () => {
+  const credentials = {
+    email: global.mockUsers.customer.email,
+    password: global.mockUsers.customer.password,
+  }
+
+  const login = async (body = credentials) => {
+    const response = await request(app).post("/api/auth/login").send(body).expect(200)
+    return response.body.data
+  }
+
+  // Enroll the logged-in user, returning the secret and recovery codes
+  const enroll = async (token) => {
+    const setup = await request(app).post("/api/auth/2fa/setup").set("Authorization", `Bearer ${token}`).expect(200)
+    const { secret } = setup.body.data
+
+    const verify = await request(app)
+      .post("/api/auth/2fa/verify")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ code: generateCode(secret) })
+      .expect(200)
+
+    return { secret, recoveryCodes: verify.body.data.recoveryCodes }
+  }
+
+  beforeAll(global.connectTestDatabase)
+
+  afterAll(global.disconnectTestDatabase)
+
+  beforeEach(async () => {
+    await global.cleanupDatabase()
+    await new User(global.mockUsers.customer).save()
+  })
+
+  describe("Enrollment", () => {
+    it("should return an otpauth URI and enable 2FA after verification", async () => {
+      const { token } = await login()
+
+      const setup = await request(app).post("/api/auth/2fa/setup").set("Authorization", `Bearer ${token}`).expect(200)
+      expect(setup.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//)
+
+      await request(app)
+        .post("/api/auth/2fa/verify")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ code: "000000" })
+        .expect(400)
+
+      const verify = await request(app)
+        .post("/api/auth/2fa/verify")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ code: generateCode(setup.body.data.secret) })
+        .expect(200)
+
+      expect(verify.body.data.recoveryCodes).toHaveLength(10)
+
+      const me = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${token}`).expect(200)
+      expect(me.body.data.user.twoFactorEnabled).toBe(true)
+    })
+  })
+
+  describe("POST /api/auth/login/2fa", () => {
+    it("should require a second factor once 2FA is enabled", async () => {
+      const { token } = await login()
+      const { secret } = await enroll(token)
+
+      const data = await login()
+      expect(data.twoFactorRequired).toBe(true)
+      expect(data.token).toBeUndefined()
+
+      // Challenge tokens are not access tokens
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${data.challengeToken}`).expect(401)
+
+      // Use the next time step so the enrollment code is not a replay
+      const response = await request(app)
+        .post("/api/auth/login/2fa")
+        .send({ challengeToken: data.challengeToken, code: generateCode(secret, getTimeStep() + 1) })
+        .expect(200)
+
+      expect(response.body.data.token).toBeDefined()
+      expect(response.body.data.refreshToken).toBeDefined()
+    })
+
+    it("should reject an invalid code", async () => {
+      const { token } = await login()
+      await enroll(token)
+
+      const { challengeToken } = await login()
+
+      await request(app).post("/api/auth/login/2fa").send({ challengeToken, code: "000000" }).expect(401)
+    })
+
+    it("should accept a recovery code only once", async () => {
+      const { token } = await login()
+      const { recoveryCodes } = await enroll(token)
+
+      const first = await login()
+      const response = await request(app)
+        .post("/api/auth/login/2fa")
+        .send({ challengeToken: first.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(200)
+
+      expect(response.body.data.remainingRecoveryCodes).toBe(9)
+
+      const second = await login()
+      await request(app)
+        .post("/api/auth/login/2fa")
+        .send({ challengeToken: second.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401)
+    })
+
+    it("should not accept a challenge token again after a successful login", async () => {
+      const { token } = await login()
+      const { recoveryCodes } = await enroll(token)
+
+      const { challengeToken } = await login()
+
+      // A wrong code doesn't use the challenge up
+      await request(app).post("/api/auth/login/2fa").send({ challengeToken, code: "000000" }).expect(401)
+      await request(app)
+        .post("/api/auth/login/2fa")
+        .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(200)
+
+      const replay = await request(app)
+        .post("/api/auth/login/2fa")
+        .send({ challengeToken, recoveryCode: recoveryCodes[1] })
+        .expect(401)
+
+      expect(replay.body.message).toBe("Invalid or expired challenge. Please log in again.")
+    })
+  })
+
+  describe("Required enrollment", () => {
+    it("should block admin routes until an admin required to use 2FA enrolls", async () => {
+      await new User(global.mockUsers.admin).save()
+      await Setting.create({ key: "global", security: { twoFactorRequiredRoles: ["admin"] } })
+
+      const data = await login({ email: global.mockUsers.admin.email, password: global.mockUsers.admin.password })
+      expect(data.user.twoFactorSetupRequired).toBe(true)
+
+      const blocked = await request(app)
+        .get("/api/admin/dashboard")
+        .set("Authorization", `Bearer ${data.token}`)
+        .expect(403)
+      expect(blocked.body.code).toBe("TWO_FACTOR_SETUP_REQUIRED")
+
+      await enroll(data.token)
+
+      await request(app).get("/api/admin/dashboard").set("Authorization", `Bearer ${data.token}`).expect(200)
+    })
+  })
+})
@@ -193,6 +193,41 @@ global.createAuthenticatedUser = async (userData = global.mockUsers.customer) =>
   return { user, token }
 }
 
+/**
+ * Route Test Helpers
+ *
+ * Shared by the route test files: one database connection per file, a fresh
+ * auth rate-limit budget for each test, and signing in through the API.
+ */
+global.connectTestDatabase = async () => {
+  const mongoose = require("mongoose")
+  await mongoose.connect(process.env.MONGODB_URI)
+}
+
+global.disconnectTestDatabase = async () => {
+  const mongoose = require("mongoose")
+  await mongoose.connection.close()
+}
+
+// Supertest requests come from the loopback address, in either form
+global.resetAuthRateLimits = () => {
+  const { authLimiter, loginLimiter } = require("../middleware/rateLimiter")
+
+  for (const ip of ["::ffff:127.0.0.1", "127.0.0.1"]) {
+    authLimiter.resetKey(ip)
+    loginLimiter.resetKey(ip)
+  }
+}
+
+// Sign in with a password, returning the access token
+global.loginUser = async ({ email, password }) => {
+  const request = require("supertest")
+  const { app } = require("../app")
+
+  const response = await request(app).post("/api/auth/login").send({ email, password }).expect(200)
+  return response.body.data.token
+}
+
 /**
  * Mock External Services
  *
@@ -215,6 +250,8 @@ jest.mock("../services/emailService", () => ({
   sendOrderConfirmationEmail: jest.fn().mockResolvedValue({ success: true }),
   sendShippingNotificationEmail: jest.fn().mockResolvedValue({ success: true }),
   sendPasswordResetEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendMagicLinkEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendAccountDeletionScheduledEmail: jest.fn().mockResolvedValue({ success: true }),
 }))
 
 // Mock push notification service
@@ -223,8 +260,10 @@ jest.mock("../services/pushService", () => ({
   sendBulkPushNotification: jest.fn().mockResolvedValue({ success: true, totalSent: 1 }),
 }))
 
-// Mock Stripe service
+// Mock Stripe service (the authorise/capture helpers stay real: dummy
+// payments never reach Stripe)
 jest.mock("../services/paymentService", () => ({
+  ...jest.requireActual("../services/paymentService"),
   createStripePaymentIntent: jest.fn().mockResolvedValue({
     success: true,
     paymentIntent: { id: "pi_test_123", client_secret: "pi_test_123_secret" },
@@ -5,9 +5,79 @@ const USER_ROLES = {
   ADMIN: "admin",
 }
 
+// Named permissions checked by requirePermission()
+const PERMISSIONS = {
+  ADMIN_ACCESS: "admin:access", // admin dashboard API
+  STAFF_ACCESS: "staff:access", // staff dashboard API
+  PRODUCTS_WRITE: "products:write",
+  PRODUCTS_DELETE: "products:delete",
+  CATALOG_MANAGE: "catalog:manage", // categories and attribute definitions
+  INVENTORY_READ: "inventory:read",
+  INVENTORY_WRITE: "inventory:write",
+  LOCATIONS_MANAGE: "locations:manage", // warehouses/stores and staff location assignments
+  PURCHASING_MANAGE: "purchasing:manage", // suppliers and purchase orders
+  ORDERS_READ: "orders:read", // all customers' orders
+  ORDERS_UPDATE: "orders:update",
+  ORDERS_REFUND: "orders:refund",
+  CUSTOMERS_READ: "customers:read",
+  REVIEWS_MODERATE: "reviews:moderate",
+  COUPONS_READ: "coupons:read",
+  COUPONS_MANAGE: "coupons:manage",
+  FLASH_SALES_READ: "flash_sales:read",
+  FLASH_SALES_MANAGE: "flash_sales:manage",
+  ANALYTICS_READ: "analytics:read",
+  ANALYTICS_MANAGE: "analytics:manage",
+  NOTIFICATIONS_SEND: "notifications:send",
+  PAYMENTS_READ: "payments:read",
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage",
+  ROLES_MANAGE: "roles:manage",
+  SETTINGS_MANAGE: "settings:manage",
+  API_KEYS_MANAGE: "api_keys:manage",
+}
+
+// Grants every permission, including ones added later
+const ALL_PERMISSIONS = "*"
+
+// Built-in roles, created in the database on first use
+const DEFAULT_ROLES = {
+  [USER_ROLES.CUSTOMER]: {
+    displayName: "Customer",
+    description: "Shoppers who can browse and place orders",
+    permissions: [],
+  },
+  [USER_ROLES.STAFF]: {
+    displayName: "Staff",
+    description: "Employees who manage orders, products and customers",
+    permissions: [
+      PERMISSIONS.STAFF_ACCESS,
+      PERMISSIONS.PRODUCTS_WRITE,
+      PERMISSIONS.PRODUCTS_DELETE,
+      PERMISSIONS.INVENTORY_READ,
+      PERMISSIONS.INVENTORY_WRITE,
+      PERMISSIONS.ORDERS_READ,
+      PERMISSIONS.ORDERS_UPDATE,
+      PERMISSIONS.CUSTOMERS_READ,
+      PERMISSIONS.REVIEWS_MODERATE,
+      PERMISSIONS.COUPONS_READ,
+      PERMISSIONS.FLASH_SALES_READ,
+      PERMISSIONS.ANALYTICS_READ,
+      PERMISSIONS.NOTIFICATIONS_SEND,
+      PERMISSIONS.PAYMENTS_READ,
+    ],
+  },
+  [USER_ROLES.ADMIN]: {
+    displayName: "Administrator",
+    description: "Full system access",
+    permissions: [ALL_PERMISSIONS],
+  },
+}
+
 // Order statuses
 const ORDER_STATUSES = {
   PENDING: "pending",
+  BACKORDERED: "backordered",
+  PREORDERED: "preordered",
   CONFIRMED: "confirmed",
   PROCESSING: "processing",
   SHIPPED: "shipped",
@@ -19,7 +89,9 @@ const ORDER_STATUSES = {
 // Payment statuses
 const PAYMENT_STATUSES = {
   PENDING: "pending",
+  AUTHORIZED: "authorized",
   COMPLETED: "completed",
+  VOIDED: "voided",
   FAILED: "failed",
   REFUNDED: "refunded",
 }
@@ -46,6 +118,119 @@ const PRODUCT_CATEGORIES = {
   BOOTS: "boots",
   SANDALS: "sandals",
   SNEAKERS: "sneakers",
+  ACCESSORIES: "accessories",
+}
+
+// Kinds of value a product attribute can hold (see models/Attribute.js)
+const ATTRIBUTE_TYPES = {
+  SELECT: "select", // one of the attribute's listed values
+  TEXT: "text",
+  NUMBER: "number",
+  BOOLEAN: "boolean",
+}
+
+// Where an attribute is set: once per product, or per variant as a variant option
+const ATTRIBUTE_SCOPES = {
+  PRODUCT: "product",
+  VARIANT: "variant",
+}
+
+// Built-in attribute definitions, created in the database on first use
+const DEFAULT_ATTRIBUTES = [
+  {
+    code: "width",
+    name: "Width",
+    type: ATTRIBUTE_TYPES.SELECT,
+    scope: ATTRIBUTE_SCOPES.VARIANT,
+    values: [
+      { value: "narrow", label: "Narrow" },
+      { value: "standard", label: "Standard" },
+      { value: "wide", label: "Wide" },
+      { value: "extra_wide", label: "Extra Wide" },
+    ],
+  },
+  {
+    code: "size_system",
+    name: "Size System",
+    type: ATTRIBUTE_TYPES.SELECT,
+    scope: ATTRIBUTE_SCOPES.VARIANT,
+    values: [
+      { value: "us", label: "US" },
+      { value: "us_kids", label: "US Kids" },
+      { value: "uk", label: "UK" },
+      { value: "eu", label: "EU" },
+    ],
+  },
+  {
+    code: "material",
+    name: "Material",
+    type: ATTRIBUTE_TYPES.SELECT,
+    scope: ATTRIBUTE_SCOPES.PRODUCT,
+    values: [
+      { value: "leather", label: "Leather" },
+      { value: "suede", label: "Suede" },
+      { value: "canvas", label: "Canvas" },
+      { value: "mesh", label: "Mesh" },
+      { value: "knit", label: "Knit" },
+      { value: "synthetic", label: "Synthetic" },
+      { value: "rubber", label: "Rubber" },
+      { value: "cotton", label: "Cotton" },
+      { value: "foam", label: "Foam" },
+    ],
+  },
+  {
+    code: "pack_size",
+    name: "Pack Size",
+    type: ATTRIBUTE_TYPES.NUMBER,
+    scope: ATTRIBUTE_SCOPES.VARIANT,
+    unit: "pairs",
+  },
+]
+
+// Built-in categories, created in the database on first use
+const DEFAULT_CATEGORIES = [
+  ...[
+    PRODUCT_CATEGORIES.RUNNING,
+    PRODUCT_CATEGORIES.CASUAL,
+    PRODUCT_CATEGORIES.FORMAL,
+    PRODUCT_CATEGORIES.SPORTS,
+    PRODUCT_CATEGORIES.BOOTS,
+    PRODUCT_CATEGORIES.SANDALS,
+    PRODUCT_CATEGORIES.SNEAKERS,
+  ].map((slug) => ({
+    slug,
+    name: slug.charAt(0).toUpperCase() + slug.slice(1),
+    attributes: [{ attribute: "width" }, { attribute: "size_system" }, { attribute: "material" }],
+  })),
+  {
+    slug: PRODUCT_CATEGORIES.ACCESSORIES,
+    name: "Accessories",
+    description: "Laces, insoles and shoe care",
+    attributes: [{ attribute: "material" }, { attribute: "pack_size" }],
+  },
+]
+
+// Size of variants that don't come in sizes, e.g. laces and insoles
+const ONE_SIZE = "one-size"
+
+// Product publishing workflow. Only published products are on the storefront.
+const PRODUCT_STATUS = {
+  DRAFT: "draft",
+  REVIEW: "review", // ready for someone to check and publish
+  PUBLISHED: "published",
+  ARCHIVED: "archived", // taken off sale, e.g. by a scheduled unpublish
+}
+
+// What made a product revision (see models/ProductRevision.js)
+const PRODUCT_REVISION_SOURCES = {
+  BASELINE: "baseline", // the product as it was before its first recorded edit
+  CREATE: "create",
+  UPDATE: "update",
+  STATUS: "status", // status or publishing schedule changed
+  SCHEDULE: "schedule", // published or unpublished on schedule
+  IMPORT: "import",
+  BULK_OPERATION: "bulk_operation",
+  ROLLBACK: "rollback",
 }
 
 // Gender options
@@ -56,7 +241,7 @@ const GENDER_OPTIONS = {
   KIDS: "kids",
 }
 
-// Shoe sizes
+// Shoe sizes (US men's, as variant sizes are stored)
 const SHOE_SIZES = [
   "5",
   "5.5",
@@ -79,6 +264,86 @@ const SHOE_SIZES = [
   "15",
 ]
 
+// Size systems a size chart converts between (see models/SizeChart.js)
+const SIZE_SYSTEMS = {
+  US_MEN: "us_men",
+  US_WOMEN: "us_women",
+  UK: "uk",
+  EU: "eu",
+  CM: "cm", // foot length
+}
+
+// Size system of a variant's stored size, by its size_system option; US sizes are men's
+const VARIANT_SIZE_SYSTEMS = {
+  us: SIZE_SYSTEMS.US_MEN,
+  uk: SIZE_SYSTEMS.UK,
+  eu: SIZE_SYSTEMS.EU,
+}
+
+// Generic size chart, for brands without their own
+const DEFAULT_SIZE_CHART = [
+  ["5", "6.5", "4.5", "37.5", "23"],
+  ["5.5", "7", "5", "38", "23.5"],
+  ["6", "7.5", "5.5", "38.5", "24"],
+  ["6.5", "8", "6", "39", "24.5"],
+  ["7", "8.5", "6.5", "40", "25"],
+  ["7.5", "9", "7", "40.5", "25.5"],
+  ["8", "9.5", "7.5", "41", "26"],
+  ["8.5", "10", "8", "42", "26.5"],
+  ["9", "10.5", "8.5", "42.5", "27"],
+  ["9.5", "11", "9", "43", "27.5"],
+  ["10", "11.5", "9.5", "44", "28"],
+  ["10.5", "12", "10", "44.5", "28.5"],
+  ["11", "12.5", "10.5", "45", "29"],
+  ["11.5", "13", "11", "45.5", "29.5"],
+  ["12", "13.5", "11.5", "46", "30"],
+  ["12.5", "14", "12", "47", "30.5"],
+  ["13", "14.5", "12.5", "47.5", "31"],
+  ["14", "15.5", "13.5", "48.5", "32"],
+  ["15", "16.5", "14.5", "49.5", "33"],
+].map(([us_men, us_women, uk, eu, cm]) => ({ us_men, us_women, uk, eu, cm }))
+
+// Product search facets: lower bounds of the price buckets, and the "& up" ratings
+const SEARCH_FACETS = {
+  PRICE_BUCKETS: [0, 50, 100, 150, 200, 300],
+  RATINGS: [4, 3, 2, 1],
+}
+
+// Catalog search index (services/searchIndexService.js)
+const SEARCH_INDEX = {
+  DEFAULT_ENGINE: "memory",
+  // Relevance weight of each indexed product field
+  FIELD_WEIGHTS: { name: 10, brand: 5, description: 1 },
+  MAX_RESULTS: 1000, // Matches one search considers, best first
+  REINDEX_BATCH_SIZE: 500,
+}
+
+// Search suggestions (autocomplete)
+const SEARCH_SUGGESTIONS = {
+  MIN_QUERY_LENGTH: 2,
+  MAX_QUERY_LENGTH: 100,
+  LIMIT: 5, // Per list: popular queries, products, brands, tags
+  MAX_SYNONYM_QUERIES: 5, // Rewrites of one query through synonyms
+  MAX_CORRECTED_WORDS: 5, // Typed words checked for typos; later ones are kept as typed
+  MAX_CORRECTED_WORD_LENGTH: 20, // Longer words are kept as typed
+  VOCABULARY_CACHE_SECONDS: 60,
+}
+
+// Search analytics (services/searchAnalyticsService.js)
+const SEARCH_ANALYTICS = {
+  // What a shopper did with a search result
+  INTERACTION_TYPES: {
+    CLICK: "click",
+    ADD_TO_CART: "add_to_cart",
+  },
+  MAX_INTERACTIONS: 50, // Per search
+  ATTRIBUTION_WINDOW_DAYS: 7, // An order counts for searches this recent whose results were clicked
+  // Payment statuses of orders reported as conversions; unpaid, failed, cancelled and refunded orders aren't
+  CONVERTED_PAYMENT_STATUSES: ["authorized", "completed", "partially_refunded"],
+  RETENTION_DAYS: 180,
+  REPORT_DAYS: 30, // Default report period
+}
+
 // Coupon types
 const COUPON_TYPES = {
   PERCENTAGE: "percentage",
@@ -153,8 +418,138 @@ const RATE_LIMITS = {
     windowMs: 60 * 1000, // 1 minute
     max: 10, // requests per window
   },
+  SUGGEST: {
+    windowMs: 60 * 1000, // 1 minute
+    max: 120, // requests per window (about one per keystroke)
+  },
+}
+
+// Account deletion (GDPR erasure requests)
+const ACCOUNT_DELETION = {
+  GRACE_PERIOD_DAYS: 30, // days before a requested deletion is carried out
+  RECENT_SIGN_IN_MINUTES: 10, // accounts without a password must have signed in this recently to request deletion
+  ANONYMIZED_EMAIL_DOMAIN: "deleted.invalid",
+  ANONYMIZED_NAME: { firstName: "Deleted", lastName: "User" },
+  REDACTED: "Redacted",
+}
+
+// API key defaults
+const API_KEYS = {
+  PREFIX: "sk_", // marks the string as a secret key (helps secret scanners)
+  RATE_LIMIT_MAX: 120, // requests per window, per key
+  RATE_LIMIT_WINDOW_SECONDS: 60,
+}
+
+// Failed-login tracking and lockouts
+const LOGIN_PROTECTION = {
+  ACCOUNT_MAX_ATTEMPTS: 5, // failed logins before an account is locked
+  ACCOUNT_WINDOW_SECONDS: 15 * 60, // 15 minutes
+  IP_MAX_ATTEMPTS: 20, // failed logins (any account) before an IP is blocked
+  IP_WINDOW_SECONDS: 60 * 60, // 1 hour
+  DELAY_AFTER_ATTEMPTS: 3, // start progressive delays after this many failures
+  MAX_DELAY_SECONDS: 30,
+  LOCKOUT_SECONDS: 15 * 60, // first lockout, doubles on each repeat
+  MAX_LOCKOUT_SECONDS: 24 * 60 * 60, // 24 hours
+  HISTORY_SECONDS: 24 * 60 * 60, // how long lockout history is remembered
+  PASSWORD_RESET_MAX_REQUESTS: 3, // reset emails per account
+  PASSWORD_RESET_WINDOW_SECONDS: 60 * 60, // 1 hour
+}
+
+// Passwordless sign-in (emailed link or 6-digit code)
+const MAGIC_LINK = {
+  EXPIRE_SECONDS: 15 * 60, // 15 minutes
+  MAX_CODE_ATTEMPTS: 5, // wrong codes before the code is discarded
+  MAX_REQUESTS: 3, // sign-in emails per address
+  REQUEST_WINDOW_SECONDS: 60 * 60, // 1 hour
+}
+
+// OAuth / social sign-in round trips
+const OAUTH = {
+  STATE_COOKIE: "oauth_state", // nonce binding a provider callback to the browser that started it
+  STATE_EXPIRE_SECONDS: 10 * 60, // 10 minutes to complete the provider's consent screen
+}
+
+// Guest checkout
+const GUEST_CHECKOUT = {
+  CART_TOKEN_HEADER: "X-Cart-Token",
+  CART_TTL_DAYS: 30, // inactive guest carts (and their tokens) expire after this
+  ORDER_TOKEN_HEADER: "X-Order-Token",
+  ORDER_TOKEN_TTL_DAYS: 30, // how long a guest can pay for or retry an order
+}
+
+// Time-bounded stock holds (see services/reservationService.js)
+const STOCK_RESERVATION = {
+  CHECKOUT_HOLD_MINUTES: 15, // cart holds taken when checkout starts
+  ORDER_HOLD_MINUTES: 30, // holds for a new order awaiting payment
+  PAYMENT_EXTENSION_MINUTES: 15, // added while a payment is in progress
+  MAX_HOLD_MINUTES: 120, // an order's holds are never extended past this age
+}
+
+// Kinds of stock location
+const LOCATION_TYPES = {
+  WAREHOUSE: "warehouse",
+  STORE: "store",
+}
+
+// Purchase order lifecycle (see models/PurchaseOrder.js)
+const PURCHASE_ORDER_STATUS = {
+  DRAFT: "draft",
+  SENT: "sent",
+  PARTIALLY_RECEIVED: "partially_received",
+  RECEIVED: "received",
+  CANCELLED: "cancelled",
+}
+
+// Reorder suggestions (see services/purchaseOrderService.js)
+const REORDER = {
+  VELOCITY_DAYS: 30, // sales window used to estimate daily demand
+  COVER_DAYS: 30, // stock a reorder should last once it arrives
+  DEFAULT_LEAD_TIME_DAYS: 14, // for suppliers without a lead time
+}
+
+// Bulk price and stock updates (see services/bulkOperationService.js)
+const BULK_OPERATION = {
+  UNDO_HOURS: 24, // how long an applied operation can be undone
+  MAX_VARIANTS: 5000, // most variants one operation can change
+}
+
+const BULK_OPERATION_STATUS = {
+  PENDING: "pending", // being applied
+  APPLIED: "applied",
+  FAILED: "failed", // nothing was changed
+  UNDONE: "undone",
+}
+
+// How a bulk operation changes a price or stock level
+const BULK_ADJUSTMENTS = {
+  SET: "set",
+  INCREASE: "increase",
+  DECREASE: "decrease",
 }
 
+// Why stock moved (see models/InventoryMovement.js)
+const INVENTORY_MOVEMENT_REASONS = {
+  OPENING_BALANCE: "opening_balance", // stock on hand when the ledger started tracking the SKU
+  RESERVATION: "reservation", // units held for a checkout or order
+  RESERVATION_RELEASE: "reservation_release", // held units given back (expired, released, rolled back)
+  SALE: "sale", // units taken for a paid order whose holds had lapsed
+  CANCELLATION: "cancellation", // a paid or pre-reservation order was cancelled
+  RETURN: "return", // returned goods put back on sale
+  MANUAL_ADJUSTMENT: "manual_adjustment",
+  STOCKTAKE: "stocktake", // stock set to a physical count
+  PURCHASE_RECEIPT: "purchase_receipt", // units received against a purchase order
+  BACKORDER_ALLOCATION: "backorder_allocation", // incoming stock taken for a paid backorder or pre-order
+  PRODUCT_IMPORT: "product_import", // stock set by a bulk catalogue import
+  BULK_OPERATION: "bulk_operation", // stock adjusted (or put back) by a bulk operation
+}
+
+// Reasons staff can give when setting stock by hand
+const STOCK_EDIT_REASONS = [
+  INVENTORY_MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+  INVENTORY_MOVEMENT_REASONS.STOCKTAKE,
+  INVENTORY_MOVEMENT_REASONS.RETURN,
+]
+
 // Email templates
 const EMAIL_TEMPLATES = {
   WELCOME: "welcome",
@@ -174,13 +569,30 @@ const SOCKET_EVENTS = {
 
 module.exports = {
   USER_ROLES,
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
   ORDER_STATUSES,
   PAYMENT_STATUSES,
   PAYMENT_METHODS,
   SHIPPING_METHODS,
   PRODUCT_CATEGORIES,
+  ATTRIBUTE_TYPES,
+  ATTRIBUTE_SCOPES,
+  DEFAULT_ATTRIBUTES,
+  DEFAULT_CATEGORIES,
+  ONE_SIZE,
+  PRODUCT_STATUS,
+  PRODUCT_REVISION_SOURCES,
   GENDER_OPTIONS,
   SHOE_SIZES,
+  SIZE_SYSTEMS,
+  VARIANT_SIZE_SYSTEMS,
+  DEFAULT_SIZE_CHART,
+  SEARCH_FACETS,
+  SEARCH_INDEX,
+  SEARCH_SUGGESTIONS,
+  SEARCH_ANALYTICS,
   COUPON_TYPES,
   ADDRESS_TYPES,
   NOTIFICATION_TYPES,
@@ -189,6 +601,21 @@ module.exports = {
   UPLOAD_LIMITS,
   CACHE_DURATIONS,
   RATE_LIMITS,
+  LOGIN_PROTECTION,
+  MAGIC_LINK,
+  OAUTH,
+  GUEST_CHECKOUT,
+  STOCK_RESERVATION,
+  LOCATION_TYPES,
+  INVENTORY_MOVEMENT_REASONS,
+  STOCK_EDIT_REASONS,
+  PURCHASE_ORDER_STATUS,
+  REORDER,
+  BULK_OPERATION,
+  BULK_OPERATION_STATUS,
+  BULK_ADJUSTMENTS,
+  ACCOUNT_DELETION,
+  API_KEYS,
   EMAIL_TEMPLATES,
   SOCKET_EVENTS,
 }
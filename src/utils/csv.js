@@ -0,0 +1,78 @@
+/**
+ * CSV Helpers
+ *
+ * Just enough RFC 4180 for catalogue files: comma separated, fields quoted
+ * with double quotes when they hold commas, quotes or line breaks, and
+ * quotes inside quoted fields doubled.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows, with blank lines left out
+ */
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let quoted = false
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  const endRow = () => {
+    row.push(field)
+    if (row.length > 1 || row[0] !== "") rows.push(row)
+    row = []
+    field = ""
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1
+      endRow()
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== "" || row.length > 0) endRow()
+
+  return rows
+}
+
+// Quote a field if it needs it
+const formatCsvField = (value) => {
+  if (value === undefined || value === null) return ""
+
+  const text = value instanceof Date ? value.toISOString() : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values; null and undefined become empty fields
+ * @returns {string} The line, ending in CRLF
+ */
+const formatCsvRow = (values) => `${values.map(formatCsvField).join(",")}\r\n`
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+}
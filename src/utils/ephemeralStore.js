@@ -0,0 +1,141 @@
+/**
+ * Ephemeral Store
+ * Short-lived JSON records (attempt counters, rate-limit windows) kept in
+ * Redis when it is connected, so they are shared between instances, with an
+ * in-memory fallback for single-instance and development setups.
+ */
+
+const { getRedisClient, setCache, getCache, deleteCache } = require("../config/redis")
+
+// In-memory fallback store: key -> { value, expiresAt }
+const memoryStore = new Map()
+
+// Many keys (per-window counters, one-time challenges) are never read again, so
+// expired entries are also swept on write, at most once per interval
+const SWEEP_INTERVAL_MS = 60 * 1000
+let lastSweepAt = Date.now()
+
+const sweepExpired = () => {
+  const now = Date.now()
+  if (now - lastSweepAt < SWEEP_INTERVAL_MS) return
+
+  lastSweepAt = now
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt <= now) memoryStore.delete(key)
+  }
+}
+
+/**
+ * Read a record
+ * @param {string} key - Record key
+ * @returns {Promise<Object|null>} Stored value, or null if missing/expired
+ */
+const readRecord = async (key) => {
+  if (getRedisClient()) return getCache(key)
+
+  const entry = memoryStore.get(key)
+  if (!entry) return null
+
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key)
+    return null
+  }
+
+  return entry.value
+}
+
+/**
+ * Write a record with a TTL
+ * @param {string} key - Record key
+ * @param {Object} value - JSON-serializable value
+ * @param {number} ttlSeconds - Time to live in seconds
+ * @returns {Promise<boolean>} Success status
+ */
+const writeRecord = async (key, value, ttlSeconds) => {
+  if (getRedisClient()) return setCache(key, value, ttlSeconds)
+
+  sweepExpired()
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 })
+  return true
+}
+
+/**
+ * Delete a record
+ * @param {string} key - Record key
+ * @returns {Promise<boolean>} Success status
+ */
+const deleteRecord = async (key) => {
+  if (getRedisClient()) return deleteCache(key)
+
+  return memoryStore.delete(key)
+}
+
+/**
+ * Read every record whose key starts with a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Object[]>} Stored values
+ */
+const readRecordsByPrefix = async (prefix) => {
+  const client = getRedisClient()
+  const records = []
+
+  if (client) {
+    for await (const batch of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      // node-redis v5 yields batches of keys, v4 yields single keys
+      for (const key of [].concat(batch)) {
+        const record = await getCache(key)
+        if (record) records.push(record)
+      }
+    }
+
+    return records
+  }
+
+  for (const key of memoryStore.keys()) {
+    if (!key.startsWith(prefix)) continue
+
+    const record = await readRecord(key)
+    if (record) records.push(record)
+  }
+
+  return records
+}
+
+/**
+ * Increment a counter, starting it with a TTL on first use
+ * @param {string} key - Counter key
+ * @param {number} ttlSeconds - Time to live in seconds (set when created)
+ * @returns {Promise<number>} New counter value
+ */
+const incrementCounter = async (key, ttlSeconds) => {
+  const client = getRedisClient()
+
+  if (client) {
+    try {
+      const value = await client.incr(key)
+      if (value === 1) await client.expire(key, ttlSeconds)
+      return value
+    } catch (error) {
+      console.error("Redis incrementCounter error:", error)
+    }
+  }
+
+  const entry = memoryStore.get(key)
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    sweepExpired()
+    memoryStore.set(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 })
+    return 1
+  }
+
+  entry.value += 1
+  return entry.value
+}
+
+module.exports = {
+  readRecord,
+  writeRecord,
+  deleteRecord,
+  readRecordsByPrefix,
+  incrementCounter,
+}
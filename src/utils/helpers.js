@@ -9,7 +9,7 @@ const generateRandomString = (length = 32) => {
 const generateSKU = (brand, category, size, color) => {
   const brandCode = brand.substring(0, 3).toUpperCase()
   const categoryCode = category.substring(0, 3).toUpperCase()
-  const sizeCode = size.replace(".", "")
+  const sizeCode = size.replace(/[^A-Za-z0-9]/g, "").substring(0, 4).toUpperCase()
   const colorCode = color.substring(0, 3).toUpperCase()
   const random = Math.floor(Math.random() * 1000)
     .toString()
@@ -146,6 +146,38 @@ const calculateDiscountAmount = (originalAmount, discountType, discountValue, ma
   return Math.min(discount, originalAmount)
 }
 
+// Escape text for use in a regular expression
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Number of single-character edits (insert, delete, replace, swap adjacent) between two strings.
+// With a max, stops early and returns max + 1 once the strings are known to be further apart.
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  // Only the last two rows are needed
+  let beforeLast = []
+  let last = [...Array(b.length + 1).keys()]
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      row[j] = Math.min(last[j] + 1, row[j - 1] + 1, last[j - 1] + cost)
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], beforeLast[j - 2] + 1)
+      }
+    }
+
+    if (Math.min(...row) > max) return max + 1
+    beforeLast = last
+    last = row
+  }
+
+  return last[b.length]
+}
+
 module.exports = {
   generateRandomString,
   generateSKU,
@@ -161,4 +193,6 @@ module.exports = {
   isDateInRange,
   formatDate,
   calculateDiscountAmount,
+  escapeRegExp,
+  editDistance,
 }
@@ -44,10 +44,15 @@ const level = () => {
 }
 
 // Define different formats for different environments
+// Metadata and error stacks (logger.error("...", error)) are printed after the message
 const format = winston.format.combine(
+  winston.format.errors({ stack: true }),
   winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss:ms" }),
   winston.format.colorize({ all: true }),
-  winston.format.printf((info) => `${info.timestamp} ${info.level}: ${info.message}`)
+  winston.format.printf(({ timestamp, level, message, stack, ...meta }) => {
+    const details = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : ""
+    return `${timestamp} ${level}: ${message}${details}${stack ? `\n${stack}` : ""}`
+  })
 )
 
 // Define different transports based on environment
@@ -0,0 +1,161 @@
+/**
+ * In-Memory Search Index
+ *
+ * An inverted index over documents with a few text fields, ranked with
+ * BM25F: each field's term frequencies are normalized by that field's
+ * length and multiplied by its weight before BM25 saturation, so a word in
+ * a short, heavily weighted field (a product name) counts for more than the
+ * same word deep in a long description.
+ *
+ * Text is lowercased, split into letters and digits, stripped of common
+ * English stop words and reduced to its singular ("shoes" -> "shoe"), the
+ * same way for documents and queries. A query matches documents with any
+ * of its words.
+ */
+
+// BM25 term frequency saturation and length normalization
+const DEFAULT_K1 = 1.2
+const DEFAULT_B = 0.75
+
+const STOP_WORDS = new Set("a an and are as at by for from in is it of on or the to with".split(" "))
+
+// Plural to singular, for the plurals product text uses
+const stem = (word) => {
+  if (word.length <= 3) return word
+  if (word.endsWith("ies") && word.length > 4) return `${word.slice(0, -3)}y`
+  if (/(ch|sh|x|z|ss)es$/.test(word)) return word.slice(0, -2)
+  if (/[^aisu]s$/.test(word)) return word.slice(0, -1)
+  return word
+}
+
+/**
+ * Index terms in a text
+ * @param {string} text - Text to analyze
+ * @returns {Array<string>} Terms, in order and with repeats
+ */
+const analyze = (text) =>
+  String(text ?? "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(stem)
+
+/**
+ * Create an empty index
+ * @param {Object} options
+ * @param {Object} options.fields - Field name -> weight, e.g. { name: 10, description: 1 }
+ * @param {number} [options.k1] - BM25 k1
+ * @param {number} [options.b] - BM25 b
+ * @returns {Object} { add, remove, clear, search, size }
+ */
+const createSearchIndex = ({ fields, k1 = DEFAULT_K1, b = DEFAULT_B }) => {
+  const fieldNames = Object.keys(fields)
+
+  // id -> { lengths: { field: terms }, terms: Map(term -> { field: count }) }
+  const documents = new Map()
+  // term -> Set of ids
+  const postings = new Map()
+  // field -> total terms across documents, for average field lengths
+  const totalLengths = Object.fromEntries(fieldNames.map((field) => [field, 0]))
+
+  const remove = (id) => {
+    const document = documents.get(id)
+    if (!document) return false
+
+    for (const term of document.terms.keys()) {
+      const ids = postings.get(term)
+      ids.delete(id)
+      if (ids.size === 0) postings.delete(term)
+    }
+    for (const field of fieldNames) totalLengths[field] -= document.lengths[field]
+
+    documents.delete(id)
+    return true
+  }
+
+  // Index a document, replacing any earlier version with the same id
+  const add = (id, values) => {
+    remove(id)
+
+    const document = { lengths: {}, terms: new Map() }
+
+    for (const field of fieldNames) {
+      const terms = analyze(values[field])
+      document.lengths[field] = terms.length
+      totalLengths[field] += terms.length
+
+      for (const term of terms) {
+        const counts = document.terms.get(term) || {}
+        counts[field] = (counts[field] || 0) + 1
+        document.terms.set(term, counts)
+      }
+    }
+
+    for (const term of document.terms.keys()) {
+      if (!postings.has(term)) postings.set(term, new Set())
+      postings.get(term).add(id)
+    }
+
+    documents.set(id, document)
+  }
+
+  const clear = () => {
+    documents.clear()
+    postings.clear()
+    for (const field of fieldNames) totalLengths[field] = 0
+  }
+
+  /**
+   * Documents matching a query, best first
+   * @param {string} text - Query
+   * @param {Object} [options]
+   * @param {number} [options.limit] - At most this many results
+   * @returns {Array<Object>} [{ id, score }]
+   */
+  const search = (text, { limit = Infinity } = {}) => {
+    const total = documents.size
+    if (total === 0) return []
+
+    const averageLengths = Object.fromEntries(fieldNames.map((field) => [field, totalLengths[field] / total || 1]))
+    const scores = new Map()
+
+    for (const term of new Set(analyze(text))) {
+      const ids = postings.get(term)
+      if (!ids) continue
+
+      const idf = Math.log(1 + (total - ids.size + 0.5) / (ids.size + 0.5))
+
+      for (const id of ids) {
+        const { lengths, terms } = documents.get(id)
+        const counts = terms.get(term)
+
+        let frequency = 0
+        for (const field of fieldNames) {
+          if (!counts[field]) continue
+          const normalization = 1 - b + (b * lengths[field]) / averageLengths[field]
+          frequency += (fields[field] * counts[field]) / normalization
+        }
+
+        scores.set(id, (scores.get(id) || 0) + (idf * frequency) / (k1 + frequency))
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((x, y) => y.score - x.score || (x.id < y.id ? -1 : 1))
+      .slice(0, limit)
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    search,
+    size: () => documents.size,
+  }
+}
+
+module.exports = {
+  analyze,
+  createSearchIndex,
+}